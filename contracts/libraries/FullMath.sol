@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+/**
+ * @title FullMath
+ * @author Uniswap Lib (adaptado)
+ * @notice Multiplicação seguida de divisão (x * y / d) com produto intermediário de 512 bits.
+ * @dev Port para Solidity 0.8.28 do `FullMath` de `@uniswap/lib` (a versão 1.1.1 travada no projeto não o inclui).
+ *      A aritmética modular do algoritmo original depende de overflow, por isso fica em blocos `unchecked`;
+ *      o resultado é o mesmo da versão original, inclusive a mensagem de erro quando o quociente não cabe em 256 bits.
+ *      Créditos do algoritmo: Remco Bloemen (https://xn--2-umb.com/21/muldiv).
+ */
+library FullMath {
+    // ================================
+    //           Funções Matemáticas
+    // ================================
+
+    /**
+     * @notice Produto completo de 512 bits de dois números.
+     * @param x Primeiro fator.
+     * @param y Segundo fator.
+     * @return l 256 bits menos significativos do produto.
+     * @return h 256 bits mais significativos do produto.
+     */
+    function fullMul(uint256 x, uint256 y) internal pure returns (uint256 l, uint256 h) {
+        unchecked {
+            uint256 mm = mulmod(x, y, type(uint256).max);
+            l = x * y;
+            h = mm - l;
+            if (mm < l) h -= 1;
+        }
+    }
+
+    /**
+     * @notice Divide um número de 512 bits (h, l) por `d`, sabendo que o quociente cabe em 256 bits.
+     * @dev Remove os fatores 2 de `d` e multiplica pelo inverso modular de `d` (método de Newton-Raphson).
+     * @param l 256 bits menos significativos do dividendo.
+     * @param h 256 bits mais significativos do dividendo (h < d).
+     * @param d Divisor.
+     * @return Quociente de 256 bits.
+     */
+    function fullDiv(uint256 l, uint256 h, uint256 d) private pure returns (uint256) {
+        unchecked {
+            uint256 pow2 = d & (~d + 1);
+            d /= pow2;
+            l /= pow2;
+            l += h * ((~pow2 + 1) / pow2 + 1);
+            uint256 r = 1;
+            r *= 2 - d * r;
+            r *= 2 - d * r;
+            r *= 2 - d * r;
+            r *= 2 - d * r;
+            r *= 2 - d * r;
+            r *= 2 - d * r;
+            r *= 2 - d * r;
+            r *= 2 - d * r;
+            return l * r;
+        }
+    }
+
+    /**
+     * @notice Calcula floor(x * y / d) sem perder precisão no produto intermediário.
+     * @dev Reverte com "FullMath: FULLDIV_OVERFLOW" se o quociente não couber em 256 bits e com panic se `d` for zero.
+     * @param x Primeiro fator.
+     * @param y Segundo fator.
+     * @param d Divisor.
+     * @return Resultado arredondado para baixo.
+     */
+    function mulDiv(uint256 x, uint256 y, uint256 d) internal pure returns (uint256) {
+        (uint256 l, uint256 h) = fullMul(x, y);
+
+        uint256 mm = mulmod(x, y, d);
+        unchecked {
+            if (mm > l) h -= 1;
+            l -= mm;
+        }
+
+        if (h == 0) return l / d;
+
+        require(h < d, "FullMath: FULLDIV_OVERFLOW");
+        return fullDiv(l, h, d);
+    }
+}
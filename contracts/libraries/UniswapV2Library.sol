@@ -62,7 +62,7 @@ library UniswapV2Library {
                             hex"ff",
                             factory,
                             keccak256(abi.encodePacked(token0, token1)),
-                            hex"96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f" // init code hash
+                            hex"969f8d812de163056f9a3a7b5b88f7bfd887ee29c9be5698f0e81b00a45a3dee" // init code hash
                         )
                     )
                 )
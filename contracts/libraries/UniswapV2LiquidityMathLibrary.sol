@@ -4,9 +4,9 @@ pragma solidity 0.8.28;
 import {IUniswapV2Pair} from '../interfaces/pool/IUniswapV2Pair.sol';
 import {IUniswapV2Factory} from '../interfaces/pool/IUniswapV2Factory.sol';
 import {Babylonian} from '@uniswap/lib/contracts/libraries/Babylonian.sol';
-import {SafeMath} from '@uniswap/v2-core/contracts/libraries/SafeMath.sol';
-import {UniswapV2Library} from '@uniswap/v2-periphery/contracts/libraries/UniswapV2Library.sol';
-import {FullMath} from '@uniswap/lib/contracts/libraries/FullMath.sol';
+import {SafeMath} from './SafeMath.sol';
+import {UniswapV2Library} from './UniswapV2Library.sol';
+import {FullMath} from './FullMath.sol';
 
 /**
  * @title UniswapV2LiquidityMathLibrary
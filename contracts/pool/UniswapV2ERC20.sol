@@ -94,12 +94,12 @@ contract UniswapV2ERC20 { // is IUniswapV2ERC20 {
      * @notice Cria tokens e os atribui a um endereço.
      * @dev Aumenta o totalSupply e o saldo do destinatário, emitindo um evento Transfer de address(0).
      *      Usa SafeMath para operações aritméticas seguras.
-     *      Reverte se o destinatário for address(0) ou se o valor for zero.
+     *      Reverte se o valor for zero. `to` pode ser address(0): é para lá que o par cria (e bloqueia
+     *      permanentemente) os primeiros MINIMUM_LIQUIDITY tokens de liquidez.
      * @param to Endereço que receberá os tokens.
      * @param value Quantidade de tokens a criar.
      */
     function _mint(address to, uint256 value) internal {
-        require(to != address(0), "UniswapV2ERC20: MINT_TO_ZERO_ADDRESS");
         require(value > 0, "UniswapV2ERC20: INVALID_MINT_AMOUNT");
 
         totalSupply = totalSupply.add(value);
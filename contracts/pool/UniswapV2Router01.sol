@@ -556,12 +556,12 @@ contract UniswapV2Router01 is IUniswapV2Router01 {
      * @return amounts Array com as quantidades de entrada/saída para cada par.
      */
     function swapExactTokensForTokens(
-        address[] calldata path,
         uint256 amountIn,
         uint256 amountOutMin,
+        address[] calldata path,
         address to,
         uint256 deadline
-    ) external ensure(deadline) returns (uint256[] memory amounts) {
+    ) external override ensure(deadline) returns (uint256[] memory amounts) {
         require(amountIn > 0, "UniswapV2Router01: INVALID_INPUT_AMOUNT");
         require(
             to != address(0),
@@ -886,12 +886,4 @@ contract UniswapV2Router01 is IUniswapV2Router01 {
     ) public view override returns (uint256[] memory amounts) {
         return UniswapV2Library.getAmountsIn(factory, amountOut, path);
     }
-
-    function swapExactTokensForTokens(
-        uint256 amountIn,
-        uint256 amountOutMin,
-        address[] calldata path,
-        address to,
-        uint256 deadline
-    ) external override returns (uint256[] memory amounts) {}
 }
\ No newline at end of file
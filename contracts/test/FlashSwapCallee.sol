@@ -0,0 +1,70 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import {IUniswapV2Callee} from '../interfaces/pool/IUniswapV2Callee.sol';
+import {IUniswapV2Pair} from '../interfaces/pool/IUniswapV2Pair.sol';
+import {IERC20} from '../interfaces/utils/IERC20.sol';
+
+/**
+ * @title FlashSwapCallee
+ * @notice Contrato de teste que executa flash swaps em um par Uniswap V2 com reembolso configurável.
+ * @dev O chamador define quanto de cada token será devolvido ao par durante o callback; o reembolso é puxado
+ *      da conta do chamador (que precisa aprovar este contrato) e os tokens emprestados são repassados a ele
+ *      ao final. Permite exercitar tanto reembolsos suficientes quanto insuficientes (que devem violar K).
+ *      Compatível com Solidity 0.8.28, aproveitando verificações nativas de overflow/underflow.
+ */
+contract FlashSwapCallee is IUniswapV2Callee {
+    // ================================
+    //           Funções de Flash Swap
+    // ================================
+
+    /**
+     * @notice Executa um flash swap e repassa os tokens emprestados ao chamador.
+     * @dev Reverte se o par reverter (ex.: reembolso insuficiente) ou se o chamador não tiver aprovado o reembolso.
+     * @param pair Endereço do par Uniswap V2.
+     * @param amount0Out Quantidade de token0 emprestada.
+     * @param amount1Out Quantidade de token1 emprestada.
+     * @param repay0 Quantidade de token0 devolvida ao par durante o callback.
+     * @param repay1 Quantidade de token1 devolvida ao par durante o callback.
+     */
+    function flashSwap(
+        address pair,
+        uint256 amount0Out,
+        uint256 amount1Out,
+        uint256 repay0,
+        uint256 repay1
+    ) external {
+        IUniswapV2Pair(pair).swap(amount0Out, amount1Out, address(this), abi.encode(msg.sender, repay0, repay1));
+
+        if (amount0Out > 0) {
+            require(IERC20(IUniswapV2Pair(pair).token0()).transfer(msg.sender, amount0Out), "FlashSwapCallee: TRANSFER_FAILED");
+        }
+        if (amount1Out > 0) {
+            require(IERC20(IUniswapV2Pair(pair).token1()).transfer(msg.sender, amount1Out), "FlashSwapCallee: TRANSFER_FAILED");
+        }
+    }
+
+    /**
+     * @notice Callback do par: devolve o reembolso configurado, pago pelo chamador de flashSwap.
+     * @dev Reverte se o flash swap não tiver sido iniciado por este contrato.
+     * @param sender Endereço que chamou swap no par.
+     * @param data Chamador original e reembolsos codificados por flashSwap.
+     */
+    function uniswapV2Call(
+        address sender,
+        uint256,
+        uint256,
+        bytes calldata data
+    ) external override {
+        require(sender == address(this), "FlashSwapCallee: INVALID_SENDER");
+        (address payer, uint256 repay0, uint256 repay1) = abi.decode(data, (address, uint256, uint256));
+
+        // O token de teste rejeita transferências de valor zero
+        if (repay0 > 0) {
+            require(IERC20(IUniswapV2Pair(msg.sender).token0()).transferFrom(payer, msg.sender, repay0), "FlashSwapCallee: REPAY_FAILED");
+        }
+        if (repay1 > 0) {
+            require(IERC20(IUniswapV2Pair(msg.sender).token1()).transferFrom(payer, msg.sender, repay1), "FlashSwapCallee: REPAY_FAILED");
+        }
+    }
+}
@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import {UniswapV2Library} from '../libraries/UniswapV2Library.sol';
+
+/**
+ * @title UniswapV2LibraryHarness
+ * @notice Expõe as funções internas da UniswapV2Library para testes.
+ * @dev Usado pelos testes que comparam o port JavaScript (`scripts/utils/uniswapV2Library.js`)
+ *      com a biblioteca on-chain. Não deve ser implantado fora de redes de teste.
+ *      Compatível com Solidity 0.8.28.
+ */
+contract UniswapV2LibraryHarness {
+    // ================================
+    //           Funções Expostas
+    // ================================
+
+    /**
+     * @notice Expõe UniswapV2Library.sortTokens.
+     * @param tokenA Endereço do primeiro token.
+     * @param tokenB Endereço do segundo token.
+     * @return token0 Endereço do token com menor valor.
+     * @return token1 Endereço do token com maior valor.
+     */
+    function sortTokens(address tokenA, address tokenB) external pure returns (address token0, address token1) {
+        return UniswapV2Library.sortTokens(tokenA, tokenB);
+    }
+
+    /**
+     * @notice Expõe UniswapV2Library.pairFor.
+     * @param factory Endereço da factory.
+     * @param tokenA Endereço do primeiro token.
+     * @param tokenB Endereço do segundo token.
+     * @return pair Endereço calculado do par.
+     */
+    function pairFor(address factory, address tokenA, address tokenB) external pure returns (address pair) {
+        return UniswapV2Library.pairFor(factory, tokenA, tokenB);
+    }
+
+    /**
+     * @notice Expõe UniswapV2Library.quote.
+     * @param amountA Quantidade de tokenA.
+     * @param reserveA Reserva de tokenA.
+     * @param reserveB Reserva de tokenB.
+     * @return amountB Quantidade equivalente de tokenB.
+     */
+    function quote(uint256 amountA, uint256 reserveA, uint256 reserveB) external pure returns (uint256 amountB) {
+        return UniswapV2Library.quote(amountA, reserveA, reserveB);
+    }
+
+    /**
+     * @notice Expõe UniswapV2Library.getAmountOut.
+     * @param amountIn Quantidade de entrada.
+     * @param reserveIn Reserva do token de entrada.
+     * @param reserveOut Reserva do token de saída.
+     * @return amountOut Quantidade de saída.
+     */
+    function getAmountOut(
+        uint256 amountIn,
+        uint256 reserveIn,
+        uint256 reserveOut
+    ) external pure returns (uint256 amountOut) {
+        return UniswapV2Library.getAmountOut(amountIn, reserveIn, reserveOut);
+    }
+
+    /**
+     * @notice Expõe UniswapV2Library.getAmountIn.
+     * @param amountOut Quantidade de saída desejada.
+     * @param reserveIn Reserva do token de entrada.
+     * @param reserveOut Reserva do token de saída.
+     * @return amountIn Quantidade de entrada necessária.
+     */
+    function getAmountIn(
+        uint256 amountOut,
+        uint256 reserveIn,
+        uint256 reserveOut
+    ) external pure returns (uint256 amountIn) {
+        return UniswapV2Library.getAmountIn(amountOut, reserveIn, reserveOut);
+    }
+
+    /**
+     * @notice Expõe UniswapV2Library.getAmountsOut.
+     * @dev Lê as reservas dos pares da `factory` localizados por `pairFor`.
+     * @param factory Endereço da factory.
+     * @param amountIn Quantidade de entrada.
+     * @param path Rota de tokens.
+     * @return amounts Quantidades por token da rota.
+     */
+    function getAmountsOut(
+        address factory,
+        uint256 amountIn,
+        address[] calldata path
+    ) external view returns (uint256[] memory amounts) {
+        return UniswapV2Library.getAmountsOut(factory, amountIn, path);
+    }
+
+    /**
+     * @notice Expõe UniswapV2Library.getAmountsIn.
+     * @dev Lê as reservas dos pares da `factory` localizados por `pairFor`.
+     * @param factory Endereço da factory.
+     * @param amountOut Quantidade de saída desejada.
+     * @param path Rota de tokens.
+     * @return amounts Quantidades por token da rota.
+     */
+    function getAmountsIn(
+        address factory,
+        uint256 amountOut,
+        address[] calldata path
+    ) external view returns (uint256[] memory amounts) {
+        return UniswapV2Library.getAmountsIn(factory, amountOut, path);
+    }
+}
@@ -122,42 +122,33 @@ contract SPBToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable {
     // ================================
 
     /**
-     * @notice Executa uma transferência com aplicação de taxa.
-     * @dev Sobrescreve _transfer do ERC20 para aplicar a taxa configurada e enviar ao taxReceiver.
-     *      Reverte se pausado, endereços forem inválidos, saldo insuficiente ou taxa inválida.
-     * @param sender Endereço do remetente.
-     * @param recipient Endereço do destinatário.
-     * @param amount Quantidade total a transferir (antes da taxa).
-     */
-    function _transfer(
-        address sender,
-        address recipient,
-        uint256 amount
-    ) internal override whenNotPaused {
-        require(sender != address(0), "SPBToken: TRANSFER_FROM_ZERO_ADDRESS");
-        require(recipient != address(0), "SPBToken: TRANSFER_TO_ZERO_ADDRESS");
-        require(amount > 0, "SPBToken: INVALID_TRANSFER_AMOUNT");
-        require(taxReceiver != address(0), "SPBToken: TAX_RECEIVER_NOT_SET");
-
-        uint256 tax = (amount * taxPercent) / 100;
-        uint256 afterTax = amount - tax;
-
-        super._transfer(sender, taxReceiver, tax);
-        super._transfer(sender, recipient, afterTax);
-    }
-
-    /**
-     * @notice Atualiza o estado antes de qualquer transferência.
+     * @notice Atualiza os saldos aplicando a taxa nas transferências.
      * @dev Sobrescreve _update do ERC20 e ERC20Pausable para garantir correta execução em múltipla herança.
+     *      No OpenZeppelin 5 `_transfer` não é virtual, por isso a taxa é aplicada aqui: cunhagens e queimas
+     *      (from ou to igual a address(0)) não pagam taxa; transferências enviam a taxa ao taxReceiver e o
+     *      restante ao destinatário. Endereços inválidos já são rejeitados pelo `_transfer` do ERC20.
+     *      Reverte se pausado, se a quantidade transferida for zero ou se não houver receptor de taxas.
      * @param from Endereço de origem.
      * @param to Endereço de destino.
-     * @param value Quantidade transferida.
+     * @param value Quantidade total a transferir (antes da taxa).
      */
     function _update(
         address from,
         address to,
         uint256 value
     ) internal override(ERC20, ERC20Pausable) {
-        super._update(from, to, value);
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+
+        require(value > 0, "SPBToken: INVALID_TRANSFER_AMOUNT");
+        require(taxReceiver != address(0), "SPBToken: TAX_RECEIVER_NOT_SET");
+
+        uint256 tax = (value * taxPercent) / 100;
+        uint256 afterTax = value - tax;
+
+        super._update(from, taxReceiver, tax);
+        super._update(from, to, afterTax);
     }
 }
\ No newline at end of file
@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+/**
+ * @title Multicall3
+ * @notice Agrega várias chamadas de leitura em uma única chamada `eth_call`.
+ * @dev Subconjunto compatível com a interface do Multicall3 canônico (0xcA11bde05977b3631167028862bE2a173976CA11):
+ *      - `aggregate3` com falha permitida por chamada.
+ *      - `getEthBalance` e `getBlockNumber` para ler saldo nativo e o bloco no mesmo `eth_call`.
+ *      Implantado pelos scripts do projeto em redes locais e de teste, onde o canônico pode não existir.
+ *      Não guarda estado nem recebe valor: destina-se apenas a leituras via `eth_call`.
+ */
+contract Multicall3 {
+    // ================================
+    //           Estruturas
+    // ================================
+
+    /// @notice Chamada a agregar.
+    /// @param target Contrato chamado.
+    /// @param allowFailure Se verdadeiro, uma falha nesta chamada não reverte o lote.
+    /// @param callData Dados da chamada (seletor e argumentos codificados).
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    /// @notice Resultado de uma chamada agregada.
+    /// @param success Se a chamada foi bem-sucedida.
+    /// @param returnData Dados retornados (ou dados do revert, em caso de falha).
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    // ================================
+    //           Funções de Leitura
+    // ================================
+
+    /**
+     * @notice Executa as chamadas em sequência e devolve o resultado de cada uma.
+     * @dev Reverte com "Multicall3: call failed" se uma chamada sem `allowFailure` falhar.
+     * @param calls Chamadas a executar.
+     * @return returnData Resultados na ordem das chamadas.
+     */
+    function aggregate3(Call3[] calldata calls) external view returns (Result[] memory returnData) {
+        uint256 length = calls.length;
+        returnData = new Result[](length);
+        for (uint256 i = 0; i < length; i++) {
+            Call3 calldata call = calls[i];
+            (bool success, bytes memory data) = call.target.staticcall(call.callData);
+            require(success || call.allowFailure, "Multicall3: call failed");
+            returnData[i] = Result(success, data);
+        }
+    }
+
+    /**
+     * @notice Saldo nativo de uma conta.
+     * @param addr Conta consultada.
+     * @return balance Saldo em wei.
+     */
+    function getEthBalance(address addr) external view returns (uint256 balance) {
+        balance = addr.balance;
+    }
+
+    /**
+     * @notice Número do bloco atual.
+     * @return blockNumber Número do bloco.
+     */
+    function getBlockNumber() external view returns (uint256 blockNumber) {
+        blockNumber = block.number;
+    }
+}
@@ -17,6 +17,7 @@ require("hardhat-abi-exporter");
 require("hardhat-tracer");
 require("hardhat-storage-layout");
 require("dotenv").config();
+require("./tasks"); // Tarefas do projeto (ver tasks/catalog.js)
 
 /**
  * @notice Valida as variáveis de ambiente necessárias para redes de produção
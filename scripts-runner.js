@@ -1 +1,145 @@
-//# (opcional) Menu CLI interativo p/ rodar scripts
+/**
+ * @file scripts-runner.js
+ * @description Menu CLI interativo para rodar as tarefas Hardhat do projeto.
+ *              Lista as tarefas de `tasks/catalog.js`, pergunta a rede e os parâmetros
+ *              e executa `npx hardhat <tarefa> --network <rede> ...`.
+ *              Uso: `npm run runner` (ou `node scripts-runner.js`).
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-27
+ */
+
+const readline = require("readline");
+const { spawn } = require("child_process");
+const { TASKS, toCliOption } = require("./tasks/catalog");
+
+/**
+ * @notice Configurações do menu
+ * @type {Object}
+ */
+const CONFIG = {
+  DEFAULT_NETWORK: "localhost", // Rede sugerida quando nenhuma é informada
+  NPX: process.platform === "win32" ? "npx.cmd" : "npx" // Executável do npx por plataforma
+};
+
+/**
+ * @notice Faz uma pergunta no terminal
+ * @param {readline.Interface} rl - Interface de leitura
+ * @param {string} question - Texto da pergunta
+ * @param {string} [defaultValue] - Valor usado se a resposta for vazia
+ * @returns {Promise<string>} - Resposta do usuário
+ */
+function ask(rl, question, defaultValue) {
+  const suffix = defaultValue !== undefined && defaultValue !== "" ? ` [${defaultValue}]` : "";
+  return new Promise((resolve) => {
+    rl.question(`${question}${suffix}: `, (answer) => {
+      const trimmed = answer.trim();
+      resolve(trimmed === "" && defaultValue !== undefined ? String(defaultValue) : trimmed);
+    });
+  });
+}
+
+/**
+ * @notice Monta os argumentos de linha de comando de uma tarefa
+ * @param {Object} definition - Entrada de `TASKS`
+ * @param {string} network - Rede selecionada
+ * @param {Object} values - Valores informados por parâmetro
+ * @returns {string[]} - Argumentos para `npx`
+ */
+function buildCommand(definition, network, values) {
+  const args = ["hardhat", definition.name, "--network", network];
+  for (const param of definition.params) {
+    const value = values[param.name];
+    if (param.flag) {
+      if (value) {
+        args.push(toCliOption(param.name));
+      }
+    } else if (value !== undefined && value !== "") {
+      args.push(toCliOption(param.name), value);
+    }
+  }
+  return args;
+}
+
+/**
+ * @notice Executa a tarefa escolhida repassando a saída para o terminal
+ * @param {string[]} args - Argumentos para `npx`
+ * @returns {Promise<number>} - Código de saída do processo
+ */
+function runCommand(args) {
+  console.log(`\n▶️  npx ${args.join(" ")}\n`);
+  return new Promise((resolve, reject) => {
+    const child = spawn(CONFIG.NPX, args, { stdio: "inherit" });
+    child.on("error", reject);
+    child.on("close", (code) => resolve(code === null ? 1 : code));
+  });
+}
+
+/**
+ * @notice Coleta os parâmetros de uma tarefa
+ * @param {readline.Interface} rl - Interface de leitura
+ * @param {Object} definition - Entrada de `TASKS`
+ * @returns {Promise<Object>} - Valores por nome de parâmetro
+ */
+async function promptParams(rl, definition) {
+  const values = {};
+  for (const param of definition.params) {
+    if (param.flag) {
+      const answer = await ask(rl, `${param.description} (s/N)`, "n");
+      values[param.name] = /^s(im)?$/i.test(answer);
+    } else {
+      values[param.name] = await ask(rl, `${toCliOption(param.name)} — ${param.description}`, param.defaultValue);
+    }
+  }
+  return values;
+}
+
+/**
+ * @notice Exibe o menu de tarefas
+ */
+function printMenu() {
+  console.log("\n📋 Tarefas disponíveis:");
+  TASKS.forEach((definition, index) => {
+    console.log(`  ${index + 1}. ${definition.name.padEnd(14)} ${definition.description}`);
+  });
+  console.log("  0. Sair");
+}
+
+/**
+ * @notice Laço principal do menu interativo
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    for (;;) {
+      printMenu();
+      const choice = await ask(rl, "\nEscolha uma tarefa");
+      if (choice === "0" || choice.toLowerCase() === "sair") {
+        break;
+      }
+
+      const definition = TASKS[Number(choice) - 1] || TASKS.find((entry) => entry.name === choice);
+      if (!definition) {
+        console.log(`⚠️ Opção inválida: ${choice}`);
+        continue;
+      }
+
+      const network = await ask(rl, "Rede", CONFIG.DEFAULT_NETWORK);
+      const values = await promptParams(rl, definition);
+      const code = await runCommand(buildCommand(definition, network, values));
+      console.log(code === 0 ? "\n✅ Tarefa concluída." : `\n❌ Tarefa terminou com código ${code}.`);
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+module.exports = { buildCommand };
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Erro no menu interativo:", error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,289 @@
+/**
+ * @file deployAll.js
+ * @description Orquestração completa do ambiente: WETH9 → UniswapV2Factory → UniswapV2Router02,
+ *              SPBToken/BPSToken → par SPB/BPS → liquidez inicial, mais o Multicall3 em redes locais e de teste.
+ *              Etapas cujos contratos já existem on-chain no endereço registrado são puladas e,
+ *              após uma interrupção, a execução é retomada a partir da etapa que falhou.
+ *              Compatível com Solidity 0.8.28. Otimizado para uso com Hardhat e ethers.js v6.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-25
+ */
+
+const { ethers } = require("hardhat");
+const path = require("path");
+const {
+  CONFIG: DEFAULTS,
+  deployContract,
+  isContractDeployed,
+  saveDeploymentLogs,
+  getNetworkContext,
+  runPreflightChecks,
+  collectNetworkInfo,
+  reportSpentBalance,
+  waitForTx,
+  getDeadline,
+  runMain
+} = require("../utils/helpers");
+const { runSteps } = require("../utils/orchestrator");
+const { resolveTag, getPairKey, recordDeployment, listDeployments } = require("../utils/registry");
+const { verifyContract } = require("../utils/verification");
+const { runDryRun } = require("../utils/dryRun");
+const { sendWithGasStrategy } = require("../utils/gasStrategy");
+const { detectTransferTaxes, grossUpForTax } = require("../utils/feeOnTransfer");
+const { CONFIG: MULTICALL, deployMulticall } = require("../utils/multicall");
+const { assertInitCodeHash } = require("./dex/initCodeHash");
+
+/**
+ * @notice Configurações específicas do script
+ * @type {Object}
+ */
+const CONFIG = {
+  STATE_FILE: "deploy-all-state.json", // Estado de execução por chainId e tag (retomada)
+  LOG_FILE: "deploy-all-logs.json", // Arquivo para logs detalhados
+  PAIR_NAME: "SPB_BPS_Pair", // Id da etapa do par (no registro o par usa a chave canônica de getPairKey)
+  INITIAL_LIQUIDITY: {
+    SPBToken: ethers.parseEther("10000"), // Quantidade inicial de SPB no par
+    BPSToken: ethers.parseEther("10000") // Quantidade inicial de BPS no par
+  },
+  DEADLINE_SECONDS: 20 * 60 // Prazo das transações do roteador (20 minutos)
+};
+
+/**
+ * @notice Converte o resultado de `deployContract` em um registro serializável
+ * @param {Object} deployment - Resultado de `deployContract`
+ * @returns {Object} - Endereço e dados da transação
+ */
+function toRecord(deployment) {
+  return {
+    address: deployment.address,
+    txHash: deployment.txHash,
+    blockNumber: deployment.blockNumber,
+    gasUsed: deployment.gasUsed.toString(),
+    constructorArgs: deployment.constructorArgs.map(String)
+  };
+}
+
+/**
+ * @notice Cria uma etapa de implantação de contrato
+ * @param {string} contractName - Nome do contrato (também usado como id da etapa)
+ * @param {string[]} dependsOn - Etapas das quais depende
+ * @param {Function} [getArgs] - Função `(context, results) => args` para os argumentos do construtor
+ * @returns {Object} - Etapa do orquestrador
+ */
+function contractStep(contractName, dependsOn = [], getArgs = () => []) {
+  return {
+    id: contractName,
+    dependsOn,
+    run: async (context, results) => {
+      const deployment = await deployContract(contractName, context.deployer, getArgs(context, results));
+      await recordDeployment(contractName, deployment);
+      // A verificação não bloqueia a etapa: o status fica no estado e nos logs (reenvio via registry:verify)
+      return { ...toRecord(deployment), verification: await verifyContract(deployment) };
+    },
+    isComplete: (result) => isContractDeployed(result && result.address)
+  };
+}
+
+/**
+ * @notice Cria a etapa do Multicall3, que reaproveita um Multicall3 já disponível na rede
+ * @returns {Object} - Etapa do orquestrador
+ */
+function multicallStep() {
+  return {
+    id: MULTICALL.CONTRACT_NAME,
+    run: async ({ deployer }) => {
+      const deployment = await deployMulticall(deployer);
+      if (!deployment.deployed) {
+        console.log(`⚠️ Multicall3 já disponível em: ${deployment.address}`);
+        return { address: deployment.address, txHash: null, blockNumber: null, gasUsed: "0" };
+      }
+      return { ...toRecord(deployment), verification: await verifyContract(deployment) };
+    },
+    isComplete: (result) => isContractDeployed(result && result.address)
+  };
+}
+
+/**
+ * @notice Define o grafo de dependências da implantação completa
+ * @param {bigint} chainId - chainId da rede; o Multicall3 só entra em redes locais e de teste
+ * @returns {Object[]} - Etapas do orquestrador
+ */
+function buildSteps(chainId) {
+  return [
+    contractStep("WETH9"),
+    contractStep("UniswapV2Factory", [], ({ deployer }) => ({ feeToSetter: deployer.address })),
+    contractStep("UniswapV2Router02", ["UniswapV2Factory", "WETH9"], (context, results) => ({
+      factory: results.UniswapV2Factory.address,
+      weth: results.WETH9.address
+    })),
+    contractStep("SPBToken"),
+    contractStep("BPSToken"),
+    {
+      id: CONFIG.PAIR_NAME,
+      dependsOn: ["UniswapV2Factory", "SPBToken", "BPSToken"],
+      run: async ({ deployer }, results) => {
+        const factory = await ethers.getContractAt("UniswapV2Factory", results.UniswapV2Factory.address, deployer);
+        const tokenA = results.SPBToken.address;
+        const tokenB = results.BPSToken.address;
+
+        let result;
+        const existing = await factory.getPair(tokenA, tokenB);
+        if (existing !== ethers.ZeroAddress) {
+          console.log(`⚠️ Par SPB/BPS já existe em: ${existing}`);
+          result = { address: existing, txHash: null, blockNumber: null, gasUsed: "0" };
+        } else {
+          const tx = await sendWithGasStrategy(factory.createPair, [tokenA, tokenB]);
+          const receipt = await waitForTx(tx);
+          const address = await factory.getPair(tokenA, tokenB);
+          console.log(`✅ Par SPB/BPS criado em: ${address}`);
+          result = { address, txHash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() };
+        }
+
+        await recordDeployment(getPairKey(tokenA, tokenB), { ...result, contractName: "UniswapV2Pair" });
+        return result;
+      },
+      isComplete: (result) => isContractDeployed(result && result.address)
+    },
+    {
+      id: "InitialLiquidity",
+      dependsOn: ["UniswapV2Router02", CONFIG.PAIR_NAME],
+      run: async ({ deployer }, results) => {
+        const router = await ethers.getContractAt("UniswapV2Router02", results.UniswapV2Router02.address, deployer);
+        const spb = await ethers.getContractAt("SPBToken", results.SPBToken.address, deployer);
+        const bps = await ethers.getContractAt("BPSToken", results.BPSToken.address, deployer);
+        const pairAddress = results[CONFIG.PAIR_NAME].address;
+
+        // SPB/BPS cobram taxa na transferência: envia o bruto para que o par receba a liquidez configurada
+        const taxes = await detectTransferTaxes([results.SPBToken.address, results.BPSToken.address]);
+        const amountSPB = grossUpForTax(CONFIG.INITIAL_LIQUIDITY.SPBToken, taxes[results.SPBToken.address], pairAddress);
+        const amountBPS = grossUpForTax(CONFIG.INITIAL_LIQUIDITY.BPSToken, taxes[results.BPSToken.address], pairAddress);
+
+        await waitForTx(await sendWithGasStrategy(spb.approve, [results.UniswapV2Router02.address, amountSPB]));
+        await waitForTx(await sendWithGasStrategy(bps.approve, [results.UniswapV2Router02.address, amountBPS]));
+
+        const tx = await sendWithGasStrategy(router.addLiquidity, [
+          results.SPBToken.address,
+          results.BPSToken.address,
+          amountSPB,
+          amountBPS,
+          amountSPB,
+          amountBPS,
+          deployer.address,
+          await getDeadline(CONFIG.DEADLINE_SECONDS)
+        ]);
+        const receipt = await waitForTx(tx);
+
+        const pair = await ethers.getContractAt("UniswapV2Pair", pairAddress);
+        const liquidity = await pair.balanceOf(deployer.address);
+        console.log(`✅ Liquidez inicial adicionada. LP do deployer: ${ethers.formatEther(liquidity)}`);
+        return {
+          pair: pairAddress,
+          amountSPB: amountSPB.toString(),
+          amountBPS: amountBPS.toString(),
+          liquidity: liquidity.toString(),
+          txHash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString()
+        };
+      },
+      isComplete: async (result) => {
+        if (!result || !(await isContractDeployed(result.pair))) {
+          return false;
+        }
+        const pair = await ethers.getContractAt("UniswapV2Pair", result.pair);
+        return (await pair.totalSupply()) > 0n;
+      }
+    },
+    ...(MULTICALL.DEPLOYABLE_CHAIN_IDS.includes(chainId.toString()) ? [multicallStep()] : [])
+  ];
+}
+
+/**
+ * @notice Lê os contratos já registrados para a rede conectada
+ * @dev Permite reaproveitar um ambiente parcialmente implantado com dex.js/tokens.js/createPair.js.
+ *      O par SPB/BPS é registrado sob `getPairKey(SPB, BPS)` e vira o resultado da etapa `CONFIG.PAIR_NAME`;
+ *      a liquidez inicial é dada como feita se esse par já tiver liquidez (ver `isComplete` da etapa).
+ * @returns {Promise<Object>} - Resultados conhecidos por id de etapa
+ */
+async function loadSeedFromRegistry() {
+  const seed = {};
+  const deployments = await listDeployments();
+  for (const [name, entry] of Object.entries(deployments)) {
+    seed[name] = {
+      address: entry.address,
+      txHash: entry.txHash,
+      blockNumber: entry.blockNumber,
+      constructorArgs: entry.constructorArgs,
+      source: "registry"
+    };
+  }
+
+  if (seed.SPBToken && seed.BPSToken) {
+    const pair = seed[getPairKey(seed.SPBToken.address, seed.BPSToken.address)];
+    if (pair) {
+      seed[CONFIG.PAIR_NAME] = pair;
+      seed.InitialLiquidity = { pair: pair.address, source: "registry" };
+    }
+  }
+  return seed;
+}
+
+/**
+ * @notice Função principal da implantação completa
+ * @param {Object} [options] - Opções de execução
+ * @param {boolean} [options.dryRun] - Ensaia a execução em um fork local e exibe o plano e o custo (ver `scripts/utils/dryRun.js`)
+ * @param {string} [options.fork] - Rede do `hardhat.config.js` copiada pelo ensaio
+ * @returns {Promise<void>}
+ */
+async function main(options = {}) {
+  if (options.dryRun) {
+    return runDryRun(main, options);
+  }
+
+  try {
+    const context = await getNetworkContext();
+    const { deployer, networkName, chainId } = context;
+
+    console.log(`\n🚀 Iniciando implantação completa na rede: ${networkName} (chainId: ${chainId})`);
+    console.log(`👤 Deployer: ${deployer.address}`);
+
+    const initialBalance = await runPreflightChecks(context);
+
+    // O roteador localiza os pares via pairFor: o init code hash precisa bater com o bytecode do par
+    await assertInitCodeHash({ checkDeployment: false });
+
+    const { results, executed, skipped } = await runSteps(buildSteps(chainId), {
+      statePath: path.join(DEFAULTS.OUTPUT_DIR, CONFIG.STATE_FILE),
+      stateKey: `${chainId}:${resolveTag()}`,
+      context,
+      seed: await loadSeedFromRegistry()
+    });
+
+    await saveDeploymentLogs({
+      timestamp: new Date().toISOString(),
+      network: await collectNetworkInfo(networkName, chainId),
+      deployer: deployer.address,
+      executed,
+      skipped,
+      steps: results
+    }, CONFIG.LOG_FILE);
+
+    await reportSpentBalance(deployer, initialBalance);
+
+    console.log(`\n📋 Etapas executadas: ${executed.join(", ") || "nenhuma"}`);
+    console.log(`📋 Etapas puladas: ${skipped.join(", ") || "nenhuma"}`);
+    console.log("\n🎉 Implantação completa concluída com sucesso!");
+  } catch (error) {
+    console.error("❌ Erro durante a implantação completa:", error.message);
+    console.error("↩️  Execute novamente para retomar a partir da etapa que falhou.");
+    throw error;
+  }
+}
+
+module.exports = { loadSeedFromRegistry, main };
+
+// Executa a função principal quando chamado via `hardhat run`
+if (require.main === module) {
+  runMain(main);
+}
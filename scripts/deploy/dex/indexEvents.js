@@ -0,0 +1,154 @@
+/**
+ * @file indexEvents.js
+ * @description Indexa os eventos da DEX registrada (`PairCreated` da factory e `Mint`, `Burn`, `Swap` e `Sync` de
+ *              todos os pares) no arquivo local de `scripts/utils/eventIndexer.js` e exibe, por par, o volume
+ *              negociado, as taxas pagas aos provedores de liquidez e as entradas e saídas de liquidez. Com
+ *              `watch`, continua sincronizando a cada `POLL_INTERVAL` e exibe o resumo ao receber Ctrl+C.
+ *              Compatível com Solidity 0.8.28. Otimizado para uso com Hardhat e ethers.js v6.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const { writeJsonFile, runMain } = require("../../utils/helpers");
+const { getDeployment } = require("../../utils/registry");
+const { multicall } = require("../../utils/multicall");
+const { findDeploymentBlock } = require("../../utils/holderIndex");
+const {
+  CONFIG: INDEXER,
+  EVENT_TYPES,
+  loadStore,
+  syncStore,
+  queryEvents,
+  getPairVolume,
+  getFeesEarned,
+  getLpFlows
+} = require("../../utils/eventIndexer");
+
+/**
+ * @notice ABI mínima para exibir os tokens dos pares
+ * @type {string[]}
+ */
+const TOKEN_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)"
+];
+
+/**
+ * @notice Resume a atividade de cada par do arquivo de eventos
+ * @param {Object} store - Arquivo de eventos (ver `eventIndexer.js`)
+ * @param {Object} [options] - `pair` (apenas um par) e `fromBlock`/`toBlock` (inclusive)
+ * @returns {Promise<Object[]>} - `{ pair, tokens, reserves, volume, fees, flows }` por par, na ordem de criação
+ */
+async function buildSummary(store, options = {}) {
+  const range = { fromBlock: options.fromBlock, toBlock: options.toBlock };
+  const pairs = Object.entries(store.pairs)
+    .filter(([address]) => !options.pair || address === ethers.getAddress(options.pair))
+    .sort(([, a], [, b]) => a.index - b.index);
+
+  const tokenInterface = new ethers.Interface(TOKEN_ABI);
+  const tokenAddresses = [...new Set(pairs.flatMap(([, pair]) => [pair.token0, pair.token1]))];
+  const metadata = await multicall(tokenAddresses.flatMap((target) =>
+    ["symbol", "decimals"].map((method) => ({ target, interface: tokenInterface, method, allowFailure: true }))
+  ));
+  const tokens = new Map(tokenAddresses.map((address, index) => [address, {
+    address,
+    symbol: metadata[index * 2] ?? `${address.slice(0, 8)}…`,
+    decimals: Number(metadata[index * 2 + 1] ?? 18n)
+  }]));
+
+  return pairs.map(([address, pair]) => {
+    const [lastSync] = queryEvents(store, { ...range, pair: address, type: EVENT_TYPES.SYNC }).slice(-1);
+    return {
+      pair: address,
+      tokens: [tokens.get(pair.token0), tokens.get(pair.token1)],
+      reserves: lastSync ? [BigInt(lastSync.reserve0), BigInt(lastSync.reserve1)] : [0n, 0n],
+      volume: getPairVolume(store, address, range),
+      fees: getFeesEarned(store, address, range),
+      flows: getLpFlows(store, address, range)
+    };
+  });
+}
+
+/**
+ * @notice Exibe o resumo de cada par
+ * @param {Object[]} summary - Resultado de `buildSummary`
+ */
+function displaySummary(summary) {
+  for (const { pair, tokens, reserves, volume, fees, flows } of summary) {
+    const format = (amounts) => amounts
+      .map((amount, side) => `${ethers.formatUnits(amount, tokens[side].decimals)} ${tokens[side].symbol}`)
+      .join(" + ");
+    console.log(`\n💧 ${tokens[0].symbol}/${tokens[1].symbol} (${pair})`);
+    console.log(`   Reservas: ${format(reserves)}`);
+    console.log(`   Swaps: ${volume.swaps} | entrada ${format(volume.amountIn)} | saída ${format(volume.amountOut)}`);
+    console.log(`   Taxas para LPs: ${format(fees)}`);
+    console.log(`   Liquidez: ${flows.mints} mint(s) ${format(flows.added)} | ${flows.burns} burn(s) ${format(flows.removed)}`);
+  }
+}
+
+/**
+ * @notice Função principal do indexador
+ * @param {Object} [options] - Opções de execução
+ * @param {boolean} [options.watch] - Continua sincronizando até Ctrl+C
+ * @param {string} [options.pair] - Exibe apenas este par
+ * @param {string} [options.json] - Caminho do JSON a exportar com o resumo
+ * @returns {Promise<Object>} - `{ store, summary }` da última sincronização
+ */
+async function main(options = {}) {
+  let stopped = false;
+  const stop = () => {
+    stopped = true;
+    console.log("\n⏹️ Encerrando após a sincronização atual...");
+  };
+  process.once("SIGINT", stop);
+
+  try {
+    const { chainId } = await ethers.provider.getNetwork();
+    const factory = await getDeployment("UniswapV2Factory");
+    const startBlock = factory.blockNumber ?? await findDeploymentBlock(factory.address);
+    const store = await loadStore(chainId, factory.address, startBlock);
+
+    console.log(`\n🔎 Indexando eventos da DEX na rede: ${hre.network.name} (chainId: ${chainId})`);
+    console.log(`🏭 Factory: ${factory.address} (desde o bloco ${startBlock})`);
+
+    let summary;
+    for (;;) {
+      const result = await syncStore(store);
+      if (result.toBlock >= result.fromBlock) {
+        console.log(
+          `✅ Blocos ${result.fromBlock}-${result.toBlock}: ${result.added} evento(s) novo(s), ` +
+          `${Object.keys(store.pairs).length} par(es), ${store.events.length} evento(s) no total`
+        );
+      }
+      if (!options.watch || stopped) {
+        summary = await buildSummary(store, { pair: options.pair });
+        break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, INDEXER.POLL_INTERVAL));
+    }
+
+    displaySummary(summary);
+    if (options.json) {
+      await writeJsonFile(options.json, { chainId: chainId.toString(), factory: store.factory, lastBlock: store.lastBlock, summary });
+      console.log(`📄 JSON exportado em: ${options.json}`);
+    }
+
+    console.log(`\n🎉 Indexação concluída até o bloco ${store.lastBlock}.`);
+    return { store, summary };
+  } catch (error) {
+    console.error("❌ Erro durante a indexação:", error.message);
+    throw error;
+  } finally {
+    process.removeListener("SIGINT", stop);
+  }
+}
+
+module.exports = { buildSummary, main };
+
+// Executa a função principal quando chamado via `hardhat run`
+if (require.main === module) {
+  runMain(main);
+}
@@ -0,0 +1,193 @@
+/**
+ * @file initCodeHash.js
+ * @description Calcula e verifica o init code hash do UniswapV2Pair usado por `UniswapV2Library.pairFor`.
+ *              Compara `keccak256(bytecode de criação do UniswapV2Pair)` dos artefatos com o valor embutido
+ *              em `contracts/libraries/UniswapV2Library.sol` e no port JS (`scripts/utils/uniswapV2Library.js`)
+ *              e, se houver uma factory registrada na rede, confere `pairFor` contra `factory.getPair` e a
+ *              cotação do roteador. Qualquer divergência interrompe a execução — os scripts de implantação
+ *              da DEX chamam `assertInitCodeHash` antes de implantar.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const hre = require("hardhat");
+const { ethers, artifacts } = hre;
+const fs = require("fs").promises;
+const path = require("path");
+const { runMain } = require("../../utils/helpers");
+const { getDeploymentAddress } = require("../../utils/registry");
+const library = require("../../utils/uniswapV2Library");
+
+/**
+ * @notice Configurações específicas do script
+ * @type {Object}
+ */
+const CONFIG = {
+  LIBRARY_SOURCE: path.join("contracts", "libraries", "UniswapV2Library.sol"), // Fonte com o hash embutido
+  PAIR_CONTRACT: "UniswapV2Pair", // Artefato cujo bytecode de criação define o hash
+  MAX_PAIRS_CHECKED: 20 // Pares da factory conferidos on-chain
+};
+
+/**
+ * @notice Lê o init code hash embutido em `UniswapV2Library.pairFor`
+ * @param {string} [sourcePath=CONFIG.LIBRARY_SOURCE] - Caminho do fonte da biblioteca
+ * @returns {Promise<string>} - Hash no formato `0x...`
+ * @throws {Error} - Lança erro se o hash não for encontrado no fonte
+ */
+async function readEmbeddedInitCodeHash(sourcePath = CONFIG.LIBRARY_SOURCE) {
+  const source = await fs.readFile(path.resolve(hre.config.paths.root, sourcePath), "utf8");
+  const match = source.match(/hex"([0-9a-fA-F]{64})"\s*\/\/\s*init code hash/);
+  if (!match) {
+    throw new Error(`Init code hash não encontrado em ${sourcePath} (esperado: hex"..." // init code hash)`);
+  }
+  return `0x${match[1].toLowerCase()}`;
+}
+
+/**
+ * @notice Calcula o init code hash a partir do artefato compilado do par
+ * @returns {Promise<string>} - keccak256 do bytecode de criação
+ */
+async function getArtifactInitCodeHash() {
+  const { bytecode } = await artifacts.readArtifact(CONFIG.PAIR_CONTRACT);
+  return library.computeInitCodeHash(bytecode);
+}
+
+/**
+ * @notice Confere os pares de uma factory implantada contra `pairFor`
+ * @param {string} factoryAddress - Endereço da factory
+ * @param {Object} hashes - `{ embedded, artifact }`
+ * @param {string|null} routerAddress - Endereço do roteador (opcional), para conferir a cotação
+ * @returns {Promise<Object[]>} - Resultado por par
+ */
+async function checkDeployedPairs(factoryAddress, hashes, routerAddress) {
+  const factory = await ethers.getContractAt("UniswapV2Factory", factoryAddress);
+  const router = routerAddress ? await ethers.getContractAt("UniswapV2Router02", routerAddress) : null;
+  const total = Number(await factory.allPairsLength());
+  const results = [];
+
+  for (let i = 0; i < Math.min(total, CONFIG.MAX_PAIRS_CHECKED); i++) {
+    const pairAddress = await factory.allPairs(i);
+    const pair = await ethers.getContractAt("UniswapV2Pair", pairAddress);
+    const token0 = await pair.token0();
+    const token1 = await pair.token1();
+    const [reserve0, reserve1] = await pair.getReserves();
+
+    const result = {
+      pair: pairAddress,
+      token0,
+      token1,
+      embeddedMatches: library.pairFor(factoryAddress, token0, token1, hashes.embedded) === pairAddress,
+      artifactMatches: library.pairFor(factoryAddress, token0, token1, hashes.artifact) === pairAddress,
+      routerQuote: null
+    };
+
+    // O roteador localiza o par via pairFor: com hash errado a cotação reverte
+    if (router && reserve0 > 0n && reserve1 > 0n) {
+      try {
+        await router.getAmountsOut(1n, [token0, token1]);
+        result.routerQuote = true;
+      } catch (error) {
+        result.routerQuote = false;
+      }
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * @notice Verifica o init code hash e lança erro em qualquer divergência
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.checkDeployment=true] - Confere também a factory registrada na rede conectada
+ * @param {string} [options.tag] - Tag do registro (padrão: `DEPLOYMENT_TAG` ou "default")
+ * @param {string} [options.registryDir] - Diretório do registro
+ * @returns {Promise<Object>} - Relatório com os hashes e os pares conferidos
+ * @throws {Error} - Lança erro se os hashes divergirem ou se algum par implantado não bater com `pairFor`
+ */
+async function assertInitCodeHash(options = {}) {
+  const report = {
+    artifact: await getArtifactInitCodeHash(),
+    embedded: await readEmbeddedInitCodeHash(),
+    jsPort: library.CONFIG.INIT_CODE_HASH.toLowerCase(),
+    pairs: []
+  };
+  const problems = [];
+
+  if (report.embedded !== report.artifact) {
+    problems.push(
+      `UniswapV2Library.pairFor usa ${report.embedded}, mas o bytecode atual do ${CONFIG.PAIR_CONTRACT} gera ` +
+      `${report.artifact}. Atualize o hash em ${CONFIG.LIBRARY_SOURCE} e recompile.`
+    );
+  }
+  if (report.jsPort !== report.embedded) {
+    problems.push(
+      `scripts/utils/uniswapV2Library.js (CONFIG.INIT_CODE_HASH = ${report.jsPort}) diverge de ` +
+      `${CONFIG.LIBRARY_SOURCE} (${report.embedded}).`
+    );
+  }
+
+  if (options.checkDeployment !== false) {
+    const lookup = { required: false, tag: options.tag, registryDir: options.registryDir };
+    const factoryAddress = await getDeploymentAddress("UniswapV2Factory", lookup);
+    if (factoryAddress) {
+      const routerAddress = await getDeploymentAddress("UniswapV2Router02", lookup);
+      report.pairs = await checkDeployedPairs(factoryAddress, report, routerAddress);
+      for (const pair of report.pairs) {
+        if (!pair.embeddedMatches) {
+          problems.push(`pairFor(${pair.token0}, ${pair.token1}) não corresponde a factory.getPair (${pair.pair}).`);
+        }
+        if (pair.routerQuote === false) {
+          problems.push(`UniswapV2Router02.getAmountsOut falha para o par ${pair.pair}.`);
+        }
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Init code hash inconsistente:\n  - ${problems.join("\n  - ")}`);
+    error.report = report;
+    throw error;
+  }
+  return report;
+}
+
+/**
+ * @notice Função principal: exibe os hashes e falha em caso de divergência
+ * @returns {Promise<Object>} - Relatório de `assertInitCodeHash`
+ */
+async function main() {
+  console.log(`\n🔎 Verificando init code hash do ${CONFIG.PAIR_CONTRACT} na rede: ${hre.network.name}`);
+  try {
+    const report = await assertInitCodeHash();
+    console.log(`✅ Artefato:   ${report.artifact}`);
+    console.log(`✅ Biblioteca: ${report.embedded}`);
+    console.log(`✅ Port JS:    ${report.jsPort}`);
+    if (report.pairs.length > 0) {
+      console.log(`✅ ${report.pairs.length} par(es) implantado(s) conferido(s) com pairFor.`);
+    } else {
+      console.log("ℹ️  Nenhuma factory registrada com pares nesta rede; verificação on-chain pulada.");
+    }
+    return report;
+  } catch (error) {
+    if (error.report) {
+      console.error(`📦 Artefato:   ${error.report.artifact}`);
+      console.error(`📚 Biblioteca: ${error.report.embedded}`);
+      console.error(`🟨 Port JS:    ${error.report.jsPort}`);
+    }
+    console.error("❌", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  main,
+  readEmbeddedInitCodeHash,
+  getArtifactInitCodeHash,
+  assertInitCodeHash
+};
+
+// Executa a função principal quando chamado via `hardhat run`
+if (require.main === module) {
+  runMain(main);
+}
@@ -0,0 +1,233 @@
+/**
+ * @file verifyDeployment.js
+ * @description Verifica a implantação da DEX registrada na rede conectada: WETH9, UniswapV2Factory e
+ *              UniswapV2Router02 precisam existir, `Router02.factory()`/`Router02.WETH()` devem apontar para a
+ *              factory e o WETH9 registrados, `feeToSetter` deve ser o owner esperado, o bytecode implantado deve
+ *              corresponder aos artefatos locais e o init code hash deve bater com os pares da factory.
+ *              Exibe um relatório de aprovação/reprovação por verificação e falha (código de saída 1) se
+ *              qualquer verificação reprovar, para ser usado como gate em pipelines de release.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const hre = require("hardhat");
+const { ethers, artifacts } = hre;
+const { getConnectedChainId, resolveTag, getPairKey, listDeployments, CONFIG: REGISTRY } = require("../../utils/registry");
+const { runMain, writeJsonFile } = require("../../utils/helpers");
+const { assertInitCodeHash } = require("./initCodeHash");
+
+/**
+ * @notice Configurações específicas do script
+ * @type {Object}
+ */
+const CONFIG = {
+  CORE_CONTRACTS: ["WETH9", "UniswapV2Factory", "UniswapV2Router02"], // Contratos registrados por dex.js
+  FEE_TO_SETTER_ENV: "FEE_TO_SETTER" // Variável com o owner esperado da factory
+};
+
+/**
+ * @notice Zera no bytecode de runtime os trechos ocupados por variáveis `immutable`
+ * @dev Os artefatos trazem zeros nessas posições; o código implantado traz os valores do construtor.
+ * @param {string} code - Bytecode de runtime (`0x...`)
+ * @param {Object} [immutableReferences={}] - `evm.deployedBytecode.immutableReferences` do build info
+ * @returns {string} - Bytecode com as referências zeradas
+ */
+function maskImmutables(code, immutableReferences = {}) {
+  const bytes = ethers.getBytes(code);
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      bytes.fill(0, start, start + length);
+    }
+  }
+  return ethers.hexlify(bytes);
+}
+
+/**
+ * @notice Lê o bytecode de runtime de um artefato e as posições de suas variáveis `immutable`
+ * @param {string} contractName - Nome do artefato
+ * @returns {Promise<Object>} - `{ deployedBytecode, immutableReferences }`
+ */
+async function readRuntimeArtifact(contractName) {
+  const artifact = await artifacts.readArtifact(contractName);
+  const buildInfo = await artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const output = buildInfo && buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  return {
+    deployedBytecode: artifact.deployedBytecode,
+    immutableReferences: (output && output.evm.deployedBytecode.immutableReferences) || {}
+  };
+}
+
+/**
+ * @notice Compara o bytecode implantado em um endereço com o artefato local
+ * @param {string} address - Endereço do contrato
+ * @param {string} contractName - Nome do artefato
+ * @returns {Promise<Object>} - `{ matches, onChainHash, artifactHash }` (hashes com `immutable` zeradas)
+ */
+async function compareRuntimeBytecode(address, contractName) {
+  const { deployedBytecode, immutableReferences } = await readRuntimeArtifact(contractName);
+  const code = await ethers.provider.getCode(address);
+  const onChainHash = ethers.keccak256(maskImmutables(code, immutableReferences));
+  const artifactHash = ethers.keccak256(deployedBytecode);
+  return { matches: onChainHash === artifactHash, onChainHash, artifactHash };
+}
+
+/**
+ * @notice Executa uma verificação e registra o resultado no relatório
+ * @dev A verificação devolve `{ ok, detail }`; exceções reprovam a verificação com a mensagem do erro.
+ * @param {Object} report - Relatório em construção
+ * @param {string} name - Descrição da verificação
+ * @param {Function} check - Função assíncrona da verificação
+ */
+async function runCheck(report, name, check) {
+  let result;
+  try {
+    result = await check();
+  } catch (error) {
+    result = { ok: false, detail: error.message };
+  }
+  report.checks.push({ name, ok: result.ok, detail: result.detail });
+}
+
+/**
+ * @notice Verifica a implantação registrada da DEX
+ * @param {Object} [options] - Opções
+ * @param {string} [options.tag] - Tag do registro (padrão: `DEPLOYMENT_TAG` ou "default")
+ * @param {string} [options.registryDir] - Diretório do registro
+ * @param {string} [options.feeToSetter] - Owner esperado da factory (padrão: `FEE_TO_SETTER` ou o argumento do construtor)
+ * @returns {Promise<Object>} - `{ network, chainId, tag, ok, checks }`
+ */
+async function verifyDeployment(options = {}) {
+  const registryOptions = { tag: options.tag, registryDir: options.registryDir };
+  const report = {
+    network: hre.network.name,
+    chainId: await getConnectedChainId(),
+    tag: resolveTag(options.tag),
+    ok: false,
+    checks: []
+  };
+  const deployments = await listDeployments(registryOptions);
+
+  // 1. Contratos registrados, com código no endereço e bytecode igual ao registrado e ao artefato
+  for (const name of CONFIG.CORE_CONTRACTS) {
+    const entry = deployments[name];
+    await runCheck(report, `${name} registrado com código implantado`, async () => {
+      if (!entry) {
+        return { ok: false, detail: "ausente no registro" };
+      }
+      const code = await ethers.provider.getCode(entry.address);
+      if (code === "0x") {
+        return { ok: false, detail: `nenhum bytecode em ${entry.address}` };
+      }
+      const onChainHash = ethers.keccak256(code);
+      return onChainHash === entry.bytecodeHash
+        ? { ok: true, detail: entry.address }
+        : { ok: false, detail: `bytecode em ${entry.address} (${onChainHash}) difere do registrado (${entry.bytecodeHash})` };
+    });
+    if (entry) {
+      await runCheck(report, `${name} corresponde ao artefato local`, async () => {
+        const { matches, onChainHash, artifactHash } = await compareRuntimeBytecode(entry.address, entry.contractName || name);
+        return { ok: matches, detail: matches ? artifactHash : `implantado ${onChainHash}, artefato ${artifactHash}` };
+      });
+    }
+  }
+
+  const weth = deployments.WETH9;
+  const factoryEntry = deployments.UniswapV2Factory;
+  const routerEntry = deployments.UniswapV2Router02;
+
+  // 2. Ligações do roteador com a factory e o WETH9 registrados
+  if (routerEntry) {
+    const router = await ethers.getContractAt("UniswapV2Router02", routerEntry.address);
+    for (const [getter, expected] of [["factory", factoryEntry], ["WETH", weth]]) {
+      await runCheck(report, `UniswapV2Router02.${getter}() aponta para o registro`, async () => {
+        const actual = ethers.getAddress(await router[getter]());
+        if (!expected) {
+          return { ok: false, detail: `retorna ${actual}, mas não há contrato registrado para comparar` };
+        }
+        return actual === expected.address
+          ? { ok: true, detail: actual }
+          : { ok: false, detail: `retorna ${actual}, registrado ${expected.address}` };
+      });
+    }
+  }
+
+  // 3. Owner da factory e pares registrados
+  if (factoryEntry) {
+    const factory = await ethers.getContractAt("UniswapV2Factory", factoryEntry.address);
+    const expectedSetter = options.feeToSetter || process.env[CONFIG.FEE_TO_SETTER_ENV] || factoryEntry.constructorArgs[0];
+
+    await runCheck(report, "UniswapV2Factory.feeToSetter() é o owner esperado", async () => {
+      const actual = ethers.getAddress(await factory.feeToSetter());
+      if (!expectedSetter || !ethers.isAddress(expectedSetter)) {
+        return { ok: false, detail: `owner esperado inválido: ${expectedSetter}` };
+      }
+      return actual === ethers.getAddress(expectedSetter)
+        ? { ok: true, detail: actual }
+        : { ok: false, detail: `retorna ${actual}, esperado ${ethers.getAddress(expectedSetter)}` };
+    });
+
+    for (const [key, entry] of Object.entries(deployments)) {
+      if (!key.startsWith(`${REGISTRY.PAIR_KEY_PREFIX}_`)) {
+        continue;
+      }
+      await runCheck(report, `${key} é o par da factory`, async () => {
+        const [, token0, token1] = key.split("_");
+        const actual = ethers.getAddress(await factory.getPair(token0, token1));
+        if (getPairKey(token0, token1) !== key) {
+          return { ok: false, detail: "chave do registro fora do formato canônico" };
+        }
+        return actual === entry.address
+          ? { ok: true, detail: actual }
+          : { ok: false, detail: `factory.getPair retorna ${actual}, registrado ${entry.address}` };
+      });
+    }
+  }
+
+  // 4. Init code hash contra os artefatos, a biblioteca e os pares implantados
+  await runCheck(report, "Init code hash consistente com UniswapV2Library.pairFor", async () => {
+    const { artifact, pairs } = await assertInitCodeHash(registryOptions);
+    return { ok: true, detail: `${artifact} (${pairs.length} par(es) conferido(s))` };
+  });
+
+  report.ok = report.checks.every((check) => check.ok);
+  return report;
+}
+
+/**
+ * @notice Função principal: exibe o relatório e falha se alguma verificação reprovar
+ * @param {Object} [options] - Opções de `verifyDeployment` e `output` (arquivo JSON do relatório)
+ * @returns {Promise<Object>} - Relatório
+ * @throws {Error} - Lança erro se alguma verificação reprovar
+ */
+async function main(options = {}) {
+  console.log(`\n🔎 Verificando a implantação da DEX na rede: ${hre.network.name} (tag: ${resolveTag(options.tag)})`);
+  const report = await verifyDeployment(options);
+
+  for (const check of report.checks) {
+    console.log(`${check.ok ? "✅" : "❌"} ${check.name}: ${check.detail}`);
+  }
+  if (options.output) {
+    await writeJsonFile(options.output, report);
+    console.log(`📝 Relatório salvo em ${options.output}`);
+  }
+
+  const failed = report.checks.filter((check) => !check.ok).length;
+  if (failed > 0) {
+    throw new Error(`${failed} de ${report.checks.length} verificação(ões) reprovada(s)`);
+  }
+  console.log(`\n🎉 ${report.checks.length} verificações aprovadas.`);
+  return report;
+}
+
+module.exports = {
+  main,
+  maskImmutables,
+  compareRuntimeBytecode,
+  verifyDeployment
+};
+
+// Executa a função principal quando chamado via `hardhat run`
+if (require.main === module) {
+  runMain(main);
+}
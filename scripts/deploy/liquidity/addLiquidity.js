@@ -0,0 +1,351 @@
+/**
+ * @file addLiquidity.js
+ * @description Script para adicionar a liquidez inicial de um par via UniswapV2Router02.
+ *              Aprova os tokens, chama `addLiquidity` (ou `addLiquidityETH` quando um dos lados é o WETH
+ *              do roteador) com o preço inicial desejado, limites de slippage e prazo, e grava nos logs
+ *              o LP emitido e as reservas resultantes. Para tokens com taxa na transferência, as quantidades
+ *              enviadas são ampliadas para que o valor líquido informado chegue ao par.
+ *              Compatível com Solidity 0.8.28. Otimizado para uso com Hardhat e ethers.js v6.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.1.0
+ * @date 2025-06-27
+ */
+
+const { ethers } = require("hardhat");
+const {
+  waitForTx,
+  applySlippage,
+  getDeadline,
+  ERC20_ABI,
+  ensureAllowance,
+  saveDeploymentLogs,
+  getNetworkContext,
+  runPreflightChecks,
+  collectNetworkInfo,
+  reportSpentBalance,
+  runMain
+} = require("../../utils/helpers");
+const { getDeploymentAddress, getPairKey, resolveAddress } = require("../../utils/registry");
+const { detectTransferTaxes, grossUpForTax } = require("../../utils/feeOnTransfer");
+const { runDryRun } = require("../../utils/dryRun");
+const { sendWithGasStrategy } = require("../../utils/gasStrategy");
+
+/**
+ * @notice Configurações específicas do script
+ * @type {Object}
+ */
+const CONFIG = {
+  LOG_FILE: "liquidity-logs.json", // Arquivo para logs detalhados
+  DEFAULT_TOKEN_A: "SPBToken", // Primeiro token padrão (nome no registro)
+  DEFAULT_TOKEN_B: "BPSToken", // Segundo token padrão (nome no registro)
+  DEFAULT_SLIPPAGE_BPS: 50, // Tolerância de slippage padrão (0,5%)
+  DEFAULT_DEADLINE_SECONDS: 20 * 60, // Prazo das transações do roteador (20 minutos)
+  PRICE_DECIMALS: 18 // Precisão usada para converter o preço informado
+};
+
+/**
+ * @notice Calcula a quantidade de tokenB para um preço inicial
+ * @param {bigint} amountA - Quantidade de tokenA em unidades mínimas
+ * @param {string} price - Preço de 1 tokenA em tokenB (ex.: "2.5")
+ * @param {number} decimalsA - Casas decimais de tokenA
+ * @param {number} decimalsB - Casas decimais de tokenB
+ * @returns {bigint} - Quantidade de tokenB em unidades mínimas
+ * @throws {Error} - Lança erro se o preço não for positivo
+ */
+function computeAmountForPrice(amountA, price, decimalsA, decimalsB) {
+  const scaledPrice = ethers.parseUnits(String(price), CONFIG.PRICE_DECIMALS);
+  if (scaledPrice <= 0n) {
+    throw new Error(`Preço inválido: ${price}`);
+  }
+  return (amountA * scaledPrice * 10n ** BigInt(decimalsB)) /
+    (10n ** BigInt(CONFIG.PRICE_DECIMALS) * 10n ** BigInt(decimalsA));
+}
+
+/**
+ * @notice Menor de dois bigint
+ * @param {bigint} a - Primeiro valor
+ * @param {bigint} b - Segundo valor
+ * @returns {bigint} - Menor valor
+ */
+function min(a, b) {
+  return a < b ? a : b;
+}
+
+/**
+ * @notice Lê as reservas do par ordenadas como tokenA/tokenB
+ * @param {ethers.Contract} pair - Instância do UniswapV2Pair
+ * @param {string} tokenA - Endereço de tokenA
+ * @returns {Promise<Object>} - `{ reserveA, reserveB }`
+ */
+async function getOrderedReserves(pair, tokenA) {
+  const [reserve0, reserve1] = await pair.getReserves();
+  const token0 = await pair.token0();
+  return token0 === tokenA
+    ? { reserveA: reserve0, reserveB: reserve1 }
+    : { reserveA: reserve1, reserveB: reserve0 };
+}
+
+/**
+ * @notice Carrega metadados de um token e, para o WETH do roteador, indica o uso de ETH nativo
+ * @param {string} address - Endereço do token
+ * @param {string} wethAddress - Endereço do WETH do roteador
+ * @param {ethers.Signer} deployer - Signer do deployer
+ * @returns {Promise<Object>} - `{ address, contract, symbol, decimals, isWeth }`
+ */
+async function loadToken(address, wethAddress, deployer) {
+  const contract = await ethers.getContractAt(ERC20_ABI, address, deployer);
+  return {
+    address,
+    contract,
+    symbol: await contract.symbol(),
+    decimals: Number(await contract.decimals()),
+    isWeth: address === wethAddress
+  };
+}
+
+/**
+ * @notice Garante saldo suficiente de um lado da liquidez
+ * @param {Object} token - Token carregado por `loadToken`
+ * @param {bigint} amount - Quantidade necessária
+ * @param {ethers.Signer} deployer - Signer do deployer
+ * @throws {Error} - Lança erro se o saldo for insuficiente
+ */
+async function ensureBalance(token, amount, deployer) {
+  const balance = token.isWeth
+    ? await ethers.provider.getBalance(deployer.address)
+    : await token.contract.balanceOf(deployer.address);
+  if (balance < amount) {
+    const unit = token.isWeth ? "ETH" : token.symbol;
+    throw new Error(
+      `Saldo insuficiente de ${unit}: ${ethers.formatUnits(balance, token.decimals)} < ` +
+      `${ethers.formatUnits(amount, token.decimals)}`
+    );
+  }
+}
+
+/**
+ * @notice Função principal para adicionar liquidez a um par
+ * @param {Object} [options] - Opções de execução
+ * @param {string} [options.tokenA] - Primeiro token (nome do registro, "WETH" ou endereço)
+ * @param {string} [options.tokenB] - Segundo token (nome do registro, "WETH" ou endereço)
+ * @param {string} options.amountA - Quantidade líquida de tokenA no par, em unidades legíveis (ex.: "1000")
+ * @param {string} [options.amountB] - Quantidade líquida de tokenB no par, em unidades legíveis
+ * @param {string} [options.price] - Preço inicial de 1 tokenA em tokenB (alternativa a `amountB`)
+ * @param {number} [options.slippage] - Tolerância de slippage em pontos-base
+ * @param {number} [options.deadline] - Prazo em segundos a partir do bloco atual
+ * @param {boolean} [options.dryRun] - Ensaia a execução em um fork local e exibe o plano e o custo (ver `scripts/utils/dryRun.js`)
+ * @param {string} [options.fork] - Rede do `hardhat.config.js` copiada pelo ensaio
+ * @returns {Promise<Object>} - Dados da liquidez adicionada
+ */
+async function main(options = {}) {
+  if (options.dryRun) {
+    return runDryRun(main, options);
+  }
+
+  try {
+    // Obtém o deployer e informações da rede
+    const context = await getNetworkContext();
+    const { deployer, networkName, chainId } = context;
+
+    const tokenAInput = options.tokenA || CONFIG.DEFAULT_TOKEN_A;
+    const tokenBInput = options.tokenB || CONFIG.DEFAULT_TOKEN_B;
+    const slippageBps = options.slippage === undefined ? CONFIG.DEFAULT_SLIPPAGE_BPS : Number(options.slippage);
+    const deadlineSeconds = options.deadline === undefined ? CONFIG.DEFAULT_DEADLINE_SECONDS : Number(options.deadline);
+
+    if (!options.amountA) {
+      throw new Error("Informe a quantidade de tokenA (amountA)");
+    }
+
+    console.log(`\n🚀 Adicionando liquidez ${tokenAInput}/${tokenBInput} na rede: ${networkName} (chainId: ${chainId})`);
+    console.log(`👤 Deployer: ${deployer.address}`);
+
+    // Validações iniciais
+    const initialBalance = await runPreflightChecks(context);
+
+    // Conecta ao roteador e à factory registrados
+    const routerAddress = await getDeploymentAddress("UniswapV2Router02");
+    const router = await ethers.getContractAt("UniswapV2Router02", routerAddress, deployer);
+    const factory = await ethers.getContractAt("UniswapV2Factory", await router.factory(), deployer);
+    const wethAddress = ethers.getAddress(await router.WETH());
+
+    const tokenA = await loadToken(await resolveAddress(tokenAInput), wethAddress, deployer);
+    const tokenB = await loadToken(await resolveAddress(tokenBInput), wethAddress, deployer);
+    const pairKey = getPairKey(tokenA.address, tokenB.address);
+
+    // Detecta taxas de transferência (ex.: SPBToken/BPSToken); o WETH nunca é taxado
+    const taxes = await detectTransferTaxes([tokenA.address, tokenB.address]);
+    const taxA = tokenA.isWeth ? null : taxes[tokenA.address];
+    const taxB = tokenB.isWeth ? null : taxes[tokenB.address];
+    for (const [token, tax] of [[tokenA, taxA], [tokenB, taxB]]) {
+      if (tax && tax.taxed) {
+        console.log(`🧾 ${token.symbol} cobra ${tax.taxPercent}% por transferência (receptor: ${tax.taxReceiver})`);
+      }
+    }
+
+    // Define as quantidades que devem chegar ao par
+    const amountANet = ethers.parseUnits(String(options.amountA), tokenA.decimals);
+    const existingPair = await factory.getPair(tokenA.address, tokenB.address);
+    const pairRecipient = existingPair === ethers.ZeroAddress ? undefined : existingPair;
+    let amountBNet;
+    let reservesBefore = { reserveA: 0n, reserveB: 0n };
+
+    if (existingPair !== ethers.ZeroAddress) {
+      const pair = await ethers.getContractAt("UniswapV2Pair", existingPair);
+      reservesBefore = await getOrderedReserves(pair, tokenA.address);
+    }
+    const hasReserves = reservesBefore.reserveA > 0n;
+
+    if (hasReserves) {
+      // Par já possui liquidez: o roteador usa a proporção atual das reservas
+      amountBNet = (amountANet * reservesBefore.reserveB) / reservesBefore.reserveA;
+      if (options.price || options.amountB) {
+        console.log("⚠️ Par já possui reservas; o preço informado é ignorado e a proporção atual é usada.");
+      }
+    } else if (options.amountB) {
+      amountBNet = ethers.parseUnits(String(options.amountB), tokenB.decimals);
+    } else if (options.price) {
+      amountBNet = computeAmountForPrice(amountANet, options.price, tokenA.decimals, tokenB.decimals);
+    } else {
+      throw new Error("Par sem liquidez: informe o preço inicial (price) ou a quantidade de tokenB (amountB)");
+    }
+
+    if (amountBNet === 0n) {
+      throw new Error("Quantidade de tokenB resultante é zero; aumente amountA ou o preço");
+    }
+
+    // Quantidades brutas enviadas ao roteador, já compensando a taxa de cada token
+    const amountADesired = grossUpForTax(amountANet, taxA, pairRecipient);
+    const amountBDesired = grossUpForTax(amountBNet, taxB, pairRecipient);
+
+    // O roteador compara os mínimos com a cotação das reservas sobre os valores brutos
+    const amountAMin = applySlippage(
+      hasReserves ? min(amountADesired, (amountBDesired * reservesBefore.reserveA) / reservesBefore.reserveB) : amountADesired,
+      slippageBps
+    );
+    const amountBMin = applySlippage(
+      hasReserves ? min(amountBDesired, (amountADesired * reservesBefore.reserveB) / reservesBefore.reserveA) : amountBDesired,
+      slippageBps
+    );
+
+    console.log(`💧 ${tokenA.symbol}: ${ethers.formatUnits(amountADesired, tokenA.decimals)} (líquido no par: ${ethers.formatUnits(amountANet, tokenA.decimals)}, mín. ${ethers.formatUnits(amountAMin, tokenA.decimals)})`);
+    console.log(`💧 ${tokenB.symbol}: ${ethers.formatUnits(amountBDesired, tokenB.decimals)} (líquido no par: ${ethers.formatUnits(amountBNet, tokenB.decimals)}, mín. ${ethers.formatUnits(amountBMin, tokenB.decimals)})`);
+
+    // Verifica saldos e aprovações
+    await ensureBalance(tokenA, amountADesired, deployer);
+    await ensureBalance(tokenB, amountBDesired, deployer);
+
+    const approvals = {};
+    for (const token of [tokenA, tokenB]) {
+      if (!token.isWeth) {
+        approvals[token.symbol] = await ensureAllowance(token, routerAddress, token === tokenA ? amountADesired : amountBDesired, deployer);
+      }
+    }
+
+    // LP do deployer antes da operação (o par pode ainda não existir)
+    const lpBefore = existingPair === ethers.ZeroAddress
+      ? 0n
+      : await (await ethers.getContractAt("UniswapV2Pair", existingPair)).balanceOf(deployer.address);
+
+    const deadline = await getDeadline(deadlineSeconds);
+
+    let tx;
+    if (tokenA.isWeth || tokenB.isWeth) {
+      // Um dos lados é ETH nativo: usa addLiquidityETH
+      const [token, eth] = tokenA.isWeth
+        ? [{ ...tokenB, desired: amountBDesired, min: amountBMin }, { desired: amountADesired, min: amountAMin }]
+        : [{ ...tokenA, desired: amountADesired, min: amountAMin }, { desired: amountBDesired, min: amountBMin }];
+      tx = await sendWithGasStrategy(
+        router.addLiquidityETH,
+        [token.address, token.desired, token.min, eth.min, deployer.address, deadline],
+        { value: eth.desired }
+      );
+    } else {
+      tx = await sendWithGasStrategy(router.addLiquidity, [
+        tokenA.address,
+        tokenB.address,
+        amountADesired,
+        amountBDesired,
+        amountAMin,
+        amountBMin,
+        deployer.address,
+        deadline
+      ]);
+    }
+    const receipt = await waitForTx(tx);
+
+    // Resultado: LP emitido e reservas finais
+    const pairAddress = await factory.getPair(tokenA.address, tokenB.address);
+    const pair = await ethers.getContractAt("UniswapV2Pair", pairAddress);
+    const lpAfter = await pair.balanceOf(deployer.address);
+    const reservesAfter = await getOrderedReserves(pair, tokenA.address);
+    const lpMinted = lpAfter - lpBefore;
+
+    console.log(`✅ Liquidez adicionada ao par ${pairAddress}`);
+    console.log(`🪙 LP emitido: ${ethers.formatEther(lpMinted)} (saldo: ${ethers.formatEther(lpAfter)})`);
+    console.log(`📊 Reservas: ${ethers.formatUnits(reservesAfter.reserveA, tokenA.decimals)} ${tokenA.symbol} / ${ethers.formatUnits(reservesAfter.reserveB, tokenB.decimals)} ${tokenB.symbol}`);
+
+    const result = {
+      pair: { key: pairKey, address: pairAddress },
+      tokenA: { address: tokenA.address, symbol: tokenA.symbol, native: tokenA.isWeth },
+      tokenB: { address: tokenB.address, symbol: tokenB.symbol, native: tokenB.isWeth },
+      amounts: {
+        amountANet: amountANet.toString(),
+        amountBNet: amountBNet.toString(),
+        amountADesired: amountADesired.toString(),
+        amountBDesired: amountBDesired.toString(),
+        amountAMin: amountAMin.toString(),
+        amountBMin: amountBMin.toString()
+      },
+      taxes: {
+        tokenA: taxA ? taxA.taxPercent.toString() : "0",
+        tokenB: taxB ? taxB.taxPercent.toString() : "0"
+      },
+      slippageBps,
+      deadline,
+      approvals,
+      lp: {
+        minted: lpMinted.toString(),
+        balance: lpAfter.toString(),
+        totalSupply: (await pair.totalSupply()).toString()
+      },
+      reserves: {
+        before: { reserveA: reservesBefore.reserveA.toString(), reserveB: reservesBefore.reserveB.toString() },
+        after: { reserveA: reservesAfter.reserveA.toString(), reserveB: reservesAfter.reserveB.toString() }
+      },
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+
+    // Salva os logs detalhados
+    await saveDeploymentLogs({
+      timestamp: new Date().toISOString(),
+      network: await collectNetworkInfo(networkName, chainId),
+      deployer: {
+        address: deployer.address,
+        initialBalance: initialBalance.toString(),
+        finalBalance: (await ethers.provider.getBalance(deployer.address)).toString()
+      },
+      liquidity: result
+    }, CONFIG.LOG_FILE);
+
+    // Verifica o saldo final do deployer
+    await reportSpentBalance(deployer, initialBalance);
+
+    console.log("\n🎉 Liquidez adicionada com sucesso!");
+    return result;
+  } catch (error) {
+    console.error("❌ Erro ao adicionar liquidez:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  main,
+  computeAmountForPrice
+};
+
+// Executa a função principal quando chamado via `hardhat run`
+if (require.main === module) {
+  runMain(main);
+}
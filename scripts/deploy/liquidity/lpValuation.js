@@ -0,0 +1,350 @@
+/**
+ * @file lpValuation.js
+ * @description Relatório de valor das posições de LP de todos os pares da factory. Para cada detentor de tokens
+ *              LP (descoberto pelos eventos Transfer do par via `holderIndex.js`, mais o deployer e os endereços informados), calcula os
+ *              tokens subjacentes nas reservas atuais e após a arbitragem até um preço de referência, com a mesma
+ *              semântica de `getLiquidityValue` e `getLiquidityValueAfterArbitrageToPrice` da
+ *              UniswapV2LiquidityMathLibrary, incluindo a diluição pela taxa de protocolo pendente. As leituras dos
+ *              pares e dos saldos são agregadas via Multicall3 (`scripts/utils/multicall.js`).
+ *              Compatível com Solidity 0.8.28. Otimizado para uso com Hardhat e ethers.js v6.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const { saveDeploymentLogs, writeJsonFile, runMain } = require("../../utils/helpers");
+const { getDeployment, resolveAddress } = require("../../utils/registry");
+const {
+  computeFeeLiquidity,
+  computeLiquidityValue,
+  computeReservesAfterArbitrage
+} = require("../../utils/uniswapV2LiquidityMathLibrary");
+const { multicall, getBalances } = require("../../utils/multicall");
+const { indexHolders } = require("../../utils/holderIndex");
+
+/**
+ * @notice Configurações específicas do script
+ * @type {Object}
+ */
+const CONFIG = {
+  LOG_FILE: "lp-valuation-logs.json", // Arquivo para logs do relatório
+  PRICE_SCALE: 36, // Casas do preço por unidade mínima (preço × 10^36 / 10^decimals)
+  VALUE_DECIMALS: 18 // Casas dos valores na moeda de referência
+};
+
+/**
+ * @notice ABI mínima da factory
+ * @type {string[]}
+ */
+const FACTORY_ABI = [
+  "function feeTo() view returns (address)",
+  "function allPairsLength() view returns (uint256)",
+  "function allPairs(uint256) view returns (address)"
+];
+
+/**
+ * @notice ABI mínima dos pares
+ * @type {string[]}
+ */
+const PAIR_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function kLast() view returns (uint256)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)"
+];
+
+/**
+ * @notice ABI mínima dos tokens do par
+ * @type {string[]}
+ */
+const TOKEN_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)"
+];
+
+/**
+ * @notice Divide uma lista separada por vírgulas, descartando itens vazios
+ * @param {string} [value] - Lista separada por vírgulas
+ * @returns {string[]} - Itens sem espaços nas extremidades
+ */
+function parseList(value) {
+  return (value || "").split(",").map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * @notice Converte os preços informados (`Token=preço`) em um mapa endereço → preço
+ * @param {string} [prices] - Ex.: "SPBToken=0.25,WETH=3000" (nomes do registro, apelidos ou endereços)
+ * @returns {Promise<Map<string, string>>} - Preço de 1 token inteiro na moeda de referência, por endereço
+ * @throws {Error} - Lança erro se um item estiver malformado ou o token não puder ser resolvido
+ */
+async function parsePrices(prices) {
+  const result = new Map();
+  for (const item of parseList(prices)) {
+    const [key, price] = item.split("=").map((part) => part && part.trim());
+    if (!key || !price || ethers.parseUnits(price, CONFIG.VALUE_DECIMALS) <= 0n) {
+      throw new Error(`Preço inválido: ${item} (use Token=preço)`);
+    }
+    result.set(await resolveAddress(key), price);
+  }
+  return result;
+}
+
+/**
+ * @notice Converte o preço de um token inteiro no preço por unidade mínima usado pela biblioteca
+ * @dev Escalar por 10^(36 - decimals) mantém a razão entre os preços correta para tokens com casas diferentes e
+ *      faz `quantidade × preço / 10^18` sair em 18 casas da moeda de referência.
+ * @param {string} price - Preço de 1 token inteiro
+ * @param {number} decimals - Casas decimais do token
+ * @returns {bigint} - Preço escalado
+ */
+function toTruePrice(price, decimals) {
+  return ethers.parseUnits(price, CONFIG.PRICE_SCALE - decimals);
+}
+
+/**
+ * @notice Valor de um par de quantidades na moeda de referência
+ * @param {bigint[]} amounts - `[amount0, amount1]`
+ * @param {bigint[]} truePrices - Preços escalados por `toTruePrice`
+ * @returns {bigint} - Valor com `VALUE_DECIMALS` casas
+ */
+function valueOf(amounts, truePrices) {
+  const scale = 10n ** BigInt(CONFIG.PRICE_SCALE - CONFIG.VALUE_DECIMALS);
+  return (amounts[0] * truePrices[0] + amounts[1] * truePrices[1]) / scale;
+}
+
+/**
+ * @notice Descobre os detentores de LP pelos eventos Transfer do par (ver `holderIndex.js`)
+ * @param {string} address - Endereço do par
+ * @param {number} toBlock - Último bloco da busca
+ * @returns {Promise<string[]>} - Contas com saldo no bloco, da maior para a menor posição
+ */
+async function discoverHolders(address, toBlock) {
+  const { holders } = await indexHolders(address, { toBlock });
+  return holders.map((holder) => holder.account);
+}
+
+/**
+ * @notice Avalia as posições de LP de um par
+ * @param {string} address - Endereço do par
+ * @param {Object} context - `{ feeTo, accounts, prices, blockTag }`
+ * @returns {Promise<Object>} - Estado do par e `positions` (somente contas com saldo)
+ */
+async function valuePair(address, context) {
+  const { feeTo, accounts, prices, blockTag } = context;
+  const pair = new ethers.Contract(address, PAIR_ABI, ethers.provider);
+  const feeOn = feeTo !== ethers.ZeroAddress;
+
+  const [token0, token1, reserves, totalSupply, pairKLast] = await multicall(
+    ["token0", "token1", "getReserves", "totalSupply", "kLast"].map((method) => ({ target: address, interface: pair.interface, method })),
+    { blockTag }
+  );
+  // Como na biblioteca, kLast só conta com a taxa de protocolo ligada
+  const kLast = feeOn ? pairKLast : 0n;
+  const tokenInterface = new ethers.Interface(TOKEN_ABI);
+  const metadata = await multicall([token0, token1].flatMap((target) =>
+    ["symbol", "decimals"].map((method) => ({ target, interface: tokenInterface, method }))
+  ), { blockTag });
+  const tokens = [token0, token1].map((tokenAddress, index) => ({
+    address: tokenAddress,
+    symbol: metadata[index * 2],
+    decimals: Number(metadata[index * 2 + 1]),
+    reserve: reserves[index]
+  }));
+
+  const entry = {
+    address,
+    symbol: `LP ${tokens[0].symbol}/${tokens[1].symbol}`,
+    tokens,
+    totalSupply,
+    feeOn,
+    kLast,
+    pendingFeeLiquidity: feeOn ? computeFeeLiquidity(reserves[0], reserves[1], totalSupply, kLast) : 0n,
+    reservesAfterArbitrage: null,
+    positions: []
+  };
+  if (totalSupply === 0n) {
+    return entry;
+  }
+
+  const truePrices = tokens.every((token) => prices.has(token.address))
+    ? tokens.map((token) => toTruePrice(prices.get(token.address), token.decimals))
+    : null;
+  if (truePrices) {
+    // Na biblioteca, o equilíbrio é reserveA / reserveB = truePriceTokenA / truePriceTokenB (razão de quantidades
+    // de mesmo valor), por isso cada lado recebe o preço unitário do outro token
+    entry.reservesAfterArbitrage = computeReservesAfterArbitrage(truePrices[1], truePrices[0], reserves[0], reserves[1]);
+  }
+
+  const holders = [...new Set([...accounts, ...await discoverHolders(address, blockTag)])];
+  const balances = await getBalances(address, holders, { blockTag });
+  for (const [index, account] of holders.entries()) {
+    const liquidity = balances[index];
+    if (liquidity === 0n) {
+      continue;
+    }
+    const position = {
+      account,
+      liquidity,
+      amounts: computeLiquidityValue(reserves[0], reserves[1], totalSupply, liquidity, feeOn, kLast)
+    };
+    if (truePrices) {
+      const [reserve0, reserve1] = entry.reservesAfterArbitrage;
+      position.amountsAfterArbitrage = computeLiquidityValue(reserve0, reserve1, totalSupply, liquidity, feeOn, kLast);
+      position.value = valueOf(position.amounts, truePrices);
+      position.valueAfterArbitrage = valueOf(position.amountsAfterArbitrage, truePrices);
+    }
+    entry.positions.push(position);
+  }
+  return entry;
+}
+
+/**
+ * @notice Monta o relatório de valor das posições de LP
+ * @param {string} factoryAddress - Endereço da UniswapV2Factory
+ * @param {Object} [options] - Opções do relatório
+ * @param {string[]} [options.accounts] - Contas avaliadas além dos detentores descobertos
+ * @param {Map<string, string>} [options.prices] - Preços de referência (ver `parsePrices`)
+ * @param {number} [options.blockTag] - Bloco das leituras (padrão: último bloco)
+ * @returns {Promise<Object>} - `{ blockNumber, factory, feeTo, pairs }`
+ */
+async function buildValuation(factoryAddress, options = {}) {
+  const blockNumber = options.blockTag ?? await ethers.provider.getBlockNumber();
+  const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, ethers.provider);
+  const feeTo = await factory.feeTo({ blockTag: blockNumber });
+  const context = {
+    feeTo,
+    accounts: (options.accounts || []).map((account) => ethers.getAddress(account)),
+    prices: options.prices || new Map(),
+    blockTag: blockNumber
+  };
+
+  const report = { blockNumber, factory: factoryAddress, feeTo, pairs: [] };
+  const length = Number(await factory.allPairsLength({ blockTag: blockNumber }));
+  const pairs = await multicall(Array.from({ length }, (_, index) => ({
+    target: factoryAddress,
+    interface: factory.interface,
+    method: "allPairs",
+    args: [index]
+  })), { blockTag: blockNumber });
+  for (const pair of pairs) {
+    report.pairs.push(await valuePair(pair, context));
+  }
+  return report;
+}
+
+/**
+ * @notice Formata um par de quantidades com os símbolos dos tokens
+ * @param {bigint[]} amounts - `[amount0, amount1]`
+ * @param {Object[]} tokens - Tokens do par
+ * @returns {string} - Ex.: "10.0 SPB + 2.5 WETH"
+ */
+function formatAmounts(amounts, tokens) {
+  return tokens.map((token, index) => `${ethers.formatUnits(amounts[index], token.decimals)} ${token.symbol}`).join(" + ");
+}
+
+/**
+ * @notice Exibe o relatório por par e por detentor
+ * @param {Object} report - Resultado de `buildValuation`
+ */
+function displayResults(report) {
+  console.log(`\n📊 === VALOR DAS POSIÇÕES DE LP (bloco ${report.blockNumber}) ===`);
+  console.log(`🏦 feeTo: ${report.feeTo === ethers.ZeroAddress ? "desligado" : report.feeTo}`);
+
+  for (const pair of report.pairs) {
+    console.log(`\n💧 ${pair.symbol} (${pair.address})`);
+    console.log(`   Reservas: ${formatAmounts(pair.tokens.map((token) => token.reserve), pair.tokens)}`);
+    console.log(`   Supply LP: ${ethers.formatEther(pair.totalSupply)}`);
+    if (pair.pendingFeeLiquidity > 0n) {
+      console.log(`   Taxa de protocolo pendente: ${ethers.formatEther(pair.pendingFeeLiquidity)} LP para o feeTo`);
+    }
+    if (pair.reservesAfterArbitrage) {
+      console.log(`   Reservas após arbitragem: ${formatAmounts(pair.reservesAfterArbitrage, pair.tokens)}`);
+    }
+    if (pair.positions.length === 0) {
+      console.log("   Nenhuma posição encontrada");
+    }
+    for (const position of pair.positions) {
+      console.log(`   👤 ${position.account}: ${ethers.formatEther(position.liquidity)} LP`);
+      console.log(`      Atual: ${formatAmounts(position.amounts, pair.tokens)}`);
+      if (position.amountsAfterArbitrage) {
+        console.log(`      Após arbitragem: ${formatAmounts(position.amountsAfterArbitrage, pair.tokens)}`);
+        console.log(
+          `      Valor: ${ethers.formatUnits(position.value, CONFIG.VALUE_DECIMALS)} → ` +
+          `${ethers.formatUnits(position.valueAfterArbitrage, CONFIG.VALUE_DECIMALS)} (após arbitragem)`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * @notice Função principal do relatório de valor das posições de LP
+ * @param {Object} [options] - Opções de execução
+ * @param {string} [options.addresses] - Endereços adicionais separados por vírgula (padrão: CHECK_ADDRESSES)
+ * @param {string} [options.prices] - Preços de referência `Token=preço` separados por vírgula
+ * @param {string} [options.json] - Caminho do JSON a exportar
+ * @returns {Promise<Object>} - Relatório (ver `buildValuation`)
+ */
+async function main(options = {}) {
+  try {
+    const network = await ethers.provider.getNetwork();
+    const [signer] = await ethers.getSigners();
+    console.log(`\n🔍 Avaliando posições de LP na rede: ${hre.network.name} (chainId: ${network.chainId})`);
+
+    const factory = await getDeployment("UniswapV2Factory");
+    console.log(`📍 UniswapV2Factory: ${factory.address}`);
+
+    const accounts = [signer.address];
+    for (const address of parseList(options.addresses ?? process.env.CHECK_ADDRESSES)) {
+      if (ethers.isAddress(address)) {
+        accounts.push(address);
+      } else {
+        console.warn(`⚠️ Endereço inválido ignorado: ${address}`);
+      }
+    }
+
+    const prices = await parsePrices(options.prices);
+    if (prices.size === 0) {
+      console.log("ℹ️ Sem --prices: apenas o valor nas reservas atuais será calculado");
+    }
+
+    const report = await buildValuation(factory.address, { accounts, prices });
+    displayResults(report);
+
+    const logData = {
+      timestamp: new Date().toISOString(),
+      network: { name: hre.network.name, chainId: network.chainId.toString() },
+      prices: Object.fromEntries(prices),
+      ...report
+    };
+    if (options.json) {
+      await writeJsonFile(options.json, logData);
+      console.log(`📄 JSON exportado em: ${options.json}`);
+    }
+    await saveDeploymentLogs(logData, CONFIG.LOG_FILE);
+
+    console.log(`\n🎉 Relatório de LP concluído com sucesso!`);
+    return report;
+  } catch (error) {
+    console.error("❌ Erro ao avaliar as posições de LP:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  CONFIG,
+  parsePrices,
+  toTruePrice,
+  buildValuation,
+  main
+};
+
+// Executa a função principal quando chamado via `hardhat run`
+if (require.main === module) {
+  runMain(main, "✅ Relatório de LP concluído.");
+}
@@ -0,0 +1,84 @@
+/**
+ * @file multicall.js
+ * @description Script para implantação do Multicall3 usado pela camada de leitura em lote
+ *              (`scripts/utils/multicall.js`). Só implanta em redes locais e de teste e apenas quando não há um
+ *              Multicall3 registrado nem o canônico na rede.
+ *              Compatível com Solidity 0.8.28. Otimizado para uso com Hardhat e ethers.js v6.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const {
+  saveDeploymentLogs,
+  getNetworkContext,
+  runPreflightChecks,
+  collectNetworkInfo,
+  buildContractLog,
+  reportSpentBalance,
+  runMain
+} = require("../utils/helpers");
+const { verifyContract } = require("../utils/verification");
+const { runDryRun } = require("../utils/dryRun");
+const { deployMulticall } = require("../utils/multicall");
+
+/**
+ * @notice Configurações específicas do script
+ * @type {Object}
+ */
+const CONFIG = {
+  LOG_FILE: "multicall-deployment-logs.json" // Arquivo para logs detalhados
+};
+
+/**
+ * @notice Função principal para implantação do Multicall3
+ * @param {Object} [options] - Opções de execução
+ * @param {boolean} [options.dryRun] - Ensaia a execução em um fork local e exibe o plano e o custo (ver `scripts/utils/dryRun.js`)
+ * @param {string} [options.fork] - Rede do `hardhat.config.js` copiada pelo ensaio
+ * @returns {Promise<Object>} - `{ address, deployed }`
+ */
+async function main(options = {}) {
+  if (options.dryRun) {
+    return runDryRun(main, options);
+  }
+
+  try {
+    const context = await getNetworkContext();
+    const { deployer, networkName, chainId } = context;
+
+    console.log(`\n🚀 Iniciando implantação do Multicall3 na rede: ${networkName} (chainId: ${chainId})`);
+    console.log(`👤 Deployer: ${deployer.address}`);
+
+    const initialBalance = await runPreflightChecks(context);
+
+    const deployment = await deployMulticall(deployer);
+    if (!deployment.deployed) {
+      console.log(`⚠️ Multicall3 já disponível em: ${deployment.address}`);
+      return deployment;
+    }
+
+    const contractLog = await buildContractLog(deployment);
+    contractLog.verification = await verifyContract(deployment);
+    await saveDeploymentLogs({
+      timestamp: new Date().toISOString(),
+      network: await collectNetworkInfo(networkName, chainId),
+      deployer: deployer.address,
+      contracts: { Multicall3: contractLog }
+    }, CONFIG.LOG_FILE);
+
+    await reportSpentBalance(deployer, initialBalance);
+
+    console.log("\n🎉 Implantação do Multicall3 concluída com sucesso!");
+    return deployment;
+  } catch (error) {
+    console.error("❌ Erro durante a implantação:", error.message);
+    throw error;
+  }
+}
+
+module.exports = { main };
+
+// Executa a função principal quando chamado via `hardhat run`
+if (require.main === module) {
+  runMain(main);
+}
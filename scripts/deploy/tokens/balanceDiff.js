@@ -0,0 +1,158 @@
+/**
+ * @file balanceDiff.js
+ * @description Compara dois snapshots do histórico de saldos (gravados pelo relatório de carteira) por conta e
+ *              ativo. Explica as variações pelos eventos Transfer do intervalo, destacando as taxas recebidas pelo
+ *              `taxReceiver`, as queimas e as movimentações que os eventos não explicam.
+ *              Compatível com Solidity 0.8.28. Otimizado para uso com Hardhat e ethers.js v6.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const { writeJsonFile, runMain } = require("../../utils/helpers");
+const {
+  getSnapshotPath,
+  loadSnapshots,
+  selectSnapshot,
+  collectMovements,
+  diffSnapshots
+} = require("../../utils/balanceSnapshots");
+
+/**
+ * @notice Categorias exibidas para cada conta, na ordem da linha
+ * @type {Array<[string, string]>}
+ */
+const FLOW_LABELS = [
+  ["received", "recebido"],
+  ["sent", "enviado"],
+  ["taxReceived", "💸 taxa recebida"],
+  ["taxPaid", "taxa paga"],
+  ["minted", "cunhado"],
+  ["burned", "🔥 queimado"]
+];
+
+/**
+ * @notice Escolhe os snapshots a comparar
+ * @dev Sem `to`, usa o último snapshot gravado; sem `from`, o último anterior ao bloco de `to`.
+ * @param {Object[]} snapshots - Snapshots da rede
+ * @param {Object} [options] - `from` e `to` (números de bloco)
+ * @returns {Object[]} - `[from, to]`
+ * @throws {Error} - Lança erro se não houver snapshots suficientes ou se `from` não for anterior a `to`
+ */
+function pickSnapshots(snapshots, options = {}) {
+  const to = options.to === undefined ? snapshots[snapshots.length - 1] : selectSnapshot(snapshots, options.to);
+  if (!to) {
+    throw new Error("Nenhum snapshot gravado para esta rede; execute a tarefa balances primeiro");
+  }
+  const from = options.from === undefined
+    ? snapshots.filter((snapshot) => snapshot.block < to.block).pop()
+    : selectSnapshot(snapshots, options.from);
+  if (!from) {
+    throw new Error(`Nenhum snapshot anterior ao bloco ${to.block}`);
+  }
+  if (from.block >= to.block) {
+    throw new Error(`O snapshot inicial (bloco ${from.block}) deve ser anterior ao final (bloco ${to.block})`);
+  }
+  return [from, to];
+}
+
+/**
+ * @notice Formata uma variação com sinal
+ * @param {bigint} value - Variação
+ * @param {number} decimals - Casas decimais do ativo
+ * @returns {string} - Ex.: "+1.5" ou "-0.25"
+ */
+function formatDelta(value, decimals) {
+  return `${value > 0n ? "+" : ""}${ethers.formatUnits(value, decimals)}`;
+}
+
+/**
+ * @notice Monta o texto da comparação: um bloco por ativo e uma linha por conta com variação
+ * @param {Object} diff - Resultado de `diffSnapshots`
+ * @returns {string} - Texto da comparação
+ */
+function renderDiff(diff) {
+  const lines = [];
+  for (const asset of diff.assets) {
+    const format = (value) => ethers.formatUnits(value, asset.decimals);
+    const summary = [`${asset.symbol}${asset.address ? ` (${asset.address})` : ""}`];
+    if (asset.supplyDelta !== null && asset.supplyDelta !== 0n) {
+      summary.push(`supply ${formatDelta(asset.supplyDelta, asset.decimals)}`);
+    }
+    if (asset.burned) {
+      summary.push(`🔥 queimado ${format(asset.burned)}`);
+    }
+    if (asset.tax) {
+      summary.push(`💸 taxa ${format(asset.tax)} → ${asset.taxReceiver}`);
+    }
+    lines.push(summary.join(" | "));
+
+    const changed = asset.accounts.filter((entry) => entry.delta !== 0n || (entry.unexplained !== null && entry.unexplained !== 0n));
+    if (changed.length === 0) {
+      lines.push("   sem variação");
+    }
+    for (const entry of changed) {
+      const details = FLOW_LABELS.filter(([key]) => entry[key] > 0n).map(([key, label]) => `${label} ${format(entry[key])}`);
+      if (entry.unexplained !== null && entry.unexplained !== 0n) {
+        details.push(`❓ não explicado ${formatDelta(entry.unexplained, asset.decimals)}`);
+      }
+      lines.push(`   ${entry.account}: ${formatDelta(entry.delta, asset.decimals)}${details.length ? ` (${details.join(", ")})` : ""}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * @notice Função principal da comparação de snapshots
+ * @param {Object} [options] - Opções de execução
+ * @param {number|string} [options.from] - Bloco do snapshot inicial (padrão: o anterior ao final)
+ * @param {number|string} [options.to] - Bloco do snapshot final (padrão: o último gravado)
+ * @param {string} [options.file] - Arquivo de snapshots (padrão: deployments/balance-snapshots.jsonl)
+ * @param {string} [options.json] - Caminho do JSON a exportar
+ * @returns {Promise<Object>} - Resultado de `diffSnapshots`
+ */
+async function main(options = {}) {
+  try {
+    const network = await ethers.provider.getNetwork();
+    console.log(`\n🔍 Comparando snapshots de saldos na rede: ${hre.network.name} (chainId: ${network.chainId})`);
+
+    const snapshots = await loadSnapshots(network.chainId, options.file || getSnapshotPath());
+    const [from, to] = pickSnapshots(snapshots, options);
+    console.log(`📋 Bloco ${from.block} (${from.time}) → bloco ${to.block} (${to.time})`);
+
+    const movements = {};
+    for (const asset of to.assets.filter((entry) => entry.address)) {
+      movements[asset.address] = await collectMovements(asset.address, from.block, to.block);
+    }
+
+    const diff = diffSnapshots(from, to, movements);
+    console.log(`\n📊 === VARIAÇÃO DE SALDOS ===`);
+    console.log(renderDiff(diff));
+
+    const unexplained = diff.assets.flatMap((asset) => asset.accounts).filter((entry) => entry.unexplained);
+    if (unexplained.length > 0) {
+      console.warn(`\n⚠️ ${unexplained.length} movimentação(ões) sem eventos Transfer correspondentes`);
+    }
+    if (options.json) {
+      await writeJsonFile(options.json, diff);
+      console.log(`📄 JSON exportado em: ${options.json}`);
+    }
+    return diff;
+  } catch (error) {
+    console.error("❌ Erro ao comparar snapshots:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  pickSnapshots,
+  renderDiff,
+  main
+};
+
+// Executa a função principal quando chamado via `hardhat run`
+if (require.main === module) {
+  runMain(main, "✅ Comparação de snapshots concluída.");
+}
@@ -1,106 +1,73 @@
 /**
  * @file createPair.js
- * @description Script para criação do par SPB/BPS usando UniswapV2Factory.
- *              Inclui verificações de segurança robustas, salvamento de endereços, logs detalhados
- *              e compatibilidade com Solidity 0.8.28. Otimizado para uso com Hardhat e ethers.js v6.
+ * @description Script para criação de pares usando UniswapV2Factory.
+ *              Aceita quaisquer dois tokens (nome no registro, endereço ou WETH) ou um manifesto JSON
+ *              com vários pares a criar em uma única execução. Cada par é registrado sob a chave
+ *              canônica `Pair_<token0>_<token1>` e pares já existentes na factory são reportados.
+ *              Compatível com Solidity 0.8.28. Otimizado para uso com Hardhat e ethers.js v6.
  * @author [Seu Nome ou Nome da Empresa]
- * @version 1.0.0
- * @date 2025-06-19
+ * @version 2.0.0
+ * @date 2025-06-27
  */
 
 const { ethers } = require("hardhat");
-const fs = require("fs").promises;
 const path = require("path");
+const {
+  getBytecodeSize,
+  waitForTx,
+  isContractDeployed,
+  readJsonFile,
+  saveDeploymentLogs,
+  getNetworkContext,
+  runPreflightChecks,
+  collectNetworkInfo,
+  reportSpentBalance,
+  runMain
+} = require("../../utils/helpers");
+const { getDeploymentAddress, getPairKey, recordDeployment, resolveAddress } = require("../../utils/registry");
+const { runDryRun } = require("../../utils/dryRun");
+const { sendWithGasStrategy } = require("../../utils/gasStrategy");
 
 /**
- * @notice Configurações globais do script
+ * @notice Configurações específicas do script
  * @type {Object}
  */
 const CONFIG = {
-  OUTPUT_DIR: "./deployments", // Diretório para salvar arquivos de saída
-  ADDRESS_FILE: "pair-addresses.json", // Arquivo para endereços do par
   LOG_FILE: "pair-deployment-logs.json", // Arquivo para logs detalhados
-  REQUIRED_CONFIRMATIONS: 1, // Número de confirmações para transações
-  GAS_SETTINGS: {
-    maxPriorityFeePerGas: ethers.parseUnits("2", "gwei"), // Taxa de prioridade
-    maxFeePerGas: ethers.parseUnits("50", "gwei") // Taxa máxima de gás
-  },
-  MINIMUM_BALANCE: ethers.parseEther("0.1"), // Saldo mínimo (0.1 ETH)
-  VALID_CHAIN_IDS: [31337, 80001, 137, 11155111, 1], // hardhat, localhost, mumbai, polygon, sepolia, mainnet
-  DEX_ADDRESSES_FILE: "deployments/dex-addresses.json", // Arquivo com endereços da DEX
-  TOKEN_ADDRESSES_FILE: "deployments/token-addresses.json" // Arquivo com endereços dos tokens
+  DEFAULT_TOKEN_A: "SPBToken", // Primeiro token padrão (nome no registro)
+  DEFAULT_TOKEN_B: "BPSToken" // Segundo token padrão (nome no registro)
 };
 
 /**
- * @notice Valida as variáveis de ambiente necessárias para redes de produção
- * @param {string} networkName - Nome da rede atual
- * @returns {Promise<boolean>} - Retorna true se todas as variáveis estiverem definidas
- * @throws {Error} - Lança erro se alguma variável obrigatória estiver ausente
+ * @notice Normaliza uma entrada do manifesto para `{ tokenA, tokenB }`
+ * @param {Object|string[]} entry - `{ tokenA, tokenB }` ou `[tokenA, tokenB]`
+ * @param {number} index - Posição da entrada no manifesto (para mensagens de erro)
+ * @returns {Object} - Par normalizado
+ * @throws {Error} - Lança erro se a entrada não tiver exatamente dois tokens
  */
-async function validateEnvVariables(networkName) {
-  const productionNetworks = ["mumbai", "polygon", "sepolia", "mainnet"];
-  if (productionNetworks.includes(networkName)) {
-    if (!process.env.PRIVATE_KEY) {
-      throw new Error(`Erro: Variável de ambiente PRIVATE_KEY não definida para a rede ${networkName}`);
-    }
+function normalizePairEntry(entry, index) {
+  const [tokenA, tokenB] = Array.isArray(entry) ? entry : [entry && entry.tokenA, entry && entry.tokenB];
+  if (typeof tokenA !== "string" || typeof tokenB !== "string" || (Array.isArray(entry) && entry.length !== 2)) {
+    throw new Error(`Entrada ${index} do manifesto inválida: informe tokenA e tokenB`);
   }
-  return true;
+  return { tokenA: tokenA.trim(), tokenB: tokenB.trim() };
 }
 
 /**
- * @notice Verifica se a rede atual é válida para criação do par
- * @param {Object} network - Objeto de configuração da rede
- * @returns {Promise<boolean>} - Retorna true se a rede for válida
- * @throws {Error} - Lança erro se a rede for inválida
- */
-async function validateNetwork(network) {
-  const chainId = Number(network.chainId);
-  if (!CONFIG.VALID_CHAIN_IDS.includes(chainId)) {
-    throw new Error(
-      `Rede inválida: ${network.name || "unknown"} (chainId: ${chainId}). ` +
-      `ChainIds permitidos: ${CONFIG.VALID_CHAIN_IDS.join(", ")}`
-    );
-  }
-  console.log(`✅ Rede validada: ${network.name || "unknown"} (chainId: ${chainId})`);
-  return true;
-}
-
-/**
- * @notice Verifica se a conta do deployer tem saldo suficiente
- * @param {ethers.Signer} deployer - Signer da conta que realizará a transação
- * @returns {Promise<boolean>} - Retorna true se o saldo for suficiente
- * @throws {Error} - Lança erro se o saldo for insuficiente
+ * @notice Lê um manifesto JSON de pares
+ * @dev Formatos aceitos: `[{ "tokenA": "SPBToken", "tokenB": "WETH" }, ["BPSToken", "0x..."]]`
+ *      ou `{ "pairs": [...] }`.
+ * @param {string} filePath - Caminho do manifesto
+ * @returns {Promise<Object[]>} - Lista de pares `{ tokenA, tokenB }`
+ * @throws {Error} - Lança erro se o manifesto estiver vazio ou malformado
  */
-async function checkDeployerBalance(deployer) {
-  const balance = await ethers.provider.getBalance(deployer.address);
-  if (balance < CONFIG.MINIMUM_BALANCE) {
-    throw new Error(
-      `Saldo insuficiente para deployer ${deployer.address}. ` +
-      `Saldo atual: ${ethers.formatEther(balance)} ETH, ` +
-      `Saldo mínimo necessário: ${ethers.formatEther(CONFIG.MINIMUM_BALANCE)} ETH`
-    );
+async function loadPairManifest(filePath) {
+  const manifest = await readJsonFile(path.resolve(filePath));
+  const entries = Array.isArray(manifest) ? manifest : manifest && manifest.pairs;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Manifesto ${filePath} não contém pares`);
   }
-  return true;
-}
-
-/**
- * @notice Valida os endereços dos contratos necessários
- * @param {Object} dexAddresses - Endereços da DEX
- * @param {Object} tokenAddresses - Endereços dos tokens
- * @returns {boolean} - Retorna true se os endereços forem válidos
- * @throws {Error} - Lança erro se algum endereço estiver ausente ou inválido
- */
-function validateContractAddresses(dexAddresses, tokenAddresses) {
-  if (!dexAddresses.UniswapV2Factory || !ethers.isAddress(dexAddresses.UniswapV2Factory)) {
-    throw new Error("Endereço UniswapV2Factory inválido ou ausente em dex-addresses.json");
-  }
-  if (!tokenAddresses.SPBToken || !ethers.isAddress(tokenAddresses.SPBToken)) {
-    throw new Error("Endereço SPBToken inválido ou ausente em token-addresses.json");
-  }
-  if (!tokenAddresses.BPSToken || !ethers.isAddress(tokenAddresses.BPSToken)) {
-    throw new Error("Endereço BPSToken inválido ou ausente em token-addresses.json");
-  }
-  return true;
+  return entries.map(normalizePairEntry);
 }
 
 /**
@@ -109,183 +76,186 @@ function validateContractAddresses(dexAddresses, tokenAddresses) {
  * @param {string} tokenA - Endereço do primeiro token
  * @param {string} tokenB - Endereço do segundo token
  * @param {ethers.Signer} deployer - Signer da conta que realizará a transação
- * @returns {Promise<Object>} - Objeto com endereço do par, hash da transação e detalhes
+ * @returns {Promise<Object>} - Endereço do par, hash da transação e se o par já existia
  */
 async function createPair(factory, tokenA, tokenB, deployer) {
-  console.log(`\n📝 Criando par ${tokenA}/${tokenB}...`);
-
   // Verifica se o par já existe
   const pairAddress = await factory.getPair(tokenA, tokenB);
   if (pairAddress !== ethers.ZeroAddress) {
     console.log(`⚠️ Par ${tokenA}/${tokenB} já existe em: ${pairAddress}`);
-    return { pairAddress, txHash: null, gasUsed: "0", blockNumber: null };
+    return { pairAddress, txHash: null, gasUsed: "0", blockNumber: null, existed: true };
   }
 
   // Cria o par
-  const tx = await factory.connect(deployer).createPair(tokenA, tokenB, CONFIG.GAS_SETTINGS);
-  const receipt = await tx.wait(CONFIG.REQUIRED_CONFIRMATIONS);
+  const tx = await sendWithGasStrategy(factory.connect(deployer).createPair, [tokenA, tokenB]);
+  const receipt = await waitForTx(tx);
 
   // Obtém o endereço do par criado
   const newPairAddress = await factory.getPair(tokenA, tokenB);
 
   console.log(`✅ Par criado em: ${newPairAddress}`);
-  console.log(`🔗 Hash da transação: ${tx.hash}`);
+  console.log(`🔗 Hash da transação: ${receipt.hash}`);
   console.log(`📍 Bloco: ${receipt.blockNumber}, Gás usado: ${receipt.gasUsed.toString()}`);
 
-  return { pairAddress: newPairAddress, txHash: tx.hash, gasUsed: receipt.gasUsed, blockNumber: receipt.blockNumber };
+  return {
+    pairAddress: newPairAddress,
+    txHash: receipt.hash,
+    gasUsed: receipt.gasUsed,
+    blockNumber: receipt.blockNumber,
+    existed: false
+  };
 }
 
 /**
- * @notice Salva os endereços do par em um arquivo JSON
- * @param {Object} pairData - Objeto com os endereços do par
- * @param {string} filePath - Caminho do arquivo de saída
- * @returns {Promise<void>}
+ * @notice Resolve, cria (se necessário) e registra um par
+ * @param {ethers.Contract} factory - Instância do contrato UniswapV2Factory
+ * @param {Object} pair - Par `{ tokenA, tokenB }` com nomes ou endereços
+ * @param {ethers.Signer} deployer - Signer da conta que realizará a transação
+ * @returns {Promise<Object>} - Dados do par para os logs
+ * @throws {Error} - Lança erro se algum token não tiver bytecode na rede
  */
-async function savePairAddresses(pairData, filePath) {
-  try {
-    await fs.mkdir(CONFIG.OUTPUT_DIR, { recursive: true });
-    await fs.writeFile(filePath, JSON.stringify(pairData, null, 2));
-    console.log(`✅ Endereços salvos em: ${filePath}`);
-  } catch (error) {
-    throw new Error(`Falha ao salvar endereços: ${error.message}`);
+async function processPair(factory, pair, deployer) {
+  console.log(`\n📝 Processando par ${pair.tokenA}/${pair.tokenB}...`);
+
+  const addressA = await resolveAddress(pair.tokenA);
+  const addressB = await resolveAddress(pair.tokenB);
+  const key = getPairKey(addressA, addressB);
+
+  for (const [label, address] of [[pair.tokenA, addressA], [pair.tokenB, addressB]]) {
+    if (!(await isContractDeployed(address))) {
+      throw new Error(`Token ${label} não possui bytecode em ${address}`);
+    }
   }
+
+  const result = await createPair(factory, addressA, addressB, deployer);
+
+  await recordDeployment(key, {
+    contractName: "UniswapV2Pair",
+    address: result.pairAddress,
+    txHash: result.txHash,
+    blockNumber: result.blockNumber
+  });
+
+  return {
+    key,
+    tokens: { tokenA: addressA, tokenB: addressB },
+    input: pair,
+    address: result.pairAddress,
+    existed: result.existed,
+    txHash: result.txHash,
+    blockNumber: result.blockNumber,
+    gasUsed: result.gasUsed.toString(),
+    bytecodeSize: getBytecodeSize(await ethers.provider.getCode(result.pairAddress))
+  };
 }
 
 /**
- * @notice Salva logs detalhados da criação do par em um arquivo JSON
- * @param {Object} logData - Objeto com informações detalhadas da criação
- * @returns {Promise<void>}
+ * @notice Define a lista de pares a processar a partir das opções
+ * @param {Object} options - Opções de execução de `main`
+ * @returns {Promise<Object[]>} - Lista de pares `{ tokenA, tokenB }`
  */
-async function saveDeploymentLogs(logData) {
-  try {
-    const filePath = path.join(CONFIG.OUTPUT_DIR, CONFIG.LOG_FILE);
-    await fs.mkdir(CONFIG.OUTPUT_DIR, { recursive: true });
-    
-    // Carrega logs existentes, se houver
-    let existingLogs = [];
-    try {
-      const existingData = await fs.readFile(filePath);
-      existingLogs = JSON.parse(existingData);
-      if (!Array.isArray(existingLogs)) {
-        existingLogs = [];
-      }
-    } catch (error) {
-      // Arquivo não existe ou está vazio, inicia com array vazio
-    }
-
-    // Adiciona novo log
-    existingLogs.push(logData);
-    await fs.writeFile(filePath, JSON.stringify(existingLogs, null, 2));
-    console.log(`✅ Logs salvos em: ${filePath}`);
-  } catch (error) {
-    throw new Error(`Falha ao salvar logs: ${error.message}`);
+async function resolvePairs(options) {
+  if (options.manifest) {
+    return loadPairManifest(options.manifest);
   }
+  return [normalizePairEntry({
+    tokenA: options.tokenA || CONFIG.DEFAULT_TOKEN_A,
+    tokenB: options.tokenB || CONFIG.DEFAULT_TOKEN_B
+  }, 0)];
 }
 
 /**
- * @notice Função principal para criação do par SPB/BPS
- * @returns {Promise<void>}
+ * @notice Função principal para criação de um ou mais pares
+ * @param {Object} [options] - Opções de execução
+ * @param {string} [options.tokenA] - Primeiro token (nome do registro, "WETH" ou endereço)
+ * @param {string} [options.tokenB] - Segundo token (nome do registro, "WETH" ou endereço)
+ * @param {string} [options.manifest] - Caminho de um manifesto JSON de pares (ignora tokenA/tokenB)
+ * @param {boolean} [options.dryRun] - Ensaia a execução em um fork local e exibe o plano e o custo (ver `scripts/utils/dryRun.js`)
+ * @param {string} [options.fork] - Rede do `hardhat.config.js` copiada pelo ensaio
+ * @returns {Promise<Object[]>} - Resultados por par
+ * @throws {Error} - Lança erro se algum par falhar (após processar os demais)
  */
-async function main() {
+async function main(options = {}) {
+  if (options.dryRun) {
+    return runDryRun(main, options);
+  }
+
   try {
     // Obtém o deployer e informações da rede
-    const [deployer] = await ethers.getSigners();
-    const network = await ethers.provider.getNetwork();
-    const networkName = hre.network.name || "unknown";
+    const context = await getNetworkContext();
+    const { deployer, networkName, chainId } = context;
+
+    const pairs = await resolvePairs(options);
 
-    console.log(`\n🚀 Iniciando criação do par SPB/BPS na rede: ${networkName} (chainId: ${network.chainId})`);
+    console.log(`\n🚀 Iniciando criação de ${pairs.length} par(es) na rede: ${networkName} (chainId: ${chainId})`);
     console.log(`👤 Deployer: ${deployer.address}`);
 
     // Validações iniciais
-    await validateEnvVariables(networkName);
-    await validateNetwork({ name: networkName, chainId: network.chainId });
-    await checkDeployerBalance(deployer);
+    const initialBalance = await runPreflightChecks(context);
 
-    // Obtém o saldo inicial do deployer
-    const initialBalance = await ethers.provider.getBalance(deployer.address);
-    console.log(`💰 Saldo inicial: ${ethers.formatEther(initialBalance)} ETH`);
+    // Conecta à UniswapV2Factory registrada
+    const factoryAddress = await getDeploymentAddress("UniswapV2Factory");
+    const factory = await ethers.getContractAt("UniswapV2Factory", factoryAddress, deployer);
 
-    // Carrega endereços
-    let dexAddresses, tokenAddresses;
-    try {
-      dexAddresses = JSON.parse(await fs.readFile(CONFIG.DEX_ADDRESSES_FILE));
-      tokenAddresses = JSON.parse(await fs.readFile(CONFIG.TOKEN_ADDRESSES_FILE));
-    } catch (error) {
-      throw new Error(`Falha ao carregar arquivos de endereços: ${error.message}`);
+    // Processa os pares individualmente para que uma falha não interrompa o lote
+    const results = [];
+    const failures = [];
+    for (const pair of pairs) {
+      try {
+        results.push(await processPair(factory, pair, deployer));
+      } catch (error) {
+        console.error(`❌ Falha no par ${pair.tokenA}/${pair.tokenB}:`, error.message);
+        failures.push({ input: pair, error: error.message });
+      }
     }
 
-    // Valida endereços
-    validateContractAddresses(dexAddresses, tokenAddresses);
-
-    // Conecta à UniswapV2Factory
-    const factory = await ethers.getContractAt("UniswapV2Factory", dexAddresses.UniswapV2Factory, deployer);
-
-    // Cria o par SPB/BPS
-    const pairResult = await createPair(factory, tokenAddresses.SPBToken, tokenAddresses.BPSToken, deployer);
-
-    // Coleta informações detalhadas da rede
-    const pairCode = await ethers.provider.getCode(pairResult.pairAddress);
-    const block = await ethers.provider.getBlock("latest");
-
     const logData = {
       timestamp: new Date().toISOString(),
-      network: {
-        name: networkName,
-        chainId: network.chainId.toString(),
-        blockNumber: block.number,
-        blockTimestamp: block.timestamp,
-        gasLimit: block.gasLimit.toString()
-      },
+      network: await collectNetworkInfo(networkName, chainId),
       deployer: {
         address: deployer.address,
         initialBalance: initialBalance.toString(),
         finalBalance: (await ethers.provider.getBalance(deployer.address)).toString()
       },
-      pair: {
-        tokens: {
-          tokenA: tokenAddresses.SPBToken,
-          tokenB: tokenAddresses.BPSToken
-        },
-        address: pairResult.pairAddress,
-        txHash: pairResult.txHash,
-        blockNumber: pairResult.blockNumber,
-        gasUsed: pairResult.gasUsed.toString(),
-        bytecodeSize: (pairCode.length - 2) / 2 // Remove '0x' e divide por 2 (bytes)
-      }
+      factory: factoryAddress,
+      manifest: options.manifest || null,
+      pairs: results,
+      failures
     };
 
-    // Salva os endereços do par
-    const pairData = {
-      SPB_BPS_Pair: pairResult.pairAddress,
-      network: networkName,
-      chainId: network.chainId.toString(),
-      timestamp: new Date().toISOString()
-    };
-    const addressFilePath = path.join(CONFIG.OUTPUT_DIR, CONFIG.ADDRESS_FILE);
-    await savePairAddresses(pairData, addressFilePath);
-
     // Salva os logs detalhados
-    await saveDeploymentLogs(logData);
+    await saveDeploymentLogs(logData, CONFIG.LOG_FILE);
 
     // Verifica o saldo final do deployer
-    const finalBalance = await ethers.provider.getBalance(deployer.address);
-    console.log(`💸 Saldo final: ${ethers.formatEther(finalBalance)} ETH`);
-    console.log(`📉 ETH gasto: ${ethers.formatEther(initialBalance - finalBalance)} ETH`);
+    await reportSpentBalance(deployer, initialBalance);
+
+    // Resumo
+    const created = results.filter((result) => !result.existed);
+    const existing = results.filter((result) => result.existed);
+    console.log(`\n📋 Pares criados: ${created.length}`);
+    created.forEach((result) => console.log(`   • ${result.key} → ${result.address}`));
+    console.log(`📋 Pares já existentes: ${existing.length}`);
+    existing.forEach((result) => console.log(`   • ${result.key} → ${result.address}`));
 
-    console.log("\n🎉 Criação do par SPB/BPS concluída com sucesso!");
+    if (failures.length > 0) {
+      throw new Error(`${failures.length} par(es) falharam: ${failures.map((f) => `${f.input.tokenA}/${f.input.tokenB}`).join(", ")}`);
+    }
+
+    console.log("\n🎉 Criação de pares concluída com sucesso!");
+    return results;
   } catch (error) {
-    console.error("❌ Erro durante a criação do par:", error.message);
+    console.error("❌ Erro durante a criação de pares:", error.message);
     throw error;
   }
 }
 
-// Executa a função principal e lida com erros
-main()
-  .then(() => {
-    console.log("✅ Script concluído.");
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error("❌ Falha no script:", error);
-    process.exit(1);
-  });
+module.exports = {
+  main,
+  normalizePairEntry,
+  loadPairManifest
+};
+
+// Executa a função principal quando chamado via `hardhat run`
+if (require.main === module) {
+  runMain(main);
+}
@@ -1,54 +1,88 @@
 /**
- * @file checkTokenBalances.js
- * @description Script para verificação de saldos dos tokens SPBToken e BPSToken.
- *              Inclui validações robustas, formatação de valores, logs detalhados
- *              e compatibilidade com Solidity 0.8.28. Otimizado para uso com Hardhat e ethers.js v6.
+ * @file saldoTokensBalance.js
+ * @description Relatório de carteira (portfolio) para várias contas: saldo nativo (ETH/MATIC/POL), tokens ERC-20
+ *              informados por nome do registro ou endereço, WETH9 e posições de LP em pares da factory, com a
+ *              parte de cada conta nas reservas. Todas as contas usam BigInt; as leituras são fixadas em um
+ *              bloco (o último ou o informado). Exibe uma tabela, exporta CSV/JSON e acrescenta um snapshot
+ *              compacto ao histórico de saldos (ver `balanceDiff.js`). As leituras são agregadas via Multicall3
+ *              (`scripts/utils/multicall.js`), em poucas chamadas RPC mesmo com milhares de contas. Com `holders`,
+ *              as contas incluem todos os detentores dos ativos, descobertos pelos eventos Transfer
+ *              (`scripts/utils/holderIndex.js`).
+ *              Compatível com Solidity 0.8.28. Otimizado para uso com Hardhat e ethers.js v6.
  * @author [Seu Nome ou Nome da Empresa]
- * @version 1.0.0
- * @date 2025-06-22
+ * @version 2.3.0
+ * @date 2025-06-29
  */
 
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const fs = require("fs").promises;
 const path = require("path");
+const { CONFIG: DEFAULTS, writeJsonFile, runMain } = require("../../utils/helpers");
+const { CONFIG: REGISTRY, getDeployment, getDeploymentAddress } = require("../../utils/registry");
+const { toSnapshot, appendSnapshot } = require("../../utils/balanceSnapshots");
+const { multicall, getBalances } = require("../../utils/multicall");
+const { indexHolders } = require("../../utils/holderIndex");
 
 /**
  * @notice Configurações globais do script
  * @type {Object}
  */
 const CONFIG = {
-  DEPLOYMENTS_DIR: "./deployments", // Diretório dos arquivos de implantação
-  ADDRESS_FILE: "token-addresses.json", // Arquivo com endereços dos contratos
-  BALANCE_LOG_FILE: "balance-check-logs.json", // Arquivo para logs de verificação
   DEFAULT_DECIMALS: 18, // Decimais padrão para tokens ERC20
-  BATCH_SIZE: 10, // Tamanho do lote para consultas em massa
-  RETRY_ATTEMPTS: 3, // Tentativas de reconexão em caso de falha
-  RETRY_DELAY: 1000 // Delay entre tentativas (ms)
+  DEFAULT_TOKENS: ["SPBToken", "BPSToken", "WETH9", "pairs"], // Ativos verificados quando nenhum é informado
+  PAIRS_KEYWORD: "pairs" // Expande para todos os pares da factory registrada
 };
 
 /**
- * @notice Carrega os endereços dos contratos do arquivo de implantação
- * @returns {Promise<Object>} - Objeto com os endereços dos contratos
- * @throws {Error} - Lança erro se o arquivo não for encontrado ou for inválido
+ * @notice Tipos de ativo do relatório
+ * @type {Object}
  */
-async function loadContractAddresses() {
-  try {
-    const filePath = path.join(CONFIG.DEPLOYMENTS_DIR, CONFIG.ADDRESS_FILE);
-    const fileContent = await fs.readFile(filePath, "utf8");
-    const addresses = JSON.parse(fileContent);
-    
-    if (!addresses.SPBToken || !addresses.BPSToken) {
-      throw new Error("Endereços dos contratos SPBToken ou BPSToken não encontrados no arquivo");
-    }
-    
-    console.log(`✅ Endereços carregados de: ${filePath}`);
-    console.log(`📍 SPBToken: ${addresses.SPBToken}`);
-    console.log(`📍 BPSToken: ${addresses.BPSToken}`);
-    
-    return addresses;
-  } catch (error) {
-    throw new Error(`Falha ao carregar endereços dos contratos: ${error.message}`);
-  }
+const ASSET_KINDS = {
+  NATIVE: "native",
+  ERC20: "erc20",
+  LP: "lp"
+};
+
+/**
+ * @notice ABI mínima para tokens ERC20
+ * @type {string[]}
+ */
+const TOKEN_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address owner) view returns (uint256)"
+];
+
+/**
+ * @notice ABI mínima dos pares (tokens LP)
+ * @type {string[]}
+ */
+const PAIR_ABI = [
+  ...TOKEN_ABI,
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)"
+];
+
+/**
+ * @notice ABI mínima da factory para enumerar os pares
+ * @type {string[]}
+ */
+const FACTORY_ABI = [
+  "function allPairsLength() view returns (uint256)",
+  "function allPairs(uint256) view returns (address)"
+];
+
+/**
+ * @notice Divide uma lista separada por vírgulas, descartando itens vazios
+ * @param {string} [value] - Lista separada por vírgulas
+ * @returns {string[]} - Itens sem espaços nas extremidades
+ */
+function parseList(value) {
+  return (value || "").split(",").map(item => item.trim()).filter(Boolean);
 }
 
 /**
@@ -61,235 +95,370 @@ function isValidAddress(address) {
 }
 
 /**
- * @notice Obtém uma instância do contrato de token
- * @param {string} tokenAddress - Endereço do contrato do token
- * @param {ethers.Signer} signer - Signer para interagir com o contrato
- * @returns {Promise<ethers.Contract>} - Instância do contrato
- */
-async function getTokenContract(tokenAddress, signer) {
-  // ABI mínima para tokens ERC20
-  const tokenABI = [
-    "function name() view returns (string)",
-    "function symbol() view returns (string)",
-    "function decimals() view returns (uint8)",
-    "function totalSupply() view returns (uint256)",
-    "function balanceOf(address owner) view returns (uint256)",
-    "function allowance(address owner, address spender) view returns (uint256)"
-  ];
-  
-  return new ethers.Contract(tokenAddress, tokenABI, signer);
-}
-
-/**
- * @notice Obtém informações básicas do token
- * @param {ethers.Contract} tokenContract - Contrato do token
- * @param {string} tokenName - Nome identificador do token (SPB ou BPS)
- * @returns {Promise<Object>} - Informações do token
+ * @notice Verifica se um contrato se comporta como um par (expõe `token0`)
+ * @param {string} address - Endereço do contrato
+ * @returns {Promise<boolean>} - true se for um par
  */
-async function getTokenInfo(tokenContract, tokenName) {
+async function isPairContract(address) {
   try {
-    const [name, symbol, decimals, totalSupply] = await Promise.all([
-      tokenContract.name(),
-      tokenContract.symbol(),
-      tokenContract.decimals(),
-      tokenContract.totalSupply()
-    ]);
-    
-    return {
-      name: name,
-      symbol: symbol,
-      decimals: Number(decimals),
-      totalSupply: totalSupply.toString(),
-      totalSupplyFormatted: ethers.formatUnits(totalSupply, decimals),
-      address: await tokenContract.getAddress()
-    };
+    await new ethers.Contract(address, PAIR_ABI, ethers.provider).token0();
+    return true;
   } catch (error) {
-    throw new Error(`Falha ao obter informações do token ${tokenName}: ${error.message}`);
+    return false;
   }
 }
 
 /**
- * @notice Verifica o saldo de um token para um endereço específico
- * @param {ethers.Contract} tokenContract - Contrato do token
- * @param {string} address - Endereço da conta
- * @param {number} decimals - Decimais do token
- * @returns {Promise<Object>} - Saldo em wei e formatado
+ * @notice Lista os pares da factory registrada
+ * @returns {Promise<string[]>} - Endereços dos pares, na ordem de `allPairs`
+ * @throws {Error} - Lança erro se a factory não estiver registrada para esta rede
  */
-async function checkTokenBalance(tokenContract, address, decimals) {
-  try {
-    const balance = await tokenContract.balanceOf(address);
-    return {
-      raw: balance.toString(),
-      formatted: ethers.formatUnits(balance, decimals),
-      address: address
-    };
-  } catch (error) {
-    throw new Error(`Falha ao verificar saldo para ${address}: ${error.message}`);
-  }
+async function listFactoryPairs() {
+  const factory = new ethers.Contract(await getDeploymentAddress("UniswapV2Factory"), FACTORY_ABI, ethers.provider);
+  const length = Number(await factory.allPairsLength());
+  return multicall(Array.from({ length }, (_, index) => ({
+    target: factory.target,
+    interface: factory.interface,
+    method: "allPairs",
+    args: [index]
+  })));
 }
 
 /**
- * @notice Verifica saldos de múltiplos endereços para um token
- * @param {ethers.Contract} tokenContract - Contrato do token
- * @param {string[]} addresses - Array de endereços
- * @param {number} decimals - Decimais do token
- * @returns {Promise<Object[]>} - Array com saldos de cada endereço
+ * @notice Resolve os ativos do relatório a partir de nomes do registro, endereços ou `pairs`
+ * @dev O saldo nativo vem sempre primeiro. Sem lista explícita, usa `DEFAULT_TOKENS` e ignora (com aviso) os
+ *      que não estiverem registrados; com lista explícita, um nome ausente interrompe o relatório.
+ * @param {string} [tokens] - Lista separada por vírgulas (padrão: `DEFAULT_TOKENS`)
+ * @returns {Promise<Object[]>} - Ativos `{ kind, key, address }`, sem endereços repetidos
+ * @throws {Error} - Lança erro se algum ativo informado não puder ser resolvido
  */
-async function checkMultipleBalances(tokenContract, addresses, decimals) {
-  const balances = [];
-  
-  for (let i = 0; i < addresses.length; i += CONFIG.BATCH_SIZE) {
-    const batch = addresses.slice(i, i + CONFIG.BATCH_SIZE);
-    const batchPromises = batch.map(address => 
-      checkTokenBalance(tokenContract, address, decimals)
-    );
-    
+async function resolveAssets(tokens) {
+  const strict = Boolean(tokens);
+  const assets = [{ kind: ASSET_KINDS.NATIVE, key: "native", address: null }];
+  const seen = new Set();
+
+  const add = async (key, address, contractName) => {
+    const normalized = ethers.getAddress(address);
+    if (seen.has(normalized)) {
+      return;
+    }
+    seen.add(normalized);
+    const lp = contractName ? contractName === "UniswapV2Pair" : await isPairContract(normalized);
+    assets.push({ kind: lp ? ASSET_KINDS.LP : ASSET_KINDS.ERC20, key, address: normalized });
+  };
+
+  for (const item of parseList(tokens || CONFIG.DEFAULT_TOKENS.join(","))) {
     try {
-      const batchResults = await Promise.all(batchPromises);
-      balances.push(...batchResults);
-      console.log(`✅ Processado lote ${Math.floor(i / CONFIG.BATCH_SIZE) + 1}/${Math.ceil(addresses.length / CONFIG.BATCH_SIZE)}`);
+      if (item === CONFIG.PAIRS_KEYWORD) {
+        for (const pair of await listFactoryPairs()) {
+          await add(pair, pair, "UniswapV2Pair");
+        }
+      } else if (isValidAddress(item)) {
+        await add(item, item);
+      } else {
+        const name = REGISTRY.ALIASES[item.toUpperCase()] || item;
+        const deployment = await getDeployment(name);
+        await add(item, deployment.address, deployment.contractName || name);
+      }
     } catch (error) {
-      console.warn(`⚠️ Erro no lote ${Math.floor(i / CONFIG.BATCH_SIZE) + 1}: ${error.message}`);
+      if (strict) {
+        throw new Error(`Falha ao resolver o ativo ${item}: ${error.message}`);
+      }
+      console.warn(`⚠️ ${item} ignorado: ${error.message}`);
     }
   }
-  
-  return balances;
+  return assets;
 }
 
 /**
  * @notice Obtém lista de endereços para verificação
+ * @param {string} [extraAddresses] - Endereços adicionais separados por vírgula; usa `CHECK_ADDRESSES` se omitido
  * @returns {Promise<string[]>} - Array de endereços válidos
  */
-async function getAddressesToCheck() {
+async function getAddressesToCheck(extraAddresses = process.env.CHECK_ADDRESSES) {
   const [deployer] = await ethers.getSigners();
   const addresses = [deployer.address];
-  
-  // Adiciona endereços das variáveis de ambiente se estiverem definidas
-  if (process.env.CHECK_ADDRESSES) {
-    const envAddresses = process.env.CHECK_ADDRESSES.split(",")
-      .map(addr => addr.trim())
-      .filter(addr => isValidAddress(addr));
-    addresses.push(...envAddresses);
+
+  // Adiciona endereços informados, ignorando os inválidos
+  for (const addr of parseList(extraAddresses)) {
+    if (isValidAddress(addr)) {
+      addresses.push(ethers.getAddress(addr));
+    } else {
+      console.warn(`⚠️ Endereço inválido ignorado: ${addr}`);
+    }
   }
-  
+
   // Remove duplicatas
   return [...new Set(addresses)];
 }
 
 /**
- * @notice Salva logs da verificação de saldos
- * @param {Object} logData - Dados do log
- * @returns {Promise<void>}
+ * @notice Descobre os detentores dos ativos do relatório pelos eventos Transfer (ver `holderIndex.js`)
+ * @param {Object[]} assets - Ativos de `resolveAssets` (o saldo nativo é ignorado)
+ * @param {number} blockTag - Bloco do relatório
+ * @returns {Promise<string[]>} - Contas com saldo em algum dos ativos, sem repetição
  */
-async function saveBalanceCheckLogs(logData) {
+async function discoverHolders(assets, blockTag) {
+  const holders = new Set();
+  for (const asset of assets.filter((entry) => entry.address)) {
+    const index = await indexHolders(asset.address, { toBlock: blockTag });
+    console.log(`🔎 ${asset.key}: ${index.holders.length} detentor(es) (${index.scannedBlocks} bloco(s) novos varridos)`);
+    index.holders.forEach((holder) => holders.add(holder.account));
+  }
+  return [...holders];
+}
+
+/**
+ * @notice Lê os metadados de um token ERC20 no bloco do relatório
+ * @param {string} address - Endereço do token
+ * @param {number} blockTag - Bloco das leituras
+ * @returns {Promise<Object>} - `{ name, symbol, decimals, totalSupply }`
+ * @throws {Error} - Lança erro se o contrato não responder como ERC20
+ */
+async function getTokenInfo(address, blockTag) {
+  const iface = new ethers.Interface(TOKEN_ABI);
   try {
-    const filePath = path.join(CONFIG.DEPLOYMENTS_DIR, CONFIG.BALANCE_LOG_FILE);
-    await fs.mkdir(CONFIG.DEPLOYMENTS_DIR, { recursive: true });
-    
-    // Carrega logs existentes
-    let existingLogs = [];
-    try {
-      const existingData = await fs.readFile(filePath, "utf8");
-      existingLogs = JSON.parse(existingData);
-      if (!Array.isArray(existingLogs)) {
-        existingLogs = [];
-      }
-    } catch (error) {
-      // Arquivo não existe, inicia com array vazio
-    }
-    
-    // Adiciona novo log
-    existingLogs.push(logData);
-    await fs.writeFile(filePath, JSON.stringify(existingLogs, null, 2));
-    console.log(`✅ Logs salvos em: ${filePath}`);
+    const [name, symbol, decimals, totalSupply] = await multicall([
+      { target: address, interface: iface, method: "name" },
+      { target: address, interface: iface, method: "symbol" },
+      { target: address, interface: iface, method: "decimals", allowFailure: true },
+      { target: address, interface: iface, method: "totalSupply" }
+    ], { blockTag });
+    return { name, symbol, decimals: Number(decimals ?? CONFIG.DEFAULT_DECIMALS), totalSupply };
   } catch (error) {
-    console.warn(`⚠️ Falha ao salvar logs: ${error.message}`);
+    throw new Error(`Falha ao obter informações do token ${address}: ${error.message}`);
+  }
+}
+
+/**
+ * @notice Lê os metadados de um par: tokens subjacentes e reservas
+ * @param {string} address - Endereço do par
+ * @param {number} blockTag - Bloco das leituras
+ * @returns {Promise<Object>} - Metadados do token LP mais `tokens: [{ address, symbol, decimals, reserve }, ...]`
+ */
+async function getPairInfo(address, blockTag) {
+  const iface = new ethers.Interface(PAIR_ABI);
+  const [info, [token0, token1, reserves]] = await Promise.all([
+    getTokenInfo(address, blockTag),
+    multicall(["token0", "token1", "getReserves"].map((method) => ({ target: address, interface: iface, method })), { blockTag })
+  ]);
+  const tokens = await Promise.all([token0, token1].map(async (tokenAddress, index) => {
+    const { symbol, decimals } = await getTokenInfo(tokenAddress, blockTag);
+    return { address: tokenAddress, symbol, decimals, reserve: reserves[index] };
+  }));
+  return { ...info, symbol: `LP ${tokens[0].symbol}/${tokens[1].symbol}`, tokens };
+}
+
+/**
+ * @notice Parte de cada conta nas reservas de um par, proporcional ao saldo de LP
+ * @param {bigint[]} balances - Saldos de LP por conta
+ * @param {bigint} totalSupply - Supply do token LP
+ * @param {bigint[]} reserves - `[reserve0, reserve1]`
+ * @returns {bigint[][]} - `[amount0, amount1]` por conta (arredondado para baixo, como em `burn`)
+ */
+function computeUnderlying(balances, totalSupply, reserves) {
+  return balances.map((balance) =>
+    reserves.map((reserve) => (totalSupply === 0n ? 0n : (balance * reserve) / totalSupply))
+  );
+}
+
+/**
+ * @notice Monta o relatório de carteira
+ * @param {Object[]} assets - Resultado de `resolveAssets`
+ * @param {string[]} accounts - Contas
+ * @param {Object} [options] - `blockTag` (padrão: último bloco) e `nativeSymbol`
+ * @returns {Promise<Object>} - `{ blockNumber, accounts, assets }`; cada ativo traz `balances` e `total` (bigint)
+ */
+async function buildPortfolio(assets, accounts, options = {}) {
+  const blockNumber = options.blockTag ?? await ethers.provider.getBlockNumber();
+  const report = { blockNumber, accounts, assets: [] };
+
+  for (const asset of assets) {
+    let info;
+    if (asset.kind === ASSET_KINDS.NATIVE) {
+      info = { name: "Native", symbol: options.nativeSymbol || "ETH", decimals: 18, totalSupply: null };
+    } else if (asset.kind === ASSET_KINDS.LP) {
+      info = await getPairInfo(asset.address, blockNumber);
+    } else {
+      info = await getTokenInfo(asset.address, blockNumber);
+    }
+
+    const balances = await getBalances(asset.address, accounts, { blockTag: blockNumber });
+    const entry = {
+      ...asset,
+      ...info,
+      balances,
+      total: balances.reduce((sum, balance) => sum + balance, 0n),
+      holders: balances.filter((balance) => balance > 0n).length
+    };
+    if (asset.kind === ASSET_KINDS.LP) {
+      entry.underlying = computeUnderlying(balances, info.totalSupply, info.tokens.map((token) => token.reserve));
+    }
+    report.assets.push(entry);
+  }
+  return report;
+}
+
+/**
+ * @notice Abrevia um endereço para a tabela
+ * @param {string} address - Endereço
+ * @returns {string} - Ex.: 0xf39F…2266
+ */
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+/**
+ * @notice Monta a tabela do relatório: uma linha por ativo, uma coluna por conta e o total
+ * @param {Object} report - Resultado de `buildPortfolio`
+ * @returns {string} - Tabela em texto com colunas alinhadas
+ */
+function renderTable(report) {
+  const header = ["Ativo", ...report.accounts.map(shortAddress), "Total"];
+  const rows = report.assets.map((asset) => [
+    asset.symbol,
+    ...[...asset.balances, asset.total].map((value) => ethers.formatUnits(value, asset.decimals))
+  ]);
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  const line = (cells) => cells.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join("  ");
+  return [line(header), widths.map((width) => "-".repeat(width)).join("  "), ...rows.map(line)].join("\n");
+}
+
+/**
+ * @notice Escapa um campo CSV
+ * @param {*} value - Valor do campo
+ * @returns {string} - Campo entre aspas quando necessário
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * @notice Converte o relatório em CSV: uma linha por conta e ativo, mais a linha TOTAL de cada ativo
+ * @dev Valores brutos em unidades mínimas; `formatted` traz o valor decimal exato. Para LP, `underlying0/1`
+ *      são as quantidades dos tokens do par correspondentes ao saldo.
+ * @param {Object} report - Resultado de `buildPortfolio`
+ * @returns {string} - Conteúdo CSV
+ */
+function toCsv(report) {
+  const lines = [["account", "asset", "symbol", "address", "decimals", "raw", "formatted", "underlying0", "underlying1"]];
+  for (const asset of report.assets) {
+    const rows = report.accounts.map((account, index) => [
+      account,
+      asset.balances[index],
+      asset.underlying ? asset.underlying[index] : []
+    ]);
+    const totalUnderlying = asset.underlying
+      ? [0, 1].map((side) => asset.underlying.reduce((sum, amounts) => sum + amounts[side], 0n))
+      : [];
+    rows.push(["TOTAL", asset.total, totalUnderlying]);
+
+    for (const [account, raw, underlying] of rows) {
+      lines.push([
+        account,
+        asset.key,
+        asset.symbol,
+        asset.address || "",
+        asset.decimals,
+        raw,
+        ethers.formatUnits(raw, asset.decimals),
+        underlying[0] ?? "",
+        underlying[1] ?? ""
+      ]);
+    }
   }
+  return `${lines.map((line) => line.map(csvField).join(",")).join("\n")}\n`;
 }
 
 /**
- * @notice Formata e exibe os resultados da verificação
- * @param {Object} tokenInfo - Informações do token
- * @param {Object[]} balances - Array com saldos
- * @param {string} tokenName - Nome do token
+ * @notice Exibe o relatório: tabela, composição das posições de LP e estatísticas
+ * @param {Object} report - Resultado de `buildPortfolio`
  */
-function displayResults(tokenInfo, balances, tokenName) {
-  console.log(`\n📊 === RESULTADOS ${tokenName} ===`);
-  console.log(`🏷️  Nome: ${tokenInfo.name}`);
-  console.log(`🔤 Símbolo: ${tokenInfo.symbol}`);
-  console.log(`🔢 Decimais: ${tokenInfo.decimals}`);
-  console.log(`📈 Supply Total: ${tokenInfo.totalSupplyFormatted} ${tokenInfo.symbol}`);
-  console.log(`📍 Endereço: ${tokenInfo.address}`);
-  
-  console.log(`\n💰 SALDOS:`);
-  balances.forEach((balance, index) => {
-    const hasBalance = parseFloat(balance.formatted) > 0;
-    const icon = hasBalance ? "💵" : "💸";
-    console.log(`${icon} ${balance.address}: ${balance.formatted} ${tokenInfo.symbol}`);
-  });
-  
-  // Calcula estatísticas
-  const totalBalance = balances.reduce((sum, balance) => {
-    return sum + parseFloat(balance.formatted);
-  }, 0);
-  
-  const accountsWithBalance = balances.filter(balance => 
-    parseFloat(balance.formatted) > 0
-  ).length;
-  
+function displayResults(report) {
+  console.log(`\n📊 === CARTEIRA (bloco ${report.blockNumber}) ===`);
+  console.log(renderTable(report));
+
+  for (const asset of report.assets.filter((entry) => entry.kind === ASSET_KINDS.LP)) {
+    console.log(`\n💧 ${asset.symbol} (${asset.address})`);
+    report.accounts.forEach((account, index) => {
+      if (asset.balances[index] > 0n) {
+        const [amount0, amount1] = asset.underlying[index];
+        const [token0, token1] = asset.tokens;
+        console.log(
+          `   ${account}: ${ethers.formatUnits(amount0, token0.decimals)} ${token0.symbol} + ` +
+          `${ethers.formatUnits(amount1, token1.decimals)} ${token1.symbol}`
+        );
+      }
+    });
+  }
+
   console.log(`\n📈 ESTATÍSTICAS:`);
-  console.log(`🔢 Total de contas verificadas: ${balances.length}`);
-  console.log(`💰 Contas com saldo: ${accountsWithBalance}`);
-  console.log(`📊 Saldo total verificado: ${totalBalance.toFixed(6)} ${tokenInfo.symbol}`);
+  console.log(`🔢 Contas verificadas: ${report.accounts.length}`);
+  for (const asset of report.assets) {
+    console.log(`💰 ${asset.symbol}: ${asset.holders} conta(s) com saldo, total ${ethers.formatUnits(asset.total, asset.decimals)}`);
+  }
 }
 
 /**
- * @notice Função principal para verificação de saldos
+ * @notice Acrescenta o relatório ao histórico de snapshots de saldos
+ * @dev Falhas de gravação não interrompem o relatório.
+ * @param {Object} report - Resultado de `buildPortfolio`
+ * @param {Object} network - `{ name, chainId }`
  * @returns {Promise<void>}
  */
-async function main() {
+async function saveBalanceSnapshot(report, network) {
+  try {
+    const filePath = await appendSnapshot(toSnapshot(report, network));
+    console.log(`✅ Snapshot do bloco ${report.blockNumber} salvo em: ${filePath}`);
+  } catch (error) {
+    console.warn(`⚠️ Falha ao salvar o snapshot: ${error.message}`);
+  }
+}
+
+/**
+ * @notice Função principal do relatório de carteira
+ * @param {Object} [options] - Opções de execução
+ * @param {string} [options.addresses] - Endereços adicionais separados por vírgula
+ * @param {string} [options.tokens] - Ativos separados por vírgula: nomes do registro, endereços ou `pairs`
+ * @param {string} [options.csv] - Caminho do CSV a exportar
+ * @param {string} [options.json] - Caminho do JSON a exportar
+ * @param {number|string} [options.block] - Bloco das leituras (padrão: último bloco)
+ * @param {boolean} [options.holders] - Inclui todos os detentores dos ativos, descobertos pelos eventos Transfer
+ * @returns {Promise<Object>} - Relatório (ver `buildPortfolio`)
+ */
+async function main(options = {}) {
   try {
     // Obtém informações da rede
     const network = await ethers.provider.getNetwork();
     const networkName = hre.network.name || "unknown";
     const [signer] = await ethers.getSigners();
-    
-    console.log(`\n🔍 Iniciando verificação de saldos na rede: ${networkName} (chainId: ${network.chainId})`);
+
+    console.log(`\n🔍 Iniciando relatório de carteira na rede: ${networkName} (chainId: ${network.chainId})`);
     console.log(`👤 Conta conectada: ${signer.address}`);
-    
-    // Carrega endereços dos contratos
-    const contractAddresses = await loadContractAddresses();
-    
+
+    const assets = await resolveAssets(options.tokens);
+    assets.filter((asset) => asset.address).forEach((asset) => console.log(`📍 ${asset.key}: ${asset.address}`));
+
+    // Fixa o bloco antes da descoberta de detentores, para que ela e as leituras vejam o mesmo estado
+    const blockTag = options.block === undefined ? await ethers.provider.getBlockNumber() : Number(options.block);
+
     // Obtém endereços para verificação
-    const addressesToCheck = await getAddressesToCheck();
-    console.log(`📋 Endereços a verificar: ${addressesToCheck.length}`);
-    addressesToCheck.forEach((addr, index) => {
+    let accounts = await getAddressesToCheck(options.addresses);
+    if (options.holders) {
+      accounts = [...new Set([...accounts, ...await discoverHolders(assets, blockTag)])];
+    }
+    console.log(`📋 Endereços a verificar: ${accounts.length}`);
+    accounts.forEach((addr, index) => {
       console.log(`   ${index + 1}. ${addr}`);
     });
-    
-    // Obtém contratos dos tokens
-    const spbContract = await getTokenContract(contractAddresses.SPBToken, signer);
-    const bpsContract = await getTokenContract(contractAddresses.BPSToken, signer);
-    
-    // Obtém informações dos tokens
-    console.log(`\n📡 Obtendo informações dos tokens...`);
-    const [spbInfo, bpsInfo] = await Promise.all([
-      getTokenInfo(spbContract, "SPB"),
-      getTokenInfo(bpsContract, "BPS")
-    ]);
-    
-    // Verifica saldos
-    console.log(`\n🔍 Verificando saldos...`);
-    const [spbBalances, bpsBalances] = await Promise.all([
-      checkMultipleBalances(spbContract, addressesToCheck, spbInfo.decimals),
-      checkMultipleBalances(bpsContract, addressesToCheck, bpsInfo.decimals)
-    ]);
-    
-    // Exibe resultados
-    displayResults(spbInfo, spbBalances, "SPBToken");
-    displayResults(bpsInfo, bpsBalances, "BPSToken");
-    
-    // Prepara dados para log
+
+    const report = await buildPortfolio(assets, accounts, {
+      blockTag,
+      nativeSymbol: DEFAULTS.NATIVE_SYMBOLS[network.chainId.toString()]
+    });
+    displayResults(report);
+
     const logData = {
       timestamp: new Date().toISOString(),
       network: {
@@ -297,39 +466,42 @@ async function main() {
         chainId: network.chainId.toString()
       },
       signer: signer.address,
-      addressesChecked: addressesToCheck.length,
-      tokens: {
-        SPBToken: {
-          ...spbInfo,
-          balances: spbBalances,
-          totalCheckedBalance: spbBalances.reduce((sum, b) => sum + parseFloat(b.formatted), 0)
-        },
-        BPSToken: {
-          ...bpsInfo,
-          balances: bpsBalances,
-          totalCheckedBalance: bpsBalances.reduce((sum, b) => sum + parseFloat(b.formatted), 0)
-        }
-      }
+      ...report
     };
-    
-    // Salva logs
-    await saveBalanceCheckLogs(logData);
-    
-    console.log(`\n🎉 Verificação de saldos concluída com sucesso!`);
-    
+
+    if (options.csv) {
+      await fs.mkdir(path.dirname(options.csv), { recursive: true });
+      await fs.writeFile(options.csv, toCsv(report));
+      console.log(`📄 CSV exportado em: ${options.csv}`);
+    }
+    if (options.json) {
+      await writeJsonFile(options.json, logData);
+      console.log(`📄 JSON exportado em: ${options.json}`);
+    }
+
+    // Acrescenta o snapshot ao histórico
+    await saveBalanceSnapshot(report, logData.network);
+
+    console.log(`\n🎉 Relatório de carteira concluído com sucesso!`);
+    return report;
   } catch (error) {
     console.error("❌ Erro durante a verificação de saldos:", error.message);
     throw error;
   }
 }
 
-// Executa a função principal e lida com erros
-main()
-  .then(() => {
-    console.log("✅ Script de verificação concluído.");
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error("❌ Falha no script:", error);
-    process.exit(1);
-  });
+module.exports = {
+  CONFIG,
+  ASSET_KINDS,
+  resolveAssets,
+  buildPortfolio,
+  computeUnderlying,
+  renderTable,
+  toCsv,
+  main
+};
+
+// Executa a função principal quando chamado via `hardhat run`
+if (require.main === module) {
+  runMain(main, "✅ Script de verificação concluído.");
+}
@@ -0,0 +1,95 @@
+/**
+ * @file verifyContracts.js
+ * @description Verifica (ou reverifica) no explorador de blocos todos os contratos do registro da rede conectada,
+ *              usando o nome do artefato e os argumentos de construtor gravados na implantação. Útil quando a
+ *              verificação automática dos scripts de implantação falhou ou foi desativada.
+ *              O status de cada contrato é gravado em `deployments/verification-logs.json`.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const hre = require("hardhat");
+const { CONFIG: DEFAULTS, saveDeploymentLogs, runMain } = require("../utils/helpers");
+const { resolveTag, getConnectedChainId, listDeployments } = require("../utils/registry");
+const { STATUS, verifyContract } = require("../utils/verification");
+
+/**
+ * @notice Configurações específicas do script
+ * @type {Object}
+ */
+const CONFIG = {
+  LOG_FILE: "verification-logs.json" // Arquivo para o status das verificações
+};
+
+/**
+ * @notice Seleciona as entradas do registro a verificar
+ * @param {Object} deployments - Mapa nome → entrada do registro
+ * @param {string} [contracts] - Nomes separados por vírgula (padrão: todos)
+ * @returns {Object[]} - Entradas com `name`
+ * @throws {Error} - Lança erro se algum nome pedido não estiver no registro
+ */
+function selectDeployments(deployments, contracts) {
+  const names = contracts ? contracts.split(",").map((name) => name.trim()).filter(Boolean) : Object.keys(deployments);
+  const missing = names.filter((name) => !deployments[name]);
+  if (missing.length > 0) {
+    throw new Error(`Contratos ausentes no registro: ${missing.join(", ")}`);
+  }
+  return names.map((name) => ({ name, ...deployments[name] }));
+}
+
+/**
+ * @notice Função principal: verifica os contratos registrados e falha se alguma verificação falhar
+ * @param {Object} [options] - Opções
+ * @param {string} [options.tag] - Tag do registro (padrão: `DEPLOYMENT_TAG` ou "default")
+ * @param {string} [options.registryDir] - Diretório do registro
+ * @param {string} [options.contracts] - Nomes do registro separados por vírgula (padrão: todos)
+ * @param {string} [options.outputDir=DEFAULTS.OUTPUT_DIR] - Diretório do arquivo de logs
+ * @param {Object} [options.explorer] - `{ apiURL, browserURL, apiKey }`, repassado a `verifyContract`
+ * @returns {Promise<Object>} - Mapa nome → resultado de `verifyContract`
+ * @throws {Error} - Lança erro se alguma verificação falhar
+ */
+async function main(options = {}) {
+  const tag = resolveTag(options.tag);
+  console.log(`\n🔎 Verificando contratos do registro na rede: ${hre.network.name} (tag: ${tag})`);
+
+  const deployments = await listDeployments({ tag: options.tag, registryDir: options.registryDir });
+  const selected = selectDeployments(deployments, options.contracts);
+  if (selected.length === 0) {
+    console.log("ℹ️  Nenhum contrato registrado para esta rede e tag.");
+  }
+
+  const results = {};
+  for (const entry of selected) {
+    results[entry.name] = await verifyContract(entry, options);
+  }
+
+  await saveDeploymentLogs({
+    timestamp: new Date().toISOString(),
+    network: { name: hre.network.name, chainId: await getConnectedChainId() },
+    tag,
+    contracts: Object.fromEntries(selected.map((entry) => [
+      entry.name,
+      { address: entry.address, contractName: entry.contractName, verification: results[entry.name] }
+    ]))
+  }, CONFIG.LOG_FILE, options.outputDir || DEFAULTS.OUTPUT_DIR);
+
+  const counts = Object.values(results).reduce((acc, result) => ({ ...acc, [result.status]: (acc[result.status] || 0) + 1 }), {});
+  console.log(`\n📋 ${Object.entries(counts).map(([status, count]) => `${status}: ${count}`).join(", ") || "nada a verificar"}`);
+
+  const failed = Object.keys(results).filter((name) => results[name].status === STATUS.FAILED);
+  if (failed.length > 0) {
+    throw new Error(`Falha na verificação de: ${failed.join(", ")}`);
+  }
+  return results;
+}
+
+module.exports = {
+  main,
+  selectDeployments
+};
+
+// Executa a função principal quando chamado via `hardhat run`
+if (require.main === module) {
+  runMain(main);
+}
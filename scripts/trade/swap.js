@@ -0,0 +1,469 @@
+/**
+ * @file swap.js
+ * @description Script de swap contra a DEX implantada via UniswapV2Router02.
+ *              Cota com `getAmountsOut`/`getAmountsIn`, suporta entrada exata e saída exata, pernas em ETH
+ *              nativo via WETH9, rotas com múltiplos saltos pelos pares da factory, tolerância de slippage
+ *              e prazo configuráveis, e um modo `dryRun` que simula com `staticCall` e exibe o impacto
+ *              no preço antes de enviar a transação.
+ *              Compatível com Solidity 0.8.28. Otimizado para uso com Hardhat e ethers.js v6.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-28
+ */
+
+const { ethers } = require("hardhat");
+const {
+  CONFIG: DEFAULTS,
+  ERC20_ABI,
+  waitForTx,
+  applySlippage,
+  addSlippage,
+  getDeadline,
+  ensureAllowance,
+  saveDeploymentLogs,
+  getNetworkContext,
+  runPreflightChecks,
+  collectNetworkInfo,
+  runMain
+} = require("../utils/helpers");
+const { getDeploymentAddress, resolveAddress } = require("../utils/registry");
+const {
+  detectTransferTaxes,
+  pathHasTransferTax,
+  getSwapMethod,
+  quoteExactInWithTax
+} = require("../utils/feeOnTransfer");
+const { getGasOverrides, sendWithGasStrategy } = require("../utils/gasStrategy");
+
+/**
+ * @notice Configurações específicas do script
+ * @type {Object}
+ */
+const CONFIG = {
+  LOG_FILE: "swap-logs.json", // Arquivo para logs detalhados
+  NATIVE_SYMBOL: "ETH", // Entrada que representa o ETH nativo
+  DEFAULT_SLIPPAGE_BPS: 50, // Tolerância de slippage padrão (0,5%)
+  DEFAULT_DEADLINE_SECONDS: 20 * 60, // Prazo das transações do roteador (20 minutos)
+  MAX_HOPS: 3, // Número máximo de pares em uma rota descoberta automaticamente
+  MAX_PAIRS_SCAN: 500, // Limite de pares lidos da factory para montar o grafo de rotas
+  FEE_NUMERATOR: 997n, // Taxa de 0,3% dos pares (997/1000)
+  FEE_DENOMINATOR: 1000n,
+  PRICE_IMPACT_WARNING_BPS: 500n // Alerta a partir de 5% de impacto no preço
+};
+
+/**
+ * @notice Resolve um token de entrada/saída do swap
+ * @param {string} value - "ETH" (nativo), nome no registro, "WETH" ou endereço
+ * @param {string} wethAddress - Endereço do WETH do roteador
+ * @returns {Promise<Object>} - `{ address, native }`
+ */
+async function resolveSwapToken(value, wethAddress) {
+  if (value.toUpperCase() === CONFIG.NATIVE_SYMBOL) {
+    return { address: wethAddress, native: true };
+  }
+  return { address: await resolveAddress(value), native: false };
+}
+
+/**
+ * @notice Lê os pares da factory e monta o grafo de adjacência entre tokens
+ * @param {ethers.Contract} factory - Instância da UniswapV2Factory
+ * @returns {Promise<Map<string, Set<string>>>} - Token → tokens com par direto
+ */
+async function loadPairGraph(factory) {
+  const total = Number(await factory.allPairsLength());
+  const count = Math.min(total, CONFIG.MAX_PAIRS_SCAN);
+  if (total > count) {
+    console.warn(`⚠️ Factory possui ${total} pares; apenas os ${count} primeiros são considerados nas rotas.`);
+  }
+
+  const graph = new Map();
+  const link = (a, b) => {
+    if (!graph.has(a)) {
+      graph.set(a, new Set());
+    }
+    graph.get(a).add(b);
+  };
+
+  for (let i = 0; i < count; i++) {
+    const pair = await ethers.getContractAt("UniswapV2Pair", await factory.allPairs(i));
+    const token0 = ethers.getAddress(await pair.token0());
+    const token1 = ethers.getAddress(await pair.token1());
+    link(token0, token1);
+    link(token1, token0);
+  }
+  return graph;
+}
+
+/**
+ * @notice Encontra todas as rotas simples entre dois tokens
+ * @param {Map<string, Set<string>>} graph - Grafo de `loadPairGraph`
+ * @param {string} from - Token de entrada
+ * @param {string} to - Token de saída
+ * @param {number} [maxHops=CONFIG.MAX_HOPS] - Número máximo de pares na rota
+ * @returns {string[][]} - Rotas (listas de endereços), das mais curtas para as mais longas
+ */
+function findRoutes(graph, from, to, maxHops = CONFIG.MAX_HOPS) {
+  const routes = [];
+  const visit = (path) => {
+    const last = path[path.length - 1];
+    if (last === to) {
+      routes.push(path);
+      return;
+    }
+    if (path.length > maxHops) {
+      return;
+    }
+    for (const next of graph.get(last) || []) {
+      if (!path.includes(next)) {
+        visit([...path, next]);
+      }
+    }
+  };
+  visit([from]);
+  return routes.sort((a, b) => a.length - b.length);
+}
+
+/**
+ * @notice Cota uma rota no roteador
+ * @param {ethers.Contract} router - Instância do UniswapV2Router02
+ * @param {string[]} path - Rota de tokens
+ * @param {boolean} exactIn - true para `getAmountsOut`, false para `getAmountsIn`
+ * @param {bigint} amount - Quantidade de entrada (exactIn) ou de saída (exactOut)
+ * @returns {Promise<bigint[]|null>} - Quantidades por salto, ou null se a rota não tiver liquidez
+ */
+async function quoteRoute(router, path, exactIn, amount) {
+  try {
+    const amounts = exactIn ? await router.getAmountsOut(amount, path) : await router.getAmountsIn(amount, path);
+    return [...amounts];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @notice Escolhe a melhor cotação entre várias rotas
+ * @dev Entrada exata: maior saída; saída exata: menor entrada. Empates favorecem a rota mais curta.
+ * @param {Object[]} quotes - Lista de `{ path, amounts }`
+ * @param {boolean} exactIn - Tipo do swap
+ * @returns {Object|null} - Melhor cotação
+ */
+function selectBestRoute(quotes, exactIn) {
+  let best = null;
+  for (const quote of quotes) {
+    if (!quote.amounts) {
+      continue;
+    }
+    if (!best) {
+      best = quote;
+      continue;
+    }
+    const candidate = exactIn ? quote.amounts[quote.amounts.length - 1] : quote.amounts[0];
+    const current = exactIn ? best.amounts[best.amounts.length - 1] : best.amounts[0];
+    const better = exactIn ? candidate > current : candidate < current;
+    if (better || (candidate === current && quote.path.length < best.path.length)) {
+      best = quote;
+    }
+  }
+  return best;
+}
+
+/**
+ * @notice Lê as reservas de cada salto de uma rota, orientadas no sentido do swap
+ * @param {ethers.Contract} factory - Instância da UniswapV2Factory
+ * @param {string[]} path - Rota de tokens
+ * @returns {Promise<Object[]>} - Lista de `{ pair, reserveIn, reserveOut }`
+ */
+async function getPathReserves(factory, path) {
+  const hops = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    const pairAddress = await factory.getPair(path[i], path[i + 1]);
+    const pair = await ethers.getContractAt("UniswapV2Pair", pairAddress);
+    const [reserve0, reserve1] = await pair.getReserves();
+    const token0 = ethers.getAddress(await pair.token0());
+    hops.push(token0 === ethers.getAddress(path[i])
+      ? { pair: pairAddress, reserveIn: reserve0, reserveOut: reserve1 }
+      : { pair: pairAddress, reserveIn: reserve1, reserveOut: reserve0 });
+  }
+  return hops;
+}
+
+/**
+ * @notice Calcula o impacto no preço de um swap
+ * @dev Compara a saída cotada com a saída ao preço médio atual das reservas (já descontada a taxa de 0,3%
+ *      de cada par), de modo que o resultado reflete apenas o deslocamento causado pelo próprio swap.
+ * @param {bigint} amountIn - Quantidade de entrada
+ * @param {bigint} amountOut - Quantidade de saída cotada
+ * @param {Object[]} reserves - Lista de `{ reserveIn, reserveOut }` por salto
+ * @returns {bigint} - Impacto em pontos-base, arredondado para cima
+ */
+function computePriceImpact(amountIn, amountOut, reserves) {
+  let numerator = amountIn;
+  let denominator = 1n;
+  for (const { reserveIn, reserveOut } of reserves) {
+    numerator *= reserveOut * CONFIG.FEE_NUMERATOR;
+    denominator *= reserveIn * CONFIG.FEE_DENOMINATOR;
+  }
+  if (numerator === 0n || denominator === 0n) {
+    return 0n;
+  }
+  // impacto = 1 - amountOut / spotOut, com spotOut = numerator / denominator
+  const impact = DEFAULTS.BPS_DENOMINATOR - (amountOut * denominator * DEFAULTS.BPS_DENOMINATOR) / numerator;
+  return impact > 0n ? impact : 0n;
+}
+
+/**
+ * @notice Monta os argumentos da chamada de swap no roteador
+ * @param {Object} params - Parâmetros do swap
+ * @param {string} params.method - Função do roteador (ver `getSwapMethod`)
+ * @param {boolean} params.exactIn - Tipo do swap
+ * @param {boolean} params.ethIn - Entrada em ETH nativo
+ * @param {bigint} params.amountIn - Entrada exata (exactIn) ou esperada
+ * @param {bigint} params.amountOut - Saída exata (exactOut) ou esperada
+ * @param {bigint} params.limit - `amountOutMin` (exactIn) ou `amountInMax` (exactOut)
+ * @param {string[]} params.path - Rota de tokens
+ * @param {string} params.recipient - Destinatário
+ * @param {number} params.deadline - Prazo da transação
+ * @returns {Object} - `{ args, value }`
+ */
+function buildSwapCall({ method, exactIn, ethIn, amountIn, amountOut, limit, path, recipient, deadline }) {
+  if (exactIn) {
+    return ethIn
+      ? { method, args: [limit, path, recipient, deadline], value: amountIn }
+      : { method, args: [amountIn, limit, path, recipient, deadline], value: 0n };
+  }
+  return ethIn
+    ? { method, args: [amountOut, path, recipient, deadline], value: limit }
+    : { method, args: [amountOut, limit, path, recipient, deadline], value: 0n };
+}
+
+/**
+ * @notice Carrega metadados de um lado do swap
+ * @param {Object} token - `{ address, native }`
+ * @param {ethers.Signer} signer - Signer conectado
+ * @returns {Promise<Object>} - `{ address, native, contract, symbol, decimals }`
+ */
+async function loadSide(token, signer) {
+  const contract = await ethers.getContractAt(ERC20_ABI, token.address, signer);
+  return {
+    ...token,
+    contract,
+    symbol: token.native ? CONFIG.NATIVE_SYMBOL : await contract.symbol(),
+    decimals: token.native ? 18 : Number(await contract.decimals())
+  };
+}
+
+/**
+ * @notice Lê o saldo de um lado do swap
+ * @param {Object} side - Resultado de `loadSide`
+ * @param {string} account - Conta consultada
+ * @returns {Promise<bigint>} - Saldo em unidades mínimas
+ */
+async function balanceOf(side, account) {
+  return side.native ? ethers.provider.getBalance(account) : side.contract.balanceOf(account);
+}
+
+/**
+ * @notice Função principal do swap
+ * @param {Object} options - Opções de execução
+ * @param {string} options.tokenIn - Token de entrada ("ETH", nome no registro, "WETH" ou endereço)
+ * @param {string} options.tokenOut - Token de saída
+ * @param {string} [options.amountIn] - Entrada exata em unidades legíveis
+ * @param {string} [options.amountOut] - Saída exata em unidades legíveis (alternativa a `amountIn`)
+ * @param {string} [options.via] - Tokens intermediários separados por vírgula (desativa a descoberta de rotas)
+ * @param {number} [options.slippage] - Tolerância de slippage em pontos-base
+ * @param {number} [options.deadline] - Prazo em segundos a partir do bloco atual
+ * @param {string} [options.recipient] - Destinatário (padrão: deployer)
+ * @param {boolean} [options.dryRun] - Apenas cota e simula com `staticCall`
+ * @returns {Promise<Object>} - Dados do swap
+ */
+async function main(options = {}) {
+  try {
+    const context = await getNetworkContext();
+    const { deployer, networkName, chainId } = context;
+
+    if (!options.tokenIn || !options.tokenOut) {
+      throw new Error("Informe tokenIn e tokenOut");
+    }
+    if (Boolean(options.amountIn) === Boolean(options.amountOut)) {
+      throw new Error("Informe exatamente um entre amountIn (entrada exata) e amountOut (saída exata)");
+    }
+
+    const exactIn = Boolean(options.amountIn);
+    const slippageBps = options.slippage === undefined ? CONFIG.DEFAULT_SLIPPAGE_BPS : Number(options.slippage);
+    const deadlineSeconds = options.deadline === undefined ? CONFIG.DEFAULT_DEADLINE_SECONDS : Number(options.deadline);
+    const recipient = options.recipient ? ethers.getAddress(options.recipient) : deployer.address;
+
+    console.log(`\n🚀 Swap ${options.tokenIn} → ${options.tokenOut} na rede: ${networkName} (chainId: ${chainId})`);
+    console.log(`👤 Conta: ${deployer.address}${options.dryRun ? " (dry-run)" : ""}`);
+
+    const initialBalance = await runPreflightChecks(context);
+
+    // Conecta ao roteador e à factory registrados
+    const router = await ethers.getContractAt("UniswapV2Router02", await getDeploymentAddress("UniswapV2Router02"), deployer);
+    const factory = await ethers.getContractAt("UniswapV2Factory", await router.factory());
+    const wethAddress = ethers.getAddress(await router.WETH());
+
+    const tokenIn = await loadSide(await resolveSwapToken(options.tokenIn, wethAddress), deployer);
+    const tokenOut = await loadSide(await resolveSwapToken(options.tokenOut, wethAddress), deployer);
+    if (tokenIn.address === tokenOut.address) {
+      throw new Error("tokenIn e tokenOut resolvem para o mesmo token");
+    }
+
+    const amount = exactIn
+      ? ethers.parseUnits(String(options.amountIn), tokenIn.decimals)
+      : ethers.parseUnits(String(options.amountOut), tokenOut.decimals);
+
+    // Rotas candidatas: explícita (via) ou descobertas pelos pares da factory
+    let routes;
+    if (options.via) {
+      const via = [];
+      for (const token of String(options.via).split(",").map((item) => item.trim()).filter(Boolean)) {
+        via.push(await resolveAddress(token));
+      }
+      routes = [[tokenIn.address, ...via, tokenOut.address]];
+    } else {
+      routes = findRoutes(await loadPairGraph(factory), tokenIn.address, tokenOut.address);
+    }
+    if (routes.length === 0) {
+      throw new Error(`Nenhuma rota encontrada entre ${tokenIn.symbol} e ${tokenOut.symbol}`);
+    }
+
+    const quotes = [];
+    for (const path of routes) {
+      quotes.push({ path, amounts: await quoteRoute(router, path, exactIn, amount) });
+    }
+    const best = selectBestRoute(quotes, exactIn);
+    if (!best) {
+      throw new Error(`Nenhuma rota com liquidez suficiente entre ${tokenIn.symbol} e ${tokenOut.symbol}`);
+    }
+
+    const { path } = best;
+    let amountIn = best.amounts[0];
+    let amountOut = best.amounts[best.amounts.length - 1];
+
+    // Tokens com taxa na transferência exigem as variantes SupportingFeeOnTransferTokens
+    const taxes = await detectTransferTaxes(path);
+    const feeOnTransfer = pathHasTransferTax(path, taxes);
+    const method = getSwapMethod({ exactIn, ethIn: tokenIn.native, ethOut: tokenOut.native, feeOnTransfer });
+
+    let expectedOut = amountOut;
+    if (feeOnTransfer) {
+      const taxedQuote = await quoteExactInWithTax(router, path, amountIn, taxes, tokenOut.native ? router.target : recipient);
+      expectedOut = taxedQuote.amountOut;
+      console.log(`🧾 Rota com taxa na transferência: saída esperada ${ethers.formatUnits(expectedOut, tokenOut.decimals)} ${tokenOut.symbol} (sem taxa: ${ethers.formatUnits(amountOut, tokenOut.decimals)})`);
+    }
+
+    const limit = exactIn ? applySlippage(expectedOut, slippageBps) : addSlippage(amountIn, slippageBps);
+    const reserves = await getPathReserves(factory, path);
+    const priceImpactBps = computePriceImpact(amountIn, amountOut, reserves);
+
+    const symbols = [];
+    for (const address of path) {
+      symbols.push(address === wethAddress ? "WETH" : await (await ethers.getContractAt(ERC20_ABI, address)).symbol());
+    }
+
+    console.log(`🛣️  Rota: ${symbols.join(" → ")} (${routes.length} rota(s) avaliada(s))`);
+    console.log(`💱 Entrada: ${ethers.formatUnits(amountIn, tokenIn.decimals)} ${tokenIn.symbol}`);
+    console.log(`💱 Saída: ${ethers.formatUnits(expectedOut, tokenOut.decimals)} ${tokenOut.symbol}`);
+    console.log(exactIn
+      ? `🛡️  Saída mínima: ${ethers.formatUnits(limit, tokenOut.decimals)} ${tokenOut.symbol} (slippage ${slippageBps} bps)`
+      : `🛡️  Entrada máxima: ${ethers.formatUnits(limit, tokenIn.decimals)} ${tokenIn.symbol} (slippage ${slippageBps} bps)`);
+    console.log(`📉 Impacto no preço: ${(Number(priceImpactBps) / 100).toFixed(2)}%`);
+    if (priceImpactBps >= CONFIG.PRICE_IMPACT_WARNING_BPS) {
+      console.warn("⚠️ Impacto no preço elevado; considere reduzir a quantidade.");
+    }
+    console.log(`🔧 Função do roteador: ${method}`);
+
+    // Verifica saldo e allowance da entrada
+    const maxIn = exactIn ? amountIn : limit;
+    const balanceIn = await balanceOf(tokenIn, deployer.address);
+    if (balanceIn < maxIn) {
+      throw new Error(
+        `Saldo insuficiente de ${tokenIn.symbol}: ${ethers.formatUnits(balanceIn, tokenIn.decimals)} < ` +
+        `${ethers.formatUnits(maxIn, tokenIn.decimals)}`
+      );
+    }
+
+    const deadline = await getDeadline(deadlineSeconds);
+    const call = buildSwapCall({ method, exactIn, ethIn: tokenIn.native, amountIn, amountOut, limit, path, recipient, deadline });
+
+    const result = {
+      method,
+      exactIn,
+      path,
+      symbols,
+      recipient,
+      amountIn: amountIn.toString(),
+      amountOut: expectedOut.toString(),
+      limit: limit.toString(),
+      slippageBps,
+      deadline,
+      priceImpactBps: priceImpactBps.toString(),
+      feeOnTransfer,
+      dryRun: Boolean(options.dryRun)
+    };
+
+    if (options.dryRun) {
+      const allowance = tokenIn.native ? maxIn : await tokenIn.contract.allowance(deployer.address, router.target);
+      if (allowance < maxIn) {
+        console.warn(`⚠️ Allowance de ${tokenIn.symbol} insuficiente; a simulação exige aprovação prévia do roteador.`);
+        result.simulation = { skipped: "allowance" };
+      } else {
+        const simulated = await router[method].staticCall(...call.args, await getGasOverrides({ value: call.value }));
+        result.simulation = { ok: true, amounts: Array.isArray(simulated) ? simulated.map(String) : null };
+        console.log("✅ Simulação (staticCall) bem-sucedida.");
+      }
+      console.log("\n🧪 Dry-run: nenhuma transação enviada.");
+      return result;
+    }
+
+    if (!tokenIn.native) {
+      result.approval = await ensureAllowance(tokenIn, router.target, maxIn, deployer);
+    }
+
+    const outBefore = await balanceOf(tokenOut, recipient);
+    const tx = await sendWithGasStrategy(router[method], call.args, { value: call.value });
+    const receipt = await waitForTx(tx);
+    let received = (await balanceOf(tokenOut, recipient)) - outBefore;
+    if (tokenOut.native && recipient === deployer.address) {
+      // O saldo de ETH do remetente também pagou o gás da transação
+      received += receipt.gasUsed * receipt.gasPrice;
+    }
+
+    console.log(`✅ Recebido: ${ethers.formatUnits(received, tokenOut.decimals)} ${tokenOut.symbol}`);
+
+    Object.assign(result, {
+      received: received.toString(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    });
+
+    await saveDeploymentLogs({
+      timestamp: new Date().toISOString(),
+      network: await collectNetworkInfo(networkName, chainId),
+      account: deployer.address,
+      initialBalance: initialBalance.toString(),
+      swap: result
+    }, CONFIG.LOG_FILE);
+
+    console.log("\n🎉 Swap concluído com sucesso!");
+    return result;
+  } catch (error) {
+    console.error("❌ Erro durante o swap:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  main,
+  findRoutes,
+  selectBestRoute,
+  computePriceImpact,
+  buildSwapCall
+};
+
+// Executa a função principal quando chamado via `hardhat run`
+if (require.main === module) {
+  runMain(main);
+}
@@ -0,0 +1,255 @@
+/**
+ * @file balanceSnapshots.js
+ * @description Histórico de saldos: snapshots compactos do relatório de carteira, fixados em um bloco e gravados
+ *              em um arquivo JSON Lines somente de acréscimo (uma linha por snapshot), e a comparação entre dois
+ *              snapshots por conta e ativo. As variações são explicadas pelos eventos Transfer do intervalo:
+ *              taxas recebidas pelo `taxReceiver`, queimas, cunhagens e transferências comuns; o restante
+ *              aparece como movimentação não explicada.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const { ethers } = require("hardhat");
+const fs = require("fs").promises;
+const path = require("path");
+const { CONFIG: DEFAULTS } = require("./helpers");
+
+/**
+ * @notice Configurações do módulo
+ * @type {Object}
+ */
+const CONFIG = {
+  SNAPSHOT_FILE: "balance-snapshots.jsonl", // Arquivo de snapshots (JSON Lines, somente acréscimo)
+  FORMAT_VERSION: 1 // Versão do formato de cada linha
+};
+
+/**
+ * @notice ABI mínima para explicar as movimentações
+ * @type {string[]}
+ */
+const TOKEN_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function taxReceiver() view returns (address)"
+];
+
+/**
+ * @notice Caminho padrão do arquivo de snapshots
+ * @returns {string} - `<OUTPUT_DIR>/balance-snapshots.jsonl`
+ */
+function getSnapshotPath() {
+  return path.join(DEFAULTS.OUTPUT_DIR, CONFIG.SNAPSHOT_FILE);
+}
+
+/**
+ * @notice Converte um relatório de carteira em um snapshot compacto
+ * @param {Object} report - Resultado de `buildPortfolio` (saldoTokensBalance.js)
+ * @param {Object} network - `{ name, chainId }`
+ * @returns {Object} - Snapshot com valores bigint como strings decimais
+ */
+function toSnapshot(report, network) {
+  return {
+    v: CONFIG.FORMAT_VERSION,
+    chainId: network.chainId.toString(),
+    network: network.name,
+    block: report.blockNumber,
+    time: new Date().toISOString(),
+    accounts: report.accounts,
+    assets: report.assets.map((asset) => ({
+      key: asset.key,
+      kind: asset.kind,
+      symbol: asset.symbol,
+      address: asset.address,
+      decimals: asset.decimals,
+      supply: asset.totalSupply === null || asset.totalSupply === undefined ? null : asset.totalSupply.toString(),
+      balances: asset.balances.map((balance) => balance.toString())
+    }))
+  };
+}
+
+/**
+ * @notice Acrescenta um snapshot ao arquivo, sem reescrever os anteriores
+ * @param {Object} snapshot - Resultado de `toSnapshot`
+ * @param {string} [filePath] - Arquivo de snapshots (padrão: `getSnapshotPath()`)
+ * @returns {Promise<string>} - Caminho do arquivo
+ */
+async function appendSnapshot(snapshot, filePath = getSnapshotPath()) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(filePath, `${JSON.stringify(snapshot)}\n`);
+  return filePath;
+}
+
+/**
+ * @notice Lê os snapshots de uma rede, na ordem em que foram gravados
+ * @dev Linhas que não forem JSON válido (ex.: gravação interrompida) são ignoradas com aviso.
+ * @param {string|bigint} chainId - chainId da rede
+ * @param {string} [filePath] - Arquivo de snapshots (padrão: `getSnapshotPath()`)
+ * @returns {Promise<Object[]>} - Snapshots da rede
+ */
+async function loadSnapshots(chainId, filePath = getSnapshotPath()) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const snapshots = [];
+  content.split("\n").forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      snapshots.push(JSON.parse(line));
+    } catch (error) {
+      console.warn(`⚠️ Linha ${index + 1} de ${filePath} ignorada: ${error.message}`);
+    }
+  });
+  return snapshots.filter((snapshot) => snapshot.chainId === chainId.toString());
+}
+
+/**
+ * @notice Escolhe um snapshot pelo bloco (o mais recente gravado para aquele bloco)
+ * @param {Object[]} snapshots - Resultado de `loadSnapshots`
+ * @param {number|string} block - Número do bloco
+ * @returns {Object} - Snapshot
+ * @throws {Error} - Lança erro se não houver snapshot no bloco
+ */
+function selectSnapshot(snapshots, block) {
+  const match = snapshots.filter((snapshot) => snapshot.block === Number(block)).pop();
+  if (!match) {
+    throw new Error(`Nenhum snapshot no bloco ${block} (disponíveis: ${snapshots.map((snapshot) => snapshot.block).join(", ") || "nenhum"})`);
+  }
+  return match;
+}
+
+/**
+ * @notice Classifica os eventos Transfer de um token por conta
+ * @dev Nos tokens com taxa, uma transferência emite primeiro `from → taxReceiver` (a taxa) e, no índice seguinte
+ *      da mesma transação, `from → to` (o líquido); o primeiro evento de cada par é contado como taxa.
+ *      A classificação é feita aos pares: o evento seguinte a uma taxa é sempre a perna líquida, mesmo quando
+ *      o destinatário é o próprio taxReceiver e o remetente faz outra transferência logo depois.
+ * @param {Object[]} logs - Eventos `{ transactionHash, index, args: { from, to, value } }` em ordem
+ * @param {string|null} taxReceiver - Receptor da taxa do token (null para tokens sem taxa)
+ * @returns {Object} - `{ accounts: Map(endereço → fluxos), burned, minted, tax }`
+ */
+function classifyTransfers(logs, taxReceiver) {
+  const accounts = new Map();
+  const totals = { burned: 0n, minted: 0n, tax: 0n };
+  const flowsOf = (account) => {
+    if (!accounts.has(account)) {
+      accounts.set(account, { received: 0n, sent: 0n, taxReceived: 0n, taxPaid: 0n, minted: 0n, burned: 0n });
+    }
+    return accounts.get(account);
+  };
+
+  let netLeg = false;
+  logs.forEach((log, position) => {
+    const { from, to, value } = log.args;
+    const next = logs[position + 1];
+    const isTax = !netLeg && taxReceiver !== null && from !== ethers.ZeroAddress && to === taxReceiver &&
+      Boolean(next) && next.transactionHash === log.transactionHash && next.index === log.index + 1 &&
+      next.args.from === from;
+    netLeg = isTax;
+
+    if (from === ethers.ZeroAddress) {
+      flowsOf(to).minted += value;
+      totals.minted += value;
+    } else if (to === ethers.ZeroAddress) {
+      flowsOf(from).burned += value;
+      totals.burned += value;
+    } else if (isTax) {
+      flowsOf(from).taxPaid += value;
+      flowsOf(to).taxReceived += value;
+      totals.tax += value;
+    } else {
+      flowsOf(from).sent += value;
+      flowsOf(to).received += value;
+    }
+  });
+  return { accounts, ...totals };
+}
+
+/**
+ * @notice Lê e classifica os eventos Transfer de um token no intervalo `(fromBlock, toBlock]`
+ * @param {string} address - Endereço do token
+ * @param {number} fromBlock - Bloco do snapshot inicial (exclusivo)
+ * @param {number} toBlock - Bloco do snapshot final (inclusivo)
+ * @returns {Promise<Object>} - Resultado de `classifyTransfers` mais `taxReceiver`
+ */
+async function collectMovements(address, fromBlock, toBlock) {
+  const token = new ethers.Contract(address, TOKEN_ABI, ethers.provider);
+  const taxReceiver = await token.taxReceiver({ blockTag: toBlock }).catch(() => null);
+  const logs = fromBlock < toBlock ? await token.queryFilter(token.filters.Transfer(), fromBlock + 1, toBlock) : [];
+  return { taxReceiver, ...classifyTransfers(logs, taxReceiver) };
+}
+
+/**
+ * @notice Compara dois snapshots por ativo e conta
+ * @dev Contas ou ativos ausentes em um dos snapshots ficam de fora. `unexplained` é a parte da variação que os
+ *      eventos Transfer não explicam; para o saldo nativo (sem eventos) é null.
+ * @param {Object} from - Snapshot inicial
+ * @param {Object} to - Snapshot final
+ * @param {Object} [movements] - Mapa endereço do ativo → resultado de `collectMovements`
+ * @returns {Object} - `{ fromBlock, toBlock, assets: [{ ..., supplyDelta, burned, minted, tax, accounts }] }`
+ */
+function diffSnapshots(from, to, movements = {}) {
+  const assets = [];
+  for (const after of to.assets) {
+    const before = from.assets.find((asset) => asset.key === after.key && asset.address === after.address);
+    if (!before) {
+      continue;
+    }
+    const moved = after.address ? movements[after.address] : null;
+    const entry = {
+      key: after.key,
+      kind: after.kind,
+      symbol: after.symbol,
+      address: after.address,
+      decimals: after.decimals,
+      supplyDelta: after.supply !== null && before.supply !== null ? BigInt(after.supply) - BigInt(before.supply) : null,
+      burned: moved ? moved.burned : null,
+      minted: moved ? moved.minted : null,
+      tax: moved ? moved.tax : null,
+      taxReceiver: moved ? moved.taxReceiver : null,
+      accounts: []
+    };
+
+    to.accounts.forEach((account, index) => {
+      const previous = from.accounts.indexOf(account);
+      if (previous === -1) {
+        return;
+      }
+      const delta = BigInt(after.balances[index]) - BigInt(before.balances[previous]);
+      const flows = moved && moved.accounts.get(account);
+      const explained = flows
+        ? flows.received + flows.taxReceived + flows.minted - flows.sent - flows.taxPaid - flows.burned
+        : 0n;
+      entry.accounts.push({
+        account,
+        before: BigInt(before.balances[previous]),
+        after: BigInt(after.balances[index]),
+        delta,
+        ...(flows || { received: 0n, sent: 0n, taxReceived: 0n, taxPaid: 0n, minted: 0n, burned: 0n }),
+        unexplained: moved ? delta - explained : null
+      });
+    });
+    assets.push(entry);
+  }
+  return { fromBlock: from.block, toBlock: to.block, assets };
+}
+
+module.exports = {
+  CONFIG,
+  getSnapshotPath,
+  toSnapshot,
+  appendSnapshot,
+  loadSnapshots,
+  selectSnapshot,
+  classifyTransfers,
+  collectMovements,
+  diffSnapshots
+};
@@ -0,0 +1,308 @@
+/**
+ * @file dryRun.js
+ * @description Modo de ensaio (dry-run) dos scripts de implantação. Executa o script na rede Hardhat em processo,
+ *              opcionalmente como fork da rede alvo (`--fork <rede>` ou `FORK_MAINNET`), com o deployer real
+ *              personificado, a estratégia de gás da rede alvo e o registro/logs
+ *              redirecionados para um diretório temporário. Ao final, monta o plano com cada transação (nonce,
+ *              endereço previsto, gás) e o custo total em token nativo, e descarta o estado simulado.
+ *              Nada é transmitido para a rede alvo.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const hre = require("hardhat");
+const { ethers, artifacts } = hre;
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { CONFIG: DEFAULTS, ERC20_ABI, setDeployerOverride } = require("./helpers");
+const { CONFIG: REGISTRY, getConnectedChainId, getRegistryPath, listDeployments } = require("./registry");
+const { getFeeOverrides, setGasNetworkOverride } = require("./gasStrategy");
+
+/**
+ * @notice Configurações do dry-run
+ * @type {Object}
+ */
+const CONFIG = {
+  SIMULATION_NETWORK: "hardhat", // Única rede em que o ensaio pode ser executado
+  TMP_PREFIX: "dry-run-" // Prefixo do diretório temporário de registro e logs
+};
+
+/**
+ * @notice Define a rede alvo do ensaio
+ * @param {Object} [options] - `fork`: nome de uma rede do `hardhat.config.js` a ser copiada
+ * @returns {Object} - `{ name, url, reset }`; sem `url`, o ensaio usa a rede Hardhat local
+ * @throws {Error} - Lança erro fora da rede Hardhat ou se a rede do fork não tiver URL
+ */
+function resolveTarget(options = {}) {
+  if (hre.network.name !== CONFIG.SIMULATION_NETWORK) {
+    throw new Error(
+      `O dry-run executa em um fork local: use --network ${CONFIG.SIMULATION_NETWORK} --fork ${hre.network.name}`
+    );
+  }
+  if (options.fork) {
+    const network = hre.config.networks[options.fork];
+    if (!network || !network.url) {
+      throw new Error(`Rede ${options.fork} não encontrada no hardhat.config.js (ou sem url)`);
+    }
+    return { name: options.fork, url: network.url, reset: true };
+  }
+  const forking = hre.config.networks.hardhat.forking;
+  if (forking && forking.enabled !== false && forking.url) {
+    return { name: "fork", url: forking.url, reset: false };
+  }
+  return { name: hre.network.name, url: null, reset: false };
+}
+
+/**
+ * @notice Consulta o chainId da rede alvo
+ * @param {Object} target - Resultado de `resolveTarget`
+ * @returns {Promise<string>} - ChainId em formato decimal
+ */
+async function getTargetChainId(target) {
+  if (!target.url) {
+    return getConnectedChainId();
+  }
+  const remote = new ethers.JsonRpcProvider(target.url);
+  try {
+    return (await remote.getNetwork()).chainId.toString();
+  } finally {
+    remote.destroy();
+  }
+}
+
+/**
+ * @notice Resume as taxas da estratégia de gás em preços por unidade de gás
+ * @param {Object} feeData - Resultado de `getFeeOverrides` (`{ maxFeePerGas, maxPriorityFeePerGas }` ou `{ gasPrice }`)
+ * @param {bigint|null} baseFeePerGas - Taxa base do último bloco (null em redes sem EIP-1559)
+ * @returns {Object} - `{ eip1559, baseFeePerGas, maxPriorityFeePerGas, maxFeePerGas, gasPrice, estimatedPrice, maxPrice }`
+ */
+function describeFees(feeData, baseFeePerGas) {
+  if (baseFeePerGas !== null && baseFeePerGas !== undefined && feeData.maxFeePerGas) {
+    return {
+      eip1559: true,
+      baseFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+      maxFeePerGas: feeData.maxFeePerGas,
+      gasPrice: null,
+      estimatedPrice: baseFeePerGas + feeData.maxPriorityFeePerGas,
+      maxPrice: feeData.maxFeePerGas
+    };
+  }
+  return {
+    eip1559: false,
+    baseFeePerGas: null,
+    maxPriorityFeePerGas: null,
+    maxFeePerGas: null,
+    gasPrice: feeData.gasPrice,
+    estimatedPrice: feeData.gasPrice,
+    maxPrice: feeData.gasPrice
+  };
+}
+
+/**
+ * @notice Soma o gás das etapas e calcula o custo estimado e máximo
+ * @param {Object[]} steps - Etapas com `gasUsed` (bigint)
+ * @param {Object} fees - Resultado de `describeFees`
+ * @returns {Object} - `{ totalGas, estimatedCost, maxCost }` em wei
+ */
+function summarizePlan(steps, fees) {
+  const totalGas = steps.reduce((sum, step) => sum + step.gasUsed, 0n);
+  return {
+    totalGas,
+    estimatedCost: totalGas * fees.estimatedPrice,
+    maxCost: totalGas * fees.maxPrice
+  };
+}
+
+/**
+ * @notice Monta o mapa endereço → nome e interface dos contratos registrados durante o ensaio
+ * @param {string} registryDir - Registro temporário do ensaio
+ * @returns {Promise<Map>} - Endereço → `{ name, iface }`
+ */
+async function loadKnownContracts(registryDir) {
+  const known = new Map();
+  for (const [name, entry] of Object.entries(await listDeployments({ registryDir }))) {
+    let iface = null;
+    try {
+      iface = new ethers.Interface((await artifacts.readArtifact(entry.contractName)).abi);
+    } catch (error) {
+      // Contrato sem artefato local: a ação é descrita pelo seletor
+    }
+    known.set(entry.address, { name, iface });
+  }
+  return known;
+}
+
+/**
+ * @notice Reconstrói o plano a partir das transações mineradas na simulação
+ * @param {number} fromBlock - Último bloco antes do ensaio
+ * @param {string} registryDir - Registro temporário do ensaio
+ * @returns {Promise<Object[]>} - Etapas `{ nonce, from, action, to, address, predictedAddress, gasUsed }`
+ */
+async function collectSteps(fromBlock, registryDir) {
+  const known = await loadKnownContracts(registryDir);
+  const erc20 = new ethers.Interface(ERC20_ABI);
+  const latest = await ethers.provider.getBlockNumber();
+  const steps = [];
+
+  for (let number = fromBlock + 1; number <= latest; number++) {
+    const block = await ethers.provider.getBlock(number, true);
+    for (const tx of block.prefetchedTransactions) {
+      const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+      const step = {
+        nonce: tx.nonce,
+        from: tx.from,
+        action: null,
+        to: tx.to,
+        address: null,
+        predictedAddress: null,
+        gasUsed: receipt.gasUsed
+      };
+
+      if (!tx.to) {
+        step.predictedAddress = ethers.getCreateAddress({ from: tx.from, nonce: tx.nonce });
+        step.address = receipt.contractAddress;
+        const contract = known.get(receipt.contractAddress);
+        step.action = `implantar ${contract ? contract.name : "contrato"}`;
+      } else {
+        const contract = known.get(tx.to);
+        const parsed = (contract && contract.iface && contract.iface.parseTransaction(tx)) || erc20.parseTransaction(tx);
+        const method = parsed ? parsed.name : tx.data === "0x" ? "transferência" : tx.data.slice(0, 10);
+        step.action = `${contract ? contract.name : tx.to}.${method}`;
+      }
+      steps.push(step);
+    }
+  }
+  return steps;
+}
+
+/**
+ * @notice Exibe o plano do ensaio
+ * @param {Object} plan - Plano retornado por `runDryRun`
+ */
+function printPlan(plan) {
+  const symbol = plan.nativeSymbol;
+  const gwei = (value) => `${ethers.formatUnits(value, "gwei")} gwei`;
+
+  console.log(`\n🧪 Dry-run em ${plan.target} (chainId: ${plan.chainId}) — nenhuma transação foi transmitida`);
+  console.log(`👤 Deployer: ${plan.deployer} (nonce inicial: ${plan.startNonce})`);
+  console.log(plan.fees.eip1559
+    ? `⛽ Taxas atuais: base ${gwei(plan.fees.baseFeePerGas)}, prioridade ${gwei(plan.fees.maxPriorityFeePerGas)}, máxima ${gwei(plan.fees.maxFeePerGas)}`
+    : `⛽ Preço do gás atual: ${gwei(plan.fees.gasPrice)}`);
+  console.log("📋 Plano:");
+  plan.steps.forEach((step, index) => {
+    const created = step.address ? ` → ${step.predictedAddress}` : "";
+    console.log(`   ${index + 1}. nonce ${step.nonce} · ${step.action}${created} · gás ${step.gasUsed}`);
+  });
+  console.log(`🔥 Gás total: ${plan.totalGas}`);
+  console.log(`💸 Custo estimado: ${ethers.formatEther(plan.estimatedCost)} ${symbol} (máximo: ${ethers.formatEther(plan.maxCost)} ${symbol})`);
+  console.log(`💰 Saldo do deployer: ${ethers.formatEther(plan.deployerBalance)} ${symbol}`);
+  if (plan.deployerBalance < plan.maxCost) {
+    console.warn(`⚠️ Saldo insuficiente para o custo máximo: faltam ${ethers.formatEther(plan.maxCost - plan.deployerBalance)} ${symbol}.`);
+  }
+}
+
+/**
+ * @notice Executa a função principal de um script em modo de ensaio
+ * @dev O script é chamado com `dryRun: false` contra a rede Hardhat (fork da rede alvo, quando houver) e
+ *      com a estratégia de gás da rede alvo, o diretório de saída e o registro trocados. O registro da rede
+ *      alvo é copiado para o registro temporário, para que o script encontre os contratos já implantados.
+ *      Ao final a rede Hardhat volta ao estado anterior, mesmo em caso de erro.
+ * @param {Function} main - Função principal do script (`async (options) => resultado`)
+ * @param {Object} [options] - Opções do script, mais `fork` (rede do `hardhat.config.js` a copiar)
+ * @returns {Promise<Object>} - Plano `{ target, chainId, deployer, startNonce, fees, steps, totalGas, estimatedCost, maxCost, result }`
+ * @throws {Error} - Relança o erro do script, após exibir o plano parcial
+ */
+async function runDryRun(main, options = {}) {
+  const target = resolveTarget(options);
+  const chainId = await getTargetChainId(target);
+  const provider = hre.network.provider;
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), CONFIG.TMP_PREFIX));
+  const registryDir = path.join(tmpDir, "registry");
+  const previous = { outputDir: DEFAULTS.OUTPUT_DIR, registryDir: REGISTRY.REGISTRY_DIR };
+
+  let snapshotId = null;
+  if (target.reset) {
+    console.log(`🍴 Criando fork de ${target.name}...`);
+    await provider.request({ method: "hardhat_reset", params: [{ forking: { jsonRpcUrl: target.url } }] });
+  } else {
+    snapshotId = await provider.request({ method: "evm_snapshot", params: [] });
+  }
+
+  try {
+    // O deployer real é personificado no fork para que nonces, saldo e endereços previstos sejam os da rede alvo
+    const deployer = target.url && process.env.PRIVATE_KEY
+      ? await ethers.getImpersonatedSigner(new ethers.Wallet(process.env.PRIVATE_KEY).address)
+      : (await ethers.getSigners())[0];
+
+    // Replica o registro da rede alvo no chainId da simulação
+    const sourceRegistry = getRegistryPath(chainId, previous.registryDir, target.name);
+    const simulatedRegistry = getRegistryPath(await getConnectedChainId(), registryDir);
+    await fs.mkdir(registryDir, { recursive: true });
+    await fs.copyFile(sourceRegistry, simulatedRegistry).catch((error) => {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    });
+
+    // Taxas calculadas com os parâmetros da rede alvo; acima do teto, o ensaio falha antes de executar
+    setGasNetworkOverride(target.url ? target.name : null);
+    const block = await ethers.provider.getBlock("latest");
+    const fees = describeFees(await getFeeOverrides(), block.baseFeePerGas);
+
+    const plan = {
+      target: target.name,
+      chainId,
+      deployer: deployer.address,
+      startNonce: await ethers.provider.getTransactionCount(deployer.address),
+      deployerBalance: await ethers.provider.getBalance(deployer.address),
+      nativeSymbol: DEFAULTS.NATIVE_SYMBOLS[chainId] || "ETH",
+      fees,
+      steps: [],
+      result: null
+    };
+
+    DEFAULTS.OUTPUT_DIR = tmpDir;
+    REGISTRY.REGISTRY_DIR = registryDir;
+    setDeployerOverride(deployer);
+
+    let failure = null;
+    try {
+      plan.result = await main({ ...options, dryRun: false });
+    } catch (error) {
+      failure = error;
+    } finally {
+      DEFAULTS.OUTPUT_DIR = previous.outputDir;
+      REGISTRY.REGISTRY_DIR = previous.registryDir;
+      setDeployerOverride(null);
+    }
+
+    plan.steps = await collectSteps(block.number, registryDir);
+    Object.assign(plan, summarizePlan(plan.steps, fees));
+    printPlan(plan);
+
+    if (failure) {
+      console.error("❌ O ensaio falhou; o plano acima vai até a última transação bem-sucedida.");
+      throw failure;
+    }
+    return plan;
+  } finally {
+    setGasNetworkOverride(null);
+    if (snapshotId) {
+      await provider.request({ method: "evm_revert", params: [snapshotId] });
+    } else {
+      await provider.request({ method: "hardhat_reset", params: [] });
+    }
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  CONFIG,
+  resolveTarget,
+  describeFees,
+  summarizePlan,
+  runDryRun
+};
@@ -0,0 +1,424 @@
+/**
+ * @file eventIndexer.js
+ * @description Indexador local dos eventos da DEX: acompanha a UniswapV2Factory (`PairCreated`) e, a partir do
+ *              bloco de criação de cada par, os eventos `Mint`, `Burn`, `Swap` e `Sync`, em intervalos de blocos.
+ *              Os eventos são normalizados (valores como strings decimais) e gravados em um arquivo JSON por
+ *              chainId e factory, em `deployments/events/<chainId>/<factory>.json`. Reorganizações são
+ *              detectadas conferindo os hashes dos blocos recentes já indexados: os eventos após o último bloco
+ *              em comum são descartados e indexados de novo. As consultas (`queryEvents`, `getPairVolume`,
+ *              `getFeesEarned`, `getLpFlows`) trabalham sobre o arquivo, sem acessar a rede.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const { ethers } = require("hardhat");
+const path = require("path");
+const { CONFIG: DEFAULTS, readJsonFile, writeJsonFile } = require("./helpers");
+const { withRetry } = require("./multicall");
+const { isRangeError } = require("./holderIndex");
+
+/**
+ * @notice Configurações do módulo
+ * @type {Object}
+ */
+const CONFIG = {
+  STORE_DIR: path.join(DEFAULTS.OUTPUT_DIR, "events"), // Diretório dos arquivos por chainId e factory
+  FORMAT_VERSION: 1, // Versão do formato do arquivo
+  CHUNK_SIZE: 2000, // Blocos por consulta `eth_getLogs`
+  ADDRESS_BATCH: 500, // Pares por consulta `eth_getLogs`
+  REORG_DEPTH: 64, // Blocos recentes cujos hashes são guardados e conferidos
+  POLL_INTERVAL: 4000, // Espera entre sincronizações no modo contínuo (ms)
+  FEE_NUMERATOR: 3n, // Taxa de swap dos pares: 3/1000 da entrada
+  FEE_DENOMINATOR: 1000n
+};
+
+/**
+ * @notice Tipos de evento indexados
+ * @type {Object}
+ */
+const EVENT_TYPES = {
+  PAIR_CREATED: "PairCreated",
+  MINT: "Mint",
+  BURN: "Burn",
+  SWAP: "Swap",
+  SYNC: "Sync"
+};
+
+/**
+ * @notice Interface dos eventos da factory
+ * @type {ethers.Interface}
+ */
+const FACTORY_INTERFACE = new ethers.Interface([
+  "event PairCreated(address indexed token0, address indexed token1, address pair, uint256 pairCount)"
+]);
+
+/**
+ * @notice Interface dos eventos dos pares
+ * @type {ethers.Interface}
+ */
+const PAIR_INTERFACE = new ethers.Interface([
+  "event Mint(address indexed sender, uint256 amount0, uint256 amount1)",
+  "event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)",
+  "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+  "event Sync(uint112 reserve0, uint112 reserve1)"
+]);
+
+/**
+ * @notice Tópicos dos eventos dos pares (qualquer um deles)
+ * @type {string[][]}
+ */
+const PAIR_TOPICS = [[EVENT_TYPES.MINT, EVENT_TYPES.BURN, EVENT_TYPES.SWAP, EVENT_TYPES.SYNC]
+  .map((name) => PAIR_INTERFACE.getEvent(name).topicHash)];
+
+/**
+ * @notice Caminho do arquivo de eventos de uma factory
+ * @param {string|bigint} chainId - ChainId da rede
+ * @param {string} factory - Endereço da factory
+ * @param {string} [storeDir] - Diretório dos arquivos (padrão: `CONFIG.STORE_DIR`)
+ * @returns {string} - `<storeDir>/<chainId>/<factory>.json`
+ */
+function getStorePath(chainId, factory, storeDir = CONFIG.STORE_DIR) {
+  return path.join(storeDir, chainId.toString(), `${ethers.getAddress(factory)}.json`);
+}
+
+/**
+ * @notice Carrega o arquivo de eventos de uma factory, ou cria um vazio
+ * @param {string|bigint} chainId - ChainId da rede
+ * @param {string} factory - Endereço da factory
+ * @param {number} startBlock - Bloco de implantação da factory (primeiro bloco indexado)
+ * @param {string} [storeDir] - Diretório dos arquivos (padrão: `CONFIG.STORE_DIR`)
+ * @returns {Promise<Object>} - `{ v, chainId, factory, startBlock, lastBlock, blockHashes, pairs, events }`
+ * @throws {Error} - Lança erro se o arquivo for de outro formato, rede ou factory
+ */
+async function loadStore(chainId, factory, startBlock, storeDir) {
+  const address = ethers.getAddress(factory);
+  const store = await readJsonFile(getStorePath(chainId, address, storeDir), null);
+  if (!store) {
+    return {
+      v: CONFIG.FORMAT_VERSION,
+      chainId: chainId.toString(),
+      factory: address,
+      startBlock,
+      lastBlock: startBlock - 1,
+      blockHashes: {},
+      pairs: {},
+      events: []
+    };
+  }
+  if (store.v !== CONFIG.FORMAT_VERSION || store.chainId !== chainId.toString() || store.factory !== address) {
+    throw new Error(`Arquivo de eventos incompatível com o chainId ${chainId} e a factory ${address}`);
+  }
+  return store;
+}
+
+/**
+ * @notice Grava o arquivo de eventos
+ * @param {Object} store - Resultado de `loadStore`
+ * @param {string} [storeDir] - Diretório dos arquivos (padrão: `CONFIG.STORE_DIR`)
+ * @returns {Promise<string>} - Caminho do arquivo
+ */
+async function saveStore(store, storeDir) {
+  const filePath = getStorePath(store.chainId, store.factory, storeDir);
+  await writeJsonFile(filePath, { ...store, updatedAt: new Date().toISOString() });
+  return filePath;
+}
+
+/**
+ * @notice Normaliza um log da factory ou de um par
+ * @param {Object} log - Log bruto
+ * @returns {Object} - `{ type, pair, block, blockHash, tx, logIndex, ...campos }`, com valores como strings decimais
+ */
+function normalizeLog(log) {
+  const base = { block: log.blockNumber, blockHash: log.blockHash, tx: log.transactionHash, logIndex: log.index };
+  const created = FACTORY_INTERFACE.parseLog(log);
+  if (created) {
+    const { token0, token1, pair, pairCount } = created.args;
+    return { type: EVENT_TYPES.PAIR_CREATED, pair, ...base, token0, token1, index: Number(pairCount) - 1 };
+  }
+
+  const event = PAIR_INTERFACE.parseLog(log);
+  const fields = Object.fromEntries(event.fragment.inputs.map((input, index) => {
+    const value = event.args[index];
+    return [input.name, typeof value === "bigint" ? value.toString() : value];
+  }));
+  return { type: event.name, pair: ethers.getAddress(log.address), ...base, ...fields };
+}
+
+/**
+ * @notice Lê logs em intervalos, reduzindo o intervalo quando o RPC recusa a consulta
+ * @param {Object} filter - Filtro sem `fromBlock`/`toBlock`
+ * @param {number} fromBlock - Primeiro bloco (inclusive)
+ * @param {number} toBlock - Último bloco (inclusive)
+ * @returns {Promise<Object[]>} - Logs do intervalo
+ */
+async function getLogsSplitting(filter, fromBlock, toBlock) {
+  try {
+    return await withRetry(() => ethers.provider.getLogs({ ...filter, fromBlock, toBlock }), {
+      label: `Logs dos blocos ${fromBlock}-${toBlock}`
+    });
+  } catch (error) {
+    if (fromBlock === toBlock || !isRangeError(error)) {
+      throw error;
+    }
+    const middle = Math.floor((fromBlock + toBlock) / 2);
+    console.warn(`⚠️ Intervalo ${fromBlock}-${toBlock} recusado pelo RPC; dividindo em dois`);
+    return [...await getLogsSplitting(filter, fromBlock, middle), ...await getLogsSplitting(filter, middle + 1, toBlock)];
+  }
+}
+
+/**
+ * @notice Último bloco indexado que ainda pertence à cadeia atual
+ * @dev Confere os hashes guardados do mais recente para o mais antigo; como cada bloco referencia o anterior,
+ *      o primeiro hash que confere garante todos os blocos abaixo dele.
+ * @param {Object} store - Arquivo de eventos
+ * @returns {Promise<number>} - Bloco em comum (o próprio `lastBlock` se não houve reorganização)
+ * @throws {Error} - Lança erro se a reorganização for mais profunda que os hashes guardados
+ */
+async function findCommonAncestor(store) {
+  const numbers = Object.keys(store.blockHashes).map(Number).sort((a, b) => b - a);
+  if (numbers.length === 0) {
+    return store.lastBlock;
+  }
+  for (const number of numbers) {
+    const block = await ethers.provider.getBlock(number);
+    if (block && block.hash === store.blockHashes[number]) {
+      return number;
+    }
+  }
+  throw new Error(
+    `Reorganização mais profunda que ${CONFIG.REORG_DEPTH} blocos (abaixo do bloco ${numbers[numbers.length - 1]}); ` +
+    `apague ${getStorePath(store.chainId, store.factory)} para reindexar`
+  );
+}
+
+/**
+ * @notice Descarta do arquivo tudo o que veio depois de um bloco
+ * @param {Object} store - Arquivo de eventos (alterado no lugar)
+ * @param {number} block - Último bloco mantido
+ * @returns {number} - Quantidade de eventos descartados
+ */
+function rollback(store, block) {
+  const before = store.events.length;
+  store.events = store.events.filter((event) => event.block <= block);
+  for (const [address, pair] of Object.entries(store.pairs)) {
+    if (pair.createdBlock > block) {
+      delete store.pairs[address];
+    }
+  }
+  for (const number of Object.keys(store.blockHashes)) {
+    if (Number(number) > block) {
+      delete store.blockHashes[number];
+    }
+  }
+  store.lastBlock = Math.min(store.lastBlock, block);
+  return before - store.events.length;
+}
+
+/**
+ * @notice Guarda os hashes de blocos indexados e esquece os que saíram da janela de reorganização
+ * @param {Object} store - Arquivo de eventos (alterado no lugar)
+ * @param {Object} hashes - Mapa bloco → hash
+ */
+function rememberHashes(store, hashes) {
+  Object.assign(store.blockHashes, hashes);
+  for (const number of Object.keys(store.blockHashes)) {
+    if (Number(number) <= store.lastBlock - CONFIG.REORG_DEPTH) {
+      delete store.blockHashes[number];
+    }
+  }
+}
+
+/**
+ * @notice Completa os hashes de todos os blocos da janela de reorganização abaixo de `lastBlock`
+ * @dev Lê apenas os blocos da janela que ainda não têm hash guardado, inclusive os sem eventos; se o hash de
+ *      `lastBlock` mudar durante a leitura, os hashes lidos são descartados e a próxima sincronização trata a
+ *      reorganização. Sem isso, após um intervalo sem atividade só o último bloco teria hash guardado e uma
+ *      reorganização de poucos blocos não encontraria ancestral em comum.
+ * @param {Object} store - Arquivo de eventos (alterado no lugar)
+ * @returns {Promise<number>} - Quantidade de hashes acrescentados
+ */
+async function fillRecentHashes(store) {
+  const lastHash = store.blockHashes[store.lastBlock];
+  if (!lastHash) {
+    return 0;
+  }
+  const hashes = {};
+  for (let number = Math.max(store.lastBlock - CONFIG.REORG_DEPTH + 1, 0); number < store.lastBlock; number++) {
+    if (!store.blockHashes[number]) {
+      hashes[number] = (await withRetry(() => ethers.provider.getBlock(number), { label: `Bloco ${number}` })).hash;
+    }
+  }
+  if ((await ethers.provider.getBlock(store.lastBlock)).hash !== lastHash) {
+    return 0;
+  }
+  Object.assign(store.blockHashes, hashes);
+  return Object.keys(hashes).length;
+}
+
+/**
+ * @notice Indexa um intervalo de blocos: primeiro os pares criados, depois os eventos de todos os pares
+ * @dev Pares criados no próprio intervalo já entram na consulta dos eventos. O hash do último bloco é lido antes
+ *      e depois das consultas; se mudar, o intervalo é descartado e lido de novo.
+ * @param {Object} store - Arquivo de eventos (alterado no lugar)
+ * @param {number} fromBlock - Primeiro bloco
+ * @param {number} toBlock - Último bloco
+ * @returns {Promise<number|null>} - Quantidade de eventos novos, ou null se a cadeia mudou durante a leitura
+ */
+async function indexRange(store, fromBlock, toBlock) {
+  const endHash = (await ethers.provider.getBlock(toBlock)).hash;
+
+  const created = (await getLogsSplitting(
+    { address: store.factory, topics: [FACTORY_INTERFACE.getEvent(EVENT_TYPES.PAIR_CREATED).topicHash] },
+    fromBlock,
+    toBlock
+  )).map(normalizeLog);
+  const pairs = [...Object.keys(store.pairs), ...created.map((event) => event.pair)];
+  const logs = [];
+  for (let i = 0; i < pairs.length; i += CONFIG.ADDRESS_BATCH) {
+    logs.push(...await getLogsSplitting({ address: pairs.slice(i, i + CONFIG.ADDRESS_BATCH), topics: PAIR_TOPICS }, fromBlock, toBlock));
+  }
+
+  if ((await ethers.provider.getBlock(toBlock)).hash !== endHash) {
+    return null;
+  }
+
+  const events = [...created, ...logs.map(normalizeLog)]
+    .sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+  for (const event of created) {
+    store.pairs[event.pair] = { token0: event.token0, token1: event.token1, index: event.index, createdBlock: event.block };
+  }
+  store.events.push(...events);
+  store.lastBlock = toBlock;
+  rememberHashes(store, {
+    ...Object.fromEntries(events.map((event) => [event.block, event.blockHash])),
+    [toBlock]: endHash
+  });
+  return events.length;
+}
+
+/**
+ * @notice Traz o arquivo de eventos até o último bloco da rede
+ * @dev Ao final, guarda o hash de cada bloco de `[lastBlock - REORG_DEPTH + 1, lastBlock]` (ver `fillRecentHashes`).
+ * @param {Object} store - Arquivo de eventos (alterado no lugar e gravado a cada intervalo)
+ * @param {Object} [options] - `toBlock` (padrão: último bloco), `chunkSize` e `storeDir`
+ * @returns {Promise<Object>} - `{ fromBlock, toBlock, added, reorged }`; `reorged` é a quantidade de eventos
+ *                              descartados por reorganização
+ */
+async function syncStore(store, options = {}) {
+  const ancestor = await findCommonAncestor(store);
+  let reorged = 0;
+  if (ancestor < store.lastBlock) {
+    reorged = rollback(store, ancestor);
+    console.warn(`⚠️ Reorganização detectada: ${reorged} evento(s) após o bloco ${ancestor} descartado(s)`);
+    await saveStore(store, options.storeDir);
+  }
+
+  const fromBlock = store.lastBlock + 1;
+  const toBlock = options.toBlock ?? await ethers.provider.getBlockNumber();
+  const chunkSize = options.chunkSize || CONFIG.CHUNK_SIZE;
+  let added = 0;
+  while (store.lastBlock < toBlock) {
+    const start = store.lastBlock + 1;
+    const end = Math.min(start + chunkSize - 1, toBlock);
+    const count = await indexRange(store, start, end);
+    if (count === null) {
+      console.warn(`⚠️ Bloco ${end} mudou durante a leitura; relendo o intervalo ${start}-${end}`);
+      continue;
+    }
+    added += count;
+    await saveStore(store, options.storeDir);
+  }
+  if (await fillRecentHashes(store) > 0) {
+    await saveStore(store, options.storeDir);
+  }
+  return { fromBlock, toBlock, added, reorged };
+}
+
+/**
+ * @notice Filtra os eventos do arquivo
+ * @param {Object} store - Arquivo de eventos
+ * @param {Object} [filter] - `type`, `pair`, `fromBlock` e `toBlock` (inclusive)
+ * @returns {Object[]} - Eventos em ordem de bloco e posição
+ */
+function queryEvents(store, filter = {}) {
+  const pair = filter.pair && ethers.getAddress(filter.pair);
+  return store.events.filter((event) =>
+    (!filter.type || event.type === filter.type) &&
+    (!pair || event.pair === pair) &&
+    (filter.fromBlock === undefined || event.block >= filter.fromBlock) &&
+    (filter.toBlock === undefined || event.block <= filter.toBlock)
+  );
+}
+
+/**
+ * @notice Volume negociado em um par
+ * @param {Object} store - Arquivo de eventos
+ * @param {string} pair - Endereço do par
+ * @param {Object} [range] - `fromBlock` e `toBlock` (inclusive)
+ * @returns {Object} - `{ swaps, amountIn: [token0, token1], amountOut: [token0, token1] }` (bigint)
+ */
+function getPairVolume(store, pair, range = {}) {
+  const volume = { swaps: 0, amountIn: [0n, 0n], amountOut: [0n, 0n] };
+  for (const event of queryEvents(store, { ...range, pair, type: EVENT_TYPES.SWAP })) {
+    volume.swaps++;
+    volume.amountIn[0] += BigInt(event.amount0In);
+    volume.amountIn[1] += BigInt(event.amount1In);
+    volume.amountOut[0] += BigInt(event.amount0Out);
+    volume.amountOut[1] += BigInt(event.amount1Out);
+  }
+  return volume;
+}
+
+/**
+ * @notice Taxas de swap pagas ao par (3/1000 do total de entrada de cada token, arredondado para baixo)
+ * @dev É o total que fica nas reservas para os provedores de liquidez; com `feeTo` ligado, 1/6 desse crescimento
+ *      é cunhado para o protocolo no próximo mint ou burn.
+ * @param {Object} store - Arquivo de eventos
+ * @param {string} pair - Endereço do par
+ * @param {Object} [range] - `fromBlock` e `toBlock` (inclusive)
+ * @returns {bigint[]} - Taxas em token0 e token1
+ */
+function getFeesEarned(store, pair, range = {}) {
+  return getPairVolume(store, pair, range).amountIn
+    .map((amount) => (amount * CONFIG.FEE_NUMERATOR) / CONFIG.FEE_DENOMINATOR);
+}
+
+/**
+ * @notice Entradas e saídas de liquidez de um par
+ * @param {Object} store - Arquivo de eventos
+ * @param {string} pair - Endereço do par
+ * @param {Object} [range] - `fromBlock` e `toBlock` (inclusive)
+ * @returns {Object} - `{ mints, burns, added: [t0, t1], removed: [t0, t1], net: [t0, t1] }` (bigint)
+ */
+function getLpFlows(store, pair, range = {}) {
+  const flows = { mints: 0, burns: 0, added: [0n, 0n], removed: [0n, 0n] };
+  for (const event of queryEvents(store, { ...range, pair })) {
+    if (event.type === EVENT_TYPES.MINT) {
+      flows.mints++;
+      flows.added[0] += BigInt(event.amount0);
+      flows.added[1] += BigInt(event.amount1);
+    } else if (event.type === EVENT_TYPES.BURN) {
+      flows.burns++;
+      flows.removed[0] += BigInt(event.amount0);
+      flows.removed[1] += BigInt(event.amount1);
+    }
+  }
+  return { ...flows, net: [0, 1].map((side) => flows.added[side] - flows.removed[side]) };
+}
+
+module.exports = {
+  CONFIG,
+  EVENT_TYPES,
+  getStorePath,
+  loadStore,
+  saveStore,
+  normalizeLog,
+  findCommonAncestor,
+  rollback,
+  syncStore,
+  queryEvents,
+  getPairVolume,
+  getFeesEarned,
+  getLpFlows
+};
@@ -0,0 +1,247 @@
+/**
+ * @file feeOnTransfer.js
+ * @description Suporte a tokens com taxa na transferência (fee-on-transfer), como SPBToken e BPSToken.
+ *              Detecta a taxa lendo `taxPercent`, `taxReceiver`, `MAX_TAX_PERCENT` e `owner`, calcula as
+ *              quantidades efetivamente recebidas em cada perna de uma operação no roteador e escolhe as
+ *              variantes `...SupportingFeeOnTransferTokens` do UniswapV2Router02 quando necessário.
+ *              Nos contratos deste repositório não há lista de isenção: toda transferência é taxada, mas o
+ *              `taxReceiver` (por padrão o owner) recebe o valor integral quando é o destinatário.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-28
+ */
+
+const { ethers } = require("hardhat");
+
+/**
+ * @notice Configurações do módulo
+ * @type {Object}
+ */
+const CONFIG = {
+  PERCENT_DENOMINATOR: 100n // `taxPercent` é expresso em pontos percentuais
+};
+
+/**
+ * @notice ABI mínima usada para detectar a taxa
+ * @type {string[]}
+ */
+const TAX_ABI = [
+  "function taxPercent() view returns (uint256)",
+  "function taxReceiver() view returns (address)",
+  "function MAX_TAX_PERCENT() view returns (uint256)",
+  "function owner() view returns (address)"
+];
+
+/**
+ * @notice Variantes de swap do UniswapV2Router02 por tipo de operação
+ * @dev Chave: `<exactIn|exactOut>:<eth|token>In:<eth|token>Out`.
+ * @type {Object}
+ */
+const SWAP_METHODS = {
+  "exactIn:tokenIn:tokenOut": {
+    standard: "swapExactTokensForTokens",
+    supportingFee: "swapExactTokensForTokensSupportingFeeOnTransferTokens"
+  },
+  "exactIn:ethIn:tokenOut": {
+    standard: "swapExactETHForTokens",
+    supportingFee: "swapExactETHForTokensSupportingFeeOnTransferTokens"
+  },
+  "exactIn:tokenIn:ethOut": {
+    standard: "swapExactTokensForETH",
+    supportingFee: "swapExactTokensForETHSupportingFeeOnTransferTokens"
+  },
+  "exactOut:tokenIn:tokenOut": { standard: "swapTokensForExactTokens", supportingFee: null },
+  "exactOut:ethIn:tokenOut": { standard: "swapETHForExactTokens", supportingFee: null },
+  "exactOut:tokenIn:ethOut": { standard: "swapTokensForExactETH", supportingFee: null }
+};
+
+/**
+ * @notice Chama uma função de leitura opcional, retornando null se o token não a implementar
+ * @param {ethers.Contract} contract - Contrato com `TAX_ABI`
+ * @param {string} method - Nome da função
+ * @returns {Promise<*>} - Valor retornado ou null
+ */
+async function tryCall(contract, method) {
+  try {
+    return await contract[method]();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @notice Detecta a taxa de transferência de um token
+ * @param {string} tokenAddress - Endereço do token
+ * @param {ethers.Provider|ethers.Signer} [runner=ethers.provider] - Provider para as leituras
+ * @returns {Promise<Object>} - `{ address, taxed, taxPercent, maxTaxPercent, taxReceiver, owner, exemptRecipients }`
+ */
+async function detectTransferTax(tokenAddress, runner = ethers.provider) {
+  const address = ethers.getAddress(tokenAddress);
+  const contract = new ethers.Contract(address, TAX_ABI, runner);
+
+  const taxPercent = await tryCall(contract, "taxPercent");
+  const taxReceiver = await tryCall(contract, "taxReceiver");
+  const maxTaxPercent = await tryCall(contract, "MAX_TAX_PERCENT");
+  const owner = await tryCall(contract, "owner");
+
+  const percent = taxPercent === null ? 0n : BigInt(taxPercent);
+  return {
+    address,
+    taxed: percent > 0n,
+    taxPercent: percent,
+    maxTaxPercent: maxTaxPercent === null ? null : BigInt(maxTaxPercent),
+    taxReceiver: taxReceiver === null ? null : ethers.getAddress(taxReceiver),
+    owner: owner === null ? null : ethers.getAddress(owner),
+    // O receptor da taxa recebe tanto a parcela líquida quanto a taxa: na prática não é taxado
+    exemptRecipients: taxReceiver === null ? [] : [ethers.getAddress(taxReceiver)]
+  };
+}
+
+/**
+ * @notice Detecta as taxas de vários tokens
+ * @param {string[]} tokenAddresses - Endereços dos tokens
+ * @param {ethers.Provider|ethers.Signer} [runner=ethers.provider] - Provider para as leituras
+ * @returns {Promise<Object>} - Mapa endereço (checksum) → resultado de `detectTransferTax`
+ */
+async function detectTransferTaxes(tokenAddresses, runner = ethers.provider) {
+  const taxes = {};
+  for (const address of tokenAddresses) {
+    const checksummed = ethers.getAddress(address);
+    if (!taxes[checksummed]) {
+      taxes[checksummed] = await detectTransferTax(checksummed, runner);
+    }
+  }
+  return taxes;
+}
+
+/**
+ * @notice Calcula a quantidade recebida após a taxa de transferência
+ * @dev Reproduz `_transfer` dos tokens: `tax = amount * taxPercent / 100`.
+ * @param {bigint} amount - Quantidade enviada
+ * @param {Object|null} tax - Resultado de `detectTransferTax` (null para tokens sem taxa)
+ * @param {string} [recipient] - Destinatário; o `taxReceiver` recebe o valor integral
+ * @returns {bigint} - Quantidade recebida
+ */
+function applyTransferTax(amount, tax, recipient) {
+  if (!tax || !tax.taxed) {
+    return amount;
+  }
+  if (recipient && tax.exemptRecipients.includes(ethers.getAddress(recipient))) {
+    return amount;
+  }
+  return amount - (amount * tax.taxPercent) / CONFIG.PERCENT_DENOMINATOR;
+}
+
+/**
+ * @notice Calcula a menor quantidade a enviar para que o destinatário receba `netAmount`
+ * @param {bigint} netAmount - Quantidade que deve chegar ao destinatário
+ * @param {Object|null} tax - Resultado de `detectTransferTax`
+ * @param {string} [recipient] - Destinatário
+ * @returns {bigint} - Quantidade bruta a enviar
+ * @throws {Error} - Lança erro se a taxa for de 100% ou mais
+ */
+function grossUpForTax(netAmount, tax, recipient) {
+  if (applyTransferTax(netAmount, tax, recipient) === netAmount) {
+    return netAmount;
+  }
+  const keep = CONFIG.PERCENT_DENOMINATOR - tax.taxPercent;
+  if (keep <= 0n) {
+    throw new Error(`Taxa de ${tax.taxPercent}% em ${tax.address} impede qualquer transferência líquida`);
+  }
+  // Estimativa por cima; o arredondamento para baixo da taxa pode permitir alguns wei a menos
+  let gross = (netAmount * CONFIG.PERCENT_DENOMINATOR + keep - 1n) / keep;
+  while (gross > 0n && applyTransferTax(gross - 1n, tax, recipient) >= netAmount) {
+    gross -= 1n;
+  }
+  return gross;
+}
+
+/**
+ * @notice Indica se algum token de uma rota cobra taxa na transferência
+ * @param {string[]} path - Rota de tokens
+ * @param {Object} taxes - Mapa de `detectTransferTaxes`
+ * @returns {boolean} - true se alguma perna for taxada
+ */
+function pathHasTransferTax(path, taxes) {
+  return path.some((token) => {
+    const tax = taxes[ethers.getAddress(token)];
+    return Boolean(tax && tax.taxed);
+  });
+}
+
+/**
+ * @notice Escolhe a função de swap do roteador
+ * @param {Object} params - Parâmetros da operação
+ * @param {boolean} params.exactIn - true para entrada exata, false para saída exata
+ * @param {boolean} [params.ethIn] - Entrada em ETH nativo
+ * @param {boolean} [params.ethOut] - Saída em ETH nativo
+ * @param {boolean} [params.feeOnTransfer] - Se a rota contém tokens com taxa
+ * @returns {string} - Nome da função no UniswapV2Router02
+ * @throws {Error} - Lança erro para combinações não suportadas pelo roteador
+ */
+function getSwapMethod({ exactIn, ethIn = false, ethOut = false, feeOnTransfer = false }) {
+  if (ethIn && ethOut) {
+    throw new Error("Swap ETH → ETH não é suportado");
+  }
+  const key = `${exactIn ? "exactIn" : "exactOut"}:${ethIn ? "ethIn" : "tokenIn"}:${ethOut ? "ethOut" : "tokenOut"}`;
+  const methods = SWAP_METHODS[key];
+  if (!feeOnTransfer) {
+    return methods.standard;
+  }
+  if (!methods.supportingFee) {
+    throw new Error(
+      "Swaps com saída exata não são suportados para tokens com taxa na transferência; use entrada exata"
+    );
+  }
+  return methods.supportingFee;
+}
+
+/**
+ * @notice Cota um swap com entrada exata considerando a taxa em todas as pernas
+ * @dev Cada salto é cotado isoladamente com `getAmountsOut` a partir do valor que de fato chega ao par,
+ *      e a saída é reduzida pela taxa do token ao ser enviada ao próximo par ou ao destinatário —
+ *      o mesmo fluxo das variantes `...SupportingFeeOnTransferTokens`.
+ * @param {ethers.Contract} router - Instância do UniswapV2Router02
+ * @param {string[]} path - Rota de tokens (endereços)
+ * @param {bigint} amountIn - Quantidade enviada pelo usuário
+ * @param {Object} taxes - Mapa de `detectTransferTaxes`
+ * @param {string} recipient - Destinatário final
+ * @returns {Promise<Object>} - `{ amountOut, amountOutWithoutTax, hops }`
+ */
+async function quoteExactInWithTax(router, path, amountIn, taxes, recipient) {
+  const factory = await ethers.getContractAt("UniswapV2Factory", await router.factory());
+  const pairs = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    pairs.push(await factory.getPair(path[i], path[i + 1]));
+  }
+
+  const amountsWithoutTax = await router.getAmountsOut(amountIn, path);
+  const hops = [];
+  let amount = applyTransferTax(amountIn, taxes[ethers.getAddress(path[0])], pairs[0]);
+
+  for (let i = 0; i < pairs.length; i++) {
+    const received = amount;
+    const [, out] = await router.getAmountsOut(received, [path[i], path[i + 1]]);
+    const destination = i === pairs.length - 1 ? recipient : pairs[i + 1];
+    amount = applyTransferTax(out, taxes[ethers.getAddress(path[i + 1])], destination);
+    hops.push({ pair: pairs[i], tokenIn: path[i], tokenOut: path[i + 1], received, out, delivered: amount });
+  }
+
+  return {
+    amountOut: amount,
+    amountOutWithoutTax: amountsWithoutTax[amountsWithoutTax.length - 1],
+    hops
+  };
+}
+
+module.exports = {
+  CONFIG,
+  SWAP_METHODS,
+  detectTransferTax,
+  detectTransferTaxes,
+  applyTransferTax,
+  grossUpForTax,
+  pathHasTransferTax,
+  getSwapMethod,
+  quoteExactInWithTax
+};
@@ -0,0 +1,186 @@
+/**
+ * @file gasStrategy.js
+ * @description Estratégia de preço de gás usada por todas as transações dos scripts. Em redes com EIP-1559, a taxa
+ *              de prioridade vem de um percentil de `eth_feeHistory` dos últimos blocos e a taxa máxima cobre
+ *              altas da taxa base; em redes sem EIP-1559, usa `eth_gasPrice`. Parâmetros por rede, teto configurável
+ *              (`GAS_MAX_FEE_GWEI`) e `gasMultiplier` do `hardhat.config.js` aplicado ao limite de gás estimado.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const hre = require("hardhat");
+const { ethers } = hre;
+
+/**
+ * @notice Configurações da estratégia de gás
+ * @dev Valores em gwei (string). `NETWORKS.default` vale para redes não listadas e completa as demais.
+ *      `percentile` é o percentil das gorjetas pagas nos últimos `blocks` blocos; `minPriorityFeeGwei`
+ *      atende redes com gorjeta mínima (a Polygon recusa menos de 25–30 gwei); `maxFeeGwei` é o teto
+ *      da taxa máxima por gás.
+ * @type {Object}
+ */
+const CONFIG = {
+  NETWORKS: {
+    default: { blocks: 10, percentile: 50, minPriorityFeeGwei: "0.1", maxFeeGwei: "200" },
+    mainnet: { percentile: 50, minPriorityFeeGwei: "0.5", maxFeeGwei: "300" },
+    sepolia: { percentile: 25, maxFeeGwei: "100" },
+    polygon: { percentile: 75, minPriorityFeeGwei: "30", maxFeeGwei: "3000" },
+    mumbai: { percentile: 75, minPriorityFeeGwei: "30", maxFeeGwei: "1000" }
+  },
+  MAX_FEE_ENV: "GAS_MAX_FEE_GWEI", // Sobrescreve o teto da rede (gwei)
+  BASE_FEE_MULTIPLIER: 2n // Taxa máxima = 2 × taxa base + gorjeta (absorve ~6 blocos cheios seguidos)
+};
+
+/**
+ * @notice Rede cujos parâmetros substituem os da rede conectada (usada pelo dry-run em fork)
+ * @type {string|null}
+ */
+let networkOverride = null;
+
+/**
+ * @notice Aplica os parâmetros de gás de outra rede às próximas transações
+ * @param {string|null} networkName - Nome da rede no `hardhat.config.js`, ou null para voltar à rede conectada
+ */
+function setGasNetworkOverride(networkName) {
+  networkOverride = networkName;
+}
+
+/**
+ * @notice Resolve os parâmetros de gás de uma rede
+ * @param {string} [networkName] - Nome da rede (padrão: a rede do override ou a conectada)
+ * @returns {Object} - `{ blocks, percentile, minPriorityFeePerGas, maxFeePerGas, gasMultiplier }` (taxas em wei)
+ */
+function resolveGasSettings(networkName = networkOverride || hre.network.name) {
+  const settings = { ...CONFIG.NETWORKS.default, ...(CONFIG.NETWORKS[networkName] || {}) };
+  const networkConfig = hre.config.networks[networkName] || {};
+  return {
+    blocks: settings.blocks,
+    percentile: settings.percentile,
+    minPriorityFeePerGas: ethers.parseUnits(settings.minPriorityFeeGwei, "gwei"),
+    maxFeePerGas: ethers.parseUnits(process.env[CONFIG.MAX_FEE_ENV] || settings.maxFeeGwei, "gwei"),
+    gasMultiplier: networkConfig.gasMultiplier || 1
+  };
+}
+
+/**
+ * @notice Calcula as taxas EIP-1559 a partir do histórico de taxas
+ * @param {bigint} nextBaseFeePerGas - Taxa base do próximo bloco
+ * @param {bigint[]} rewards - Gorjetas no percentil configurado, uma por bloco
+ * @param {Object} settings - Resultado de `resolveGasSettings`
+ * @returns {Object} - `{ maxFeePerGas, maxPriorityFeePerGas }`
+ * @throws {Error} - Lança erro se a taxa base mais a gorjeta ultrapassar o teto
+ */
+function computeEip1559Fees(nextBaseFeePerGas, rewards, settings) {
+  const sorted = [...rewards].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const median = sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0n;
+  const maxPriorityFeePerGas = median > settings.minPriorityFeePerGas ? median : settings.minPriorityFeePerGas;
+
+  const required = nextBaseFeePerGas + maxPriorityFeePerGas;
+  if (required > settings.maxFeePerGas) {
+    throw new Error(
+      `Taxa de gás necessária (${ethers.formatUnits(required, "gwei")} gwei) acima do teto de ` +
+      `${ethers.formatUnits(settings.maxFeePerGas, "gwei")} gwei; aguarde a rede normalizar ou ajuste ${CONFIG.MAX_FEE_ENV}`
+    );
+  }
+  const target = nextBaseFeePerGas * CONFIG.BASE_FEE_MULTIPLIER + maxPriorityFeePerGas;
+  return {
+    maxFeePerGas: target < settings.maxFeePerGas ? target : settings.maxFeePerGas,
+    maxPriorityFeePerGas
+  };
+}
+
+/**
+ * @notice Valida o preço de gás legado contra o teto
+ * @param {bigint} gasPrice - Resultado de `eth_gasPrice`
+ * @param {Object} settings - Resultado de `resolveGasSettings`
+ * @returns {Object} - `{ gasPrice }`
+ * @throws {Error} - Lança erro se o preço ultrapassar o teto
+ */
+function computeLegacyFees(gasPrice, settings) {
+  if (gasPrice > settings.maxFeePerGas) {
+    throw new Error(
+      `Preço do gás (${ethers.formatUnits(gasPrice, "gwei")} gwei) acima do teto de ` +
+      `${ethers.formatUnits(settings.maxFeePerGas, "gwei")} gwei; aguarde a rede normalizar ou ajuste ${CONFIG.MAX_FEE_ENV}`
+    );
+  }
+  return { gasPrice };
+}
+
+/**
+ * @notice Obtém as taxas de gás para a próxima transação na rede conectada
+ * @param {Object} [settings=resolveGasSettings()] - Parâmetros da rede
+ * @returns {Promise<Object>} - `{ maxFeePerGas, maxPriorityFeePerGas }` ou, sem EIP-1559, `{ gasPrice }`
+ * @throws {Error} - Lança erro se as taxas ultrapassarem o teto
+ */
+async function getFeeOverrides(settings = resolveGasSettings()) {
+  const block = await ethers.provider.getBlock("latest");
+  if (block.baseFeePerGas === null || block.baseFeePerGas === undefined) {
+    return computeLegacyFees(BigInt(await ethers.provider.send("eth_gasPrice", [])), settings);
+  }
+
+  const history = await ethers.provider.send("eth_feeHistory", [
+    ethers.toQuantity(settings.blocks),
+    "latest",
+    [settings.percentile]
+  ]);
+  const rewards = (history.reward || []).map((reward) => BigInt(reward[0]));
+  const nextBaseFeePerGas = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+  return computeEip1559Fees(nextBaseFeePerGas, rewards, settings);
+}
+
+/**
+ * @notice Aplica o `gasMultiplier` da rede a uma estimativa de gás
+ * @param {bigint} gas - Gás estimado
+ * @param {number} [multiplier=resolveGasSettings().gasMultiplier] - Multiplicador (ex.: 1.2)
+ * @returns {bigint} - Limite de gás
+ */
+function applyGasMultiplier(gas, multiplier = resolveGasSettings().gasMultiplier) {
+  return (gas * BigInt(Math.round(multiplier * 1000))) / 1000n;
+}
+
+/**
+ * @notice Monta os overrides de uma transação: taxas da estratégia e, opcionalmente, limite de gás
+ * @param {Object} [options] - Opções
+ * @param {bigint} [options.value] - Valor em wei enviado com a transação
+ * @param {Function} [options.estimate] - `async (overrides) => gás` para calcular o limite com o `gasMultiplier`
+ * @returns {Promise<Object>} - Overrides para ethers
+ */
+async function getGasOverrides(options = {}) {
+  const settings = resolveGasSettings();
+  const overrides = await getFeeOverrides(settings);
+  if (options.value !== undefined) {
+    overrides.value = options.value;
+  }
+  if (options.estimate) {
+    overrides.gasLimit = applyGasMultiplier(await options.estimate({ ...overrides }), settings.gasMultiplier);
+  }
+  return overrides;
+}
+
+/**
+ * @notice Envia uma chamada de contrato com as taxas da estratégia e o limite de gás estimado
+ * @param {Function} method - Método do contrato (ex.: `router.addLiquidity`)
+ * @param {Array} [args=[]] - Argumentos do método
+ * @param {Object} [options] - `value` opcional
+ * @returns {Promise<ethers.TransactionResponse>} - Transação enviada
+ */
+async function sendWithGasStrategy(method, args = [], options = {}) {
+  const overrides = await getGasOverrides({
+    value: options.value,
+    estimate: (estimateOverrides) => method.estimateGas(...args, estimateOverrides)
+  });
+  return method(...args, overrides);
+}
+
+module.exports = {
+  CONFIG,
+  setGasNetworkOverride,
+  resolveGasSettings,
+  computeEip1559Fees,
+  computeLegacyFees,
+  getFeeOverrides,
+  applyGasMultiplier,
+  getGasOverrides,
+  sendWithGasStrategy
+};
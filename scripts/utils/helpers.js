@@ -1,6 +1,489 @@
-//# Funções auxiliares (por exemplo: wait, logging, format)
+/**
+ * @file helpers.js
+ * @description Biblioteca compartilhada pelos scripts de implantação e inspeção.
+ *              Centraliza configuração padrão, validações de ambiente e rede, implantação de contratos,
+ *              leitura/escrita de arquivos JSON e gravação de logs, evitando cópias divergentes entre scripts.
+ *              Compatível com Solidity 0.8.28. Otimizado para uso com Hardhat e ethers.js v6.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 2.0.0
+ * @date 2025-06-24
+ */
 
-const waitForTx = async (tx) => {
-  const receipt = await tx.wait();
-  console.log(`Tx confirmed in block ${receipt.blockNumber}`);
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs").promises;
+const path = require("path");
+const { getGasOverrides, sendWithGasStrategy } = require("./gasStrategy");
+const { waitForTransaction } = require("./txManager");
+
+/**
+ * @notice Configurações padrão compartilhadas por todos os scripts
+ * @type {Object}
+ */
+const CONFIG = {
+  OUTPUT_DIR: "./deployments", // Diretório para salvar arquivos de saída
+  REQUIRED_CONFIRMATIONS: 1, // Número de confirmações para transações
+  REPLACEMENTS_FILE: "tx-replacements.json", // Log das transações presas substituídas ou canceladas
+  MINIMUM_BALANCE: ethers.parseEther("0.1"), // Saldo mínimo (0.1 ETH)
+  MAX_BYTECODE_SIZE: 24576, // Limite de tamanho do bytecode (24 KB, per EIP-170)
+  VALID_CHAIN_IDS: [31337, 80001, 137, 11155111, 1], // hardhat, localhost, mumbai, polygon, sepolia, mainnet
+  PRODUCTION_NETWORKS: ["mumbai", "polygon", "sepolia", "mainnet"], // Redes que exigem PRIVATE_KEY
+  NATIVE_SYMBOLS: { 1: "ETH", 11155111: "ETH", 137: "POL", 80001: "MATIC", 31337: "ETH" }, // Token nativo por chainId
+  BPS_DENOMINATOR: 10000n // Base dos pontos-base (slippage)
+};
+
+/**
+ * @notice ABI mínima de ERC-20 usada pelos scripts que movimentam tokens
+ * @type {string[]}
+ */
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address,address) view returns (uint256)",
+  "function approve(address,uint256) returns (bool)"
+];
+
+/**
+ * @notice Valida as variáveis de ambiente necessárias para redes de produção
+ * @param {string} networkName - Nome da rede atual
+ * @returns {Promise<boolean>} - Retorna true se todas as variáveis estiverem definidas
+ * @throws {Error} - Lança erro se alguma variável obrigatória estiver ausente
+ */
+async function validateEnvVariables(networkName) {
+  if (CONFIG.PRODUCTION_NETWORKS.includes(networkName)) {
+    if (!process.env.PRIVATE_KEY) {
+      throw new Error(`Erro: Variável de ambiente PRIVATE_KEY não definida para a rede ${networkName}`);
+    }
+  }
+  return true;
+}
+
+/**
+ * @notice Verifica se a rede atual é válida para implantação
+ * @param {Object} network - Objeto com `name` e `chainId` da rede
+ * @returns {Promise<boolean>} - Retorna true se a rede for válida
+ * @throws {Error} - Lança erro se a rede for inválida
+ */
+async function validateNetwork(network) {
+  const chainId = Number(network.chainId);
+  if (!CONFIG.VALID_CHAIN_IDS.includes(chainId)) {
+    throw new Error(
+      `Rede inválida: ${network.name || "unknown"} (chainId: ${chainId}). ` +
+      `ChainIds permitidos: ${CONFIG.VALID_CHAIN_IDS.join(", ")}`
+    );
+  }
+  console.log(`✅ Rede validada: ${network.name || "unknown"} (chainId: ${chainId})`);
+  return true;
+}
+
+/**
+ * @notice Verifica se a conta do deployer tem saldo suficiente
+ * @param {ethers.Signer} deployer - Signer da conta que realizará a implantação
+ * @param {bigint} [minimumBalance=CONFIG.MINIMUM_BALANCE] - Saldo mínimo exigido (wei)
+ * @returns {Promise<boolean>} - Retorna true se o saldo for suficiente
+ * @throws {Error} - Lança erro se o saldo for insuficiente
+ */
+async function checkDeployerBalance(deployer, minimumBalance = CONFIG.MINIMUM_BALANCE) {
+  const balance = await ethers.provider.getBalance(deployer.address);
+  if (balance < minimumBalance) {
+    throw new Error(
+      `Saldo insuficiente para deployer ${deployer.address}. ` +
+      `Saldo atual: ${ethers.formatEther(balance)} ETH, ` +
+      `Saldo mínimo necessário: ${ethers.formatEther(minimumBalance)} ETH`
+    );
+  }
+  return true;
+}
+
+/**
+ * @notice Calcula o tamanho em bytes de um bytecode hexadecimal
+ * @param {string} bytecode - Bytecode com prefixo '0x'
+ * @returns {number} - Tamanho em bytes
+ */
+function getBytecodeSize(bytecode) {
+  return (bytecode.length - 2) / 2; // Remove '0x' e divide por 2 (bytes)
+}
+
+/**
+ * @notice Verifica o tamanho do bytecode do contrato
+ * @param {ethers.ContractFactory} factory - Fábrica do contrato
+ * @param {string} contractName - Nome do contrato
+ * @returns {Promise<boolean>} - Retorna true se o tamanho for válido
+ * @throws {Error} - Lança erro se o bytecode exceder o limite
+ */
+async function validateBytecodeSize(factory, contractName) {
+  const bytecodeSize = getBytecodeSize(factory.bytecode);
+  if (bytecodeSize > CONFIG.MAX_BYTECODE_SIZE) {
+    throw new Error(
+      `Bytecode do contrato ${contractName} excede o limite de ${CONFIG.MAX_BYTECODE_SIZE} bytes. ` +
+      `Tamanho atual: ${bytecodeSize} bytes`
+    );
+  }
+  console.log(`✅ Bytecode de ${contractName} validado: ${bytecodeSize} bytes`);
+  return true;
+}
+
+/**
+ * @notice Normaliza os argumentos do construtor para uma lista posicional
+ * @dev Aceita um array (ordem explícita) ou um objeto nomeado, cuja ordem de declaração
+ *      das chaves deve seguir a ordem dos parâmetros do construtor.
+ * @param {Array|Object} [args=[]] - Argumentos do construtor
+ * @returns {Array} - Argumentos posicionais
+ */
+function normalizeConstructorArgs(args = []) {
+  return Array.isArray(args) ? args : Object.values(args);
+}
+
+/**
+ * @notice Aguarda a confirmação de uma transação, substituindo-a se ficar presa (ver `txManager.js`)
+ * @param {ethers.TransactionResponse} tx - Transação enviada
+ * @param {number} [confirmations=CONFIG.REQUIRED_CONFIRMATIONS] - Número de confirmações
+ * @returns {Promise<ethers.TransactionReceipt>} - Recibo da transação minerada (a original ou a substituta)
+ */
+async function waitForTx(tx, confirmations = CONFIG.REQUIRED_CONFIRMATIONS) {
+  const receipt = await waitForTransaction(tx, {
+    confirmations,
+    logFile: path.join(CONFIG.OUTPUT_DIR, CONFIG.REPLACEMENTS_FILE)
+  });
+  console.log(`🔗 Tx ${receipt.hash} confirmada no bloco ${receipt.blockNumber}`);
+  return receipt;
+}
+
+/**
+ * @notice Aplica a tolerância de slippage a uma quantidade esperada
+ * @param {bigint} amount - Quantidade esperada
+ * @param {number} slippageBps - Tolerância em pontos-base (50 = 0,5%)
+ * @returns {bigint} - Quantidade mínima aceita
+ * @throws {Error} - Lança erro se a tolerância estiver fora de 0–10000
+ */
+function applySlippage(amount, slippageBps) {
+  const bps = BigInt(slippageBps);
+  if (bps < 0n || bps > CONFIG.BPS_DENOMINATOR) {
+    throw new Error(`Slippage inválido: ${slippageBps} bps (use 0–${CONFIG.BPS_DENOMINATOR})`);
+  }
+  return (amount * (CONFIG.BPS_DENOMINATOR - bps)) / CONFIG.BPS_DENOMINATOR;
+}
+
+/**
+ * @notice Acrescenta a tolerância de slippage a uma quantidade esperada (limite máximo de entrada)
+ * @param {bigint} amount - Quantidade esperada
+ * @param {number} slippageBps - Tolerância em pontos-base (50 = 0,5%)
+ * @returns {bigint} - Quantidade máxima aceita
+ * @throws {Error} - Lança erro se a tolerância estiver fora de 0–10000
+ */
+function addSlippage(amount, slippageBps) {
+  const bps = BigInt(slippageBps);
+  if (bps < 0n || bps > CONFIG.BPS_DENOMINATOR) {
+    throw new Error(`Slippage inválido: ${slippageBps} bps (use 0–${CONFIG.BPS_DENOMINATOR})`);
+  }
+  return (amount * (CONFIG.BPS_DENOMINATOR + bps)) / CONFIG.BPS_DENOMINATOR;
+}
+
+/**
+ * @notice Calcula o prazo (deadline) de uma transação do roteador
+ * @param {number} seconds - Segundos a partir do timestamp do último bloco
+ * @returns {Promise<number>} - Timestamp limite
+ */
+async function getDeadline(seconds) {
+  const block = await ethers.provider.getBlock("latest");
+  return block.timestamp + Number(seconds);
+}
+
+/**
+ * @notice Aprova um spender (ex.: o roteador) a gastar um token, se a allowance atual não bastar
+ * @param {Object} token - `{ contract, symbol, decimals }`, com o contrato conectado ao dono dos tokens
+ * @param {string} spender - Endereço autorizado
+ * @param {bigint} amount - Quantidade a aprovar
+ * @param {ethers.Signer} owner - Dono dos tokens
+ * @returns {Promise<string|null>} - Hash da transação de aprovação, ou null se não foi necessária
+ */
+async function ensureAllowance(token, spender, amount, owner) {
+  const allowance = await token.contract.allowance(owner.address, spender);
+  if (allowance >= amount) {
+    console.log(`✔️ Allowance de ${token.symbol} já suficiente`);
+    return null;
+  }
+  console.log(`📝 Aprovando ${ethers.formatUnits(amount, token.decimals)} ${token.symbol} para ${spender}...`);
+  const tx = await sendWithGasStrategy(token.contract.approve, [spender, amount]);
+  const receipt = await waitForTx(tx);
+  return receipt.hash;
+}
+
+/**
+ * @notice Implanta um contrato e aguarda confirmações
+ * @param {string} contractName - Nome do contrato a ser implantado
+ * @param {ethers.Signer} deployer - Signer da conta que realizará a implantação
+ * @param {Array|Object} [args=[]] - Argumentos do construtor do contrato
+ * @returns {Promise<Object>} - Objeto com o contrato, endereço e detalhes da transação
+ */
+async function deployContract(contractName, deployer, args = []) {
+  console.log(`\n📝 Implantando contrato ${contractName}...`);
+  const factory = await ethers.getContractFactory(contractName, deployer);
+
+  // Valida o tamanho do bytecode
+  await validateBytecodeSize(factory, contractName);
+
+  // Implanta o contrato
+  const constructorArgs = normalizeConstructorArgs(args);
+  const overrides = await getGasOverrides({
+    estimate: async (estimateOverrides) =>
+      deployer.estimateGas(await factory.getDeployTransaction(...constructorArgs, estimateOverrides))
+  });
+  const contract = await factory.deploy(...constructorArgs, overrides);
+
+  // Uma substituta reenvia o mesmo bytecode com o mesmo nonce, portanto o endereço não muda
+  const address = await contract.getAddress();
+  const receipt = await waitForTx(contract.deploymentTransaction());
+
+  console.log(`✅ ${contractName} implantado em: ${address}`);
+  console.log(`🔗 Hash da transação: ${receipt.hash}`);
+  console.log(`📍 Bloco: ${receipt.blockNumber}, Gás usado: ${receipt.gasUsed.toString()}`);
+
+  return {
+    contract,
+    contractName,
+    address,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    constructorArgs
+  };
+}
+
+/**
+ * @notice Verifica se existe código implantado em um endereço
+ * @param {string} address - Endereço a ser verificado
+ * @returns {Promise<boolean>} - Retorna true se houver bytecode no endereço
+ */
+async function isContractDeployed(address) {
+  if (!address || !ethers.isAddress(address)) {
+    return false;
+  }
+  const code = await ethers.provider.getCode(address);
+  return code !== "0x";
+}
+
+/**
+ * @notice Lê e interpreta um arquivo JSON
+ * @param {string} filePath - Caminho do arquivo
+ * @param {*} [fallback] - Valor retornado se o arquivo não existir; se omitido, a ausência gera erro
+ * @returns {Promise<*>} - Conteúdo interpretado
+ * @throws {Error} - Lança erro se o arquivo for inválido ou ausente sem fallback
+ */
+async function readJsonFile(filePath, fallback) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT" && fallback !== undefined) {
+      return fallback;
+    }
+    throw new Error(`Falha ao ler ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`JSON inválido em ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * @notice Grava um objeto como JSON formatado, criando o diretório se necessário
+ * @dev Valores bigint são serializados como string decimal.
+ * @param {string} filePath - Caminho do arquivo de saída
+ * @param {*} data - Dados a serem gravados
+ * @returns {Promise<void>}
+ */
+async function writeJsonFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const replacer = (key, value) => (typeof value === "bigint" ? value.toString() : value);
+  await fs.writeFile(filePath, JSON.stringify(data, replacer, 2));
+}
+
+/**
+ * @notice Salva os endereços dos contratos em um arquivo JSON
+ * @param {Object} addressData - Objeto com os endereços dos contratos
+ * @param {string} fileName - Nome do arquivo de saída
+ * @param {string} [outputDir=CONFIG.OUTPUT_DIR] - Diretório de saída
+ * @returns {Promise<string>} - Caminho do arquivo gravado
+ */
+async function saveAddresses(addressData, fileName, outputDir = CONFIG.OUTPUT_DIR) {
+  const filePath = path.join(outputDir, fileName);
+  try {
+    await writeJsonFile(filePath, addressData);
+    console.log(`✅ Endereços salvos em: ${filePath}`);
+    return filePath;
+  } catch (error) {
+    throw new Error(`Falha ao salvar endereços: ${error.message}`);
+  }
+}
+
+/**
+ * @notice Acrescenta uma entrada a um arquivo de logs em formato de array JSON
+ * @dev Arquivos ausentes, vazios ou que não contenham um array são reiniciados.
+ * @param {Object} logData - Objeto com informações detalhadas da operação
+ * @param {string} fileName - Nome do arquivo de logs
+ * @param {string} [outputDir=CONFIG.OUTPUT_DIR] - Diretório de saída
+ * @returns {Promise<string>} - Caminho do arquivo gravado
+ */
+async function saveDeploymentLogs(logData, fileName, outputDir = CONFIG.OUTPUT_DIR) {
+  const filePath = path.join(outputDir, fileName);
+  try {
+    // Carrega logs existentes, se houver
+    let existingLogs = [];
+    try {
+      existingLogs = await readJsonFile(filePath, []);
+      if (!Array.isArray(existingLogs)) {
+        existingLogs = [];
+      }
+    } catch (error) {
+      // Arquivo vazio ou corrompido, inicia com array vazio
+    }
+
+    // Adiciona novo log
+    existingLogs.push(logData);
+    await writeJsonFile(filePath, existingLogs);
+    console.log(`✅ Logs salvos em: ${filePath}`);
+    return filePath;
+  } catch (error) {
+    throw new Error(`Falha ao salvar logs: ${error.message}`);
+  }
+}
+
+/**
+ * @notice Signer que substitui o primeiro signer da rede (ex.: o deployer real personificado em um fork)
+ * @type {ethers.Signer|null}
+ */
+let deployerOverride = null;
+
+/**
+ * @notice Define (ou remove, com null) o signer usado como deployer por `getNetworkContext`
+ * @param {ethers.Signer|null} signer - Signer a usar no lugar do primeiro signer da rede
+ */
+function setDeployerOverride(signer) {
+  deployerOverride = signer;
+}
+
+/**
+ * @notice Obtém o signer principal e as informações da rede conectada
+ * @returns {Promise<Object>} - Objeto com `deployer`, `networkName` e `chainId` (bigint)
+ */
+async function getNetworkContext() {
+  const [deployer] = deployerOverride ? [deployerOverride] : await ethers.getSigners();
+  const network = await ethers.provider.getNetwork();
+  return {
+    deployer,
+    networkName: hre.network.name || "unknown",
+    chainId: network.chainId
+  };
+}
+
+/**
+ * @notice Executa as validações iniciais comuns a todos os scripts que enviam transações
+ * @param {Object} context - Contexto retornado por `getNetworkContext`
+ * @returns {Promise<bigint>} - Saldo inicial do deployer
+ */
+async function runPreflightChecks(context) {
+  const { deployer, networkName, chainId } = context;
+  await validateEnvVariables(networkName);
+  await validateNetwork({ name: networkName, chainId });
+  await checkDeployerBalance(deployer);
+
+  const initialBalance = await ethers.provider.getBalance(deployer.address);
+  console.log(`💰 Saldo inicial: ${ethers.formatEther(initialBalance)} ETH`);
+  return initialBalance;
+}
+
+/**
+ * @notice Coleta as informações de rede registradas nos logs
+ * @param {string} networkName - Nome da rede
+ * @param {bigint} chainId - ChainId da rede
+ * @returns {Promise<Object>} - Dados do bloco mais recente e da rede
+ */
+async function collectNetworkInfo(networkName, chainId) {
+  const block = await ethers.provider.getBlock("latest");
+  return {
+    name: networkName,
+    chainId: chainId.toString(),
+    blockNumber: block.number,
+    blockTimestamp: block.timestamp,
+    gasLimit: block.gasLimit.toString()
+  };
+}
+
+/**
+ * @notice Monta a entrada de log de um contrato implantado
+ * @param {Object} deployment - Resultado de `deployContract`
+ * @returns {Promise<Object>} - Endereço, transação, gás e tamanho do bytecode implantado
+ */
+async function buildContractLog(deployment) {
+  const code = await ethers.provider.getCode(deployment.address);
+  return {
+    address: deployment.address,
+    txHash: deployment.txHash,
+    blockNumber: deployment.blockNumber,
+    gasUsed: deployment.gasUsed.toString(),
+    bytecodeSize: getBytecodeSize(code)
+  };
+}
+
+/**
+ * @notice Exibe o saldo final do deployer e o total gasto
+ * @param {ethers.Signer} deployer - Signer do deployer
+ * @param {bigint} initialBalance - Saldo antes da execução
+ * @returns {Promise<bigint>} - Saldo final
+ */
+async function reportSpentBalance(deployer, initialBalance) {
+  const finalBalance = await ethers.provider.getBalance(deployer.address);
+  console.log(`💸 Saldo final: ${ethers.formatEther(finalBalance)} ETH`);
+  console.log(`📉 ETH gasto: ${ethers.formatEther(initialBalance - finalBalance)} ETH`);
+  return finalBalance;
+}
+
+/**
+ * @notice Executa a função principal de um script e encerra o processo conforme o resultado
+ * @param {Function} main - Função principal assíncrona
+ * @param {string} [successMessage="✅ Script concluído."] - Mensagem exibida em caso de sucesso
+ */
+function runMain(main, successMessage = "✅ Script concluído.") {
+  main()
+    .then(() => {
+      console.log(successMessage);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ Falha no script:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  CONFIG,
+  ERC20_ABI,
+  validateEnvVariables,
+  validateNetwork,
+  checkDeployerBalance,
+  getBytecodeSize,
+  validateBytecodeSize,
+  normalizeConstructorArgs,
+  waitForTx,
+  applySlippage,
+  addSlippage,
+  getDeadline,
+  ensureAllowance,
+  deployContract,
+  isContractDeployed,
+  readJsonFile,
+  writeJsonFile,
+  saveAddresses,
+  saveDeploymentLogs,
+  setDeployerOverride,
+  getNetworkContext,
+  runPreflightChecks,
+  collectNetworkInfo,
+  buildContractLog,
+  reportSpentBalance,
+  runMain
 };
@@ -0,0 +1,270 @@
+/**
+ * @file holderIndex.js
+ * @description Índice de detentores de um token a partir dos eventos Transfer (e Deposit/Withdrawal, no WETH9):
+ *              varre os logs desde o bloco de implantação (do registro ou, na falta dele, localizado pelo código do
+ *              contrato) em intervalos de blocos, reduzindo o intervalo quando o RPC recusa a consulta, e
+ *              reconstrói o saldo de cada conta.
+ *              O progresso é gravado em `deployments/holders/<chainId>/<token>.json` a cada intervalo, apenas até
+ *              o último bloco final (`FINALITY_BLOCKS` atrás do topo), para que as execuções seguintes varram só
+ *              os blocos novos. O hash do último bloco gravado é conferido ao retomar: se a cadeia for outra
+ *              (nó local reiniciado, reorganização), o progresso é descartado.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const path = require("path");
+const { CONFIG: DEFAULTS, readJsonFile, writeJsonFile } = require("./helpers");
+const { listDeployments } = require("./registry");
+const { withRetry } = require("./multicall");
+
+/**
+ * @notice Configurações do módulo
+ * @type {Object}
+ */
+const CONFIG = {
+  CACHE_DIR: path.join(DEFAULTS.OUTPUT_DIR, "holders"), // Diretório do progresso, por chainId e token
+  FORMAT_VERSION: 2, // Versão do formato do arquivo de progresso
+  CHUNK_SIZE: 5000, // Blocos por consulta `eth_getLogs`
+  FINALITY_BLOCKS: 12, // Blocos abaixo do topo considerados finais (só eles vão para o cache)
+  LOCAL_NETWORKS: ["hardhat", "localhost"] // Redes sem reorganizações: todo o intervalo vai para o cache
+};
+
+/**
+ * @notice Eventos que movem saldos: Transfer e, em tokens no estilo WETH9, Deposit e Withdrawal
+ * @type {ethers.Interface}
+ */
+const TOKEN_INTERFACE = new ethers.Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Deposit(address indexed dst, uint256 wad)",
+  "event Withdrawal(address indexed src, uint256 wad)"
+]);
+
+/**
+ * @notice Tópicos consultados em `eth_getLogs` (qualquer um dos eventos)
+ * @type {string[][]}
+ */
+const BALANCE_TOPICS = [["Transfer", "Deposit", "Withdrawal"].map((name) => TOKEN_INTERFACE.getEvent(name).topicHash)];
+
+/**
+ * @notice Caminho do arquivo de progresso de um token
+ * @param {string|bigint} chainId - ChainId da rede
+ * @param {string} token - Endereço do token
+ * @param {string} [cacheDir] - Diretório do progresso (padrão: `CONFIG.CACHE_DIR`)
+ * @returns {string} - `<cacheDir>/<chainId>/<token>.json`
+ */
+function getCachePath(chainId, token, cacheDir = CONFIG.CACHE_DIR) {
+  return path.join(cacheDir, chainId.toString(), `${ethers.getAddress(token)}.json`);
+}
+
+/**
+ * @notice Aplica eventos de saldo a um mapa de saldos
+ * @dev O endereço zero (cunhagem e queima) não é um detentor; Deposit e Withdrawal contam como cunhagem e queima.
+ *      Contas que zeram o saldo continuam no mapa com 0n, para que a lista de quem já teve o token não se perca.
+ * @param {Map<string, bigint>} balances - Saldos por conta (alterado no lugar)
+ * @param {Object[]} logs - Logs brutos dos eventos, em ordem
+ * @returns {Map<string, bigint>} - O mesmo mapa
+ */
+function applyTransfers(balances, logs) {
+  for (const log of logs) {
+    const event = TOKEN_INTERFACE.parseLog(log);
+    const [from, to, value] = event.name === "Transfer"
+      ? event.args
+      : event.name === "Deposit"
+        ? [ethers.ZeroAddress, event.args.dst, event.args.wad]
+        : [event.args.src, ethers.ZeroAddress, event.args.wad];
+    if (from !== ethers.ZeroAddress) {
+      balances.set(from, (balances.get(from) || 0n) - value);
+    }
+    if (to !== ethers.ZeroAddress) {
+      balances.set(to, (balances.get(to) || 0n) + value);
+    }
+  }
+  return balances;
+}
+
+/**
+ * @notice Bloco em que um contrato foi implantado
+ * @dev Usa o bloco registrado para o endereço (ver `registry.js`); se não houver, faz uma busca binária pelo
+ *      primeiro bloco com código no endereço, o que exige um nó com histórico de estado.
+ * @param {string} address - Endereço do contrato
+ * @returns {Promise<number>} - Bloco de implantação
+ * @throws {Error} - Lança erro se não houver código no endereço
+ */
+async function findDeploymentBlock(address) {
+  const normalized = ethers.getAddress(address);
+  const entry = Object.values(await listDeployments())
+    .find((deployment) => deployment.address === normalized && deployment.blockNumber !== null);
+  if (entry) {
+    return entry.blockNumber;
+  }
+
+  let high = await ethers.provider.getBlockNumber();
+  if ((await ethers.provider.getCode(normalized, high)) === "0x") {
+    throw new Error(`Nenhum contrato no endereço ${normalized}`);
+  }
+  let low = 0;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if ((await ethers.provider.getCode(normalized, middle)) === "0x") {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * @notice Indica se o RPC recusou a consulta pelo tamanho do intervalo ou do resultado
+ * @param {Error} error - Erro da consulta
+ * @returns {boolean} - Verdadeiro se vale repetir com um intervalo menor
+ */
+function isRangeError(error) {
+  return /range|too many|limit|exceed|10000 results|response size/i.test(error.message);
+}
+
+/**
+ * @notice Lê os eventos de saldo de um token em intervalos de blocos
+ * @dev Quando o RPC recusa um intervalo, ele é dividido ao meio e a consulta é repetida; os intervalos seguintes
+ *      mantêm o tamanho reduzido.
+ * @param {string} token - Endereço do token
+ * @param {number} fromBlock - Primeiro bloco (inclusive)
+ * @param {number} toBlock - Último bloco (inclusive)
+ * @param {Function} onChunk - `async (logs, lastBlock)` chamada ao fim de cada intervalo, em ordem
+ * @param {Object} [options] - `chunkSize` (padrão: `CONFIG.CHUNK_SIZE`)
+ * @returns {Promise<void>}
+ * @throws {Error} - Lança erro se um único bloco for recusado ou se a consulta esgotar as tentativas
+ */
+async function scanTransfers(token, fromBlock, toBlock, onChunk, options = {}) {
+  let chunkSize = options.chunkSize || CONFIG.CHUNK_SIZE;
+  let start = fromBlock;
+  while (start <= toBlock) {
+    const end = Math.min(start + chunkSize - 1, toBlock);
+    let logs;
+    try {
+      logs = await withRetry(
+        () => ethers.provider.getLogs({ address: token, topics: BALANCE_TOPICS, fromBlock: start, toBlock: end }),
+        { label: `Logs dos blocos ${start}-${end}` }
+      );
+    } catch (error) {
+      if (chunkSize === 1 || !isRangeError(error)) {
+        throw error;
+      }
+      chunkSize = Math.ceil(chunkSize / 2);
+      console.warn(`⚠️ Intervalo ${start}-${end} recusado pelo RPC; tentando com ${chunkSize} blocos`);
+      continue;
+    }
+    await onChunk(logs, end);
+    start = end + 1;
+  }
+}
+
+/**
+ * @notice Carrega o progresso gravado de um token
+ * @dev Além da identidade, confere o hash gravado de `lastBlock` com o da rede: um nó local reiniciado implanta o
+ *      token no mesmo endereço e bloco, mas os saldos gravados são de outra cadeia.
+ * @param {string} filePath - Arquivo de progresso
+ * @param {Object} expected - `{ chainId, token, deploymentBlock }` esperados
+ * @returns {Promise<Object|null>} - `{ lastBlock, balances }` ou null se ausente, incompatível ou de outra cadeia
+ */
+async function loadCache(filePath, expected) {
+  const cache = await readJsonFile(filePath, null).catch((error) => {
+    console.warn(`⚠️ Progresso ignorado: ${error.message}`);
+    return null;
+  });
+  if (!cache) {
+    return null;
+  }
+  if (cache.v !== CONFIG.FORMAT_VERSION || cache.chainId !== expected.chainId || cache.token !== expected.token ||
+    cache.deploymentBlock !== expected.deploymentBlock) {
+    console.warn(`⚠️ Progresso em ${filePath} incompatível; varrendo desde o bloco ${expected.deploymentBlock}`);
+    return null;
+  }
+  const block = await ethers.provider.getBlock(cache.lastBlock);
+  if (!block || block.hash !== cache.lastBlockHash) {
+    console.warn(`⚠️ Bloco ${cache.lastBlock} do progresso em ${filePath} não pertence à cadeia atual; varrendo desde o bloco ${expected.deploymentBlock}`);
+    return null;
+  }
+  return {
+    lastBlock: cache.lastBlock,
+    balances: new Map(Object.entries(cache.balances).map(([account, balance]) => [account, BigInt(balance)]))
+  };
+}
+
+/**
+ * @notice Monta o conjunto de detentores de um token com seus saldos, a partir dos eventos Transfer
+ * @dev Continua do progresso gravado quando ele cobre até `toBlock` ou menos; consultas a um bloco anterior ao
+ *      gravado varrem desde a implantação sem tocar no cache. Os saldos refletem os eventos: tokens que alteram
+ *      saldos sem emitir Transfer exigem conferência on-chain (ver `getBalances` em `multicall.js`).
+ * @param {string} token - Endereço do token
+ * @param {Object} [options] - Opções
+ * @param {number} [options.toBlock] - Último bloco (padrão: o último da rede)
+ * @param {number} [options.fromBlock] - Bloco de implantação (padrão: `findDeploymentBlock`)
+ * @param {string} [options.cacheDir] - Diretório do progresso (padrão: `CONFIG.CACHE_DIR`)
+ * @param {number} [options.chunkSize] - Blocos por consulta (padrão: `CONFIG.CHUNK_SIZE`)
+ * @param {number} [options.finality] - Blocos abaixo do topo mantidos fora do cache
+ * @returns {Promise<Object>} - `{ token, fromBlock, toBlock, scannedBlocks, holders: [{ account, balance }] }`,
+ *                              detentores com saldo positivo em ordem decrescente de saldo
+ */
+async function indexHolders(token, options = {}) {
+  const address = ethers.getAddress(token);
+  const { chainId } = await ethers.provider.getNetwork();
+  const latest = await ethers.provider.getBlockNumber();
+  const toBlock = options.toBlock ?? latest;
+  const fromBlock = options.fromBlock ?? await findDeploymentBlock(address);
+  const finality = options.finality ?? (CONFIG.LOCAL_NETWORKS.includes(hre.network.name) ? 0 : CONFIG.FINALITY_BLOCKS);
+  const finalBlock = Math.min(toBlock, latest - finality);
+  const filePath = getCachePath(chainId, address, options.cacheDir);
+  const identity = { chainId: chainId.toString(), token: address, deploymentBlock: fromBlock };
+
+  const cache = await loadCache(filePath, identity);
+  const usable = cache && cache.lastBlock <= toBlock;
+  const balances = usable ? cache.balances : new Map();
+  let lastBlock = usable ? cache.lastBlock : fromBlock - 1;
+  const scanFrom = lastBlock + 1;
+
+  const save = async () => writeJsonFile(filePath, {
+    v: CONFIG.FORMAT_VERSION,
+    ...identity,
+    lastBlock,
+    lastBlockHash: (await ethers.provider.getBlock(lastBlock)).hash,
+    updatedAt: new Date().toISOString(),
+    balances: Object.fromEntries(balances)
+  });
+
+  // Primeiro os blocos finais, gravando o progresso a cada intervalo; depois os recentes, só em memória
+  const persist = !cache || usable;
+  if (scanFrom <= finalBlock) {
+    await scanTransfers(address, scanFrom, finalBlock, async (logs, end) => {
+      applyTransfers(balances, logs);
+      lastBlock = end;
+      if (persist) {
+        await save();
+      }
+    }, options);
+  }
+  if (Math.max(scanFrom, finalBlock + 1) <= toBlock) {
+    await scanTransfers(address, Math.max(scanFrom, finalBlock + 1), toBlock, async (logs) => {
+      applyTransfers(balances, logs);
+    }, options);
+  }
+
+  const holders = [...balances]
+    .filter(([, balance]) => balance > 0n)
+    .map(([account, balance]) => ({ account, balance }))
+    .sort((a, b) => (a.balance === b.balance ? 0 : a.balance > b.balance ? -1 : 1));
+  return { token: address, fromBlock, toBlock, scannedBlocks: Math.max(toBlock - scanFrom + 1, 0), holders };
+}
+
+module.exports = {
+  CONFIG,
+  getCachePath,
+  applyTransfers,
+  findDeploymentBlock,
+  isRangeError,
+  scanTransfers,
+  indexHolders
+};
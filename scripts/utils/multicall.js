@@ -0,0 +1,223 @@
+/**
+ * @file multicall.js
+ * @description Camada de leitura em lote via Multicall3: agrega chamadas `view` em poucas chamadas `eth_call`
+ *              (lotes de `BATCH_SIZE`), fixadas em um bloco, com novas tentativas e espera exponencial.
+ *              Usa o Multicall3 registrado para a rede ou, na falta dele, o canônico quando houver código no
+ *              endereço no bloco lido; sem nenhum dos dois, faz as chamadas individualmente (com aviso). Em redes locais e de
+ *              teste, `deployMulticall` implanta e registra o contrato `contracts/utils/Multicall3.sol`.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const { ethers } = require("hardhat");
+const { deployContract } = require("./helpers");
+const { getDeployment, recordDeployment } = require("./registry");
+
+/**
+ * @notice Configurações do módulo
+ * @type {Object}
+ */
+const CONFIG = {
+  CONTRACT_NAME: "Multicall3", // Nome do contrato e da entrada no registro
+  CANONICAL_ADDRESS: "0xcA11bde05977b3631167028862bE2a173976CA11", // Multicall3 canônico (mesmo endereço em todas as redes)
+  DEPLOYABLE_CHAIN_IDS: ["31337", "11155111", "80001"], // Redes locais e de teste onde os scripts implantam o Multicall3
+  BATCH_SIZE: 500, // Chamadas por `aggregate3`
+  FALLBACK_CONCURRENCY: 10, // Chamadas simultâneas quando não há Multicall3
+  RETRY_ATTEMPTS: 3, // Tentativas por lote
+  RETRY_DELAY: 500 // Espera antes da segunda tentativa (ms); dobra a cada nova tentativa
+};
+
+/**
+ * @notice ABI mínima do Multicall3
+ * @type {string[]}
+ */
+const MULTICALL_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+  "function getEthBalance(address addr) view returns (uint256 balance)"
+];
+
+/**
+ * @notice Interface dos saldos ERC20
+ * @type {ethers.Interface}
+ */
+const BALANCE_INTERFACE = new ethers.Interface(["function balanceOf(address owner) view returns (uint256)"]);
+
+/**
+ * @notice Executa uma operação com novas tentativas e espera exponencial
+ * @dev Reverts (`CALL_EXCEPTION` ou erro com os dados do revert) são determinísticos e não são repetidos.
+ * @param {Function} operation - Função assíncrona a executar
+ * @param {Object} [options] - `attempts`, `delay` (ms) e `label` para as mensagens
+ * @returns {Promise<*>} - Resultado da operação
+ * @throws {Error} - Último erro após esgotar as tentativas
+ */
+async function withRetry(operation, options = {}) {
+  const attempts = options.attempts ?? CONFIG.RETRY_ATTEMPTS;
+  const delay = options.delay ?? CONFIG.RETRY_DELAY;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= attempts || error.code === "CALL_EXCEPTION" || typeof error.data === "string") {
+        throw error;
+      }
+      const wait = delay * 2 ** (attempt - 1);
+      console.warn(`⚠️ ${options.label || "Leitura"} falhou (tentativa ${attempt}/${attempts}): ${error.message}. Nova tentativa em ${wait} ms`);
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+}
+
+/**
+ * @notice Localiza o Multicall3 da rede conectada
+ * @dev O código é conferido no bloco das leituras: em blocos anteriores à implantação do Multicall3 o
+ *      `aggregate3` devolveria `0x`, e as leituras precisam ser feitas individualmente.
+ * @param {number|string} [blockTag="latest"] - Bloco das leituras
+ * @returns {Promise<ethers.Contract|null>} - Contrato registrado ou canônico, ou null se nenhum tiver código no bloco
+ */
+async function getMulticall(blockTag = "latest") {
+  const entry = await getDeployment(CONFIG.CONTRACT_NAME, { required: false });
+  for (const address of [entry && entry.address, CONFIG.CANONICAL_ADDRESS].filter(Boolean)) {
+    if ((await ethers.provider.getCode(address, blockTag)) !== "0x") {
+      return new ethers.Contract(address, MULTICALL_ABI, ethers.provider);
+    }
+  }
+  return null;
+}
+
+/**
+ * @notice Executa as chamadas individualmente, quando não há Multicall3
+ * @param {Object[]} calls - Chamadas `{ target, callData, allowFailure }`
+ * @param {number|string} blockTag - Bloco das leituras
+ * @returns {Promise<Object[]>} - `{ success, returnData }` por chamada
+ */
+async function callIndividually(calls, blockTag) {
+  const results = [];
+  for (let i = 0; i < calls.length; i += CONFIG.FALLBACK_CONCURRENCY) {
+    results.push(...await Promise.all(calls.slice(i, i + CONFIG.FALLBACK_CONCURRENCY).map(async (call) => {
+      try {
+        return { success: true, returnData: await ethers.provider.call({ to: call.target, data: call.callData, blockTag }) };
+      } catch (error) {
+        if (!call.allowFailure || !error.data) {
+          throw error;
+        }
+        return { success: false, returnData: error.data };
+      }
+    })));
+  }
+  return results;
+}
+
+/**
+ * @notice Agrega chamadas já codificadas em lotes de `aggregate3`
+ * @param {Object[]} calls - Chamadas `{ target, callData, allowFailure }`
+ * @param {Object} [options] - `blockTag` (padrão: "latest") e `multicall` (padrão: `getMulticall(blockTag)`)
+ * @returns {Promise<Object[]>} - `{ success, returnData }` por chamada, na mesma ordem
+ * @throws {Error} - Lança erro se uma chamada sem `allowFailure` falhar ou se um lote esgotar as tentativas
+ */
+async function aggregate(calls, options = {}) {
+  const blockTag = options.blockTag ?? "latest";
+  const multicall = options.multicall === undefined ? await getMulticall(blockTag) : options.multicall;
+  if (!multicall && calls.length > CONFIG.FALLBACK_CONCURRENCY) {
+    console.warn(`⚠️ Multicall3 indisponível nesta rede: ${calls.length} chamadas individuais (implante com multicall:deploy)`);
+  }
+
+  const results = [];
+  for (let i = 0; i < calls.length; i += CONFIG.BATCH_SIZE) {
+    const batch = calls.slice(i, i + CONFIG.BATCH_SIZE).map((call) => ({
+      target: call.target,
+      allowFailure: Boolean(call.allowFailure),
+      callData: call.callData
+    }));
+    const label = `Lote ${i / CONFIG.BATCH_SIZE + 1} (${batch.length} chamadas)`;
+    const batchResults = await withRetry(async () => (multicall
+      ? (await multicall.aggregate3.staticCall(batch, { blockTag })).map(([success, returnData]) => ({ success, returnData }))
+      : callIndividually(batch, blockTag)), { label });
+    results.push(...batchResults);
+  }
+  return results;
+}
+
+/**
+ * @notice Executa chamadas `view` de contratos em lote e decodifica os resultados
+ * @param {Object[]} calls - `{ target, interface, method, args, allowFailure }` (`interface`: ethers.Interface ou ABI)
+ * @param {Object} [options] - Mesmas opções de `aggregate`
+ * @returns {Promise<Array>} - Valor de cada chamada (o único retorno é desembrulhado); null para falhas permitidas
+ */
+async function multicall(calls, options = {}) {
+  const encoded = calls.map((call) => {
+    const iface = call.interface instanceof ethers.Interface ? call.interface : new ethers.Interface(call.interface);
+    return { ...call, iface, callData: iface.encodeFunctionData(call.method, call.args || []) };
+  });
+  const results = await aggregate(encoded, options);
+  return results.map(({ success, returnData }, index) => {
+    const { iface, method } = encoded[index];
+    if (!success) {
+      return null;
+    }
+    try {
+      const decoded = iface.decodeFunctionResult(method, returnData);
+      return decoded.length === 1 ? decoded[0] : decoded;
+    } catch (error) {
+      // Alvo sem código ou retorno incompatível: trata como falha da chamada
+      if (encoded[index].allowFailure) {
+        return null;
+      }
+      throw new Error(`Retorno inválido de ${method} em ${encoded[index].target}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * @notice Saldos de várias contas em um token ERC20 ou no token nativo
+ * @param {string|null} token - Endereço do token; null para o saldo nativo
+ * @param {string[]} accounts - Contas
+ * @param {Object} [options] - Mesmas opções de `aggregate`
+ * @returns {Promise<bigint[]>} - Saldos na ordem das contas
+ */
+async function getBalances(token, accounts, options = {}) {
+  const contract = options.multicall === undefined ? await getMulticall(options.blockTag) : options.multicall;
+  if (!token && !contract) {
+    return withRetry(
+      () => Promise.all(accounts.map((account) => ethers.provider.getBalance(account, options.blockTag ?? "latest"))),
+      { label: "Saldos nativos" }
+    );
+  }
+  return multicall(accounts.map((account) => (token
+    ? { target: token, interface: BALANCE_INTERFACE, method: "balanceOf", args: [account] }
+    : { target: contract.target, interface: contract.interface, method: "getEthBalance", args: [account] })), {
+    ...options,
+    multicall: contract
+  });
+}
+
+/**
+ * @notice Implanta e registra o Multicall3 em redes locais e de teste, se ainda não houver um disponível
+ * @param {ethers.Signer} deployer - Conta que implanta
+ * @returns {Promise<Object>} - `{ address, deployed }`; `deployed` é false quando um Multicall3 já existia
+ * @throws {Error} - Lança erro em redes de produção sem Multicall3 (os scripts não o implantam lá)
+ */
+async function deployMulticall(deployer) {
+  const existing = await getMulticall();
+  if (existing) {
+    return { address: existing.target, deployed: false };
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
+  if (!CONFIG.DEPLOYABLE_CHAIN_IDS.includes(chainId.toString())) {
+    throw new Error(`Multicall3 não encontrado no chainId ${chainId}; os scripts só o implantam em redes locais e de teste`);
+  }
+  const deployment = await deployContract(CONFIG.CONTRACT_NAME, deployer);
+  await recordDeployment(CONFIG.CONTRACT_NAME, deployment);
+  return { ...deployment, deployed: true };
+}
+
+module.exports = {
+  CONFIG,
+  withRetry,
+  getMulticall,
+  aggregate,
+  multicall,
+  getBalances,
+  deployMulticall
+};
@@ -0,0 +1,155 @@
+/**
+ * @file orchestrator.js
+ * @description Motor de execução de etapas de implantação com ordenação por dependências e retomada.
+ *              Cada etapa declara suas dependências; o estado de cada execução é persistido em disco
+ *              após cada etapa, permitindo retomar a partir da etapa que falhou sem reimplantar as anteriores.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-25
+ */
+
+const { readJsonFile, writeJsonFile } = require("./helpers");
+
+/**
+ * @notice Status possíveis de uma etapa no arquivo de estado
+ * @type {Object}
+ */
+const STEP_STATUS = {
+  COMPLETED: "completed",
+  FAILED: "failed"
+};
+
+/**
+ * @notice Ordena as etapas respeitando as dependências declaradas (ordenação topológica)
+ * @dev Etapas independentes mantêm a ordem de declaração.
+ * @param {Object[]} steps - Etapas com `id` e `dependsOn` opcional
+ * @returns {Object[]} - Etapas ordenadas
+ * @throws {Error} - Lança erro para ids duplicados, dependências desconhecidas ou ciclos
+ */
+function resolveOrder(steps) {
+  const byId = new Map();
+  for (const step of steps) {
+    if (byId.has(step.id)) {
+      throw new Error(`Etapa duplicada: ${step.id}`);
+    }
+    byId.set(step.id, step);
+  }
+
+  for (const step of steps) {
+    for (const dep of step.dependsOn || []) {
+      if (!byId.has(dep)) {
+        throw new Error(`Etapa ${step.id} depende de etapa desconhecida: ${dep}`);
+      }
+    }
+  }
+
+  const ordered = [];
+  const done = new Set();
+  while (ordered.length < steps.length) {
+    const next = steps.find(
+      (step) => !done.has(step.id) && (step.dependsOn || []).every((dep) => done.has(dep))
+    );
+    if (!next) {
+      const pending = steps.filter((step) => !done.has(step.id)).map((step) => step.id);
+      throw new Error(`Dependência circular entre as etapas: ${pending.join(", ")}`);
+    }
+    ordered.push(next);
+    done.add(next.id);
+  }
+  return ordered;
+}
+
+/**
+ * @notice Carrega o estado de execução de um escopo (ex.: chainId) do arquivo de estado
+ * @param {string} statePath - Caminho do arquivo de estado
+ * @param {string} stateKey - Chave do escopo dentro do arquivo
+ * @returns {Promise<Object>} - Estado com o mapa `steps`
+ */
+async function loadState(statePath, stateKey) {
+  const allStates = await readJsonFile(statePath, {});
+  const state = allStates[stateKey] || {};
+  return { ...state, steps: { ...(state.steps || {}) } };
+}
+
+/**
+ * @notice Persiste o estado de execução de um escopo preservando os demais
+ * @param {string} statePath - Caminho do arquivo de estado
+ * @param {string} stateKey - Chave do escopo dentro do arquivo
+ * @param {Object} state - Estado a ser gravado
+ * @returns {Promise<void>}
+ */
+async function saveState(statePath, stateKey, state) {
+  const allStates = await readJsonFile(statePath, {});
+  allStates[stateKey] = { ...state, updatedAt: new Date().toISOString() };
+  await writeJsonFile(statePath, allStates);
+}
+
+/**
+ * @notice Executa as etapas em ordem de dependência, pulando as já concluídas e retomando após falhas
+ * @dev Uma etapa é pulada quando está registrada como concluída, `isComplete` confirma o resultado
+ *      registrado (ex.: há código no endereço) e nenhuma de suas dependências foi reexecutada nesta rodada.
+ *      O estado é gravado após cada etapa; em caso de erro a etapa é marcada como falha e o erro é relançado.
+ * @param {Object[]} steps - Etapas `{ id, dependsOn, run(context, results), isComplete(result, context) }`
+ * @param {Object} options - Opções de execução
+ * @param {string} options.statePath - Caminho do arquivo de estado
+ * @param {string} options.stateKey - Escopo do estado (ex.: chainId)
+ * @param {Object} [options.context={}] - Contexto repassado às etapas
+ * @param {Object} [options.seed={}] - Resultados conhecidos por fontes externas, usados se a etapa não tiver registro
+ * @returns {Promise<Object>} - Objeto com `results` por etapa, `executed` e `skipped`
+ */
+async function runSteps(steps, { statePath, stateKey, context = {}, seed = {} }) {
+  const ordered = resolveOrder(steps);
+  const state = await loadState(statePath, stateKey);
+  const results = {};
+  const executed = [];
+  const skipped = [];
+
+  for (const step of ordered) {
+    const record = state.steps[step.id] ||
+      (seed[step.id] ? { status: STEP_STATUS.COMPLETED, result: seed[step.id] } : undefined);
+    const depsRerun = (step.dependsOn || []).some((dep) => executed.includes(dep));
+
+    if (record && record.status === STEP_STATUS.COMPLETED && !depsRerun) {
+      const stillValid = step.isComplete ? await step.isComplete(record.result, context) : true;
+      if (stillValid) {
+        console.log(`⏭️  Etapa ${step.id} já concluída, pulando.`);
+        results[step.id] = record.result;
+        state.steps[step.id] = record;
+        skipped.push(step.id);
+        continue;
+      }
+      console.warn(`⚠️ Etapa ${step.id} registrada como concluída, mas não confirmada on-chain. Reexecutando.`);
+    }
+
+    console.log(`\n▶️  Executando etapa ${step.id}...`);
+    try {
+      const result = await step.run(context, results);
+      results[step.id] = result;
+      state.steps[step.id] = {
+        status: STEP_STATUS.COMPLETED,
+        result,
+        completedAt: new Date().toISOString()
+      };
+      executed.push(step.id);
+      await saveState(statePath, stateKey, state);
+    } catch (error) {
+      state.steps[step.id] = {
+        status: STEP_STATUS.FAILED,
+        error: error.message,
+        failedAt: new Date().toISOString()
+      };
+      await saveState(statePath, stateKey, state);
+      throw new Error(`Etapa ${step.id} falhou: ${error.message}`);
+    }
+  }
+
+  return { results, executed, skipped };
+}
+
+module.exports = {
+  STEP_STATUS,
+  resolveOrder,
+  loadState,
+  saveState,
+  runSteps
+};
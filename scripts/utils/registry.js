@@ -0,0 +1,262 @@
+/**
+ * @file registry.js
+ * @description Registro de implantações por rede. Cada chainId possui seu próprio arquivo em
+ *              `deployments/registry/<chainId>.json`, com uma seção por tag de implantação
+ *              (ex.: "default", "staging"). Para cada contrato são gravados endereço, hash da transação,
+ *              bloco, hash do bytecode implantado e argumentos do construtor.
+ *              As consultas usam sempre o chainId do provider conectado e recusam endereços
+ *              registrados para outra rede. A rede Hardhat em processo usa um arquivo próprio
+ *              (`<chainId>-hardhat.json`), pois compartilha o chainId com o nó `localhost`.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-26
+ */
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const path = require("path");
+const { CONFIG: DEFAULTS, readJsonFile, writeJsonFile } = require("./helpers");
+
+/**
+ * @notice Configurações do registro
+ * @type {Object}
+ */
+const CONFIG = {
+  REGISTRY_DIR: path.join(DEFAULTS.OUTPUT_DIR, "registry"), // Diretório dos arquivos por chainId
+  DEFAULT_TAG: "default", // Tag usada quando nenhuma é informada
+  PAIR_KEY_PREFIX: "Pair", // Prefixo das chaves canônicas de pares
+  IN_PROCESS_NETWORK: "hardhat", // Rede Hardhat em processo, descartada ao fim de cada execução
+  ALIASES: {
+    WETH: "WETH9", // Apelidos aceitos para o WETH registrado
+    ETH: "WETH9"
+  }
+};
+
+/**
+ * @notice Resolve a tag de implantação a ser usada
+ * @param {string} [tag] - Tag explícita
+ * @returns {string} - Tag explícita, `DEPLOYMENT_TAG` do ambiente ou a tag padrão
+ */
+function resolveTag(tag) {
+  return tag || process.env.DEPLOYMENT_TAG || CONFIG.DEFAULT_TAG;
+}
+
+/**
+ * @notice Gera a chave canônica de um par no registro
+ * @dev Os tokens são ordenados como em `UniswapV2Factory.createPair` (token0 < token1),
+ *      então a chave é a mesma independentemente da ordem informada.
+ * @param {string} tokenA - Endereço do primeiro token
+ * @param {string} tokenB - Endereço do segundo token
+ * @returns {string} - Chave no formato `Pair_<token0>_<token1>`
+ * @throws {Error} - Lança erro se algum endereço for inválido ou se os tokens forem iguais
+ */
+function getPairKey(tokenA, tokenB) {
+  if (!ethers.isAddress(tokenA) || !ethers.isAddress(tokenB)) {
+    throw new Error(`Endereços de token inválidos para o par: ${tokenA}, ${tokenB}`);
+  }
+  const [token0, token1] = [ethers.getAddress(tokenA), ethers.getAddress(tokenB)]
+    .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+  if (token0 === token1) {
+    throw new Error(`Par inválido: tokens idênticos (${token0})`);
+  }
+  return `${CONFIG.PAIR_KEY_PREFIX}_${token0}_${token1}`;
+}
+
+/**
+ * @notice Obtém o chainId do provider conectado
+ * @returns {Promise<string>} - ChainId em formato decimal
+ */
+async function getConnectedChainId() {
+  const network = await ethers.provider.getNetwork();
+  return network.chainId.toString();
+}
+
+/**
+ * @notice Caminho do arquivo de registro de um chainId
+ * @dev A rede em processo e o nó `localhost` usam o mesmo chainId (31337), mas a primeira é recriada a cada
+ *      execução: com um arquivo comum, os endereços de uma execução em processo apontariam para contratos
+ *      inexistentes (ou diferentes) no nó `localhost`, e vice-versa.
+ * @param {string|bigint|number} chainId - ChainId da rede
+ * @param {string} [registryDir=CONFIG.REGISTRY_DIR] - Diretório do registro
+ * @param {string} [networkName=hre.network.name] - Rede dona do registro
+ * @returns {string} - Caminho do arquivo (`<chainId>.json` ou `<chainId>-hardhat.json` na rede em processo)
+ */
+function getRegistryPath(chainId, registryDir = CONFIG.REGISTRY_DIR, networkName = hre.network.name) {
+  const suffix = networkName === CONFIG.IN_PROCESS_NETWORK ? `-${CONFIG.IN_PROCESS_NETWORK}` : "";
+  return path.join(registryDir, `${chainId.toString()}${suffix}.json`);
+}
+
+/**
+ * @notice Carrega o registro de um chainId
+ * @param {string|bigint|number} chainId - ChainId da rede
+ * @param {string} [registryDir=CONFIG.REGISTRY_DIR] - Diretório do registro
+ * @returns {Promise<Object>} - Registro com `chainId` e `tags`
+ * @throws {Error} - Lança erro se o arquivo pertencer a outro chainId
+ */
+async function loadRegistry(chainId, registryDir = CONFIG.REGISTRY_DIR) {
+  const expected = chainId.toString();
+  const registry = await readJsonFile(getRegistryPath(expected, registryDir), { chainId: expected, tags: {} });
+  if (registry.chainId !== expected) {
+    throw new Error(
+      `Registro ${getRegistryPath(expected, registryDir)} pertence ao chainId ${registry.chainId}, ` +
+      `esperado ${expected}`
+    );
+  }
+  registry.tags = registry.tags || {};
+  return registry;
+}
+
+/**
+ * @notice Resolve e valida o chainId de uma operação contra o provider conectado
+ * @param {Object} options - Opções com `chainId` opcional
+ * @returns {Promise<string>} - ChainId conectado
+ * @throws {Error} - Lança erro se o chainId informado diferir da rede conectada
+ */
+async function resolveChainId(options = {}) {
+  const connected = await getConnectedChainId();
+  if (options.chainId !== undefined && options.chainId.toString() !== connected) {
+    throw new Error(
+      `Registro solicitado para o chainId ${options.chainId}, mas o provider está conectado ao chainId ${connected}`
+    );
+  }
+  return connected;
+}
+
+/**
+ * @notice Calcula o hash keccak256 do bytecode implantado em um endereço
+ * @param {string} address - Endereço do contrato
+ * @returns {Promise<string>} - Hash do bytecode de runtime
+ * @throws {Error} - Lança erro se não houver código no endereço
+ */
+async function getDeployedBytecodeHash(address) {
+  const code = await ethers.provider.getCode(address);
+  if (code === "0x") {
+    throw new Error(`Nenhum bytecode encontrado em ${address}`);
+  }
+  return ethers.keccak256(code);
+}
+
+/**
+ * @notice Registra (ou substitui) um contrato no registro da rede conectada
+ * @param {string} name - Nome do registro (ex.: "UniswapV2Factory", "Pair_<token0>_<token1>")
+ * @param {Object} deployment - Dados da implantação
+ * @param {string} deployment.address - Endereço do contrato
+ * @param {string} [deployment.contractName] - Nome do artefato, se diferente de `name`
+ * @param {string|null} [deployment.txHash] - Hash da transação de criação
+ * @param {number|null} [deployment.blockNumber] - Bloco da transação de criação
+ * @param {Array} [deployment.constructorArgs] - Argumentos do construtor
+ * @param {Object} [options] - `tag`, `chainId` e `registryDir` opcionais
+ * @returns {Promise<Object>} - Entrada gravada
+ */
+async function recordDeployment(name, deployment, options = {}) {
+  const chainId = await resolveChainId(options);
+  const tag = resolveTag(options.tag);
+  const registryDir = options.registryDir || CONFIG.REGISTRY_DIR;
+
+  if (!ethers.isAddress(deployment.address)) {
+    throw new Error(`Endereço inválido para ${name}: ${deployment.address}`);
+  }
+
+  const entry = {
+    contractName: deployment.contractName || name,
+    address: ethers.getAddress(deployment.address),
+    txHash: deployment.txHash || null,
+    blockNumber: deployment.blockNumber === undefined ? null : deployment.blockNumber,
+    bytecodeHash: await getDeployedBytecodeHash(deployment.address),
+    constructorArgs: (deployment.constructorArgs || []).map((arg) => arg.toString()),
+    recordedAt: new Date().toISOString()
+  };
+
+  const registry = await loadRegistry(chainId, registryDir);
+  const section = registry.tags[tag] || { network: hre.network.name, contracts: {} };
+  const previous = section.contracts[name];
+
+  // Reexecuções que apenas reencontram o mesmo contrato preservam os dados da criação original
+  if (previous && previous.address === entry.address && !entry.txHash) {
+    entry.txHash = previous.txHash;
+    entry.blockNumber = previous.blockNumber;
+  }
+
+  section.network = hre.network.name;
+  section.contracts[name] = entry;
+  registry.tags[tag] = section;
+
+  await writeJsonFile(getRegistryPath(chainId, registryDir), registry);
+  console.log(`🗂️  ${name} registrado em ${getRegistryPath(chainId, registryDir)} (tag: ${tag})`);
+  return entry;
+}
+
+/**
+ * @notice Obtém a entrada de um contrato no registro da rede conectada
+ * @param {string} name - Nome do registro
+ * @param {Object} [options] - `tag`, `chainId`, `registryDir` e `required` (padrão true)
+ * @returns {Promise<Object|null>} - Entrada registrada, ou null se ausente e `required` for false
+ * @throws {Error} - Lança erro se o chainId divergir ou se a entrada obrigatória estiver ausente
+ */
+async function getDeployment(name, options = {}) {
+  const chainId = await resolveChainId(options);
+  const tag = resolveTag(options.tag);
+  const registry = await loadRegistry(chainId, options.registryDir || CONFIG.REGISTRY_DIR);
+  const entry = registry.tags[tag] && registry.tags[tag].contracts[name];
+
+  if (!entry) {
+    if (options.required === false) {
+      return null;
+    }
+    throw new Error(`Contrato ${name} não encontrado no registro do chainId ${chainId} (tag: ${tag})`);
+  }
+  return entry;
+}
+
+/**
+ * @notice Obtém o endereço de um contrato registrado na rede conectada
+ * @param {string} name - Nome do registro
+ * @param {Object} [options] - Mesmas opções de `getDeployment`
+ * @returns {Promise<string|null>} - Endereço registrado
+ */
+async function getDeploymentAddress(name, options = {}) {
+  const entry = await getDeployment(name, options);
+  return entry ? entry.address : null;
+}
+
+/**
+ * @notice Resolve um contrato informado por endereço, nome no registro ou apelido
+ * @param {string} value - Endereço, nome registrado (ex.: "SPBToken") ou apelido (ex.: "WETH")
+ * @param {Object} [options] - Mesmas opções de `getDeployment`
+ * @returns {Promise<string>} - Endereço com checksum
+ * @throws {Error} - Lança erro se o nome não estiver no registro
+ */
+async function resolveAddress(value, options = {}) {
+  if (ethers.isAddress(value)) {
+    return ethers.getAddress(value);
+  }
+  const name = CONFIG.ALIASES[value.toUpperCase()] || value;
+  return getDeploymentAddress(name, options);
+}
+
+/**
+ * @notice Lista todos os contratos registrados para a rede conectada e uma tag
+ * @param {Object} [options] - `tag`, `chainId` e `registryDir` opcionais
+ * @returns {Promise<Object>} - Mapa nome → entrada
+ */
+async function listDeployments(options = {}) {
+  const chainId = await resolveChainId(options);
+  const tag = resolveTag(options.tag);
+  const registry = await loadRegistry(chainId, options.registryDir || CONFIG.REGISTRY_DIR);
+  return registry.tags[tag] ? { ...registry.tags[tag].contracts } : {};
+}
+
+module.exports = {
+  CONFIG,
+  resolveTag,
+  getPairKey,
+  getConnectedChainId,
+  getRegistryPath,
+  loadRegistry,
+  getDeployedBytecodeHash,
+  recordDeployment,
+  getDeployment,
+  getDeploymentAddress,
+  resolveAddress,
+  listDeployments
+};
@@ -0,0 +1,274 @@
+/**
+ * @file txManager.js
+ * @description Acompanhamento de transações enviadas pelos scripts. Se uma transação não for minerada dentro da
+ *              janela da rede, envia uma substituta com o mesmo nonce e taxas elevadas (ou cancela o nonce com uma
+ *              transferência de 0 para o próprio remetente), registra cada substituição e devolve o recibo de
+ *              quem for minerada, para que o script continue de onde parou.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs").promises;
+const path = require("path");
+const { resolveGasSettings, getFeeOverrides } = require("./gasStrategy");
+
+/**
+ * @notice Configurações do gerenciador de transações
+ * @dev `timeoutMs` é o tempo sem mineração a partir do qual a transação é considerada presa;
+ *      `pollMs` é o intervalo entre consultas de recibo.
+ * @type {Object}
+ */
+const CONFIG = {
+  NETWORKS: {
+    default: { timeoutMs: 180000, pollMs: 4000 },
+    hardhat: { timeoutMs: 30000, pollMs: 250 },
+    localhost: { timeoutMs: 30000, pollMs: 500 },
+    mainnet: { timeoutMs: 180000, pollMs: 12000 },
+    sepolia: { timeoutMs: 120000, pollMs: 12000 },
+    polygon: { timeoutMs: 60000, pollMs: 2000 },
+    mumbai: { timeoutMs: 60000, pollMs: 2000 }
+  },
+  ACTION_ENV: "STUCK_TX_ACTION", // "replace" (padrão) ou "cancel"
+  FEE_BUMP_PERCENT: 15n, // Aumento mínimo das taxas da substituta (os nós exigem ao menos 10%)
+  MAX_REPLACEMENTS: 3, // Substituições antes de desistir
+  CANCEL_GAS_LIMIT: 21000n, // Gás da transferência de cancelamento
+  NONCE_USED_PATTERN: /nonce (too low|has already been used)|NONCE_EXPIRED/i // Original minerada durante o envio
+};
+
+/**
+ * @notice Ações possíveis para uma transação presa
+ * @type {Object}
+ */
+const ACTIONS = {
+  REPLACE: "replace",
+  CANCEL: "cancel"
+};
+
+/**
+ * @notice Resolve a janela de espera e o intervalo de consulta de uma rede
+ * @param {string} [networkName=hre.network.name] - Nome da rede
+ * @returns {Object} - `{ timeoutMs, pollMs }`
+ */
+function resolveWaitSettings(networkName = hre.network.name) {
+  return { ...CONFIG.NETWORKS.default, ...(CONFIG.NETWORKS[networkName] || {}) };
+}
+
+/**
+ * @notice Eleva um valor de taxa em `FEE_BUMP_PERCENT`, arredondando para cima
+ * @param {bigint} value - Taxa atual
+ * @returns {bigint} - Taxa elevada
+ */
+function bump(value) {
+  const scaled = value * (100n + CONFIG.FEE_BUMP_PERCENT);
+  return scaled / 100n + (scaled % 100n === 0n ? 0n : 1n);
+}
+
+/**
+ * @notice Calcula as taxas da substituta: o maior entre as taxas originais elevadas e as taxas atuais da rede
+ * @param {Object} previous - Taxas da transação presa (`{ maxFeePerGas, maxPriorityFeePerGas }` ou `{ gasPrice }`)
+ * @param {Object} current - Taxas atuais da estratégia de gás, no mesmo formato
+ * @param {bigint} ceiling - Teto da taxa máxima por gás
+ * @returns {Object} - Taxas da substituta
+ * @throws {Error} - Lança erro se as taxas elevadas ultrapassarem o teto
+ */
+function bumpFees(previous, current, ceiling) {
+  const max = (a, b) => (a > b ? a : b);
+  const fees = previous.maxFeePerGas
+    ? {
+      maxFeePerGas: max(bump(previous.maxFeePerGas), current.maxFeePerGas || current.gasPrice),
+      maxPriorityFeePerGas: max(bump(previous.maxPriorityFeePerGas), current.maxPriorityFeePerGas || 0n)
+    }
+    : { gasPrice: max(bump(previous.gasPrice), current.gasPrice || current.maxFeePerGas) };
+
+  const price = fees.maxFeePerGas || fees.gasPrice;
+  if (price > ceiling) {
+    throw new Error(
+      `Taxa da substituta (${ethers.formatUnits(price, "gwei")} gwei) acima do teto de ` +
+      `${ethers.formatUnits(ceiling, "gwei")} gwei`
+    );
+  }
+  if (fees.maxPriorityFeePerGas > fees.maxFeePerGas) {
+    fees.maxPriorityFeePerGas = fees.maxFeePerGas;
+  }
+  return fees;
+}
+
+/**
+ * @notice Monta a transação que ocupa o nonce de uma transação presa
+ * @param {ethers.TransactionResponse} tx - Transação presa
+ * @param {string} action - `ACTIONS.REPLACE` (reenvia a mesma chamada) ou `ACTIONS.CANCEL` (0 para o remetente)
+ * @param {Object} fees - Resultado de `bumpFees`
+ * @returns {Object} - Requisição de transação
+ */
+function buildReplacement(tx, action, fees) {
+  const base = action === ACTIONS.CANCEL
+    ? { to: tx.from, data: "0x", value: 0n, gasLimit: CONFIG.CANCEL_GAS_LIMIT }
+    : { to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit };
+  return { ...base, nonce: tx.nonce, chainId: tx.chainId, type: fees.gasPrice !== undefined ? 0 : 2, ...fees };
+}
+
+/**
+ * @notice Acrescenta uma substituição ao arquivo de log (lista JSON)
+ * @param {string} logFile - Caminho do arquivo
+ * @param {Object} entry - Registro da substituição
+ */
+async function appendReplacementLog(logFile, entry) {
+  let entries = [];
+  try {
+    entries = JSON.parse(await fs.readFile(logFile, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+  entries.push(entry);
+  await fs.mkdir(path.dirname(logFile), { recursive: true });
+  await fs.writeFile(logFile, JSON.stringify(entries, null, 2));
+}
+
+/**
+ * @notice Consulta os recibos das transações enviadas para um nonce até uma ser minerada ou a janela expirar
+ * @param {ethers.TransactionResponse[]} sent - Original e substitutas
+ * @param {Object} settings - `{ timeoutMs, pollMs }`
+ * @returns {Promise<ethers.TransactionReceipt|null>} - Recibo minerado, ou null se a janela expirou
+ * @throws {Error} - Lança erro se o nonce for consumido por uma transação desconhecida
+ */
+async function pollReceipts(sent, settings) {
+  const { from, nonce } = sent[0];
+  const deadline = Date.now() + settings.timeoutMs;
+  for (;;) {
+    for (const tx of sent) {
+      const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    if ((await ethers.provider.getTransactionCount(from, "latest")) > nonce) {
+      // Um último recibo pode ter chegado entre as consultas
+      for (const tx of sent) {
+        const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+        if (receipt) {
+          return receipt;
+        }
+      }
+      throw new Error(`Nonce ${nonce} de ${from} consumido por uma transação desconhecida`);
+    }
+    if (Date.now() >= deadline) {
+      return null;
+    }
+    await new Promise((resolve) => setTimeout(resolve, settings.pollMs));
+  }
+}
+
+/**
+ * @notice Aguarda uma transação, substituindo-a ou cancelando-a se ficar presa
+ * @dev A cada janela sem mineração envia uma nova transação com o mesmo nonce e taxas elevadas, até
+ *      `maxReplacements`. O recibo devolvido é o da transação minerada (original ou substituta).
+ *      Um cancelamento minerado encerra com erro, pois a operação original não foi executada.
+ * @param {ethers.TransactionResponse} tx - Transação enviada
+ * @param {Object} [options] - Opções
+ * @param {number} [options.confirmations=1] - Confirmações exigidas
+ * @param {string} [options.action] - `replace` ou `cancel` (padrão: variável `STUCK_TX_ACTION` ou `replace`)
+ * @param {number} [options.timeoutMs] - Janela sem mineração (padrão: por rede)
+ * @param {number} [options.pollMs] - Intervalo entre consultas (padrão: por rede)
+ * @param {number} [options.maxReplacements=CONFIG.MAX_REPLACEMENTS] - Limite de substituições
+ * @param {string} [options.logFile] - Arquivo JSON onde cada substituição é registrada
+ * @returns {Promise<ethers.TransactionReceipt>} - Recibo da transação minerada
+ * @throws {Error} - Lança erro se a transação reverter, for cancelada ou continuar presa após o limite
+ */
+async function waitForTransaction(tx, options = {}) {
+  const settings = { ...resolveWaitSettings(), ...pick(options, ["timeoutMs", "pollMs"]) };
+  const action = options.action || process.env[CONFIG.ACTION_ENV] || ACTIONS.REPLACE;
+  if (!Object.values(ACTIONS).includes(action)) {
+    throw new Error(`Ação inválida para transação presa: ${action} (use ${Object.values(ACTIONS).join(" ou ")})`);
+  }
+  const maxReplacements = options.maxReplacements ?? CONFIG.MAX_REPLACEMENTS;
+  const sent = [tx];
+  const cancellations = new Set();
+
+  let receipt = await pollReceipts(sent, settings);
+  while (!receipt) {
+    const current = sent[sent.length - 1];
+    if (sent.length > maxReplacements) {
+      throw new Error(
+        `Transação ${current.hash} (nonce ${tx.nonce}) não minerada após ${maxReplacements} substituição(ões)`
+      );
+    }
+
+    const fees = bumpFees(current, await getFeeOverrides(), resolveGasSettings().maxFeePerGas);
+    const signer = await ethers.getSigner(tx.from);
+    let replacement;
+    try {
+      replacement = await signer.sendTransaction(buildReplacement(tx, action, fees));
+    } catch (error) {
+      if (!CONFIG.NONCE_USED_PATTERN.test(error.message)) {
+        throw error;
+      }
+      // A transação anterior foi minerada enquanto a substituta era enviada
+      receipt = await pollReceipts(sent, settings);
+      continue;
+    }
+
+    sent.push(replacement);
+    if (action === ACTIONS.CANCEL) {
+      cancellations.add(replacement.hash);
+    }
+    const entry = {
+      network: hre.network.name,
+      chainId: tx.chainId.toString(),
+      from: tx.from,
+      nonce: tx.nonce,
+      action,
+      replacedHash: current.hash,
+      replacementHash: replacement.hash,
+      fees: Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()])),
+      at: new Date().toISOString()
+    };
+    console.warn(
+      `⏳ Tx ${current.hash} não minerada em ${settings.timeoutMs / 1000}s; ` +
+      `${action === ACTIONS.CANCEL ? "cancelando" : "substituindo"} nonce ${tx.nonce} por ${replacement.hash} ` +
+      `(${ethers.formatUnits(fees.maxFeePerGas || fees.gasPrice, "gwei")} gwei)`
+    );
+    if (options.logFile) {
+      await appendReplacementLog(options.logFile, entry);
+    }
+    receipt = await pollReceipts(sent, settings);
+  }
+
+  const confirmations = options.confirmations ?? 1;
+  if (confirmations > 1) {
+    receipt = await ethers.provider.waitForTransaction(receipt.hash, confirmations);
+  }
+  if (receipt.status !== 1) {
+    throw new Error(`Transação ${receipt.hash} revertida no bloco ${receipt.blockNumber}`);
+  }
+  if (cancellations.has(receipt.hash)) {
+    throw new Error(`Transação ${tx.hash} cancelada pelo nonce ${tx.nonce} (tx ${receipt.hash}); execute o script novamente`);
+  }
+  if (receipt.hash !== tx.hash) {
+    console.log(`🔁 Substituta ${receipt.hash} confirmada no lugar de ${tx.hash}; continuando`);
+  }
+  return receipt;
+}
+
+/**
+ * @notice Copia apenas as chaves definidas de um objeto
+ * @param {Object} source - Objeto de origem
+ * @param {string[]} keys - Chaves desejadas
+ * @returns {Object} - Objeto com as chaves presentes
+ */
+function pick(source, keys) {
+  return Object.fromEntries(keys.filter((key) => source[key] !== undefined).map((key) => [key, source[key]]));
+}
+
+module.exports = {
+  CONFIG,
+  ACTIONS,
+  resolveWaitSettings,
+  bumpFees,
+  buildReplacement,
+  waitForTransaction
+};
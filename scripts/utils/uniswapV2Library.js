@@ -0,0 +1,214 @@
+/**
+ * @file uniswapV2Library.js
+ * @description Port JavaScript (BigInt) da `contracts/libraries/UniswapV2Library.sol`.
+ *              Permite calcular `sortTokens`, `pairFor` (CREATE2), `quote`, `getAmountOut`, `getAmountIn`,
+ *              `getAmountsOut` e `getAmountsIn` sem chamadas RPC, com as mesmas regras de arredondamento e as
+ *              mesmas mensagens de erro da biblioteca on-chain. Depende apenas de `ethers`, para poder ser
+ *              usado tanto pelos scripts Hardhat quanto por front-ends.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const { ethers } = require("ethers");
+
+/**
+ * @notice Constantes da biblioteca
+ * @type {Object}
+ */
+const CONFIG = {
+  INIT_CODE_HASH: "0x969f8d812de163056f9a3a7b5b88f7bfd887ee29c9be5698f0e81b00a45a3dee", // keccak256 do bytecode do UniswapV2Pair compilado (igual ao de pairFor)
+  FEE_NUMERATOR: 997n, // Taxa de 0,3%: a entrada vale 997/1000
+  FEE_DENOMINATOR: 1000n
+};
+
+/**
+ * @notice ABI mínima do par usada por `getReserves`
+ * @type {string[]}
+ */
+const PAIR_ABI = ["function getReserves() view returns (uint112, uint112, uint32)"];
+
+/**
+ * @notice Converte um valor numérico para BigInt
+ * @param {bigint|number|string} value - Valor a converter
+ * @returns {bigint} - Valor como BigInt
+ */
+function toBigInt(value) {
+  return typeof value === "bigint" ? value : BigInt(value);
+}
+
+/**
+ * @notice Ordena dois tokens como a biblioteca (token0 < token1)
+ * @param {string} tokenA - Endereço do primeiro token
+ * @param {string} tokenB - Endereço do segundo token
+ * @returns {string[]} - `[token0, token1]` com checksum
+ * @throws {Error} - `UniswapV2Library: IDENTICAL_ADDRESSES` ou `UniswapV2Library: ZERO_ADDRESS`
+ */
+function sortTokens(tokenA, tokenB) {
+  const a = ethers.getAddress(tokenA);
+  const b = ethers.getAddress(tokenB);
+  if (a === b) {
+    throw new Error("UniswapV2Library: IDENTICAL_ADDRESSES");
+  }
+  const [token0, token1] = BigInt(a) < BigInt(b) ? [a, b] : [b, a];
+  if (token0 === ethers.ZeroAddress) {
+    throw new Error("UniswapV2Library: ZERO_ADDRESS");
+  }
+  return [token0, token1];
+}
+
+/**
+ * @notice Calcula o hash de inicialização (init code hash) a partir do bytecode de criação do par
+ * @param {string} creationBytecode - Bytecode de criação do UniswapV2Pair (artefato `bytecode`)
+ * @returns {string} - keccak256 do bytecode
+ */
+function computeInitCodeHash(creationBytecode) {
+  return ethers.keccak256(creationBytecode);
+}
+
+/**
+ * @notice Calcula o endereço de um par via CREATE2, sem chamadas externas
+ * @param {string} factory - Endereço da factory
+ * @param {string} tokenA - Endereço do primeiro token
+ * @param {string} tokenB - Endereço do segundo token
+ * @param {string} [initCodeHash=CONFIG.INIT_CODE_HASH] - Hash de inicialização do par
+ * @returns {string} - Endereço do par
+ */
+function pairFor(factory, tokenA, tokenB, initCodeHash = CONFIG.INIT_CODE_HASH) {
+  const [token0, token1] = sortTokens(tokenA, tokenB);
+  const salt = ethers.solidityPackedKeccak256(["address", "address"], [token0, token1]);
+  return ethers.getCreate2Address(ethers.getAddress(factory), salt, initCodeHash);
+}
+
+/**
+ * @notice Lê as reservas de um par na ordem de `tokenA`/`tokenB`
+ * @dev Única função do módulo que faz chamada RPC; o par é localizado por `pairFor`.
+ * @param {ethers.Provider|ethers.Signer} runner - Provider para a leitura
+ * @param {string} factory - Endereço da factory
+ * @param {string} tokenA - Endereço do primeiro token
+ * @param {string} tokenB - Endereço do segundo token
+ * @param {string} [initCodeHash=CONFIG.INIT_CODE_HASH] - Hash de inicialização do par
+ * @returns {Promise<bigint[]>} - `[reserveA, reserveB]`
+ */
+async function getReserves(runner, factory, tokenA, tokenB, initCodeHash = CONFIG.INIT_CODE_HASH) {
+  const [token0] = sortTokens(tokenA, tokenB);
+  const pair = new ethers.Contract(pairFor(factory, tokenA, tokenB, initCodeHash), PAIR_ABI, runner);
+  const [reserve0, reserve1] = await pair.getReserves();
+  return ethers.getAddress(tokenA) === token0 ? [reserve0, reserve1] : [reserve1, reserve0];
+}
+
+/**
+ * @notice Quantidade equivalente de tokenB para `amountA`, pela proporção das reservas
+ * @param {bigint|number|string} amountA - Quantidade de tokenA
+ * @param {bigint|number|string} reserveA - Reserva de tokenA
+ * @param {bigint|number|string} reserveB - Reserva de tokenB
+ * @returns {bigint} - `amountA * reserveB / reserveA`
+ * @throws {Error} - `UniswapV2Library: INSUFFICIENT_AMOUNT` ou `UniswapV2Library: INSUFFICIENT_LIQUIDITY`
+ */
+function quote(amountA, reserveA, reserveB) {
+  const [amount, rA, rB] = [amountA, reserveA, reserveB].map(toBigInt);
+  if (amount <= 0n) {
+    throw new Error("UniswapV2Library: INSUFFICIENT_AMOUNT");
+  }
+  if (rA <= 0n || rB <= 0n) {
+    throw new Error("UniswapV2Library: INSUFFICIENT_LIQUIDITY");
+  }
+  return (amount * rB) / rA;
+}
+
+/**
+ * @notice Saída máxima para uma entrada, já descontada a taxa de 0,3%
+ * @param {bigint|number|string} amountIn - Quantidade de entrada
+ * @param {bigint|number|string} reserveIn - Reserva do token de entrada
+ * @param {bigint|number|string} reserveOut - Reserva do token de saída
+ * @returns {bigint} - `amountIn*997*reserveOut / (reserveIn*1000 + amountIn*997)`
+ * @throws {Error} - `UniswapV2Library: INSUFFICIENT_INPUT_AMOUNT` ou `UniswapV2Library: INSUFFICIENT_LIQUIDITY`
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut) {
+  const [amount, rIn, rOut] = [amountIn, reserveIn, reserveOut].map(toBigInt);
+  if (amount <= 0n) {
+    throw new Error("UniswapV2Library: INSUFFICIENT_INPUT_AMOUNT");
+  }
+  if (rIn <= 0n || rOut <= 0n) {
+    throw new Error("UniswapV2Library: INSUFFICIENT_LIQUIDITY");
+  }
+  const amountInWithFee = amount * CONFIG.FEE_NUMERATOR;
+  return (amountInWithFee * rOut) / (rIn * CONFIG.FEE_DENOMINATOR + amountInWithFee);
+}
+
+/**
+ * @notice Entrada necessária para obter uma saída, considerando a taxa de 0,3% (arredondada para cima)
+ * @dev Como na biblioteca, `amountOut >= reserveOut` gera underflow (erro aritmético) on-chain;
+ *      aqui o caso é reportado como `UniswapV2Library: INSUFFICIENT_LIQUIDITY`.
+ * @param {bigint|number|string} amountOut - Quantidade de saída desejada
+ * @param {bigint|number|string} reserveIn - Reserva do token de entrada
+ * @param {bigint|number|string} reserveOut - Reserva do token de saída
+ * @returns {bigint} - `reserveIn*amountOut*1000 / ((reserveOut - amountOut)*997) + 1`
+ * @throws {Error} - `UniswapV2Library: INSUFFICIENT_OUTPUT_AMOUNT` ou `UniswapV2Library: INSUFFICIENT_LIQUIDITY`
+ */
+function getAmountIn(amountOut, reserveIn, reserveOut) {
+  const [amount, rIn, rOut] = [amountOut, reserveIn, reserveOut].map(toBigInt);
+  if (amount <= 0n) {
+    throw new Error("UniswapV2Library: INSUFFICIENT_OUTPUT_AMOUNT");
+  }
+  if (rIn <= 0n || rOut <= 0n || amount >= rOut) {
+    throw new Error("UniswapV2Library: INSUFFICIENT_LIQUIDITY");
+  }
+  const numerator = rIn * amount * CONFIG.FEE_DENOMINATOR;
+  const denominator = (rOut - amount) * CONFIG.FEE_NUMERATOR;
+  return numerator / denominator + 1n;
+}
+
+/**
+ * @notice Quantidades de saída em cada salto de uma rota
+ * @param {bigint|number|string} amountIn - Quantidade inicial
+ * @param {string[]} path - Rota de tokens
+ * @param {Function} reservesOf - `(tokenIn, tokenOut) => [reserveIn, reserveOut]` (síncrona)
+ * @returns {bigint[]} - Quantidades por token da rota
+ * @throws {Error} - `UniswapV2Library: INVALID_PATH` para rotas com menos de dois tokens
+ */
+function getAmountsOut(amountIn, path, reservesOf) {
+  if (path.length < 2) {
+    throw new Error("UniswapV2Library: INVALID_PATH");
+  }
+  const amounts = [toBigInt(amountIn)];
+  for (let i = 0; i < path.length - 1; i++) {
+    const [reserveIn, reserveOut] = reservesOf(path[i], path[i + 1]);
+    amounts.push(getAmountOut(amounts[i], reserveIn, reserveOut));
+  }
+  return amounts;
+}
+
+/**
+ * @notice Quantidades de entrada em cada salto de uma rota para obter `amountOut`
+ * @param {bigint|number|string} amountOut - Quantidade final desejada
+ * @param {string[]} path - Rota de tokens
+ * @param {Function} reservesOf - `(tokenIn, tokenOut) => [reserveIn, reserveOut]` (síncrona)
+ * @returns {bigint[]} - Quantidades por token da rota
+ * @throws {Error} - `UniswapV2Library: INVALID_PATH` para rotas com menos de dois tokens
+ */
+function getAmountsIn(amountOut, path, reservesOf) {
+  if (path.length < 2) {
+    throw new Error("UniswapV2Library: INVALID_PATH");
+  }
+  const amounts = new Array(path.length);
+  amounts[path.length - 1] = toBigInt(amountOut);
+  for (let i = path.length - 1; i > 0; i--) {
+    const [reserveIn, reserveOut] = reservesOf(path[i - 1], path[i]);
+    amounts[i - 1] = getAmountIn(amounts[i], reserveIn, reserveOut);
+  }
+  return amounts;
+}
+
+module.exports = {
+  CONFIG,
+  sortTokens,
+  computeInitCodeHash,
+  pairFor,
+  getReserves,
+  quote,
+  getAmountOut,
+  getAmountIn,
+  getAmountsOut,
+  getAmountsIn
+};
@@ -0,0 +1,255 @@
+/**
+ * @file uniswapV2LiquidityMathLibrary.js
+ * @description Port JavaScript (BigInt) da `contracts/libraries/UniswapV2LiquidityMathLibrary.sol`.
+ *              Calcula o valor de tokens de liquidez nas reservas atuais e após a arbitragem até um preço de
+ *              referência, incluindo a diluição pela taxa de protocolo pendente (`kLast`/`feeTo`), com os mesmos
+ *              arredondamentos e mensagens de erro da biblioteca on-chain. As funções puras recebem os dados do par;
+ *              as assíncronas leem o par e a factory como a biblioteca faz.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const { ethers } = require("ethers");
+const library = require("./uniswapV2Library");
+
+/**
+ * @notice ABIs mínimas lidas pelas funções assíncronas
+ * @type {Object}
+ */
+const ABIS = {
+  PAIR: [
+    "function totalSupply() view returns (uint256)",
+    "function kLast() view returns (uint256)"
+  ],
+  FACTORY: ["function feeTo() view returns (address)"]
+};
+
+/**
+ * @notice Converte um valor numérico para BigInt
+ * @param {bigint|number|string} value - Valor a converter
+ * @returns {bigint} - Valor como BigInt
+ */
+function toBigInt(value) {
+  return typeof value === "bigint" ? value : BigInt(value);
+}
+
+/**
+ * @notice Raiz quadrada inteira arredondada para baixo (`Babylonian.sqrt`)
+ * @param {bigint|number|string} value - Radicando
+ * @returns {bigint} - floor(sqrt(value))
+ */
+function sqrt(value) {
+  const y = toBigInt(value);
+  if (y < 2n) {
+    return y;
+  }
+  let x = y;
+  let next = (x + 1n) / 2n;
+  while (next < x) {
+    x = next;
+    next = (x + y / x) / 2n;
+  }
+  return x;
+}
+
+/**
+ * @notice `a * b / denominator` arredondado para baixo (`FullMath.mulDiv`)
+ * @dev Com BigInt não há estouro intermediário; on-chain o resultado também precisa caber em uint256.
+ * @param {bigint} a - Primeiro fator
+ * @param {bigint} b - Segundo fator
+ * @param {bigint} denominator - Divisor
+ * @returns {bigint} - Resultado
+ */
+function mulDiv(a, b, denominator) {
+  return (a * b) / denominator;
+}
+
+/**
+ * @notice Direção e tamanho do trade que leva o preço do par ao preço de referência
+ * @dev Os preços valem como razão: após a arbitragem, reserveA / reserveB ≈ truePriceTokenA / truePriceTokenB.
+ * @param {bigint|number|string} truePriceTokenA - Preço de referência do token A
+ * @param {bigint|number|string} truePriceTokenB - Preço de referência do token B
+ * @param {bigint|number|string} reserveA - Reserva do token A
+ * @param {bigint|number|string} reserveB - Reserva do token B
+ * @returns {Object} - `{ aToB, amountIn }`; `amountIn` 0 quando não há arbitragem lucrativa
+ * @throws {Error} - `UniswapV2LiquidityMathLibrary: INVALID_TRUE_PRICES`
+ */
+function computeProfitMaximizingTrade(truePriceTokenA, truePriceTokenB, reserveA, reserveB) {
+  const [priceA, priceB, rA, rB] = [truePriceTokenA, truePriceTokenB, reserveA, reserveB].map(toBigInt);
+  if (priceA <= 0n || priceB <= 0n) {
+    throw new Error("UniswapV2LiquidityMathLibrary: INVALID_TRUE_PRICES");
+  }
+
+  const aToB = mulDiv(rA, priceB, rB) < priceA;
+  const invariant = rA * rB;
+  const leftSide = sqrt(mulDiv(invariant * 1000n, aToB ? priceA : priceB, (aToB ? priceB : priceA) * 997n));
+  const rightSide = ((aToB ? rA : rB) * 1000n) / 997n;
+
+  if (leftSide < rightSide) {
+    return { aToB: false, amountIn: 0n };
+  }
+  return { aToB, amountIn: leftSide - rightSide };
+}
+
+/**
+ * @notice Reservas do par após a arbitragem até o preço de referência
+ * @param {bigint|number|string} truePriceTokenA - Preço de referência do token A
+ * @param {bigint|number|string} truePriceTokenB - Preço de referência do token B
+ * @param {bigint|number|string} reserveA - Reserva do token A
+ * @param {bigint|number|string} reserveB - Reserva do token B
+ * @returns {bigint[]} - `[reserveA, reserveB]` ajustadas
+ * @throws {Error} - `UniswapV2LiquidityMathLibrary: ZERO_PAIR_RESERVES`
+ */
+function computeReservesAfterArbitrage(truePriceTokenA, truePriceTokenB, reserveA, reserveB) {
+  const [rA, rB] = [reserveA, reserveB].map(toBigInt);
+  if (rA <= 0n || rB <= 0n) {
+    throw new Error("UniswapV2LiquidityMathLibrary: ZERO_PAIR_RESERVES");
+  }
+
+  const { aToB, amountIn } = computeProfitMaximizingTrade(truePriceTokenA, truePriceTokenB, rA, rB);
+  if (amountIn === 0n) {
+    return [rA, rB];
+  }
+  if (aToB) {
+    return [rA + amountIn, rB - library.getAmountOut(amountIn, rA, rB)];
+  }
+  return [rA - library.getAmountOut(amountIn, rB, rA), rB + amountIn];
+}
+
+/**
+ * @notice Liquidez que o `feeTo` receberá no próximo mint/burn (1/6 do crescimento de sqrt(k) desde `kLast`)
+ * @param {bigint|number|string} reservesA - Reserva do token A
+ * @param {bigint|number|string} reservesB - Reserva do token B
+ * @param {bigint|number|string} totalSupply - Supply atual do token LP
+ * @param {bigint|number|string} kLast - `kLast` do par (0 quando a taxa está desligada)
+ * @returns {bigint} - Liquidez pendente da taxa de protocolo
+ */
+function computeFeeLiquidity(reservesA, reservesB, totalSupply, kLast) {
+  const [rA, rB, supply, last] = [reservesA, reservesB, totalSupply, kLast].map(toBigInt);
+  if (last === 0n) {
+    return 0n;
+  }
+  const rootK = sqrt(rA * rB);
+  const rootKLast = sqrt(last);
+  if (rootK <= rootKLast) {
+    return 0n;
+  }
+  return mulDiv(supply, rootK - rootKLast, rootK * 5n + rootKLast);
+}
+
+/**
+ * @notice Valor de uma quantidade de liquidez nos tokens do par
+ * @param {bigint|number|string} reservesA - Reserva do token A
+ * @param {bigint|number|string} reservesB - Reserva do token B
+ * @param {bigint|number|string} totalSupply - Supply do token LP
+ * @param {bigint|number|string} liquidityAmount - Liquidez a avaliar
+ * @param {boolean} feeOn - Se a factory tem `feeTo` definido
+ * @param {bigint|number|string} kLast - `kLast` do par
+ * @returns {bigint[]} - `[tokenAAmount, tokenBAmount]`
+ * @throws {Error} - `UniswapV2LiquidityMathLibrary: INVALID_LIQUIDITY_AMOUNT` ou `...: INSUFFICIENT_RESERVES`
+ */
+function computeLiquidityValue(reservesA, reservesB, totalSupply, liquidityAmount, feeOn, kLast) {
+  const [rA, rB, supply, liquidity] = [reservesA, reservesB, totalSupply, liquidityAmount].map(toBigInt);
+  if (supply <= 0n || liquidity > supply) {
+    throw new Error("UniswapV2LiquidityMathLibrary: INVALID_LIQUIDITY_AMOUNT");
+  }
+  if (rA <= 0n || rB <= 0n) {
+    throw new Error("UniswapV2LiquidityMathLibrary: INSUFFICIENT_RESERVES");
+  }
+
+  const dilutedSupply = feeOn ? supply + computeFeeLiquidity(rA, rB, supply, kLast) : supply;
+  return [(rA * liquidity) / dilutedSupply, (rB * liquidity) / dilutedSupply];
+}
+
+/**
+ * @notice Lê `feeTo`, `kLast` e `totalSupply` como a biblioteca on-chain
+ * @param {ethers.Provider|ethers.Signer} runner - Provider para a leitura
+ * @param {string} factory - Endereço da factory
+ * @param {string} pairAddress - Endereço do par
+ * @returns {Promise<Object>} - `{ feeOn, kLast, totalSupply }`
+ */
+async function readPairState(runner, factory, pairAddress) {
+  const pair = new ethers.Contract(pairAddress, ABIS.PAIR, runner);
+  const feeTo = await new ethers.Contract(factory, ABIS.FACTORY, runner).feeTo();
+  const feeOn = feeTo !== ethers.ZeroAddress;
+  return { feeOn, kLast: feeOn ? await pair.kLast() : 0n, totalSupply: await pair.totalSupply() };
+}
+
+/**
+ * @notice Reservas de um par após a arbitragem até o preço de referência, lidas on-chain
+ * @param {ethers.Provider|ethers.Signer} runner - Provider para a leitura
+ * @param {string} factory - Endereço da factory
+ * @param {string} tokenA - Endereço do token A
+ * @param {string} tokenB - Endereço do token B
+ * @param {bigint|number|string} truePriceTokenA - Preço de referência do token A
+ * @param {bigint|number|string} truePriceTokenB - Preço de referência do token B
+ * @param {string} [initCodeHash] - Hash de inicialização do par (padrão: o embutido em `pairFor`)
+ * @returns {Promise<bigint[]>} - `[reserveA, reserveB]` ajustadas
+ */
+async function getReservesAfterArbitrage(runner, factory, tokenA, tokenB, truePriceTokenA, truePriceTokenB, initCodeHash) {
+  const [reserveA, reserveB] = await library.getReserves(runner, factory, tokenA, tokenB, initCodeHash);
+  return computeReservesAfterArbitrage(truePriceTokenA, truePriceTokenB, reserveA, reserveB);
+}
+
+/**
+ * @notice Valor de uma quantidade de liquidez nas reservas atuais, lido on-chain
+ * @param {ethers.Provider|ethers.Signer} runner - Provider para a leitura
+ * @param {string} factory - Endereço da factory
+ * @param {string} tokenA - Endereço do token A
+ * @param {string} tokenB - Endereço do token B
+ * @param {bigint|number|string} liquidityAmount - Liquidez a avaliar
+ * @param {string} [initCodeHash] - Hash de inicialização do par
+ * @returns {Promise<bigint[]>} - `[tokenAAmount, tokenBAmount]`
+ */
+async function getLiquidityValue(runner, factory, tokenA, tokenB, liquidityAmount, initCodeHash) {
+  const [reservesA, reservesB] = await library.getReserves(runner, factory, tokenA, tokenB, initCodeHash);
+  const { feeOn, kLast, totalSupply } = await readPairState(runner, factory, library.pairFor(factory, tokenA, tokenB, initCodeHash));
+  return computeLiquidityValue(reservesA, reservesB, totalSupply, liquidityAmount, feeOn, kLast);
+}
+
+/**
+ * @notice Valor de uma quantidade de liquidez após a arbitragem até o preço de referência, lido on-chain
+ * @param {ethers.Provider|ethers.Signer} runner - Provider para a leitura
+ * @param {string} factory - Endereço da factory
+ * @param {string} tokenA - Endereço do token A
+ * @param {string} tokenB - Endereço do token B
+ * @param {bigint|number|string} truePriceTokenA - Preço de referência do token A
+ * @param {bigint|number|string} truePriceTokenB - Preço de referência do token B
+ * @param {bigint|number|string} liquidityAmount - Liquidez a avaliar
+ * @param {string} [initCodeHash] - Hash de inicialização do par
+ * @returns {Promise<bigint[]>} - `[tokenAAmount, tokenBAmount]`
+ * @throws {Error} - `UniswapV2LiquidityMathLibrary: INVALID_LIQUIDITY_AMOUNT` se a liquidez for 0 ou maior que o supply
+ */
+async function getLiquidityValueAfterArbitrageToPrice(
+  runner,
+  factory,
+  tokenA,
+  tokenB,
+  truePriceTokenA,
+  truePriceTokenB,
+  liquidityAmount,
+  initCodeHash
+) {
+  const { feeOn, kLast, totalSupply } = await readPairState(runner, factory, library.pairFor(factory, tokenA, tokenB, initCodeHash));
+  const liquidity = toBigInt(liquidityAmount);
+  if (liquidity <= 0n || liquidity > totalSupply) {
+    throw new Error("UniswapV2LiquidityMathLibrary: INVALID_LIQUIDITY_AMOUNT");
+  }
+  const [reservesA, reservesB] = await getReservesAfterArbitrage(
+    runner, factory, tokenA, tokenB, truePriceTokenA, truePriceTokenB, initCodeHash
+  );
+  return computeLiquidityValue(reservesA, reservesB, totalSupply, liquidity, feeOn, kLast);
+}
+
+module.exports = {
+  sqrt,
+  mulDiv,
+  computeProfitMaximizingTrade,
+  computeReservesAfterArbitrage,
+  computeFeeLiquidity,
+  computeLiquidityValue,
+  getReservesAfterArbitrage,
+  getLiquidityValue,
+  getLiquidityValueAfterArbitrageToPrice
+};
@@ -0,0 +1,193 @@
+/**
+ * @file verification.js
+ * @description Verificação do código-fonte dos contratos implantados no explorador de blocos (API compatível
+ *              com Etherscan, via `@nomicfoundation/hardhat-verify`). Monta a requisição a partir do build info
+ *              do artefato e dos argumentos do construtor usados na implantação, repete o envio enquanto o
+ *              explorador ainda não indexou o bytecode e devolve o status para ser gravado nos logs.
+ *              Falhas de verificação não interrompem a implantação: o status fica registrado para nova tentativa
+ *              com a tarefa `registry:verify`.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-29
+ */
+
+const hre = require("hardhat");
+const { ethers, artifacts } = hre;
+const { Etherscan } = require("@nomicfoundation/hardhat-verify/etherscan");
+
+/**
+ * @notice Configurações da verificação
+ * @type {Object}
+ */
+const CONFIG = {
+  LOCAL_NETWORKS: ["hardhat", "localhost"], // Redes sem explorador: a verificação é pulada
+  DISABLE_ENV: "VERIFY_CONTRACTS", // "false" desativa a verificação automática nos scripts de implantação
+  MAX_ATTEMPTS: 5, // Envios enquanto o explorador não encontra o bytecode
+  RETRY_DELAY_MS: 20000, // Espera entre envios (indexação do explorador)
+  // Os erros do hardhat-verify não preservam a classe (instanceof), então são reconhecidos pela mensagem
+  ALREADY_VERIFIED_PATTERN: /is already verified/,
+  MISSING_BYTECODE_PATTERN: /does not have bytecode/
+};
+
+/**
+ * @notice Status possíveis de uma verificação
+ * @type {Object}
+ */
+const STATUS = {
+  VERIFIED: "verified",
+  ALREADY_VERIFIED: "already-verified",
+  FAILED: "failed",
+  SKIPPED: "skipped"
+};
+
+/**
+ * @notice Aguarda um intervalo
+ * @param {number} ms - Milissegundos
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @notice Indica se a verificação deve ser executada na rede conectada
+ * @param {Object} [options] - `verify` (false desativa) e `explorer` (força a verificação na rede local)
+ * @returns {boolean} - true se a verificação deve ser executada
+ */
+function isVerificationEnabled(options = {}) {
+  if (options.verify === false || process.env[CONFIG.DISABLE_ENV] === "false") {
+    return false;
+  }
+  return Boolean(options.explorer) || !CONFIG.LOCAL_NETWORKS.includes(hre.network.name);
+}
+
+/**
+ * @notice Cria o cliente do explorador
+ * @dev Sem `explorer`, usa `etherscan.apiKey` e `etherscan.customChains` de `hardhat.config.js` para a rede
+ *      conectada. Com `explorer`, usa a URL informada (ex.: um stub local nos testes).
+ * @param {Object} [explorer] - `{ apiURL, browserURL, apiKey }`
+ * @returns {Promise<Etherscan>} - Cliente do explorador
+ * @throws {Error} - Lança erro se a rede não tiver explorador configurado ou faltar a chave de API
+ */
+async function createExplorer(explorer) {
+  if (explorer) {
+    return new Etherscan(explorer.apiKey || "", explorer.apiURL, explorer.browserURL || explorer.apiURL, undefined);
+  }
+  const chainConfig = await Etherscan.getCurrentChainConfig(
+    hre.network.name,
+    hre.network.provider,
+    hre.config.etherscan.customChains
+  );
+  return Etherscan.fromChainConfig(hre.config.etherscan.apiKey, chainConfig);
+}
+
+/**
+ * @notice Monta os dados enviados ao explorador para um contrato
+ * @param {string} contractName - Nome do artefato
+ * @param {Array} [constructorArgs=[]] - Argumentos do construtor usados na implantação
+ * @returns {Promise<Object>} - `{ sourceCode, contractName, compilerVersion, constructorArguments }`
+ * @throws {Error} - Lança erro se o build info do artefato não for encontrado
+ */
+async function buildVerificationRequest(contractName, constructorArgs = []) {
+  const artifact = await artifacts.readArtifact(contractName);
+  const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await artifacts.getBuildInfo(fullyQualifiedName);
+  if (!buildInfo) {
+    throw new Error(`Build info não encontrado para ${fullyQualifiedName}; recompile o projeto`);
+  }
+  const contractInterface = new ethers.Interface(artifact.abi);
+  return {
+    sourceCode: JSON.stringify(buildInfo.input),
+    contractName: fullyQualifiedName,
+    compilerVersion: `v${buildInfo.solcLongVersion}`,
+    constructorArguments: contractInterface.encodeDeploy(constructorArgs).slice(2)
+  };
+}
+
+/**
+ * @notice Verifica um contrato implantado no explorador
+ * @dev Reenvia enquanto o explorador responder que ainda não encontrou o bytecode (contrato recém-implantado).
+ *      Erros são devolvidos como status `failed` em vez de lançados.
+ * @param {Object} deployment - `{ contractName, address, constructorArgs }` (resultado de `deployContract` ou
+ *                              entrada do registro)
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.verify] - false pula a verificação
+ * @param {Object} [options.explorer] - `{ apiURL, browserURL, apiKey }` em vez da configuração da rede
+ * @param {number} [options.maxAttempts=CONFIG.MAX_ATTEMPTS] - Limite de envios
+ * @param {number} [options.retryDelayMs=CONFIG.RETRY_DELAY_MS] - Espera entre envios
+ * @returns {Promise<Object>} - `{ status, attempts, guid, url, message, checkedAt }`
+ */
+async function verifyContract(deployment, options = {}) {
+  const result = {
+    status: STATUS.SKIPPED,
+    attempts: 0,
+    guid: null,
+    url: null,
+    message: null,
+    checkedAt: new Date().toISOString()
+  };
+  if (!isVerificationEnabled(options)) {
+    result.message = `verificação desativada na rede ${hre.network.name}`;
+    return result;
+  }
+
+  const maxAttempts = options.maxAttempts ?? CONFIG.MAX_ATTEMPTS;
+  const retryDelayMs = options.retryDelayMs ?? CONFIG.RETRY_DELAY_MS;
+  const label = `${deployment.contractName} (${deployment.address})`;
+
+  try {
+    const explorer = await createExplorer(options.explorer);
+    result.url = explorer.getContractUrl(deployment.address);
+
+    if (await explorer.isVerified(deployment.address)) {
+      console.log(`✅ ${label} já verificado: ${result.url}`);
+      return { ...result, status: STATUS.ALREADY_VERIFIED };
+    }
+
+    const request = await buildVerificationRequest(deployment.contractName, deployment.constructorArgs || []);
+    let submission;
+    while (!submission) {
+      result.attempts++;
+      try {
+        submission = await explorer.verify(
+          deployment.address,
+          request.sourceCode,
+          request.contractName,
+          request.compilerVersion,
+          request.constructorArguments
+        );
+      } catch (error) {
+        if (CONFIG.ALREADY_VERIFIED_PATTERN.test(error.message)) {
+          console.log(`✅ ${label} já verificado: ${result.url}`);
+          return { ...result, status: STATUS.ALREADY_VERIFIED };
+        }
+        if (!CONFIG.MISSING_BYTECODE_PATTERN.test(error.message) || result.attempts >= maxAttempts) {
+          throw error;
+        }
+        console.log(`⏳ Explorador ainda não indexou ${label}; nova tentativa em ${retryDelayMs / 1000}s...`);
+        await sleep(retryDelayMs);
+      }
+    }
+
+    result.guid = submission.message;
+    const status = await explorer.getVerificationStatus(result.guid);
+    if (status.isSuccess() || status.isAlreadyVerified()) {
+      console.log(`✅ ${label} verificado: ${result.url}`);
+      return { ...result, status: status.isSuccess() ? STATUS.VERIFIED : STATUS.ALREADY_VERIFIED };
+    }
+    throw new Error(status.message);
+  } catch (error) {
+    const message = error.message.split("\n")[0];
+    console.error(`❌ Falha ao verificar ${label}: ${message}`);
+    return { ...result, status: STATUS.FAILED, message };
+  }
+}
+
+module.exports = {
+  CONFIG,
+  STATUS,
+  isVerificationEnabled,
+  createExplorer,
+  buildVerificationRequest,
+  verifyContract
+};
@@ -0,0 +1,403 @@
+/**
+ * @file catalog.js
+ * @description Catálogo das tarefas Hardhat do projeto. Cada entrada descreve o nome da tarefa,
+ *              o script que ela executa e seus parâmetros de linha de comando.
+ *              Não importa o Hardhat, para que possa ser lido tanto por `hardhat.config.js`
+ *              quanto pelo menu interativo (`scripts-runner.js`).
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-27
+ */
+
+/**
+ * @notice Parâmetro comum para selecionar a tag de implantação no registro
+ * @type {Object}
+ */
+const TAG_PARAM = {
+  name: "tag",
+  description: "Tag de implantação no registro (padrão: DEPLOYMENT_TAG ou \"default\")",
+  type: "string",
+  optional: true
+};
+
+/**
+ * @notice Parâmetros comuns do ensaio (dry-run) dos scripts de implantação
+ * @type {Object[]}
+ */
+const DRY_RUN_PARAMS = [
+  {
+    name: "dryRun",
+    description: "Ensaia em um fork local e exibe o plano e o custo, sem transmitir transações",
+    flag: true
+  },
+  {
+    name: "fork",
+    description: "Rede do hardhat.config.js copiada pelo dry-run (ex.: polygon)",
+    type: "string",
+    optional: true
+  }
+];
+
+/**
+ * @notice Tarefas disponíveis
+ * @dev `params[].type` corresponde a `types` de `hardhat/config` ("string", "int", "boolean"...).
+ *      Parâmetros com `flag: true` são booleanos sem valor (ex.: `--dry-run`).
+ * @type {Object[]}
+ */
+const TASKS = [
+  {
+    name: "deploy:all",
+    description: "Implanta DEX, tokens, par SPB/BPS e liquidez inicial, retomando execuções interrompidas",
+    script: "scripts/deploy/deployAll.js",
+    compile: true,
+    params: [TAG_PARAM, ...DRY_RUN_PARAMS]
+  },
+  {
+    name: "dex:deploy",
+    description: "Implanta WETH9, UniswapV2Factory e UniswapV2Router02",
+    script: "scripts/deploy/dex/dex.js",
+    compile: true,
+    params: [TAG_PARAM, ...DRY_RUN_PARAMS]
+  },
+  {
+    name: "dex:init-code-hash",
+    description: "Confere o init code hash do UniswapV2Pair com UniswapV2Library.pairFor e os pares implantados",
+    script: "scripts/deploy/dex/initCodeHash.js",
+    compile: true,
+    params: [TAG_PARAM]
+  },
+  {
+    name: "dex:verify-deployment",
+    description: "Confere as ligações, o owner e o bytecode da DEX registrada; falha se alguma verificação reprovar",
+    script: "scripts/deploy/dex/verifyDeployment.js",
+    compile: true,
+    params: [
+      TAG_PARAM,
+      {
+        name: "feeToSetter",
+        description: "Owner esperado da factory (padrão: FEE_TO_SETTER ou o argumento do construtor registrado)",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "output",
+        description: "Arquivo JSON onde salvar o relatório",
+        type: "string",
+        optional: true
+      }
+    ]
+  },
+  {
+    name: "dex:index",
+    description: "Indexa PairCreated, Mint, Burn, Swap e Sync da DEX registrada e resume volume, taxas e liquidez por par",
+    script: "scripts/deploy/dex/indexEvents.js",
+    compile: false,
+    params: [
+      TAG_PARAM,
+      {
+        name: "watch",
+        description: "Continua sincronizando até Ctrl+C",
+        flag: true
+      },
+      {
+        name: "pair",
+        description: "Resume apenas este par (endereço)",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "json",
+        description: "Caminho do JSON a exportar com o resumo",
+        type: "string",
+        optional: true
+      }
+    ]
+  },
+  {
+    name: "multicall:deploy",
+    description: "Implanta e registra o Multicall3 usado nas leituras em lote (somente redes locais e de teste)",
+    script: "scripts/deploy/multicall.js",
+    compile: true,
+    params: [TAG_PARAM, ...DRY_RUN_PARAMS]
+  },
+  {
+    name: "tokens:deploy",
+    description: "Implanta SPBToken e BPSToken",
+    script: "scripts/deploy/tokens/tokens.js",
+    compile: true,
+    params: [TAG_PARAM, ...DRY_RUN_PARAMS]
+  },
+  {
+    name: "pair:create",
+    description: "Cria um ou mais pares na UniswapV2Factory registrada",
+    script: "scripts/deploy/tokens/createPair.js",
+    compile: true,
+    params: [
+      TAG_PARAM,
+      {
+        name: "tokenA",
+        description: "Primeiro token: nome no registro, WETH ou endereço",
+        type: "string",
+        defaultValue: "SPBToken"
+      },
+      {
+        name: "tokenB",
+        description: "Segundo token: nome no registro, WETH ou endereço",
+        type: "string",
+        defaultValue: "BPSToken"
+      },
+      {
+        name: "manifest",
+        description: "Manifesto JSON com a lista de pares a criar (ignora --token-a/--token-b)",
+        type: "inputFile",
+        optional: true
+      },
+      ...DRY_RUN_PARAMS
+    ]
+  },
+  {
+    name: "liquidity:add",
+    description: "Adiciona liquidez a um par via UniswapV2Router02 (addLiquidity/addLiquidityETH)",
+    script: "scripts/deploy/liquidity/addLiquidity.js",
+    compile: true,
+    params: [
+      TAG_PARAM,
+      {
+        name: "tokenA",
+        description: "Primeiro token: nome no registro, WETH ou endereço",
+        type: "string",
+        defaultValue: "SPBToken"
+      },
+      {
+        name: "tokenB",
+        description: "Segundo token: nome no registro, WETH ou endereço",
+        type: "string",
+        defaultValue: "BPSToken"
+      },
+      {
+        name: "amountA",
+        description: "Quantidade de tokenA em unidades legíveis (ex.: 1000)",
+        type: "string"
+      },
+      {
+        name: "amountB",
+        description: "Quantidade de tokenB em unidades legíveis (alternativa a --price)",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "price",
+        description: "Preço inicial de 1 tokenA em tokenB, usado quando o par está vazio",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "slippage",
+        description: "Tolerância de slippage em pontos-base (50 = 0,5%)",
+        type: "int",
+        defaultValue: 50
+      },
+      {
+        name: "deadline",
+        description: "Prazo da transação em segundos",
+        type: "int",
+        defaultValue: 1200
+      },
+      ...DRY_RUN_PARAMS
+    ]
+  },
+  {
+    name: "swap",
+    description: "Executa um swap pelo UniswapV2Router02 com cotação, rota e proteção de slippage",
+    script: "scripts/trade/swap.js",
+    compile: true,
+    params: [
+      TAG_PARAM,
+      {
+        name: "tokenIn",
+        description: "Token de entrada: ETH (nativo), nome no registro, WETH ou endereço",
+        type: "string"
+      },
+      {
+        name: "tokenOut",
+        description: "Token de saída: ETH (nativo), nome no registro, WETH ou endereço",
+        type: "string"
+      },
+      {
+        name: "amountIn",
+        description: "Entrada exata em unidades legíveis",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "amountOut",
+        description: "Saída exata em unidades legíveis (alternativa a --amount-in)",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "via",
+        description: "Tokens intermediários separados por vírgula (padrão: melhor rota pelos pares da factory)",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "slippage",
+        description: "Tolerância de slippage em pontos-base (50 = 0,5%)",
+        type: "int",
+        defaultValue: 50
+      },
+      {
+        name: "deadline",
+        description: "Prazo da transação em segundos",
+        type: "int",
+        defaultValue: 1200
+      },
+      {
+        name: "recipient",
+        description: "Destinatário da saída (padrão: conta do deployer)",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "dryRun",
+        description: "Apenas cota e simula com staticCall, sem enviar a transação",
+        flag: true
+      }
+    ]
+  },
+  {
+    name: "balances",
+    description: "Relatório de carteira: saldo nativo, tokens, WETH9 e posições de LP do deployer e de endereços adicionais",
+    script: "scripts/deploy/tokens/saldoTokensBalance.js",
+    compile: false,
+    params: [
+      TAG_PARAM,
+      {
+        name: "addresses",
+        description: "Endereços adicionais separados por vírgula (padrão: CHECK_ADDRESSES)",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "tokens",
+        description: "Ativos separados por vírgula: nomes no registro, endereços ou pairs (todos os pares da factory)",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "csv",
+        description: "Caminho do CSV a exportar",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "json",
+        description: "Caminho do JSON a exportar",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "block",
+        description: "Bloco das leituras e do snapshot (padrão: último bloco)",
+        type: "int",
+        optional: true
+      },
+      {
+        name: "holders",
+        description: "Inclui todos os detentores dos ativos, descobertos pelos eventos Transfer (progresso em deployments/holders)",
+        flag: true
+      }
+    ]
+  },
+  {
+    name: "balances:diff",
+    description: "Compara dois snapshots de saldos: taxas recebidas pelo taxReceiver, queimas e movimentações não explicadas",
+    script: "scripts/deploy/tokens/balanceDiff.js",
+    compile: false,
+    params: [
+      {
+        name: "from",
+        description: "Bloco do snapshot inicial (padrão: o anterior ao final)",
+        type: "int",
+        optional: true
+      },
+      {
+        name: "to",
+        description: "Bloco do snapshot final (padrão: o último gravado)",
+        type: "int",
+        optional: true
+      },
+      {
+        name: "file",
+        description: "Arquivo de snapshots (padrão: deployments/balance-snapshots.jsonl)",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "json",
+        description: "Caminho do JSON a exportar",
+        type: "string",
+        optional: true
+      }
+    ]
+  },
+  {
+    name: "liquidity:value",
+    description: "Avalia as posições de LP de todos os pares da factory nas reservas atuais e após arbitragem até --prices",
+    script: "scripts/deploy/liquidity/lpValuation.js",
+    compile: false,
+    params: [
+      TAG_PARAM,
+      {
+        name: "addresses",
+        description: "Endereços adicionais separados por vírgula (padrão: CHECK_ADDRESSES)",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "prices",
+        description: "Preços de referência por token inteiro, ex.: SPBToken=0.25,WETH=3000",
+        type: "string",
+        optional: true
+      },
+      {
+        name: "json",
+        description: "Caminho do JSON a exportar",
+        type: "string",
+        optional: true
+      }
+    ]
+  },
+  {
+    name: "registry:verify",
+    description: "Verifica no explorador de blocos os contratos do registro com os argumentos de construtor gravados",
+    script: "scripts/deploy/verifyContracts.js",
+    compile: true,
+    params: [
+      TAG_PARAM,
+      {
+        name: "contracts",
+        description: "Nomes do registro separados por vírgula (padrão: todos)",
+        type: "string",
+        optional: true
+      }
+    ]
+  }
+];
+
+/**
+ * @notice Converte um nome de parâmetro camelCase para a opção de CLI do Hardhat
+ * @param {string} name - Nome do parâmetro (ex.: "tokenA")
+ * @returns {string} - Opção de CLI (ex.: "--token-a")
+ */
+function toCliOption(name) {
+  return `--${name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)}`;
+}
+
+module.exports = {
+  TAG_PARAM,
+  DRY_RUN_PARAMS,
+  TASKS,
+  toCliOption
+};
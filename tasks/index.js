@@ -0,0 +1,46 @@
+/**
+ * @file index.js
+ * @description Registra no Hardhat as tarefas descritas em `tasks/catalog.js`.
+ *              Os scripts são carregados apenas na execução da tarefa, pois importar "hardhat"
+ *              durante o carregamento da configuração não é permitido.
+ * @author [Seu Nome ou Nome da Empresa]
+ * @version 1.0.0
+ * @date 2025-06-27
+ */
+
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { TASKS } = require("./catalog");
+
+/**
+ * @notice Registra uma tarefa do catálogo
+ * @param {Object} definition - Entrada de `TASKS`
+ */
+function registerTask(definition) {
+  const hardhatTask = task(definition.name, definition.description);
+
+  for (const param of definition.params) {
+    if (param.flag) {
+      hardhatTask.addFlag(param.name, param.description);
+    } else if (param.optional) {
+      hardhatTask.addOptionalParam(param.name, param.description, undefined, types[param.type]);
+    } else {
+      hardhatTask.addParam(param.name, param.description, param.defaultValue, types[param.type]);
+    }
+  }
+
+  hardhatTask.setAction(async (args, hre) => {
+    if (args.tag) {
+      process.env.DEPLOYMENT_TAG = args.tag;
+    }
+    if (definition.compile) {
+      await hre.run("compile", { quiet: true });
+    }
+    const { main } = require(path.join(__dirname, "..", definition.script));
+    await main(args);
+  });
+}
+
+TASKS.forEach(registerTask);
+
+module.exports = { registerTask };
@@ -0,0 +1,77 @@
+/**
+ * @file deployAll.test.js
+ * @description Testes da implantação completa `scripts/deploy/deployAll.js` na rede Hardhat local.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { CONFIG: DEFAULTS } = require("../../scripts/utils/helpers");
+const { CONFIG: REGISTRY, getDeployment, getPairKey, recordDeployment } = require("../../scripts/utils/registry");
+const { loadSeedFromRegistry, main } = require("../../scripts/deploy/deployAll");
+
+describe("scripts/deploy/deployAll", function () {
+  let tmpDir;
+  let previous;
+
+  beforeEach(async function () {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "deploy-all-test-"));
+    previous = { outputDir: DEFAULTS.OUTPUT_DIR, registryDir: REGISTRY.REGISTRY_DIR };
+    DEFAULTS.OUTPUT_DIR = tmpDir;
+    REGISTRY.REGISTRY_DIR = path.join(tmpDir, "registry");
+  });
+
+  afterEach(async function () {
+    DEFAULTS.OUTPUT_DIR = previous.outputDir;
+    REGISTRY.REGISTRY_DIR = previous.registryDir;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * @notice Entradas gravadas em `deploy-all-logs.json`
+   */
+  async function readLogs() {
+    return JSON.parse(await fs.readFile(path.join(tmpDir, "deploy-all-logs.json"), "utf8"));
+  }
+
+  it("usa o par registrado sob a chave canônica como resultado da etapa do par", async function () {
+    const [spb, bps, pair] = [
+      "0x00000000000000000000000000000000000000b2",
+      "0x00000000000000000000000000000000000000b1",
+      "0x00000000000000000000000000000000000000c1"
+    ];
+    for (const address of [spb, bps, pair]) {
+      await ethers.provider.send("hardhat_setCode", [address, "0x6001"]);
+    }
+    await recordDeployment("SPBToken", { address: spb });
+    await recordDeployment("BPSToken", { address: bps });
+    await recordDeployment(getPairKey(spb, bps), { address: pair, contractName: "UniswapV2Pair" });
+
+    const seed = await loadSeedFromRegistry();
+    expect(seed.SPB_BPS_Pair).to.deep.equal(seed[getPairKey(bps, spb)]);
+    expect(seed.SPB_BPS_Pair.address).to.equal(ethers.getAddress(pair));
+    expect(seed.InitialLiquidity).to.deep.equal({ pair: ethers.getAddress(pair), source: "registry" });
+  });
+
+  it("retoma pelo registro sem recriar o par nem repetir a liquidez inicial", async function () {
+    await main();
+    const spb = await getDeployment("SPBToken");
+    const bps = await getDeployment("BPSToken");
+    const pairEntry = await getDeployment(getPairKey(spb.address, bps.address));
+    const pair = await ethers.getContractAt("UniswapV2Pair", pairEntry.address);
+    const supply = await pair.totalSupply();
+    expect(supply).to.be.greaterThan(0n);
+
+    // Sem o estado de execução, apenas o registro indica o que já foi implantado
+    await fs.rm(path.join(tmpDir, "deploy-all-state.json"));
+    await main();
+
+    const [, rerun] = await readLogs();
+    expect(rerun.executed).to.not.include("SPB_BPS_Pair");
+    expect(rerun.executed).to.not.include("InitialLiquidity");
+    expect(rerun.skipped).to.include.members(["UniswapV2Router02", "SPB_BPS_Pair", "InitialLiquidity"]);
+    expect(await pair.totalSupply()).to.equal(supply);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * @file initCodeHash.test.js
+ * @description Testes da verificação do init code hash `scripts/deploy/dex/initCodeHash.js`.
+ */
+
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  readEmbeddedInitCodeHash,
+  getArtifactInitCodeHash,
+  assertInitCodeHash
+} = require("../../../scripts/deploy/dex/initCodeHash");
+const library = require("../../../scripts/utils/uniswapV2Library");
+
+describe("scripts/deploy/dex/initCodeHash", function () {
+  it("lê o hash embutido em UniswapV2Library.pairFor, igual ao do port JS", async function () {
+    expect(await readEmbeddedInitCodeHash()).to.equal(library.CONFIG.INIT_CODE_HASH);
+  });
+
+  it("falha quando o fonte não contém o hash", async function () {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "init-code-hash-test-"));
+    const sourcePath = path.join(tmpDir, "Library.sol");
+    await fs.writeFile(sourcePath, "library L {}", "utf8");
+    try {
+      await expect(readEmbeddedInitCodeHash(sourcePath)).to.be.rejectedWith(/não encontrado/);
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it("calcula o hash a partir do bytecode de criação do UniswapV2Pair", async function () {
+    const { bytecode } = await artifacts.readArtifact("UniswapV2Pair");
+    expect(await getArtifactInitCodeHash()).to.equal(library.computeInitCodeHash(bytecode));
+  });
+
+  it("o hash embutido corresponde ao bytecode compilado do UniswapV2Pair", async function () {
+    expect(await readEmbeddedInitCodeHash()).to.equal(await getArtifactInitCodeHash());
+    const report = await assertInitCodeHash({ checkDeployment: false });
+    expect(report.artifact).to.equal(report.embedded);
+  });
+
+  it("rejeita um hash divergente do artefato", async function () {
+    const previous = library.CONFIG.INIT_CODE_HASH;
+    library.CONFIG.INIT_CODE_HASH = `0x${"ab".repeat(32)}`;
+    try {
+      await expect(assertInitCodeHash({ checkDeployment: false })).to.be.rejectedWith(/Init code hash inconsistente/);
+    } finally {
+      library.CONFIG.INIT_CODE_HASH = previous;
+    }
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * @file verifyDeployment.test.js
+ * @description Testes da verificação da DEX registrada `scripts/deploy/dex/verifyDeployment.js`.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { maskImmutables, verifyDeployment, main } = require("../../../scripts/deploy/dex/verifyDeployment");
+const { main: deployAll } = require("../../../scripts/deploy/deployAll");
+const { CONFIG: DEFAULTS } = require("../../../scripts/utils/helpers");
+const { CONFIG: REGISTRY, recordDeployment, getPairKey } = require("../../../scripts/utils/registry");
+const { routerFixture } = require("../../pool/fixtures");
+
+describe("scripts/deploy/dex/verifyDeployment", function () {
+  let registryDir;
+
+  beforeEach(async function () {
+    registryDir = await fs.mkdtemp(path.join(os.tmpdir(), "verify-deployment-test-"));
+  });
+
+  afterEach(async function () {
+    await fs.rm(registryDir, { recursive: true, force: true });
+  });
+
+  /**
+   * @notice Registra WETH9, factory, Router02 e o par token/token do fixture no registro temporário
+   */
+  async function registerFixture(env) {
+    const options = { registryDir };
+    await recordDeployment("WETH9", { address: await env.WETH.getAddress() }, options);
+    await recordDeployment("UniswapV2Factory", {
+      address: await env.factory.getAddress(),
+      constructorArgs: [env.wallet.address]
+    }, options);
+    await recordDeployment("UniswapV2Router02", {
+      address: await env.router02.getAddress(),
+      constructorArgs: [await env.factory.getAddress(), await env.WETH.getAddress()]
+    }, options);
+    await recordDeployment(getPairKey(await env.token0.getAddress(), await env.token1.getAddress()), {
+      address: await env.pair.getAddress(),
+      contractName: "UniswapV2Pair"
+    }, options);
+  }
+
+  /**
+   * @notice Verificações reprovadas de um relatório
+   */
+  function failures(report) {
+    return report.checks.filter((check) => !check.ok);
+  }
+
+  it("zera os trechos de variáveis immutable no bytecode", function () {
+    const code = "0x6001aaaaaaaa6002bbbb";
+    const masked = maskImmutables(code, { 12: [{ start: 2, length: 4 }], 15: [{ start: 8, length: 2 }] });
+    expect(masked).to.equal("0x60010000000060020000");
+    expect(maskImmutables(code)).to.equal(code);
+  });
+
+  it("aprova uma implantação consistente com o registro", async function () {
+    const env = await loadFixture(routerFixture);
+    await registerFixture(env);
+
+    const report = await verifyDeployment({ registryDir });
+    expect(failures(report)).to.deep.equal([]);
+    expect(report.ok).to.equal(true);
+    expect(report.chainId).to.equal("31337");
+    expect(report.checks.map((check) => check.name)).to.include.members([
+      "UniswapV2Router02.factory() aponta para o registro",
+      "UniswapV2Router02.WETH() aponta para o registro",
+      "UniswapV2Factory.feeToSetter() é o owner esperado"
+    ]);
+  });
+
+  it("aprova a implantação feita por deployAll na rede local", async function () {
+    const previous = { outputDir: DEFAULTS.OUTPUT_DIR, registryDir: REGISTRY.REGISTRY_DIR };
+    DEFAULTS.OUTPUT_DIR = registryDir;
+    REGISTRY.REGISTRY_DIR = registryDir;
+    try {
+      await deployAll();
+    } finally {
+      DEFAULTS.OUTPUT_DIR = previous.outputDir;
+      REGISTRY.REGISTRY_DIR = previous.registryDir;
+    }
+
+    const report = await verifyDeployment({ registryDir });
+    expect(failures(report)).to.deep.equal([]);
+    expect(report.ok).to.equal(true);
+    expect(report.checks.map((check) => check.name)).to.include.members([
+      "UniswapV2Router02 corresponde ao artefato local",
+      "UniswapV2Factory.feeToSetter() é o owner esperado"
+    ]);
+    expect(report.checks.some((check) => /^Pair_0x\w+_0x\w+ é o par da factory$/.test(check.name))).to.equal(true);
+  });
+
+  it("reprova contratos ausentes no registro", async function () {
+    await loadFixture(routerFixture);
+
+    const report = await verifyDeployment({ registryDir });
+    expect(report.ok).to.equal(false);
+    expect(failures(report).map((check) => check.name)).to.deep.equal([
+      "WETH9 registrado com código implantado",
+      "UniswapV2Factory registrado com código implantado",
+      "UniswapV2Router02 registrado com código implantado"
+    ]);
+  });
+
+  it("reprova um roteador ligado a outra factory", async function () {
+    const env = await loadFixture(routerFixture);
+    await registerFixture(env);
+    const otherFactory = await ethers.deployContract("UniswapV2Factory", [env.wallet.address]);
+    await recordDeployment("UniswapV2Factory", {
+      address: await otherFactory.getAddress(),
+      constructorArgs: [env.wallet.address]
+    }, { registryDir });
+
+    const report = await verifyDeployment({ registryDir });
+    const failed = failures(report).map((check) => check.name);
+    expect(failed).to.include("UniswapV2Router02.factory() aponta para o registro");
+    expect(failed).to.include(`${getPairKey(await env.token0.getAddress(), await env.token1.getAddress())} é o par da factory`);
+    expect(failed).to.not.include("UniswapV2Router02.WETH() aponta para o registro");
+  });
+
+  it("reprova feeToSetter diferente do owner esperado", async function () {
+    const env = await loadFixture(routerFixture);
+    await registerFixture(env);
+
+    const report = await verifyDeployment({ registryDir, feeToSetter: env.other.address });
+    expect(failures(report)).to.deep.equal([{
+      name: "UniswapV2Factory.feeToSetter() é o owner esperado",
+      ok: false,
+      detail: `retorna ${env.wallet.address}, esperado ${env.other.address}`
+    }]);
+  });
+
+  it("reprova bytecode alterado desde o registro", async function () {
+    const env = await loadFixture(routerFixture);
+    await registerFixture(env);
+    await ethers.provider.send("hardhat_setCode", [await env.WETH.getAddress(), "0x00"]);
+
+    const report = await verifyDeployment({ registryDir });
+    const failed = failures(report).map((check) => check.name);
+    expect(failed).to.include("WETH9 registrado com código implantado");
+    expect(failed).to.include("WETH9 corresponde ao artefato local");
+  });
+
+  it("grava o relatório e falha quando alguma verificação reprova", async function () {
+    const env = await loadFixture(routerFixture);
+    await registerFixture(env);
+    const output = path.join(registryDir, "report.json");
+
+    await expect(main({ registryDir, output, feeToSetter: env.other.address }))
+      .to.be.rejectedWith(/1 de \d+ verificação\(ões\) reprovada\(s\)/);
+    const report = JSON.parse(await fs.readFile(output, "utf8"));
+    expect(report.ok).to.equal(false);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * @file addLiquidity.test.js
+ * @description Testes de `scripts/deploy/liquidity/addLiquidity.js`: cálculo de quantidades e execução do script
+ *              contra um Router02 implantado na rede Hardhat local.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { CONFIG: DEFAULTS, applySlippage } = require("../../../scripts/utils/helpers");
+const { CONFIG: REGISTRY, recordDeployment } = require("../../../scripts/utils/registry");
+const { computeAmountForPrice, main } = require("../../../scripts/deploy/liquidity/addLiquidity");
+const { MINIMUM_LIQUIDITY, expandTo18Decimals, routerFixture } = require("../../pool/fixtures");
+
+describe("scripts/deploy/liquidity/addLiquidity", function () {
+  it("converte o preço inicial considerando as casas decimais", function () {
+    const amountA = ethers.parseUnits("1000", 18);
+    expect(computeAmountForPrice(amountA, "2.5", 18, 18)).to.equal(ethers.parseUnits("2500", 18));
+    expect(computeAmountForPrice(amountA, "0.5", 18, 6)).to.equal(ethers.parseUnits("500", 6));
+    expect(computeAmountForPrice(ethers.parseUnits("10", 6), "3", 6, 18)).to.equal(ethers.parseUnits("30", 18));
+    expect(() => computeAmountForPrice(amountA, "0", 18, 18)).to.throw(/Preço inválido/);
+  });
+
+  describe("main", function () {
+    let tmpDir;
+    let previous;
+
+    beforeEach(async function () {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "add-liquidity-test-"));
+      previous = { outputDir: DEFAULTS.OUTPUT_DIR, registryDir: REGISTRY.REGISTRY_DIR };
+      DEFAULTS.OUTPUT_DIR = tmpDir;
+      REGISTRY.REGISTRY_DIR = tmpDir;
+    });
+
+    afterEach(async function () {
+      DEFAULTS.OUTPUT_DIR = previous.outputDir;
+      REGISTRY.REGISTRY_DIR = previous.registryDir;
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    /**
+     * @notice Ambiente do Router02 com o roteador registrado no registro temporário
+     */
+    async function deployedRouter() {
+      const env = await loadFixture(routerFixture);
+      await recordDeployment("UniswapV2Router02", { address: await env.router02.getAddress() });
+      return { ...env, routerAddress: await env.router02.getAddress() };
+    }
+
+    it("aprova os tokens e cria a liquidez inicial com os mínimos do slippage", async function () {
+      const { wallet, token0, token1, pair, routerAddress } = await deployedRouter();
+      const [addressA, addressB] = [await token0.getAddress(), await token1.getAddress()];
+
+      const result = await main({ tokenA: addressA, tokenB: addressB, amountA: "10", price: "4", slippage: 100 });
+
+      const [amountA, amountB] = [expandTo18Decimals(10), expandTo18Decimals(40)];
+      expect(result.pair.address).to.equal(await pair.getAddress());
+      expect(result.amounts).to.deep.include({
+        amountADesired: amountA.toString(),
+        amountBDesired: amountB.toString(),
+        amountAMin: applySlippage(amountA, 100).toString(),
+        amountBMin: applySlippage(amountB, 100).toString()
+      });
+
+      // As aprovações cobrem exatamente o que o roteador transferiu
+      expect(Object.values(result.approvals).every((hash) => /^0x[0-9a-f]{64}$/.test(hash))).to.equal(true);
+      expect(await token0.allowance(wallet.address, routerAddress)).to.equal(0n);
+      expect(await token1.allowance(wallet.address, routerAddress)).to.equal(0n);
+
+      const [reserve0, reserve1] = await pair.getReserves();
+      expect([reserve0, reserve1]).to.deep.equal([amountA, amountB]);
+      expect(result.reserves.after).to.deep.equal({ reserveA: amountA.toString(), reserveB: amountB.toString() });
+      expect(await pair.balanceOf(wallet.address)).to.equal(expandTo18Decimals(20) - MINIMUM_LIQUIDITY);
+      expect(result.lp.minted).to.equal((expandTo18Decimals(20) - MINIMUM_LIQUIDITY).toString());
+    });
+
+    it("segue a proporção das reservas quando o par já tem liquidez", async function () {
+      const { wallet, token0, token1, pair } = await deployedRouter();
+      const [addressA, addressB] = [await token0.getAddress(), await token1.getAddress()];
+      await main({ tokenA: addressA, tokenB: addressB, amountA: "10", amountB: "40" });
+      const supply = await pair.totalSupply();
+      const lpBefore = await pair.balanceOf(wallet.address);
+
+      // Ordem invertida: tokenA é o token1 do par, e o preço informado é ignorado
+      const result = await main({ tokenA: addressB, tokenB: addressA, amountA: "8", price: "1", slippage: 50 });
+
+      const [amountA, amountB] = [expandTo18Decimals(8), expandTo18Decimals(2)];
+      expect(result.amounts).to.deep.include({
+        amountBNet: amountB.toString(),
+        amountAMin: applySlippage(amountA, 50).toString(),
+        amountBMin: applySlippage(amountB, 50).toString()
+      });
+      expect(result.reserves.before).to.deep.equal({
+        reserveA: expandTo18Decimals(40).toString(),
+        reserveB: expandTo18Decimals(10).toString()
+      });
+      const [reserve0, reserve1] = await pair.getReserves();
+      expect([reserve0, reserve1]).to.deep.equal([expandTo18Decimals(12), expandTo18Decimals(48)]);
+      expect(await pair.balanceOf(wallet.address)).to.equal(lpBefore + (amountA * supply) / expandTo18Decimals(40));
+      expect(result.lp.balance).to.equal((await pair.balanceOf(wallet.address)).toString());
+    });
+
+    it("usa addLiquidityETH quando um dos lados é o WETH do roteador", async function () {
+      const { wallet, WETH, WETHPartner, WETHPair, routerAddress } = await deployedRouter();
+      const wethAddress = await WETH.getAddress();
+      const ethBefore = await ethers.provider.getBalance(wallet.address);
+
+      const result = await main({
+        tokenA: wethAddress,
+        tokenB: await WETHPartner.getAddress(),
+        amountA: "2",
+        amountB: "100",
+        slippage: 0
+      });
+
+      expect(result.tokenA.native).to.equal(true);
+      expect(result.amounts).to.deep.include({
+        amountAMin: expandTo18Decimals(2).toString(),
+        amountBMin: expandTo18Decimals(100).toString()
+      });
+      expect(result.pair.address).to.equal(await WETHPair.getAddress());
+      expect(await WETH.balanceOf(await WETHPair.getAddress())).to.equal(expandTo18Decimals(2));
+      expect(await WETHPartner.balanceOf(await WETHPair.getAddress())).to.equal(expandTo18Decimals(100));
+      expect(await WETHPartner.allowance(wallet.address, routerAddress)).to.equal(0n);
+      expect(ethBefore - (await ethers.provider.getBalance(wallet.address)) > expandTo18Decimals(2)).to.equal(true);
+      expect(await WETHPair.balanceOf(wallet.address)).to.equal(BigInt(result.lp.minted));
+      expect(BigInt(result.lp.minted) > 0n).to.equal(true);
+    });
+  });
+});
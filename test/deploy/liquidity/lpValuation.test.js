@@ -0,0 +1,82 @@
+/**
+ * @file lpValuation.test.js
+ * @description Testes do relatório de valor das posições de LP `scripts/deploy/liquidity/lpValuation.js`.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { CONFIG: HOLDER_INDEX } = require("../../../scripts/utils/holderIndex");
+const { parsePrices, toTruePrice, buildValuation } = require("../../../scripts/deploy/liquidity/lpValuation");
+const { getAmountOut } = require("../../../scripts/utils/uniswapV2Library");
+const { expandTo18Decimals, pairFixture } = require("../../pool/fixtures");
+
+describe("scripts/deploy/liquidity/lpValuation", function () {
+  const TOKEN = "0x00000000000000000000000000000000000000a1";
+  let tmpDir;
+  let previousCacheDir;
+
+  beforeEach(async function () {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "lp-valuation-test-"));
+    previousCacheDir = HOLDER_INDEX.CACHE_DIR;
+    HOLDER_INDEX.CACHE_DIR = tmpDir;
+  });
+
+  afterEach(async function () {
+    HOLDER_INDEX.CACHE_DIR = previousCacheDir;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("lê preços por endereço e rejeita itens malformados", async function () {
+    const prices = await parsePrices(` ${TOKEN}=2.5 `);
+    expect([...prices]).to.deep.equal([[ethers.getAddress(TOKEN), "2.5"]]);
+    expect((await parsePrices()).size).to.equal(0);
+    await expect(parsePrices(TOKEN)).to.be.rejectedWith(/Preço inválido/);
+    await expect(parsePrices(`${TOKEN}=0`)).to.be.rejectedWith(/Preço inválido/);
+  });
+
+  it("escala o preço por unidade mínima conforme as casas do token", function () {
+    expect(toTruePrice("2.5", 18)).to.equal(25n * 10n ** 17n);
+    expect(toTruePrice("1", 6)).to.equal(10n ** 30n);
+  });
+
+  it("descobre os detentores e avalia as posições com a taxa de protocolo pendente", async function () {
+    const { wallet, other, factory, token0, token1, pair } = await pairFixture();
+    const [, , feeReceiver] = await ethers.getSigners();
+    const pairAddress = await pair.getAddress();
+
+    await factory.setFeeTo(feeReceiver.address);
+    await token0.transfer(pairAddress, expandTo18Decimals(10));
+    await token1.transfer(pairAddress, expandTo18Decimals(40));
+    await pair.mint(wallet.address);
+    await pair.transfer(other.address, (await pair.balanceOf(wallet.address)) / 4n);
+
+    // Swap token0 → token1 faz k crescer após o último mint
+    const [reserve0, reserve1] = await pair.getReserves();
+    await token0.transfer(pairAddress, expandTo18Decimals(2));
+    await pair.swap(0n, getAmountOut(expandTo18Decimals(2), reserve0, reserve1), wallet.address, "0x");
+
+    const prices = await parsePrices(`${await token0.getAddress()}=4,${await token1.getAddress()}=1`);
+    const report = await buildValuation(await factory.getAddress(), { prices });
+    const [entry] = report.pairs;
+
+    expect(report.feeTo).to.equal(feeReceiver.address);
+    expect(entry.pendingFeeLiquidity).to.be.greaterThan(0n);
+    expect(entry.positions.map((position) => position.account)).to.deep.equal([wallet.address, other.address]);
+
+    // Preço de referência 4:1 leva as reservas a token1 ≈ 4 × token0, dentro da faixa da taxa de 0,3%
+    const [after0, after1] = entry.reservesAfterArbitrage;
+    expect(Number((after1 * 10000n) / after0) / 10000).to.be.closeTo(4, 4 * 0.003);
+
+    const position = entry.positions[1];
+    const [amount0, amount1] = position.amountsAfterArbitrage;
+    expect(position.valueAfterArbitrage).to.equal(amount0 * 4n + amount1);
+
+    // O burn cunha a taxa pendente antes de pagar: o valor calculado é exatamente o recebido
+    await pair.connect(other).transfer(pairAddress, position.liquidity);
+    await pair.burn(other.address);
+    expect([await token0.balanceOf(other.address), await token1.balanceOf(other.address)]).to.deep.equal(position.amounts);
+  });
+});
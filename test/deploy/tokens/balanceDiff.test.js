@@ -0,0 +1,54 @@
+/**
+ * @file balanceDiff.test.js
+ * @description Testes da comparação de snapshots de saldos `scripts/deploy/tokens/balanceDiff.js`.
+ */
+
+const { expect } = require("chai");
+const { pickSnapshots, renderDiff } = require("../../../scripts/deploy/tokens/balanceDiff");
+
+describe("scripts/deploy/tokens/balanceDiff", function () {
+  const ALICE = "0x00000000000000000000000000000000000000a1";
+  const TREASURY = "0x00000000000000000000000000000000000000c3";
+  const TOKEN = "0x00000000000000000000000000000000000000d4";
+  const SNAPSHOTS = [{ block: 5 }, { block: 9 }, { block: 9, time: "depois" }, { block: 12 }];
+
+  it("compara por padrão o último snapshot com o anterior de outro bloco", function () {
+    expect(pickSnapshots(SNAPSHOTS)).to.deep.equal([{ block: 9, time: "depois" }, { block: 12 }]);
+    expect(pickSnapshots(SNAPSHOTS, { to: 9 })).to.deep.equal([{ block: 5 }, { block: 9, time: "depois" }]);
+    expect(pickSnapshots(SNAPSHOTS, { from: 5, to: 12 })).to.deep.equal([{ block: 5 }, { block: 12 }]);
+  });
+
+  it("rejeita históricos vazios e intervalos invertidos", function () {
+    expect(() => pickSnapshots([])).to.throw(/execute a tarefa balances/);
+    expect(() => pickSnapshots([{ block: 5 }])).to.throw(/Nenhum snapshot anterior ao bloco 5/);
+    expect(() => pickSnapshots(SNAPSHOTS, { from: 12, to: 9 })).to.throw(/deve ser anterior/);
+  });
+
+  it("destaca a taxa, a queima e a movimentação não explicada", function () {
+    const flows = { received: 0n, sent: 0n, taxReceived: 0n, taxPaid: 0n, minted: 0n, burned: 0n };
+    const text = renderDiff({
+      fromBlock: 5,
+      toBlock: 12,
+      assets: [{
+        symbol: "SPB",
+        address: TOKEN,
+        decimals: 0,
+        supplyDelta: -90n,
+        burned: 90n,
+        tax: 10n,
+        taxReceiver: TREASURY,
+        accounts: [
+          { ...flows, account: ALICE, delta: 895n, received: 990n, burned: 90n, unexplained: -5n },
+          { ...flows, account: TREASURY, delta: 10n, taxReceived: 10n, unexplained: 0n },
+          { ...flows, account: TOKEN, delta: 0n, unexplained: 0n }
+        ]
+      }]
+    });
+
+    expect(text.split("\n")).to.deep.equal([
+      `SPB (${TOKEN}) | supply -90 | 🔥 queimado 90 | 💸 taxa 10 → ${TREASURY}`,
+      `   ${ALICE}: +895 (recebido 990, 🔥 queimado 90, ❓ não explicado -5)`,
+      `   ${TREASURY}: +10 (💸 taxa recebida 10)`
+    ]);
+  });
+});
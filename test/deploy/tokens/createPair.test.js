@@ -0,0 +1,99 @@
+/**
+ * @file createPair.test.js
+ * @description Testes da leitura de tokens e manifestos de `scripts/deploy/tokens/createPair.js` e da execução
+ *              do script contra uma factory implantada na rede Hardhat local.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { CONFIG: DEFAULTS } = require("../../../scripts/utils/helpers");
+const { CONFIG: REGISTRY, getDeployment, getPairKey, recordDeployment } = require("../../../scripts/utils/registry");
+const { normalizePairEntry, loadPairManifest, main } = require("../../../scripts/deploy/tokens/createPair");
+const { ERC20, TOKEN_SUPPLY, factoryFixture } = require("../../pool/fixtures");
+
+describe("scripts/deploy/tokens/createPair", function () {
+  let tmpDir;
+  let previous;
+
+  beforeEach(async function () {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "create-pair-test-"));
+    previous = { outputDir: DEFAULTS.OUTPUT_DIR, registryDir: REGISTRY.REGISTRY_DIR };
+    DEFAULTS.OUTPUT_DIR = tmpDir;
+    REGISTRY.REGISTRY_DIR = path.join(tmpDir, "registry");
+  });
+
+  afterEach(async function () {
+    DEFAULTS.OUTPUT_DIR = previous.outputDir;
+    REGISTRY.REGISTRY_DIR = previous.registryDir;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * @notice Factory e três tokens ERC20 de teste
+   */
+  async function deployedFactory() {
+    const { wallet, factory } = await factoryFixture();
+    const tokens = [];
+    for (let i = 0; i < 3; i++) {
+      tokens.push(await (await ethers.deployContract(ERC20, [TOKEN_SUPPLY])).getAddress());
+    }
+    return { wallet, factory, tokens };
+  }
+
+  it("normaliza entradas em objeto e em lista", function () {
+    expect(normalizePairEntry({ tokenA: " SPBToken ", tokenB: "WETH" }, 0))
+      .to.deep.equal({ tokenA: "SPBToken", tokenB: "WETH" });
+    expect(normalizePairEntry(["BPSToken", "SPBToken"], 1))
+      .to.deep.equal({ tokenA: "BPSToken", tokenB: "SPBToken" });
+    expect(() => normalizePairEntry(["SPBToken"], 2)).to.throw(/Entrada 2/);
+    expect(() => normalizePairEntry({ tokenA: "SPBToken" }, 3)).to.throw(/Entrada 3/);
+  });
+
+  it("lê manifestos como lista ou com a chave pairs", async function () {
+    const listPath = path.join(tmpDir, "list.json");
+    const objectPath = path.join(tmpDir, "object.json");
+    await fs.writeFile(listPath, JSON.stringify([["SPBToken", "WETH"]]), "utf8");
+    await fs.writeFile(objectPath, JSON.stringify({ pairs: [{ tokenA: "BPSToken", tokenB: "WETH" }] }), "utf8");
+
+    expect(await loadPairManifest(listPath)).to.deep.equal([{ tokenA: "SPBToken", tokenB: "WETH" }]);
+    expect(await loadPairManifest(objectPath)).to.deep.equal([{ tokenA: "BPSToken", tokenB: "WETH" }]);
+  });
+
+  it("rejeita manifestos vazios", async function () {
+    const emptyPath = path.join(tmpDir, "empty.json");
+    await fs.writeFile(emptyPath, JSON.stringify({ pairs: [] }), "utf8");
+    await expect(loadPairManifest(emptyPath)).to.be.rejectedWith(/não contém pares/);
+  });
+
+  it("cria os pares do manifesto e, na segunda execução, os reporta como existentes sem enviar transações", async function () {
+    const { wallet, factory, tokens } = await loadFixture(deployedFactory);
+    const [spb, bps, other] = tokens;
+    await recordDeployment("UniswapV2Factory", { address: await factory.getAddress() });
+    await recordDeployment("SPBToken", { address: spb });
+    await recordDeployment("BPSToken", { address: bps });
+    const manifestPath = path.join(tmpDir, "pairs.json");
+    await fs.writeFile(manifestPath, JSON.stringify({ pairs: [["SPBToken", "BPSToken"], { tokenA: other, tokenB: spb }] }), "utf8");
+
+    const first = await main({ manifest: manifestPath });
+    expect(first.map((result) => result.existed)).to.deep.equal([false, false]);
+    expect(first.every((result) => /^0x[0-9a-f]{64}$/.test(result.txHash))).to.equal(true);
+    expect(await factory.allPairsLength()).to.equal(2n);
+
+    const nonce = await ethers.provider.getTransactionCount(wallet.address);
+    const second = await main({ manifest: manifestPath });
+
+    expect(await ethers.provider.getTransactionCount(wallet.address)).to.equal(nonce);
+    expect(await factory.allPairsLength()).to.equal(2n);
+    for (const [index, [tokenA, tokenB]] of [[spb, bps], [other, spb]].entries()) {
+      const address = await factory.getPair(tokenA, tokenB);
+      expect(second[index]).to.deep.include({ key: getPairKey(tokenB, tokenA), address, existed: true, txHash: null });
+      const entry = await getDeployment(getPairKey(tokenA, tokenB));
+      expect(entry.address).to.equal(address);
+      expect(entry.contractName).to.equal("UniswapV2Pair");
+    }
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @file saldoTokensBalance.test.js
+ * @description Testes do relatório de carteira `scripts/deploy/tokens/saldoTokensBalance.js`.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { CONFIG: REGISTRY, recordDeployment } = require("../../../scripts/utils/registry");
+const {
+  ASSET_KINDS,
+  resolveAssets,
+  buildPortfolio,
+  computeUnderlying,
+  renderTable,
+  toCsv
+} = require("../../../scripts/deploy/tokens/saldoTokensBalance");
+const { TOKEN_SUPPLY, expandTo18Decimals, pairFixture } = require("../../pool/fixtures");
+
+describe("scripts/deploy/tokens/saldoTokensBalance", function () {
+  const ACCOUNT_A = "0x00000000000000000000000000000000000000a1";
+  const ACCOUNT_B = "0x00000000000000000000000000000000000000b2";
+  let tmpDir;
+  let previousRegistryDir;
+
+  beforeEach(async function () {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "portfolio-test-"));
+    previousRegistryDir = REGISTRY.REGISTRY_DIR;
+    REGISTRY.REGISTRY_DIR = tmpDir;
+  });
+
+  afterEach(async function () {
+    REGISTRY.REGISTRY_DIR = previousRegistryDir;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * @notice Relatório fixo com um token de 18 casas e uma posição de LP
+   */
+  function sampleReport() {
+    // 10^27 + 1 wei: perderia o último dígito em ponto flutuante
+    const large = 10n ** 27n + 1n;
+    return {
+      blockNumber: 7,
+      accounts: [ACCOUNT_A, ACCOUNT_B],
+      assets: [
+        { kind: ASSET_KINDS.ERC20, key: "SPBToken", symbol: "SPB", address: ACCOUNT_B, decimals: 18, balances: [large, 2n], total: large + 2n },
+        {
+          kind: ASSET_KINDS.LP,
+          key: "Pair_x",
+          symbol: "LP SPB/WETH",
+          address: ACCOUNT_A,
+          decimals: 18,
+          balances: [3n, 0n],
+          total: 3n,
+          underlying: [[6n, 9n], [0n, 0n]]
+        }
+      ]
+    };
+  }
+
+  it("calcula a parte de cada conta nas reservas, arredondando para baixo", function () {
+    expect(computeUnderlying([1n, 2n, 0n], 3n, [10n, 20n])).to.deep.equal([[3n, 6n], [6n, 13n], [0n, 0n]]);
+    expect(computeUnderlying([5n], 0n, [10n, 20n])).to.deep.equal([[0n, 0n]]);
+  });
+
+  it("monta a tabela com uma coluna por conta e o total exato", function () {
+    const lines = renderTable(sampleReport()).split("\n");
+    expect(lines[0]).to.match(/^Ativo\s+0x0000…00a1\s+0x0000…00b2\s+Total$/);
+    expect(lines[2]).to.match(/^SPB\s+1000000000\.000000000000000001\s+0\.000000000000000002\s+1000000000\.000000000000000003$/);
+    expect(lines[3]).to.match(/^LP SPB\/WETH\s/);
+  });
+
+  it("exporta CSV com valores brutos, a linha TOTAL e a composição do LP", function () {
+    const rows = toCsv(sampleReport()).trim().split("\n");
+    expect(rows[0]).to.equal("account,asset,symbol,address,decimals,raw,formatted,underlying0,underlying1");
+    expect(rows[1]).to.equal(`${ACCOUNT_A},SPBToken,SPB,${ACCOUNT_B},18,1000000000000000000000000001,1000000000.000000000000000001,,`);
+    expect(rows[3]).to.equal(`TOTAL,SPBToken,SPB,${ACCOUNT_B},18,1000000000000000000000000003,1000000000.000000000000000003,,`);
+    expect(rows[6]).to.equal(`TOTAL,Pair_x,LP SPB/WETH,${ACCOUNT_A},18,3,0.000000000000000003,6,9`);
+    expect(rows).to.have.length(7);
+  });
+
+  it("ignora ativos padrão ausentes, mas rejeita ativos informados", async function () {
+    expect(await resolveAssets()).to.deep.equal([{ kind: ASSET_KINDS.NATIVE, key: "native", address: null }]);
+    await expect(resolveAssets("SPBToken")).to.be.rejectedWith(/Falha ao resolver o ativo SPBToken/);
+  });
+
+  it("reporta saldo nativo, tokens e posições de LP no mesmo bloco", async function () {
+    const { wallet, other, factory, token0, token1, pair } = await pairFixture();
+    await recordDeployment("UniswapV2Factory", { address: await factory.getAddress() });
+    await recordDeployment("Token0", { address: await token0.getAddress(), contractName: "ERC20" });
+
+    // Liquidez 1:4; um quarto do LP vai para a segunda conta
+    await token0.transfer(await pair.getAddress(), expandTo18Decimals(1));
+    await token1.transfer(await pair.getAddress(), expandTo18Decimals(4));
+    await pair.mint(wallet.address);
+    await pair.transfer(other.address, (await pair.balanceOf(wallet.address)) / 4n);
+
+    const assets = await resolveAssets(`Token0,pairs,${await token1.getAddress()},Token0`);
+    expect(assets.map((asset) => asset.kind)).to.deep.equal([ASSET_KINDS.NATIVE, ASSET_KINDS.ERC20, ASSET_KINDS.LP, ASSET_KINDS.ERC20]);
+
+    const accounts = [wallet.address, other.address];
+    const report = await buildPortfolio(assets, accounts, { nativeSymbol: "ETH" });
+    const [native, first, lp, second] = report.assets;
+
+    expect(report.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(native.balances[0]).to.equal(await ethers.provider.getBalance(wallet.address));
+    expect(first.balances).to.deep.equal([TOKEN_SUPPLY - expandTo18Decimals(1), 0n]);
+    expect(second.total).to.equal(TOKEN_SUPPLY - expandTo18Decimals(4));
+
+    const [reserve0, reserve1] = await pair.getReserves();
+    const totalSupply = await pair.totalSupply();
+    expect(lp.symbol).to.equal(`LP ${first.symbol}/${second.symbol}`);
+    expect(lp.balances).to.deep.equal([await pair.balanceOf(wallet.address), await pair.balanceOf(other.address)]);
+    expect(lp.underlying[1]).to.deep.equal([(lp.balances[1] * reserve0) / totalSupply, (lp.balances[1] * reserve1) / totalSupply]);
+    expect(lp.holders).to.equal(2);
+  });
+});
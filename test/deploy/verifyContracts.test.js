@@ -0,0 +1,74 @@
+/**
+ * @file verifyContracts.test.js
+ * @description Testes da reverificação dos contratos do registro `scripts/deploy/verifyContracts.js`.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { main, selectDeployments } = require("../../scripts/deploy/verifyContracts");
+const { recordDeployment } = require("../../scripts/utils/registry");
+const { startExplorerStub } = require("../shared/explorerStub");
+
+describe("scripts/deploy/verifyContracts", function () {
+  const TOKEN = "0x00000000000000000000000000000000000000a1";
+  const ORPHAN = "0x00000000000000000000000000000000000000a2";
+  let tmpDir;
+  let stub;
+
+  beforeEach(async function () {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "verify-contracts-test-"));
+    for (const address of [TOKEN, ORPHAN]) {
+      await ethers.provider.send("hardhat_setCode", [address, "0x6001"]);
+    }
+    await recordDeployment("SPBToken", { address: TOKEN }, { registryDir: tmpDir });
+    await recordDeployment("Orphan", { address: ORPHAN, contractName: "ArtefatoInexistente" }, { registryDir: tmpDir });
+  });
+
+  afterEach(async function () {
+    if (stub) {
+      await stub.close();
+      stub = null;
+    }
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("seleciona todos os contratos ou os nomes pedidos", function () {
+    const deployments = { A: { address: "0x1" }, B: { address: "0x2" } };
+    expect(selectDeployments(deployments).map((entry) => entry.name)).to.deep.equal(["A", "B"]);
+    expect(selectDeployments(deployments, " B ,")).to.deep.equal([{ name: "B", address: "0x2" }]);
+    expect(() => selectDeployments(deployments, "A,C")).to.throw(/ausentes no registro: C/);
+  });
+
+  it("grava o status de cada contrato nos logs", async function () {
+    stub = await startExplorerStub({ verified: [TOKEN, ORPHAN] });
+
+    const results = await main({ registryDir: tmpDir, outputDir: tmpDir, explorer: stub.explorer });
+    expect(Object.keys(results)).to.deep.equal(["SPBToken", "Orphan"]);
+    expect(results.SPBToken.status).to.equal("already-verified");
+
+    const [log] = JSON.parse(await fs.readFile(path.join(tmpDir, "verification-logs.json"), "utf8"));
+    expect(log.tag).to.equal("default");
+    expect(log.contracts.SPBToken).to.include({ address: ethers.getAddress(TOKEN), contractName: "SPBToken" });
+    expect(log.contracts.Orphan.verification.status).to.equal("already-verified");
+  });
+
+  it("falha quando algum contrato não pode ser verificado", async function () {
+    stub = await startExplorerStub({ verified: [TOKEN] });
+
+    await expect(main({ registryDir: tmpDir, outputDir: tmpDir, explorer: stub.explorer }))
+      .to.be.rejectedWith(/Falha na verificação de: Orphan/);
+    const [log] = JSON.parse(await fs.readFile(path.join(tmpDir, "verification-logs.json"), "utf8"));
+    expect(log.contracts.Orphan.verification.status).to.equal("failed");
+  });
+
+  it("verifica apenas os contratos pedidos", async function () {
+    stub = await startExplorerStub({ verified: [TOKEN] });
+
+    const results = await main({ registryDir: tmpDir, outputDir: tmpDir, explorer: stub.explorer, contracts: "SPBToken" });
+    expect(Object.keys(results)).to.deep.equal(["SPBToken"]);
+    expect(stub.requests).to.deep.equal(["getsourcecode"]);
+  });
+});
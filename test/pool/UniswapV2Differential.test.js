@@ -0,0 +1,79 @@
+/**
+ * @file UniswapV2Differential.test.js
+ * @description Teste diferencial entre o port 0.8.28 (factory/par) e os artefatos originais de
+ *              `@uniswap/v2-core`: a mesma sequência aleatória de operações deve produzir reservas, saldos,
+ *              eventos e motivos de revert idênticos. Ver `test/pool/differential.js`.
+ */
+
+const { expect } = require("chai");
+const { createRandom } = require("../shared/random");
+const {
+  EQUIVALENT_REASONS,
+  revertReason,
+  generateOp,
+  setupDifferential,
+  runDifferential,
+  describeOp
+} = require("./differential");
+
+// Operações por sequência e sementes exercitadas (com a taxa de protocolo desligada e ligada)
+const STEPS = 40;
+const SEEDS = [0x5eedn, 0xc0ffeen];
+
+/**
+ * @notice Compara os registros passo a passo e falha na primeira divergência
+ */
+function expectSameTraces({ ops, upstream, local }) {
+  for (let i = 0; i < ops.length; i++) {
+    const context = describeOp(ops[i], i);
+    expect(local[i].reverts, `${context} — motivos de revert`).to.deep.equal(upstream[i].reverts);
+    expect(local[i].events, `${context} — eventos`).to.deep.equal(upstream[i].events);
+    expect(local[i].state, `${context} — estado`).to.deep.equal(upstream[i].state);
+  }
+}
+
+describe("UniswapV2 (diferencial com @uniswap/v2-core)", function () {
+  describe("harness", function () {
+    it("normaliza motivos de revert renomeados no port", function () {
+      const error = (reason) => new Error(`VM Exception while processing transaction: reverted with reason string '${reason}'`);
+
+      expect(revertReason(error("UniswapV2: K"))).to.equal("UniswapV2: K");
+      for (const [local, upstream] of Object.entries(EQUIVALENT_REASONS)) {
+        if (!local.startsWith("panic")) {
+          expect(revertReason(error(local))).to.equal(upstream);
+        }
+      }
+      expect(revertReason(new Error("reverted with panic code 0x12 (Division or modulo division by zero)"))).to.equal("invalid opcode");
+      expect(revertReason(new Error("VM Exception while processing transaction: invalid opcode"))).to.equal("invalid opcode");
+      expect(revertReason(new Error("reverted with panic code 0x11 (Arithmetic operation overflowed)"))).to.equal("panic 0x11");
+      expect(() => revertReason(new Error("could not detect network"))).to.throw("could not detect network");
+    });
+
+    it("gera sequências determinísticas a partir da semente", function () {
+      const state = { reserves: ["1000000", "2000000"], liquidity: { wallet: "500000" } };
+      const sequence = (seed) => {
+        const random = createRandom(seed);
+        return Array.from({ length: 20 }, () => generateOp(random, state));
+      };
+
+      expect(sequence(7n)).to.deep.equal(sequence(7n));
+      expect(sequence(7n)).to.not.deep.equal(sequence(8n));
+    });
+  });
+
+  for (const feeOn of [false, true]) {
+    describe(`taxa de protocolo ${feeOn ? "ligada" : "desligada"}`, function () {
+      for (const seed of SEEDS) {
+        it(`reproduz ${STEPS} operações aleatórias sem divergência (semente 0x${seed.toString(16)})`, async function () {
+          const setup = await setupDifferential({ feeOn });
+          const result = await runDifferential(setup, createRandom(seed), STEPS);
+
+          // A sequência precisa exercitar caminhos de sucesso e de revert para ser significativa
+          expect(result.upstream.some((step) => step.events.some((event) => event.name === "Swap"))).to.equal(true);
+          expect(result.upstream.some((step) => step.reverts.length > 0)).to.equal(true);
+          expectSameTraces(result);
+        });
+      }
+    });
+  }
+});
@@ -0,0 +1,132 @@
+/**
+ * @file UniswapV2ERC20.test.js
+ * @description Testes do token de liquidez (UniswapV2ERC20) portados de `v2-core/test/UniswapV2ERC20.spec.ts`.
+ *              O token é exercitado através de um par com liquidez inicial, já que o contrato base não expõe
+ *              uma forma de criar saldo.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { MINIMUM_LIQUIDITY, expandTo18Decimals, signPermit, pairFixture } = require("./fixtures");
+
+const TEST_AMOUNT = expandTo18Decimals(1) / 10n;
+
+/**
+ * @notice Par com liquidez 1:4; o deployer recebe 2e18 - MINIMUM_LIQUIDITY tokens de liquidez
+ */
+async function liquidityTokenFixture() {
+  const fixture = await pairFixture();
+  const { wallet, token0, token1, pair } = fixture;
+  const pairAddress = await pair.getAddress();
+
+  await token0.transfer(pairAddress, expandTo18Decimals(1));
+  await token1.transfer(pairAddress, expandTo18Decimals(4));
+  await pair.mint(wallet.address);
+
+  return { ...fixture, token: pair, balance: expandTo18Decimals(2) - MINIMUM_LIQUIDITY };
+}
+
+describe("UniswapV2ERC20", function () {
+  it("name, symbol, decimals, totalSupply, balanceOf, DOMAIN_SEPARATOR, PERMIT_TYPEHASH", async function () {
+    const { wallet, token, balance } = await loadFixture(liquidityTokenFixture);
+    const { chainId } = await ethers.provider.getNetwork();
+    const name = await token.name();
+
+    expect(name).to.equal("Uniswap V2");
+    expect(await token.symbol()).to.equal("UNI-V2");
+    expect(await token.decimals()).to.equal(18n);
+    expect(await token.totalSupply()).to.equal(expandTo18Decimals(2));
+    expect(await token.balanceOf(wallet.address)).to.equal(balance);
+    expect(await token.DOMAIN_SEPARATOR()).to.equal(
+      ethers.TypedDataEncoder.hashDomain({ name, version: "1", chainId, verifyingContract: await token.getAddress() })
+    );
+    expect(await token.PERMIT_TYPEHASH()).to.equal(
+      ethers.id("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)")
+    );
+  });
+
+  it("approve", async function () {
+    const { wallet, other, token } = await loadFixture(liquidityTokenFixture);
+
+    await expect(token.approve(other.address, TEST_AMOUNT))
+      .to.emit(token, "Approval")
+      .withArgs(wallet.address, other.address, TEST_AMOUNT);
+    expect(await token.allowance(wallet.address, other.address)).to.equal(TEST_AMOUNT);
+  });
+
+  it("transfer", async function () {
+    const { wallet, other, token, balance } = await loadFixture(liquidityTokenFixture);
+
+    await expect(token.transfer(other.address, TEST_AMOUNT))
+      .to.emit(token, "Transfer")
+      .withArgs(wallet.address, other.address, TEST_AMOUNT);
+    expect(await token.balanceOf(wallet.address)).to.equal(balance - TEST_AMOUNT);
+    expect(await token.balanceOf(other.address)).to.equal(TEST_AMOUNT);
+  });
+
+  it("transfer:fail", async function () {
+    const { wallet, other, token, balance } = await loadFixture(liquidityTokenFixture);
+
+    await expect(token.transfer(other.address, balance + 1n)).to.be.revertedWith("UniswapV2ERC20: INSUFFICIENT_BALANCE");
+    await expect(token.connect(other).transfer(wallet.address, 1n)).to.be.revertedWith("UniswapV2ERC20: INSUFFICIENT_BALANCE");
+    // Diferença do port 0.8.28 em relação ao original: transferências de valor zero são rejeitadas
+    await expect(token.transfer(other.address, 0n)).to.be.revertedWith("UniswapV2ERC20: INVALID_TRANSFER_AMOUNT");
+    await expect(token.transfer(ethers.ZeroAddress, 1n)).to.be.revertedWith("UniswapV2ERC20: TRANSFER_TO_ZERO_ADDRESS");
+  });
+
+  it("transferFrom", async function () {
+    const { wallet, other, token, balance } = await loadFixture(liquidityTokenFixture);
+    await token.approve(other.address, TEST_AMOUNT);
+
+    await expect(token.connect(other).transferFrom(wallet.address, other.address, TEST_AMOUNT))
+      .to.emit(token, "Transfer")
+      .withArgs(wallet.address, other.address, TEST_AMOUNT);
+    expect(await token.allowance(wallet.address, other.address)).to.equal(0n);
+    expect(await token.balanceOf(wallet.address)).to.equal(balance - TEST_AMOUNT);
+    expect(await token.balanceOf(other.address)).to.equal(TEST_AMOUNT);
+    await expect(token.connect(other).transferFrom(wallet.address, other.address, 1n))
+      .to.be.revertedWith("UniswapV2ERC20: INSUFFICIENT_ALLOWANCE");
+  });
+
+  it("transferFrom:max", async function () {
+    const { wallet, other, token, balance } = await loadFixture(liquidityTokenFixture);
+    await token.approve(other.address, ethers.MaxUint256);
+
+    await expect(token.connect(other).transferFrom(wallet.address, other.address, TEST_AMOUNT))
+      .to.emit(token, "Transfer")
+      .withArgs(wallet.address, other.address, TEST_AMOUNT);
+    expect(await token.allowance(wallet.address, other.address)).to.equal(ethers.MaxUint256);
+    expect(await token.balanceOf(wallet.address)).to.equal(balance - TEST_AMOUNT);
+    expect(await token.balanceOf(other.address)).to.equal(TEST_AMOUNT);
+  });
+
+  it("permit", async function () {
+    const { wallet, other, token } = await loadFixture(liquidityTokenFixture);
+    const deadline = ethers.MaxUint256;
+    const { v, r, s } = await signPermit(token, wallet, other.address, TEST_AMOUNT, deadline);
+
+    await expect(token.permit(wallet.address, other.address, TEST_AMOUNT, deadline, v, r, s))
+      .to.emit(token, "Approval")
+      .withArgs(wallet.address, other.address, TEST_AMOUNT);
+    expect(await token.allowance(wallet.address, other.address)).to.equal(TEST_AMOUNT);
+    expect(await token.nonces(wallet.address)).to.equal(1n);
+
+    // A mesma assinatura não pode ser reutilizada: o nonce já avançou
+    await expect(token.permit(wallet.address, other.address, TEST_AMOUNT, deadline, v, r, s))
+      .to.be.revertedWith("UniswapV2ERC20: INVALID_SIGNATURE");
+  });
+
+  it("permit rejeita prazo expirado e assinatura de outro titular", async function () {
+    const { wallet, other, token } = await loadFixture(liquidityTokenFixture);
+    const expired = BigInt(await time.latest()) - 1n;
+    const expiredSignature = await signPermit(token, wallet, other.address, TEST_AMOUNT, expired);
+    const { v, r, s } = await signPermit(token, other, other.address, TEST_AMOUNT, ethers.MaxUint256);
+
+    await expect(token.permit(
+      wallet.address, other.address, TEST_AMOUNT, expired, expiredSignature.v, expiredSignature.r, expiredSignature.s
+    )).to.be.revertedWith("UniswapV2ERC20: EXPIRED_PERMIT");
+    await expect(token.permit(wallet.address, other.address, TEST_AMOUNT, ethers.MaxUint256, v, r, s))
+      .to.be.revertedWith("UniswapV2ERC20: INVALID_SIGNATURE");
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * @file UniswapV2Factory.test.js
+ * @description Testes da UniswapV2Factory portados de `v2-core/test/UniswapV2Factory.spec.ts`.
+ */
+
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { factoryFixture } = require("./fixtures");
+
+const TEST_ADDRESSES = [
+  "0x1000000000000000000000000000000000000000",
+  "0x2000000000000000000000000000000000000000"
+];
+
+/**
+ * @notice Endereço CREATE2 esperado para o par (mesma derivação da factory)
+ */
+async function getCreate2Address(factoryAddress, [tokenA, tokenB]) {
+  const [token0, token1] = BigInt(tokenA) < BigInt(tokenB) ? [tokenA, tokenB] : [tokenB, tokenA];
+  const { bytecode } = await artifacts.readArtifact("UniswapV2Pair");
+  return ethers.getCreate2Address(
+    factoryAddress,
+    ethers.solidityPackedKeccak256(["address", "address"], [token0, token1]),
+    ethers.keccak256(bytecode)
+  );
+}
+
+describe("UniswapV2Factory", function () {
+  it("inicia com feeTo vazio, feeToSetter do deployer e nenhum par", async function () {
+    const { wallet, factory } = await loadFixture(factoryFixture);
+
+    expect(await factory.feeTo()).to.equal(ethers.ZeroAddress);
+    expect(await factory.feeToSetter()).to.equal(wallet.address);
+    expect(await factory.allPairsLength()).to.equal(0n);
+  });
+
+  it("rejeita feeToSetter zero no construtor", async function () {
+    const Factory = await ethers.getContractFactory("UniswapV2Factory");
+
+    await expect(Factory.deploy(ethers.ZeroAddress)).to.be.revertedWith("UniswapV2Factory: INVALID_FEE_TO_SETTER");
+  });
+
+  async function createPair(tokens) {
+    const { factory } = await loadFixture(factoryFixture);
+    const factoryAddress = await factory.getAddress();
+    const create2Address = await getCreate2Address(factoryAddress, tokens);
+
+    await expect(factory.createPair(...tokens))
+      .to.emit(factory, "PairCreated")
+      .withArgs(TEST_ADDRESSES[0], TEST_ADDRESSES[1], create2Address, 1n);
+
+    await expect(factory.createPair(...tokens)).to.be.revertedWith("UniswapV2Factory: PAIR_EXISTS");
+    await expect(factory.createPair(...[...tokens].reverse())).to.be.revertedWith("UniswapV2Factory: PAIR_EXISTS");
+    expect(await factory.getPair(...tokens)).to.equal(create2Address);
+    expect(await factory.getPair(...[...tokens].reverse())).to.equal(create2Address);
+    expect(await factory.allPairs(0)).to.equal(create2Address);
+    expect(await factory.allPairsLength()).to.equal(1n);
+
+    const pair = await ethers.getContractAt("UniswapV2Pair", create2Address);
+    expect(await pair.factory()).to.equal(factoryAddress);
+    expect(await pair.token0()).to.equal(TEST_ADDRESSES[0]);
+    expect(await pair.token1()).to.equal(TEST_ADDRESSES[1]);
+  }
+
+  it("createPair", async function () {
+    await createPair(TEST_ADDRESSES);
+  });
+
+  it("createPair:reverse", async function () {
+    await createPair([...TEST_ADDRESSES].reverse());
+  });
+
+  it("createPair rejeita tokens idênticos e o endereço zero", async function () {
+    const { factory } = await loadFixture(factoryFixture);
+
+    await expect(factory.createPair(TEST_ADDRESSES[0], TEST_ADDRESSES[0]))
+      .to.be.revertedWith("UniswapV2Factory: IDENTICAL_ADDRESSES");
+    await expect(factory.createPair(ethers.ZeroAddress, TEST_ADDRESSES[0]))
+      .to.be.revertedWith("UniswapV2Factory: ZERO_ADDRESS");
+  });
+
+  it("initialize só pode ser chamado pela factory", async function () {
+    const { factory } = await loadFixture(factoryFixture);
+    await factory.createPair(...TEST_ADDRESSES);
+    const pair = await ethers.getContractAt("UniswapV2Pair", await factory.allPairs(0));
+
+    await expect(pair.initialize(...TEST_ADDRESSES)).to.be.revertedWith("UniswapV2: FORBIDDEN");
+  });
+
+  it("setFeeTo", async function () {
+    const { wallet, other, factory } = await loadFixture(factoryFixture);
+
+    await expect(factory.connect(other).setFeeTo(other.address)).to.be.revertedWith("UniswapV2Factory: FORBIDDEN");
+    await factory.setFeeTo(wallet.address);
+    expect(await factory.feeTo()).to.equal(wallet.address);
+  });
+
+  it("setFeeToSetter", async function () {
+    const { wallet, other, factory } = await loadFixture(factoryFixture);
+
+    await expect(factory.connect(other).setFeeToSetter(other.address)).to.be.revertedWith("UniswapV2Factory: FORBIDDEN");
+    await expect(factory.setFeeToSetter(ethers.ZeroAddress)).to.be.revertedWith("UniswapV2Factory: INVALID_FEE_TO_SETTER");
+    await factory.setFeeToSetter(other.address);
+    expect(await factory.feeToSetter()).to.equal(other.address);
+    await expect(factory.setFeeToSetter(wallet.address)).to.be.revertedWith("UniswapV2Factory: FORBIDDEN");
+  });
+});
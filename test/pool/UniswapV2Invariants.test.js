@@ -0,0 +1,133 @@
+/**
+ * @file UniswapV2Invariants.test.js
+ * @description Fuzzing com estado do par e do Router02: sequências aleatórias de liquidez, swaps, doações e
+ *              flash swaps não podem violar os invariantes do par. Uma falha é reduzida a uma reprodução
+ *              mínima antes de ser reportada. Ver `test/pool/invariants.js`.
+ */
+
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createRandom } = require("../shared/random");
+const { shrink } = require("../shared/shrink");
+const { invariantFixture, generateSequence, simplifyOp, checkInvariants, fuzz, describeFailure } = require("./invariants");
+
+// Operações por sequência e sementes exercitadas
+const STEPS = 30;
+const SEEDS = [0x5eedn, 0xc0ffeen, 0xdecafn];
+
+/**
+ * @notice Estado consistente de referência para os testes do verificador de invariantes
+ */
+function state(overrides = {}) {
+  return {
+    reserves: [1000n, 4000n],
+    pairBalances: [1000n, 4000n],
+    totalSupply: 2000n,
+    userTokens: [[100n, 100n], [100n, 100n]],
+    userLiquidity: [500n, 500n],
+    lockedLiquidity: 1000n,
+    strayLiquidity: [0n, 0n],
+    strayTokens: [[0n, 0n], [0n, 0n]],
+    ...overrides
+  };
+}
+
+const LEDGER = { minted: 1000n, burned: 0n, initialTokens: [1200n, 4200n] };
+
+describe("UniswapV2 (invariantes sob fuzzing)", function () {
+  describe("shrink", function () {
+    it("reduz a sequência aos passos e valores necessários para a falha", async function () {
+      // Falha quando um "b" com valor >= 3 aparece depois de um "a"
+      const fails = async (sequence) => {
+        const a = sequence.findIndex((op) => op.type === "a");
+        return a >= 0 && sequence.slice(a + 1).some((op) => op.type === "b" && op.value >= 3n) ? "falhou" : null;
+      };
+      const sequence = [
+        { type: "c", value: 9n },
+        { type: "a", value: 7n },
+        { type: "c", value: 1n },
+        { type: "b", value: 2n },
+        { type: "b", value: 40n },
+        { type: "c", value: 5n }
+      ];
+      const simplify = (op) => (op.value > 1n ? [{ ...op, value: 1n }, { ...op, value: op.value / 2n }] : []);
+
+      const result = await shrink(sequence, fails, { simplify });
+      expect(result.failure).to.equal("falhou");
+      expect(result.sequence).to.deep.equal([
+        { type: "a", value: 1n },
+        { type: "b", value: 5n }
+      ]);
+    });
+
+    it("respeita o limite de reexecuções e mantém a falha original quando nada reduz", async function () {
+      let calls = 0;
+      const sequence = Array.from({ length: 64 }, (_, i) => i);
+      const fails = async () => {
+        calls++;
+        return null;
+      };
+
+      const result = await shrink(sequence, fails, { maxAttempts: 10, failure: "original" });
+      expect(calls).to.equal(10);
+      expect(result).to.deep.equal({ sequence, failure: "original", attempts: 10 });
+    });
+  });
+
+  describe("checkInvariants", function () {
+    it("aceita um estado consistente", function () {
+      expect(checkInvariants({ user: 0 }, state(), state(), LEDGER)).to.deep.equal([]);
+    });
+
+    it("detecta k diminuindo e valor extraído", function () {
+      const after = state({ reserves: [999n, 4000n], pairBalances: [999n, 4000n], userTokens: [[101n, 100n], [100n, 100n]] });
+      const violations = checkInvariants({ user: 0 }, state(), after, LEDGER);
+      expect(violations).to.include("k diminuiu: 4000000 -> 3996000");
+      expect(violations).to.include("o usuário 0 extraiu valor do par");
+      expect(violations).to.include("os usuários extraíram valor do par");
+    });
+
+    it("detecta reservas fora de sincronia com os saldos", function () {
+      const after = state({ pairBalances: [1001n, 4000n], userTokens: [[99n, 100n], [100n, 100n]] });
+      expect(checkInvariants({ user: 0 }, state(), after, LEDGER)).to.deep.equal([
+        "reservas [1000,4000] diferentes dos saldos [1001,4000]"
+      ]);
+    });
+
+    it("detecta liquidez criada fora do livro de cunhagens e queimas", function () {
+      const after = state({ totalSupply: 2001n, userLiquidity: [501n, 500n] });
+      const violations = checkInvariants({ user: 0 }, state(), after, LEDGER);
+      expect(violations).to.include("totalSupply 2001 != cunhado 1000 - queimado 0 + MINIMUM_LIQUIDITY");
+      expect(violations).to.include("k por unidade de liquidez diminuiu");
+      expect(violations).to.include("o usuário 0 extraiu valor do par");
+    });
+
+    it("detecta tokens criados", function () {
+      const after = state({ strayTokens: [[0n, 0n], [0n, 1n]] });
+      expect(checkInvariants({ user: 1 }, state(), after, LEDGER)).to.deep.equal(["token1 não se conserva: 4201 != 4200"]);
+    });
+  });
+
+  it("gera sequências determinísticas com todas as operações", function () {
+    const sequence = generateSequence(createRandom(0x5eedn), 200);
+    expect(generateSequence(createRandom(0x5eedn), 200)).to.deep.equal(sequence);
+    expect(new Set(sequence.map((op) => op.type))).to.deep.equal(
+      new Set(["addLiquidity", "removeLiquidity", "swap", "routerSwap", "donate", "flash"])
+    );
+    for (const op of sequence) {
+      for (const simpler of simplifyOp(op)) {
+        expect(simpler.type).to.equal(op.type);
+      }
+    }
+  });
+
+  for (const seed of SEEDS) {
+    it(`mantém os invariantes em ${STEPS} operações aleatórias (semente 0x${seed.toString(16)})`, async function () {
+      const env = await loadFixture(invariantFixture);
+      const result = await fuzz(env, createRandom(seed), STEPS);
+      if (result) {
+        expect.fail(describeFailure(result));
+      }
+    });
+  }
+});
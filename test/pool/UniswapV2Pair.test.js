@@ -0,0 +1,336 @@
+/**
+ * @file UniswapV2Pair.test.js
+ * @description Testes do UniswapV2Pair portados de `v2-core/test/UniswapV2Pair.spec.ts`: mint, burn, swap,
+ *              oráculo de preço acumulado, taxa de protocolo (`feeTo`) e `skim`/`sync`.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { MINIMUM_LIQUIDITY, TOKEN_SUPPLY, expandTo18Decimals, encodePrice, pairFixture } = require("./fixtures");
+
+/**
+ * @notice Transfere as quantidades ao par e cria liquidez para o deployer
+ */
+async function addLiquidity({ wallet, token0, token1, pair }, token0Amount, token1Amount) {
+  const pairAddress = await pair.getAddress();
+  await token0.transfer(pairAddress, token0Amount);
+  await token1.transfer(pairAddress, token1Amount);
+  await pair.mint(wallet.address);
+}
+
+describe("UniswapV2Pair", function () {
+  it("mint", async function () {
+    const { wallet, token0, token1, pair } = await loadFixture(pairFixture);
+    const pairAddress = await pair.getAddress();
+    const token0Amount = expandTo18Decimals(1);
+    const token1Amount = expandTo18Decimals(4);
+    await token0.transfer(pairAddress, token0Amount);
+    await token1.transfer(pairAddress, token1Amount);
+
+    const expectedLiquidity = expandTo18Decimals(2);
+    await expect(pair.mint(wallet.address))
+      .to.emit(pair, "Transfer")
+      .withArgs(ethers.ZeroAddress, ethers.ZeroAddress, MINIMUM_LIQUIDITY)
+      .and.to.emit(pair, "Transfer")
+      .withArgs(ethers.ZeroAddress, wallet.address, expectedLiquidity - MINIMUM_LIQUIDITY)
+      .and.to.emit(pair, "Sync")
+      .withArgs(token0Amount, token1Amount)
+      .and.to.emit(pair, "Mint")
+      .withArgs(wallet.address, token0Amount, token1Amount);
+
+    expect(await pair.totalSupply()).to.equal(expectedLiquidity);
+    expect(await pair.balanceOf(wallet.address)).to.equal(expectedLiquidity - MINIMUM_LIQUIDITY);
+    expect(await token0.balanceOf(pairAddress)).to.equal(token0Amount);
+    expect(await token1.balanceOf(pairAddress)).to.equal(token1Amount);
+    const reserves = await pair.getReserves();
+    expect(reserves[0]).to.equal(token0Amount);
+    expect(reserves[1]).to.equal(token1Amount);
+  });
+
+  it("mint rejeita depósitos que não geram liquidez", async function () {
+    const fixture = await loadFixture(pairFixture);
+    const { wallet, pair } = fixture;
+    await addLiquidity(fixture, expandTo18Decimals(1), expandTo18Decimals(4));
+
+    await expect(pair.mint(wallet.address)).to.be.revertedWith("UniswapV2: INSUFFICIENT_LIQUIDITY_MINTED");
+  });
+
+  const swapTestCases = [
+    [1, 5, 10, 1662497915624478906n],
+    [1, 10, 5, 453305446940074565n],
+
+    [2, 5, 10, 2851015155847869602n],
+    [2, 10, 5, 831248957812239453n],
+
+    [1, 10, 10, 906610893880149131n],
+    [1, 100, 100, 987158034397061298n],
+    [1, 1000, 1000, 996006981039903216n]
+  ].map((testCase) => testCase.map((n) => (typeof n === "bigint" ? n : expandTo18Decimals(n))));
+
+  swapTestCases.forEach((swapTestCase, i) => {
+    it(`getInputPrice:${i}`, async function () {
+      const fixture = await loadFixture(pairFixture);
+      const { wallet, token0, pair } = fixture;
+      const [swapAmount, token0Amount, token1Amount, expectedOutputAmount] = swapTestCase;
+      await addLiquidity(fixture, token0Amount, token1Amount);
+      await token0.transfer(await pair.getAddress(), swapAmount);
+
+      await expect(pair.swap(0, expectedOutputAmount + 1n, wallet.address, "0x")).to.be.revertedWith("UniswapV2: K");
+      await pair.swap(0, expectedOutputAmount, wallet.address, "0x");
+    });
+  });
+
+  const optimisticTestCases = [
+    [997000000000000000n, 5, 10, 1], // dada a entrada, saída = floor(entrada * 0,997)
+    [997000000000000000n, 10, 5, 1],
+    [997000000000000000n, 5, 5, 1],
+    [1, 5, 5, 1003009027081243732n] // dada a saída, entrada = ceil(saída / 0,997)
+  ].map((testCase) => testCase.map((n) => (typeof n === "bigint" ? n : expandTo18Decimals(n))));
+
+  optimisticTestCases.forEach((optimisticTestCase, i) => {
+    it(`optimistic:${i}`, async function () {
+      const fixture = await loadFixture(pairFixture);
+      const { wallet, token0, pair } = fixture;
+      const [outputAmount, token0Amount, token1Amount, inputAmount] = optimisticTestCase;
+      await addLiquidity(fixture, token0Amount, token1Amount);
+      await token0.transfer(await pair.getAddress(), inputAmount);
+
+      await expect(pair.swap(outputAmount + 1n, 0, wallet.address, "0x")).to.be.revertedWith("UniswapV2: K");
+      await pair.swap(outputAmount, 0, wallet.address, "0x");
+    });
+  });
+
+  it("swap:token0", async function () {
+    const fixture = await loadFixture(pairFixture);
+    const { wallet, token0, token1, pair } = fixture;
+    const pairAddress = await pair.getAddress();
+    const token0Amount = expandTo18Decimals(5);
+    const token1Amount = expandTo18Decimals(10);
+    await addLiquidity(fixture, token0Amount, token1Amount);
+
+    const swapAmount = expandTo18Decimals(1);
+    const expectedOutputAmount = 1662497915624478906n;
+    await token0.transfer(pairAddress, swapAmount);
+    await expect(pair.swap(0, expectedOutputAmount, wallet.address, "0x"))
+      .to.emit(token1, "Transfer")
+      .withArgs(pairAddress, wallet.address, expectedOutputAmount)
+      .and.to.emit(pair, "Sync")
+      .withArgs(token0Amount + swapAmount, token1Amount - expectedOutputAmount)
+      .and.to.emit(pair, "Swap")
+      .withArgs(wallet.address, swapAmount, 0, 0, expectedOutputAmount, wallet.address);
+
+    const reserves = await pair.getReserves();
+    expect(reserves[0]).to.equal(token0Amount + swapAmount);
+    expect(reserves[1]).to.equal(token1Amount - expectedOutputAmount);
+    expect(await token0.balanceOf(pairAddress)).to.equal(token0Amount + swapAmount);
+    expect(await token1.balanceOf(pairAddress)).to.equal(token1Amount - expectedOutputAmount);
+    expect(await token0.balanceOf(wallet.address)).to.equal(TOKEN_SUPPLY - token0Amount - swapAmount);
+    expect(await token1.balanceOf(wallet.address)).to.equal(TOKEN_SUPPLY - token1Amount + expectedOutputAmount);
+  });
+
+  it("swap:token1", async function () {
+    const fixture = await loadFixture(pairFixture);
+    const { wallet, token0, token1, pair } = fixture;
+    const pairAddress = await pair.getAddress();
+    const token0Amount = expandTo18Decimals(5);
+    const token1Amount = expandTo18Decimals(10);
+    await addLiquidity(fixture, token0Amount, token1Amount);
+
+    const swapAmount = expandTo18Decimals(1);
+    const expectedOutputAmount = 453305446940074565n;
+    await token1.transfer(pairAddress, swapAmount);
+    await expect(pair.swap(expectedOutputAmount, 0, wallet.address, "0x"))
+      .to.emit(token0, "Transfer")
+      .withArgs(pairAddress, wallet.address, expectedOutputAmount)
+      .and.to.emit(pair, "Sync")
+      .withArgs(token0Amount - expectedOutputAmount, token1Amount + swapAmount)
+      .and.to.emit(pair, "Swap")
+      .withArgs(wallet.address, 0, swapAmount, expectedOutputAmount, 0, wallet.address);
+
+    const reserves = await pair.getReserves();
+    expect(reserves[0]).to.equal(token0Amount - expectedOutputAmount);
+    expect(reserves[1]).to.equal(token1Amount + swapAmount);
+    expect(await token0.balanceOf(pairAddress)).to.equal(token0Amount - expectedOutputAmount);
+    expect(await token1.balanceOf(pairAddress)).to.equal(token1Amount + swapAmount);
+    expect(await token0.balanceOf(wallet.address)).to.equal(TOKEN_SUPPLY - token0Amount + expectedOutputAmount);
+    expect(await token1.balanceOf(wallet.address)).to.equal(TOKEN_SUPPLY - token1Amount - swapAmount);
+  });
+
+  it("swap rejeita saída nula, saída acima da reserva, destino inválido e ausência de entrada", async function () {
+    const fixture = await loadFixture(pairFixture);
+    const { wallet, token0, pair } = fixture;
+    await addLiquidity(fixture, expandTo18Decimals(5), expandTo18Decimals(10));
+
+    await expect(pair.swap(0, 0, wallet.address, "0x")).to.be.revertedWith("UniswapV2: INSUFFICIENT_OUTPUT_AMOUNT");
+    await expect(pair.swap(expandTo18Decimals(5), 0, wallet.address, "0x"))
+      .to.be.revertedWith("UniswapV2: INSUFFICIENT_LIQUIDITY");
+    await expect(pair.swap(1n, 0, await token0.getAddress(), "0x")).to.be.revertedWith("UniswapV2: INVALID_TO");
+    await expect(pair.swap(1n, 0, wallet.address, "0x")).to.be.revertedWith("UniswapV2: INSUFFICIENT_INPUT_AMOUNT");
+  });
+
+  it("burn", async function () {
+    const fixture = await loadFixture(pairFixture);
+    const { wallet, token0, token1, pair } = fixture;
+    const pairAddress = await pair.getAddress();
+    const token0Amount = expandTo18Decimals(3);
+    const token1Amount = expandTo18Decimals(3);
+    await addLiquidity(fixture, token0Amount, token1Amount);
+
+    const expectedLiquidity = expandTo18Decimals(3);
+    await pair.transfer(pairAddress, expectedLiquidity - MINIMUM_LIQUIDITY);
+    await expect(pair.burn(wallet.address))
+      .to.emit(pair, "Transfer")
+      .withArgs(pairAddress, ethers.ZeroAddress, expectedLiquidity - MINIMUM_LIQUIDITY)
+      .and.to.emit(token0, "Transfer")
+      .withArgs(pairAddress, wallet.address, token0Amount - 1000n)
+      .and.to.emit(token1, "Transfer")
+      .withArgs(pairAddress, wallet.address, token1Amount - 1000n)
+      .and.to.emit(pair, "Sync")
+      .withArgs(1000n, 1000n)
+      .and.to.emit(pair, "Burn")
+      .withArgs(wallet.address, token0Amount - 1000n, token1Amount - 1000n, wallet.address);
+
+    expect(await pair.balanceOf(wallet.address)).to.equal(0n);
+    expect(await pair.totalSupply()).to.equal(MINIMUM_LIQUIDITY);
+    expect(await token0.balanceOf(pairAddress)).to.equal(1000n);
+    expect(await token1.balanceOf(pairAddress)).to.equal(1000n);
+    expect(await token0.balanceOf(wallet.address)).to.equal(TOKEN_SUPPLY - 1000n);
+    expect(await token1.balanceOf(wallet.address)).to.equal(TOKEN_SUPPLY - 1000n);
+  });
+
+  it("burn rejeita quando não há liquidez depositada no par", async function () {
+    const fixture = await loadFixture(pairFixture);
+    const { wallet, pair } = fixture;
+    await addLiquidity(fixture, expandTo18Decimals(3), expandTo18Decimals(3));
+
+    await expect(pair.burn(wallet.address)).to.be.revertedWith("UniswapV2: INSUFFICIENT_LIQUIDITY_BURNED");
+  });
+
+  it("price{0,1}CumulativeLast", async function () {
+    const fixture = await loadFixture(pairFixture);
+    const { wallet, token0, pair } = fixture;
+    const token0Amount = expandTo18Decimals(3);
+    const token1Amount = expandTo18Decimals(3);
+    await addLiquidity(fixture, token0Amount, token1Amount);
+
+    const blockTimestamp = (await pair.getReserves())[2];
+    await time.setNextBlockTimestamp(blockTimestamp + 1n);
+    await pair.sync();
+
+    const initialPrice = encodePrice(token0Amount, token1Amount);
+    expect(await pair.price0CumulativeLast()).to.equal(initialPrice[0]);
+    expect(await pair.price1CumulativeLast()).to.equal(initialPrice[1]);
+    expect((await pair.getReserves())[2]).to.equal(blockTimestamp + 1n);
+
+    const swapAmount = expandTo18Decimals(3);
+    await token0.transfer(await pair.getAddress(), swapAmount);
+    await time.setNextBlockTimestamp(blockTimestamp + 10n);
+    // troca para um novo preço diretamente, em vez de sincronizar
+    await pair.swap(0, expandTo18Decimals(1), wallet.address, "0x"); // deixa o preço "redondo"
+
+    expect(await pair.price0CumulativeLast()).to.equal(initialPrice[0] * 10n);
+    expect(await pair.price1CumulativeLast()).to.equal(initialPrice[1] * 10n);
+    expect((await pair.getReserves())[2]).to.equal(blockTimestamp + 10n);
+
+    await time.setNextBlockTimestamp(blockTimestamp + 20n);
+    await pair.sync();
+
+    const newPrice = encodePrice(expandTo18Decimals(6), expandTo18Decimals(2));
+    expect(await pair.price0CumulativeLast()).to.equal(initialPrice[0] * 10n + newPrice[0] * 10n);
+    expect(await pair.price1CumulativeLast()).to.equal(initialPrice[1] * 10n + newPrice[1] * 10n);
+    expect((await pair.getReserves())[2]).to.equal(blockTimestamp + 20n);
+  });
+
+  /**
+   * @notice Fluxo comum aos testes de taxa de protocolo: liquidez 1000:1000, um swap e saída total do deployer
+   */
+  async function swapAndExit(fixture) {
+    const { wallet, token1, pair } = fixture;
+    const pairAddress = await pair.getAddress();
+    const token0Amount = expandTo18Decimals(1000);
+    const token1Amount = expandTo18Decimals(1000);
+    await addLiquidity(fixture, token0Amount, token1Amount);
+
+    const swapAmount = expandTo18Decimals(1);
+    const expectedOutputAmount = 996006981039903216n;
+    await token1.transfer(pairAddress, swapAmount);
+    await pair.swap(expectedOutputAmount, 0, wallet.address, "0x");
+
+    const expectedLiquidity = expandTo18Decimals(1000);
+    await pair.transfer(pairAddress, expectedLiquidity - MINIMUM_LIQUIDITY);
+    await pair.burn(wallet.address);
+  }
+
+  it("feeTo:off", async function () {
+    const fixture = await loadFixture(pairFixture);
+    await swapAndExit(fixture);
+
+    expect(await fixture.pair.totalSupply()).to.equal(MINIMUM_LIQUIDITY);
+    expect(await fixture.pair.kLast()).to.equal(0n);
+  });
+
+  it("feeTo:on", async function () {
+    const fixture = await loadFixture(pairFixture);
+    const { other, factory, token0, token1, pair } = fixture;
+    const pairAddress = await pair.getAddress();
+    await factory.setFeeTo(other.address);
+    await swapAndExit(fixture);
+
+    expect(await pair.totalSupply()).to.equal(MINIMUM_LIQUIDITY + 249750499251388n);
+    expect(await pair.balanceOf(other.address)).to.equal(249750499251388n);
+
+    // usa 1000 em vez de MINIMUM_LIQUIDITY porque as quantidades só coincidem por acaso
+    expect(await token0.balanceOf(pairAddress)).to.equal(1000n + 249501683697445n);
+    expect(await token1.balanceOf(pairAddress)).to.equal(1000n + 250000187312969n);
+  });
+
+  it("skim envia o excedente dos saldos sem alterar as reservas", async function () {
+    const fixture = await loadFixture(pairFixture);
+    const { other, token0, token1, pair } = fixture;
+    const pairAddress = await pair.getAddress();
+    const token0Amount = expandTo18Decimals(5);
+    const token1Amount = expandTo18Decimals(10);
+    await addLiquidity(fixture, token0Amount, token1Amount);
+
+    // Os tokens de teste rejeitam transferências de valor zero, então ambos os lados recebem excedente
+    const extra0 = expandTo18Decimals(1);
+    const extra1 = expandTo18Decimals(2);
+    await token0.transfer(pairAddress, extra0);
+    await token1.transfer(pairAddress, extra1);
+
+    await expect(pair.skim(other.address))
+      .to.emit(token0, "Transfer")
+      .withArgs(pairAddress, other.address, extra0)
+      .and.to.emit(token1, "Transfer")
+      .withArgs(pairAddress, other.address, extra1);
+
+    const reserves = await pair.getReserves();
+    expect(reserves[0]).to.equal(token0Amount);
+    expect(reserves[1]).to.equal(token1Amount);
+    expect(await token0.balanceOf(pairAddress)).to.equal(token0Amount);
+    expect(await token1.balanceOf(pairAddress)).to.equal(token1Amount);
+    expect(await token0.balanceOf(other.address)).to.equal(extra0);
+    expect(await token1.balanceOf(other.address)).to.equal(extra1);
+  });
+
+  it("sync ajusta as reservas aos saldos", async function () {
+    const fixture = await loadFixture(pairFixture);
+    const { token0, token1, pair } = fixture;
+    const pairAddress = await pair.getAddress();
+    const token0Amount = expandTo18Decimals(5);
+    const token1Amount = expandTo18Decimals(10);
+    await addLiquidity(fixture, token0Amount, token1Amount);
+
+    const extra0 = expandTo18Decimals(1);
+    await token0.transfer(pairAddress, extra0);
+
+    await expect(pair.sync())
+      .to.emit(pair, "Sync")
+      .withArgs(token0Amount + extra0, token1Amount);
+
+    const reserves = await pair.getReserves();
+    expect(reserves[0]).to.equal(token0Amount + extra0);
+    expect(reserves[1]).to.equal(token1Amount);
+  });
+});
@@ -0,0 +1,680 @@
+/**
+ * @file UniswapV2Router.test.js
+ * @description Testes comuns aos roteadores UniswapV2Router01 e UniswapV2Router02, portados de
+ *              `v2-periphery/test/UniswapV2Router01.spec.ts` e `UniswapV2Router02.spec.ts`: funções de cotação,
+ *              adição/remoção de liquidez (inclusive com permit) e os seis tipos de swap. As quantidades
+ *              devolvidas pelos swaps são conferidas via `RouterEventEmitter`.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { MINIMUM_LIQUIDITY, expandTo18Decimals, signPermit, routerFixture } = require("./fixtures");
+
+const MAX = ethers.MaxUint256;
+
+/**
+ * @notice Deposita liquidez diretamente no par token0/token1
+ */
+async function addLiquidity({ wallet, token0, token1, pair }, token0Amount, token1Amount) {
+  const pairAddress = await pair.getAddress();
+  await token0.transfer(pairAddress, token0Amount);
+  await token1.transfer(pairAddress, token1Amount);
+  await pair.mint(wallet.address);
+}
+
+/**
+ * @notice Deposita liquidez diretamente no par WETHPartner/WETH
+ */
+async function addLiquidityETH({ wallet, WETH, WETHPartner, WETHPair }, WETHPartnerAmount, ETHAmount) {
+  const pairAddress = await WETHPair.getAddress();
+  await WETHPartner.transfer(pairAddress, WETHPartnerAmount);
+  await WETH.deposit({ value: ETHAmount });
+  await WETH.transfer(pairAddress, ETHAmount);
+  await WETHPair.mint(wallet.address);
+}
+
+for (const version of ["01", "02"]) {
+  const revert = (reason) => `UniswapV2Router${version}: ${reason}`;
+
+  describe(`UniswapV2Router${version}`, function () {
+    async function fixture() {
+      const base = await loadFixture(routerFixture);
+      return { ...base, router: version === "01" ? base.router01 : base.router02 };
+    }
+
+    // O roteador nunca deve reter ETH ao fim de uma operação
+    let active;
+    afterEach(async function () {
+      if (active) {
+        expect(await ethers.provider.getBalance(await active.router.getAddress())).to.equal(0n);
+        active = null;
+      }
+    });
+
+    async function setup() {
+      active = await fixture();
+      return active;
+    }
+
+    it("factory, WETH", async function () {
+      const { router, factory, WETH } = await setup();
+
+      expect(await router.factory()).to.equal(await factory.getAddress());
+      expect(await router.WETH()).to.equal(await WETH.getAddress());
+    });
+
+    it("quote", async function () {
+      const { router } = await setup();
+
+      expect(await router.quote(1n, 100n, 200n)).to.equal(2n);
+      expect(await router.quote(2n, 200n, 100n)).to.equal(1n);
+      await expect(router.quote(0n, 100n, 200n)).to.be.revertedWith("UniswapV2Library: INSUFFICIENT_AMOUNT");
+      await expect(router.quote(1n, 0n, 200n)).to.be.revertedWith("UniswapV2Library: INSUFFICIENT_LIQUIDITY");
+      await expect(router.quote(1n, 100n, 0n)).to.be.revertedWith("UniswapV2Library: INSUFFICIENT_LIQUIDITY");
+    });
+
+    it("getAmountOut", async function () {
+      const { router } = await setup();
+
+      expect(await router.getAmountOut(2n, 100n, 100n)).to.equal(1n);
+      await expect(router.getAmountOut(0n, 100n, 100n)).to.be.revertedWith("UniswapV2Library: INSUFFICIENT_INPUT_AMOUNT");
+      await expect(router.getAmountOut(2n, 0n, 100n)).to.be.revertedWith("UniswapV2Library: INSUFFICIENT_LIQUIDITY");
+      await expect(router.getAmountOut(2n, 100n, 0n)).to.be.revertedWith("UniswapV2Library: INSUFFICIENT_LIQUIDITY");
+    });
+
+    it("getAmountIn", async function () {
+      const { router } = await setup();
+
+      expect(await router.getAmountIn(1n, 100n, 100n)).to.equal(2n);
+      await expect(router.getAmountIn(0n, 100n, 100n)).to.be.revertedWith("UniswapV2Library: INSUFFICIENT_OUTPUT_AMOUNT");
+      await expect(router.getAmountIn(1n, 0n, 100n)).to.be.revertedWith("UniswapV2Library: INSUFFICIENT_LIQUIDITY");
+      await expect(router.getAmountIn(1n, 100n, 0n)).to.be.revertedWith("UniswapV2Library: INSUFFICIENT_LIQUIDITY");
+    });
+
+    it("getAmountsOut", async function () {
+      const { wallet, router, token0, token1 } = await setup();
+      const routerAddress = await router.getAddress();
+      const path = [await token0.getAddress(), await token1.getAddress()];
+      await token0.approve(routerAddress, MAX);
+      await token1.approve(routerAddress, MAX);
+      await router.addLiquidity(...path, 10000n, 10000n, 0n, 0n, wallet.address, MAX);
+
+      await expect(router.getAmountsOut(2n, [path[0]])).to.be.revertedWith("UniswapV2Library: INVALID_PATH");
+      expect(await router.getAmountsOut(2n, path)).to.deep.equal([2n, 1n]);
+    });
+
+    it("getAmountsIn", async function () {
+      const { wallet, router, token0, token1 } = await setup();
+      const routerAddress = await router.getAddress();
+      const path = [await token0.getAddress(), await token1.getAddress()];
+      await token0.approve(routerAddress, MAX);
+      await token1.approve(routerAddress, MAX);
+      await router.addLiquidity(...path, 10000n, 10000n, 0n, 0n, wallet.address, MAX);
+
+      await expect(router.getAmountsIn(1n, [path[0]])).to.be.revertedWith("UniswapV2Library: INVALID_PATH");
+      expect(await router.getAmountsIn(1n, path)).to.deep.equal([2n, 1n]);
+    });
+
+    it("rejeita deadline expirado", async function () {
+      const { wallet, router, token0, token1 } = await setup();
+      const expired = BigInt(await time.latest()) - 1n;
+
+      await expect(router.addLiquidity(
+        await token0.getAddress(), await token1.getAddress(), 1n, 1n, 0n, 0n, wallet.address, expired
+      )).to.be.revertedWith(revert("EXPIRED_DEADLINE"));
+      await expect(router.swapExactTokensForTokens(
+        1n, 0n, [await token0.getAddress(), await token1.getAddress()], wallet.address, expired
+      )).to.be.revertedWith(revert("EXPIRED_DEADLINE"));
+    });
+
+    it("addLiquidity", async function () {
+      const { wallet, router, token0, token1, pair } = await setup();
+      const routerAddress = await router.getAddress();
+      const pairAddress = await pair.getAddress();
+      const token0Amount = expandTo18Decimals(1);
+      const token1Amount = expandTo18Decimals(4);
+      const expectedLiquidity = expandTo18Decimals(2);
+      await token0.approve(routerAddress, MAX);
+      await token1.approve(routerAddress, MAX);
+
+      await expect(router.addLiquidity(
+        await token0.getAddress(), await token1.getAddress(), token0Amount, token1Amount, 0n, 0n, wallet.address, MAX
+      ))
+        .to.emit(token0, "Transfer")
+        .withArgs(wallet.address, pairAddress, token0Amount)
+        .and.to.emit(token1, "Transfer")
+        .withArgs(wallet.address, pairAddress, token1Amount)
+        .and.to.emit(pair, "Transfer")
+        .withArgs(ethers.ZeroAddress, ethers.ZeroAddress, MINIMUM_LIQUIDITY)
+        .and.to.emit(pair, "Transfer")
+        .withArgs(ethers.ZeroAddress, wallet.address, expectedLiquidity - MINIMUM_LIQUIDITY)
+        .and.to.emit(pair, "Sync")
+        .withArgs(token0Amount, token1Amount)
+        .and.to.emit(pair, "Mint")
+        .withArgs(routerAddress, token0Amount, token1Amount);
+
+      expect(await pair.balanceOf(wallet.address)).to.equal(expectedLiquidity - MINIMUM_LIQUIDITY);
+    });
+
+    it("addLiquidity respeita os mínimos ao seguir a proporção das reservas", async function () {
+      const env = await setup();
+      const { wallet, router, token0, token1 } = env;
+      const routerAddress = await router.getAddress();
+      const path = [await token0.getAddress(), await token1.getAddress()];
+      await addLiquidity(env, expandTo18Decimals(1), expandTo18Decimals(4));
+      await token0.approve(routerAddress, MAX);
+      await token1.approve(routerAddress, MAX);
+
+      // 1:4 → para 1 token0 o ótimo é 4 token1; exigir mais de token1 ou de token0 deve reverter
+      await expect(router.addLiquidity(
+        ...path, expandTo18Decimals(1), expandTo18Decimals(5), 0n, expandTo18Decimals(5), wallet.address, MAX
+      )).to.be.revertedWith(revert("INSUFFICIENT_B_AMOUNT"));
+      await expect(router.addLiquidity(
+        ...path, expandTo18Decimals(2), expandTo18Decimals(4), expandTo18Decimals(2), 0n, wallet.address, MAX
+      )).to.be.revertedWith(revert("INSUFFICIENT_A_AMOUNT"));
+    });
+
+    it("addLiquidityETH", async function () {
+      const { wallet, router, WETHPartner, WETHPair } = await setup();
+      const routerAddress = await router.getAddress();
+      const WETHPartnerAmount = expandTo18Decimals(1);
+      const ETHAmount = expandTo18Decimals(4);
+      const expectedLiquidity = expandTo18Decimals(2);
+      const partnerIsToken0 = (await WETHPair.token0()) === (await WETHPartner.getAddress());
+      const [amount0, amount1] = partnerIsToken0 ? [WETHPartnerAmount, ETHAmount] : [ETHAmount, WETHPartnerAmount];
+      await WETHPartner.approve(routerAddress, MAX);
+
+      await expect(router.addLiquidityETH(
+        await WETHPartner.getAddress(), WETHPartnerAmount, WETHPartnerAmount, ETHAmount, wallet.address, MAX,
+        { value: ETHAmount }
+      ))
+        .to.emit(WETHPair, "Transfer")
+        .withArgs(ethers.ZeroAddress, ethers.ZeroAddress, MINIMUM_LIQUIDITY)
+        .and.to.emit(WETHPair, "Transfer")
+        .withArgs(ethers.ZeroAddress, wallet.address, expectedLiquidity - MINIMUM_LIQUIDITY)
+        .and.to.emit(WETHPair, "Sync")
+        .withArgs(amount0, amount1)
+        .and.to.emit(WETHPair, "Mint")
+        .withArgs(routerAddress, amount0, amount1);
+
+      expect(await WETHPair.balanceOf(wallet.address)).to.equal(expectedLiquidity - MINIMUM_LIQUIDITY);
+    });
+
+    it("addLiquidityETH devolve o ETH excedente", async function () {
+      const env = await setup();
+      const { wallet, router, WETHPartner } = env;
+      const routerAddress = await router.getAddress();
+      await addLiquidityETH(env, expandTo18Decimals(1), expandTo18Decimals(4));
+      await WETHPartner.approve(routerAddress, MAX);
+
+      // Na proporção 1:4, 1 WETHPartner consome 4 ETH; o restante volta ao remetente
+      await expect(router.addLiquidityETH(
+        await WETHPartner.getAddress(), expandTo18Decimals(1), 0n, 0n, wallet.address, MAX,
+        { value: expandTo18Decimals(5) }
+      )).to.changeEtherBalance(wallet, -expandTo18Decimals(4));
+    });
+
+    it("removeLiquidity", async function () {
+      const env = await setup();
+      const { wallet, router, token0, token1, pair } = env;
+      const routerAddress = await router.getAddress();
+      const pairAddress = await pair.getAddress();
+      const token0Amount = expandTo18Decimals(1);
+      const token1Amount = expandTo18Decimals(4);
+      await addLiquidity(env, token0Amount, token1Amount);
+
+      const expectedLiquidity = expandTo18Decimals(2);
+      await pair.approve(routerAddress, MAX);
+      await expect(router.removeLiquidity(
+        await token0.getAddress(), await token1.getAddress(), expectedLiquidity - MINIMUM_LIQUIDITY, 0n, 0n,
+        wallet.address, MAX
+      ))
+        .to.emit(pair, "Transfer")
+        .withArgs(wallet.address, pairAddress, expectedLiquidity - MINIMUM_LIQUIDITY)
+        .and.to.emit(pair, "Transfer")
+        .withArgs(pairAddress, ethers.ZeroAddress, expectedLiquidity - MINIMUM_LIQUIDITY)
+        .and.to.emit(token0, "Transfer")
+        .withArgs(pairAddress, wallet.address, token0Amount - 500n)
+        .and.to.emit(token1, "Transfer")
+        .withArgs(pairAddress, wallet.address, token1Amount - 2000n)
+        .and.to.emit(pair, "Sync")
+        .withArgs(500n, 2000n)
+        .and.to.emit(pair, "Burn")
+        .withArgs(routerAddress, token0Amount - 500n, token1Amount - 2000n, wallet.address);
+
+      expect(await pair.balanceOf(wallet.address)).to.equal(0n);
+      expect(await token0.balanceOf(wallet.address)).to.equal((await token0.totalSupply()) - 500n);
+      expect(await token1.balanceOf(wallet.address)).to.equal((await token1.totalSupply()) - 2000n);
+    });
+
+    it("removeLiquidity respeita os mínimos", async function () {
+      const env = await setup();
+      const { wallet, router, token0, token1, pair } = env;
+      await addLiquidity(env, expandTo18Decimals(1), expandTo18Decimals(4));
+      await pair.approve(await router.getAddress(), MAX);
+
+      await expect(router.removeLiquidity(
+        await token0.getAddress(), await token1.getAddress(), expandTo18Decimals(1), expandTo18Decimals(1), 0n,
+        wallet.address, MAX
+      )).to.be.revertedWith(revert("INSUFFICIENT_A_AMOUNT"));
+      await expect(router.removeLiquidity(
+        await token0.getAddress(), await token1.getAddress(), expandTo18Decimals(1), 0n, expandTo18Decimals(4),
+        wallet.address, MAX
+      )).to.be.revertedWith(revert("INSUFFICIENT_B_AMOUNT"));
+    });
+
+    it("removeLiquidityETH", async function () {
+      const env = await setup();
+      const { wallet, router, WETH, WETHPartner, WETHPair } = env;
+      const routerAddress = await router.getAddress();
+      const pairAddress = await WETHPair.getAddress();
+      const WETHPartnerAmount = expandTo18Decimals(1);
+      const ETHAmount = expandTo18Decimals(4);
+      await addLiquidityETH(env, WETHPartnerAmount, ETHAmount);
+
+      const expectedLiquidity = expandTo18Decimals(2);
+      const partnerIsToken0 = (await WETHPair.token0()) === (await WETHPartner.getAddress());
+      await WETHPair.approve(routerAddress, MAX);
+      await expect(router.removeLiquidityETH(
+        await WETHPartner.getAddress(), expectedLiquidity - MINIMUM_LIQUIDITY, 0n, 0n, wallet.address, MAX
+      ))
+        .to.emit(WETHPair, "Transfer")
+        .withArgs(wallet.address, pairAddress, expectedLiquidity - MINIMUM_LIQUIDITY)
+        .and.to.emit(WETHPair, "Transfer")
+        .withArgs(pairAddress, ethers.ZeroAddress, expectedLiquidity - MINIMUM_LIQUIDITY)
+        .and.to.emit(WETH, "Transfer")
+        .withArgs(pairAddress, routerAddress, ETHAmount - 2000n)
+        .and.to.emit(WETHPartner, "Transfer")
+        .withArgs(pairAddress, routerAddress, WETHPartnerAmount - 500n)
+        .and.to.emit(WETHPartner, "Transfer")
+        .withArgs(routerAddress, wallet.address, WETHPartnerAmount - 500n)
+        .and.to.emit(WETHPair, "Sync")
+        .withArgs(partnerIsToken0 ? 500n : 2000n, partnerIsToken0 ? 2000n : 500n)
+        .and.to.emit(WETHPair, "Burn")
+        .withArgs(
+          routerAddress,
+          partnerIsToken0 ? WETHPartnerAmount - 500n : ETHAmount - 2000n,
+          partnerIsToken0 ? ETHAmount - 2000n : WETHPartnerAmount - 500n,
+          routerAddress
+        );
+
+      expect(await WETHPair.balanceOf(wallet.address)).to.equal(0n);
+      expect(await WETHPartner.balanceOf(wallet.address)).to.equal((await WETHPartner.totalSupply()) - 500n);
+      expect(await WETH.balanceOf(wallet.address)).to.equal((await WETH.totalSupply()) - 2000n);
+    });
+
+    it("removeLiquidityWithPermit", async function () {
+      const env = await setup();
+      const { wallet, router, token0, token1, pair } = env;
+      const routerAddress = await router.getAddress();
+      await addLiquidity(env, expandTo18Decimals(1), expandTo18Decimals(4));
+
+      const liquidity = expandTo18Decimals(2) - MINIMUM_LIQUIDITY;
+      const { v, r, s } = await signPermit(pair, wallet, routerAddress, liquidity, MAX);
+      await router.removeLiquidityWithPermit(
+        await token0.getAddress(), await token1.getAddress(), liquidity, 0n, 0n, wallet.address, MAX, false, v, r, s
+      );
+
+      expect(await pair.balanceOf(wallet.address)).to.equal(0n);
+      expect(await pair.nonces(wallet.address)).to.equal(1n);
+    });
+
+    it("removeLiquidityETHWithPermit", async function () {
+      const env = await setup();
+      const { wallet, router, WETHPartner, WETHPair } = env;
+      const routerAddress = await router.getAddress();
+      await addLiquidityETH(env, expandTo18Decimals(1), expandTo18Decimals(4));
+
+      const liquidity = expandTo18Decimals(2) - MINIMUM_LIQUIDITY;
+      const { v, r, s } = await signPermit(WETHPair, wallet, routerAddress, liquidity, MAX);
+      await router.removeLiquidityETHWithPermit(
+        await WETHPartner.getAddress(), liquidity, 0n, 0n, wallet.address, MAX, false, v, r, s
+      );
+
+      expect(await WETHPair.balanceOf(wallet.address)).to.equal(0n);
+      expect(await WETHPair.nonces(wallet.address)).to.equal(1n);
+    });
+
+    describe("swapExactTokensForTokens", function () {
+      const token0Amount = expandTo18Decimals(5);
+      const token1Amount = expandTo18Decimals(10);
+      const swapAmount = expandTo18Decimals(1);
+      const expectedOutputAmount = 1662497915624478906n;
+
+      async function swapSetup() {
+        const env = await setup();
+        await addLiquidity(env, token0Amount, token1Amount);
+        await env.token0.approve(await env.router.getAddress(), MAX);
+        return env;
+      }
+
+      it("happy path", async function () {
+        const { wallet, router, token0, token1, pair } = await swapSetup();
+        const routerAddress = await router.getAddress();
+        const pairAddress = await pair.getAddress();
+
+        await expect(router.swapExactTokensForTokens(
+          swapAmount, 0n, [await token0.getAddress(), await token1.getAddress()], wallet.address, MAX
+        ))
+          .to.emit(token0, "Transfer")
+          .withArgs(wallet.address, pairAddress, swapAmount)
+          .and.to.emit(token1, "Transfer")
+          .withArgs(pairAddress, wallet.address, expectedOutputAmount)
+          .and.to.emit(pair, "Sync")
+          .withArgs(token0Amount + swapAmount, token1Amount - expectedOutputAmount)
+          .and.to.emit(pair, "Swap")
+          .withArgs(routerAddress, swapAmount, 0n, 0n, expectedOutputAmount, wallet.address);
+      });
+
+      it("amounts", async function () {
+        const { wallet, router, token0, token1, routerEventEmitter } = await swapSetup();
+        await token0.approve(await routerEventEmitter.getAddress(), MAX);
+
+        await expect(routerEventEmitter.swapExactTokensForTokens(
+          await router.getAddress(), swapAmount, 0n, [await token0.getAddress(), await token1.getAddress()],
+          wallet.address, MAX
+        ))
+          .to.emit(routerEventEmitter, "Amounts")
+          .withArgs([swapAmount, expectedOutputAmount]);
+      });
+
+      it("rejeita saída abaixo do mínimo", async function () {
+        const { wallet, router, token0, token1 } = await swapSetup();
+
+        await expect(router.swapExactTokensForTokens(
+          swapAmount, expectedOutputAmount + 1n, [await token0.getAddress(), await token1.getAddress()],
+          wallet.address, MAX
+        )).to.be.revertedWith(revert("INSUFFICIENT_OUTPUT_AMOUNT"));
+      });
+    });
+
+    describe("swapTokensForExactTokens", function () {
+      const token0Amount = expandTo18Decimals(5);
+      const token1Amount = expandTo18Decimals(10);
+      const expectedSwapAmount = 557227237267357629n;
+      const outputAmount = expandTo18Decimals(1);
+
+      async function swapSetup() {
+        const env = await setup();
+        await addLiquidity(env, token0Amount, token1Amount);
+        return env;
+      }
+
+      it("happy path", async function () {
+        const { wallet, router, token0, token1, pair } = await swapSetup();
+        const routerAddress = await router.getAddress();
+        const pairAddress = await pair.getAddress();
+        await token0.approve(routerAddress, MAX);
+
+        await expect(router.swapTokensForExactTokens(
+          outputAmount, MAX, [await token0.getAddress(), await token1.getAddress()], wallet.address, MAX
+        ))
+          .to.emit(token0, "Transfer")
+          .withArgs(wallet.address, pairAddress, expectedSwapAmount)
+          .and.to.emit(token1, "Transfer")
+          .withArgs(pairAddress, wallet.address, outputAmount)
+          .and.to.emit(pair, "Sync")
+          .withArgs(token0Amount + expectedSwapAmount, token1Amount - outputAmount)
+          .and.to.emit(pair, "Swap")
+          .withArgs(routerAddress, expectedSwapAmount, 0n, 0n, outputAmount, wallet.address);
+      });
+
+      it("amounts", async function () {
+        const { wallet, router, token0, token1, routerEventEmitter } = await swapSetup();
+        await token0.approve(await routerEventEmitter.getAddress(), MAX);
+
+        await expect(routerEventEmitter.swapTokensForExactTokens(
+          await router.getAddress(), outputAmount, MAX, [await token0.getAddress(), await token1.getAddress()],
+          wallet.address, MAX
+        ))
+          .to.emit(routerEventEmitter, "Amounts")
+          .withArgs([expectedSwapAmount, outputAmount]);
+      });
+
+      it("rejeita entrada acima do máximo", async function () {
+        const { wallet, router, token0, token1 } = await swapSetup();
+        await token0.approve(await router.getAddress(), MAX);
+
+        await expect(router.swapTokensForExactTokens(
+          outputAmount, expectedSwapAmount - 1n, [await token0.getAddress(), await token1.getAddress()],
+          wallet.address, MAX
+        )).to.be.revertedWith(revert("EXCESSIVE_INPUT_AMOUNT"));
+      });
+    });
+
+    describe("swapExactETHForTokens", function () {
+      const WETHPartnerAmount = expandTo18Decimals(10);
+      const ETHAmount = expandTo18Decimals(5);
+      const swapAmount = expandTo18Decimals(1);
+      const expectedOutputAmount = 1662497915624478906n;
+
+      async function swapSetup() {
+        const env = await setup();
+        await addLiquidityETH(env, WETHPartnerAmount, ETHAmount);
+        return env;
+      }
+
+      it("happy path", async function () {
+        const { wallet, router, WETH, WETHPartner, WETHPair } = await swapSetup();
+        const routerAddress = await router.getAddress();
+        const pairAddress = await WETHPair.getAddress();
+        const partnerIsToken0 = (await WETHPair.token0()) === (await WETHPartner.getAddress());
+
+        await expect(router.swapExactETHForTokens(
+          0n, [await WETH.getAddress(), await WETHPartner.getAddress()], wallet.address, MAX, { value: swapAmount }
+        ))
+          .to.emit(WETH, "Transfer")
+          .withArgs(routerAddress, pairAddress, swapAmount)
+          .and.to.emit(WETHPartner, "Transfer")
+          .withArgs(pairAddress, wallet.address, expectedOutputAmount)
+          .and.to.emit(WETHPair, "Sync")
+          .withArgs(
+            partnerIsToken0 ? WETHPartnerAmount - expectedOutputAmount : ETHAmount + swapAmount,
+            partnerIsToken0 ? ETHAmount + swapAmount : WETHPartnerAmount - expectedOutputAmount
+          )
+          .and.to.emit(WETHPair, "Swap")
+          .withArgs(
+            routerAddress,
+            partnerIsToken0 ? 0n : swapAmount,
+            partnerIsToken0 ? swapAmount : 0n,
+            partnerIsToken0 ? expectedOutputAmount : 0n,
+            partnerIsToken0 ? 0n : expectedOutputAmount,
+            wallet.address
+          );
+      });
+
+      it("amounts", async function () {
+        const { wallet, router, WETH, WETHPartner, routerEventEmitter } = await swapSetup();
+
+        await expect(routerEventEmitter.swapExactETHForTokens(
+          await router.getAddress(), 0n, [await WETH.getAddress(), await WETHPartner.getAddress()], wallet.address, MAX,
+          { value: swapAmount }
+        ))
+          .to.emit(routerEventEmitter, "Amounts")
+          .withArgs([swapAmount, expectedOutputAmount]);
+      });
+
+      it("rejeita rota que não começa em WETH", async function () {
+        const { wallet, router, WETH, WETHPartner } = await swapSetup();
+
+        await expect(router.swapExactETHForTokens(
+          0n, [await WETHPartner.getAddress(), await WETH.getAddress()], wallet.address, MAX, { value: swapAmount }
+        )).to.be.revertedWith(revert("INVALID_PATH"));
+      });
+    });
+
+    describe("swapTokensForExactETH", function () {
+      const WETHPartnerAmount = expandTo18Decimals(5);
+      const ETHAmount = expandTo18Decimals(10);
+      const expectedSwapAmount = 557227237267357629n;
+      const outputAmount = expandTo18Decimals(1);
+
+      async function swapSetup() {
+        const env = await setup();
+        await addLiquidityETH(env, WETHPartnerAmount, ETHAmount);
+        return env;
+      }
+
+      it("happy path", async function () {
+        const { wallet, router, WETH, WETHPartner, WETHPair } = await swapSetup();
+        const routerAddress = await router.getAddress();
+        const pairAddress = await WETHPair.getAddress();
+        const partnerIsToken0 = (await WETHPair.token0()) === (await WETHPartner.getAddress());
+        await WETHPartner.approve(routerAddress, MAX);
+
+        await expect(router.swapTokensForExactETH(
+          outputAmount, MAX, [await WETHPartner.getAddress(), await WETH.getAddress()], wallet.address, MAX
+        ))
+          .to.emit(WETHPartner, "Transfer")
+          .withArgs(wallet.address, pairAddress, expectedSwapAmount)
+          .and.to.emit(WETH, "Transfer")
+          .withArgs(pairAddress, routerAddress, outputAmount)
+          .and.to.emit(WETHPair, "Sync")
+          .withArgs(
+            partnerIsToken0 ? WETHPartnerAmount + expectedSwapAmount : ETHAmount - outputAmount,
+            partnerIsToken0 ? ETHAmount - outputAmount : WETHPartnerAmount + expectedSwapAmount
+          )
+          .and.to.emit(WETHPair, "Swap")
+          .withArgs(
+            routerAddress,
+            partnerIsToken0 ? expectedSwapAmount : 0n,
+            partnerIsToken0 ? 0n : expectedSwapAmount,
+            partnerIsToken0 ? 0n : outputAmount,
+            partnerIsToken0 ? outputAmount : 0n,
+            routerAddress
+          );
+      });
+
+      it("amounts", async function () {
+        const { wallet, router, WETH, WETHPartner, routerEventEmitter } = await swapSetup();
+        await WETHPartner.approve(await routerEventEmitter.getAddress(), MAX);
+
+        await expect(routerEventEmitter.swapTokensForExactETH(
+          await router.getAddress(), outputAmount, MAX, [await WETHPartner.getAddress(), await WETH.getAddress()],
+          wallet.address, MAX
+        ))
+          .to.emit(routerEventEmitter, "Amounts")
+          .withArgs([expectedSwapAmount, outputAmount]);
+      });
+    });
+
+    describe("swapExactTokensForETH", function () {
+      const WETHPartnerAmount = expandTo18Decimals(5);
+      const ETHAmount = expandTo18Decimals(10);
+      const swapAmount = expandTo18Decimals(1);
+      const expectedOutputAmount = 1662497915624478906n;
+
+      async function swapSetup() {
+        const env = await setup();
+        await addLiquidityETH(env, WETHPartnerAmount, ETHAmount);
+        return env;
+      }
+
+      it("happy path", async function () {
+        const { wallet, router, WETH, WETHPartner, WETHPair } = await swapSetup();
+        const routerAddress = await router.getAddress();
+        const pairAddress = await WETHPair.getAddress();
+        const partnerIsToken0 = (await WETHPair.token0()) === (await WETHPartner.getAddress());
+        await WETHPartner.approve(routerAddress, MAX);
+
+        await expect(router.swapExactTokensForETH(
+          swapAmount, 0n, [await WETHPartner.getAddress(), await WETH.getAddress()], wallet.address, MAX
+        ))
+          .to.emit(WETHPartner, "Transfer")
+          .withArgs(wallet.address, pairAddress, swapAmount)
+          .and.to.emit(WETH, "Transfer")
+          .withArgs(pairAddress, routerAddress, expectedOutputAmount)
+          .and.to.emit(WETHPair, "Sync")
+          .withArgs(
+            partnerIsToken0 ? WETHPartnerAmount + swapAmount : ETHAmount - expectedOutputAmount,
+            partnerIsToken0 ? ETHAmount - expectedOutputAmount : WETHPartnerAmount + swapAmount
+          )
+          .and.to.emit(WETHPair, "Swap")
+          .withArgs(
+            routerAddress,
+            partnerIsToken0 ? swapAmount : 0n,
+            partnerIsToken0 ? 0n : swapAmount,
+            partnerIsToken0 ? 0n : expectedOutputAmount,
+            partnerIsToken0 ? expectedOutputAmount : 0n,
+            routerAddress
+          );
+      });
+
+      it("amounts", async function () {
+        const { wallet, router, WETH, WETHPartner, routerEventEmitter } = await swapSetup();
+        await WETHPartner.approve(await routerEventEmitter.getAddress(), MAX);
+
+        await expect(routerEventEmitter.swapExactTokensForETH(
+          await router.getAddress(), swapAmount, 0n, [await WETHPartner.getAddress(), await WETH.getAddress()],
+          wallet.address, MAX
+        ))
+          .to.emit(routerEventEmitter, "Amounts")
+          .withArgs([swapAmount, expectedOutputAmount]);
+      });
+    });
+
+    describe("swapETHForExactTokens", function () {
+      const WETHPartnerAmount = expandTo18Decimals(10);
+      const ETHAmount = expandTo18Decimals(5);
+      const expectedSwapAmount = 557227237267357629n;
+      const outputAmount = expandTo18Decimals(1);
+
+      async function swapSetup() {
+        const env = await setup();
+        await addLiquidityETH(env, WETHPartnerAmount, ETHAmount);
+        return env;
+      }
+
+      it("happy path", async function () {
+        const { wallet, router, WETH, WETHPartner, WETHPair } = await swapSetup();
+        const routerAddress = await router.getAddress();
+        const pairAddress = await WETHPair.getAddress();
+        const partnerIsToken0 = (await WETHPair.token0()) === (await WETHPartner.getAddress());
+
+        await expect(router.swapETHForExactTokens(
+          outputAmount, [await WETH.getAddress(), await WETHPartner.getAddress()], wallet.address, MAX,
+          { value: expectedSwapAmount }
+        ))
+          .to.emit(WETH, "Transfer")
+          .withArgs(routerAddress, pairAddress, expectedSwapAmount)
+          .and.to.emit(WETHPartner, "Transfer")
+          .withArgs(pairAddress, wallet.address, outputAmount)
+          .and.to.emit(WETHPair, "Sync")
+          .withArgs(
+            partnerIsToken0 ? WETHPartnerAmount - outputAmount : ETHAmount + expectedSwapAmount,
+            partnerIsToken0 ? ETHAmount + expectedSwapAmount : WETHPartnerAmount - outputAmount
+          )
+          .and.to.emit(WETHPair, "Swap")
+          .withArgs(
+            routerAddress,
+            partnerIsToken0 ? 0n : expectedSwapAmount,
+            partnerIsToken0 ? expectedSwapAmount : 0n,
+            partnerIsToken0 ? outputAmount : 0n,
+            partnerIsToken0 ? 0n : outputAmount,
+            wallet.address
+          );
+      });
+
+      it("amounts", async function () {
+        const { wallet, router, WETH, WETHPartner, routerEventEmitter } = await swapSetup();
+
+        await expect(routerEventEmitter.swapETHForExactTokens(
+          await router.getAddress(), outputAmount, [await WETH.getAddress(), await WETHPartner.getAddress()],
+          wallet.address, MAX, { value: expectedSwapAmount }
+        ))
+          .to.emit(routerEventEmitter, "Amounts")
+          .withArgs([expectedSwapAmount, outputAmount]);
+      });
+
+      it("devolve o ETH enviado além do necessário", async function () {
+        const { wallet, router, WETH, WETHPartner } = await swapSetup();
+
+        await expect(router.swapETHForExactTokens(
+          outputAmount, [await WETH.getAddress(), await WETHPartner.getAddress()], wallet.address, MAX,
+          { value: expectedSwapAmount + expandTo18Decimals(1) }
+        )).to.changeEtherBalance(wallet, -expectedSwapAmount);
+      });
+    });
+  });
+}
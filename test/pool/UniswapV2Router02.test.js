@@ -0,0 +1,235 @@
+/**
+ * @file UniswapV2Router02.test.js
+ * @description Testes das funções exclusivas do UniswapV2Router02 para tokens com taxa na transferência,
+ *              portados de `v2-periphery/test/UniswapV2Router02.spec.ts`. Usa o `DeflatingERC20`, que queima 1%
+ *              de cada transferência; por isso as quantidades depositadas são multiplicadas por 100/99.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { TOKEN_SUPPLY, expandTo18Decimals, signPermit, routerFixture } = require("./fixtures");
+
+const MAX = ethers.MaxUint256;
+
+/**
+ * @notice Ambiente do Router02 com o par DTT/WETH e um segundo token deflacionário (DTT2)
+ */
+async function feeOnTransferFixture() {
+  const base = await routerFixture();
+  const { factory, DTT, WETH } = base;
+  const DTT2 = await ethers.deployContract("DeflatingERC20", [TOKEN_SUPPLY]);
+
+  await factory.createPair(await DTT.getAddress(), await WETH.getAddress());
+  const pair = await ethers.getContractAt(
+    "UniswapV2Pair",
+    await factory.getPair(await DTT.getAddress(), await WETH.getAddress())
+  );
+
+  return { ...base, router: base.router02, DTT2, pair };
+}
+
+/**
+ * @notice Adiciona liquidez DTT/ETH pelo roteador
+ */
+async function addLiquidity({ wallet, router, DTT }, DTTAmount, WETHAmount) {
+  await DTT.approve(await router.getAddress(), MAX);
+  await router.addLiquidityETH(await DTT.getAddress(), DTTAmount, DTTAmount, WETHAmount, wallet.address, MAX, {
+    value: WETHAmount
+  });
+}
+
+describe("UniswapV2Router02 (tokens com taxa na transferência)", function () {
+  let active;
+  afterEach(async function () {
+    if (active) {
+      expect(await ethers.provider.getBalance(await active.router.getAddress())).to.equal(0n);
+      active = null;
+    }
+  });
+
+  async function setup() {
+    active = await loadFixture(feeOnTransferFixture);
+    return active;
+  }
+
+  /**
+   * @notice Quantidades que o par deve devolver para a liquidez do deployer, ignorando a taxa de saída
+   */
+  async function expectedRemoval({ wallet, DTT, WETH, pair }) {
+    const pairAddress = await pair.getAddress();
+    const liquidity = await pair.balanceOf(wallet.address);
+    const totalSupply = await pair.totalSupply();
+    return {
+      liquidity,
+      naiveDTTExpected: ((await DTT.balanceOf(pairAddress)) * liquidity) / totalSupply,
+      WETHExpected: ((await WETH.balanceOf(pairAddress)) * liquidity) / totalSupply
+    };
+  }
+
+  it("removeLiquidityETHSupportingFeeOnTransferTokens", async function () {
+    const env = await setup();
+    const { wallet, router, DTT, pair } = env;
+    await addLiquidity(env, (expandTo18Decimals(1) * 100n) / 99n, expandTo18Decimals(4));
+
+    const { liquidity, naiveDTTExpected, WETHExpected } = await expectedRemoval(env);
+    await pair.approve(await router.getAddress(), MAX);
+
+    // O DTT passa pelo roteador antes de chegar ao destinatário: 1% é queimado em cada salto
+    await expect(router.removeLiquidityETHSupportingFeeOnTransferTokens(
+      await DTT.getAddress(), liquidity, naiveDTTExpected, WETHExpected, wallet.address, MAX
+    )).to.changeEtherBalance(wallet, WETHExpected);
+    expect(await pair.balanceOf(wallet.address)).to.equal(0n);
+  });
+
+  it("removeLiquidityETHWithPermitSupportingFeeOnTransferTokens", async function () {
+    const env = await setup();
+    const { wallet, router, DTT, pair } = env;
+    const routerAddress = await router.getAddress();
+    await addLiquidity(env, (expandTo18Decimals(1) * 100n) / 99n, expandTo18Decimals(4));
+
+    const { liquidity, naiveDTTExpected, WETHExpected } = await expectedRemoval(env);
+    const { v, r, s } = await signPermit(pair, wallet, routerAddress, liquidity, MAX);
+
+    await expect(router.removeLiquidityETHWithPermitSupportingFeeOnTransferTokens(
+      await DTT.getAddress(), liquidity, naiveDTTExpected, WETHExpected, wallet.address, MAX, false, v, r, s
+    )).to.changeEtherBalance(wallet, WETHExpected);
+    expect(await pair.balanceOf(wallet.address)).to.equal(0n);
+  });
+
+  describe("swapExactTokensForTokensSupportingFeeOnTransferTokens", function () {
+    const DTTAmount = (expandTo18Decimals(5) * 100n) / 99n;
+    const ETHAmount = expandTo18Decimals(10);
+    const amountIn = expandTo18Decimals(1);
+
+    async function swapSetup() {
+      const env = await setup();
+      await addLiquidity(env, DTTAmount, ETHAmount);
+      return env;
+    }
+
+    it("DTT -> WETH", async function () {
+      const { wallet, router, DTT, WETH } = await swapSetup();
+      await DTT.approve(await router.getAddress(), MAX);
+
+      // O par recebe apenas 99% da entrada
+      const output = await expectedOutput(router, DTT, WETH, (amountIn * 99n) / 100n);
+      await expect(router.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        amountIn, 0n, [await DTT.getAddress(), await WETH.getAddress()], wallet.address, MAX
+      )).to.changeTokenBalance(WETH, wallet, output);
+    });
+
+    // O WETH não tem taxa, mas o DTT recebido pelo destinatário sofre a queima de 1%
+    it("WETH -> DTT", async function () {
+      const { wallet, router, DTT, WETH } = await swapSetup();
+      await WETH.deposit({ value: amountIn });
+      await WETH.approve(await router.getAddress(), MAX);
+
+      const output = await expectedOutput(router, WETH, DTT, amountIn);
+      await expect(router.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        amountIn, 0n, [await WETH.getAddress(), await DTT.getAddress()], wallet.address, MAX
+      )).to.changeTokenBalance(DTT, wallet, output - output / 100n);
+    });
+
+    it("rejeita saída abaixo do mínimo medida no saldo do destinatário", async function () {
+      const { wallet, router, DTT, WETH } = await swapSetup();
+      await DTT.approve(await router.getAddress(), MAX);
+
+      // A cotação sem taxa superestima a saída: o mínimo baseado nela não é atingido
+      const [, naiveOutput] = await router.getAmountsOut(amountIn, [await DTT.getAddress(), await WETH.getAddress()]);
+      await expect(router.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        amountIn, naiveOutput, [await DTT.getAddress(), await WETH.getAddress()], wallet.address, MAX
+      )).to.be.revertedWith("UniswapV2Router02: INSUFFICIENT_OUTPUT_AMOUNT");
+    });
+  });
+
+  // https://github.com/Uniswap/uniswap-v2-periphery/issues/17
+  it("swapExactTokensForTokensSupportingFeeOnTransferTokens: DTT -> DTT2", async function () {
+    const env = await setup();
+    const { wallet, router, factory, DTT, DTT2 } = env;
+    const routerAddress = await router.getAddress();
+    const DTTAmount = (expandTo18Decimals(5) * 100n) / 99n;
+    const DTT2Amount = expandTo18Decimals(5);
+    const amountIn = expandTo18Decimals(1);
+
+    await DTT.approve(routerAddress, MAX);
+    await DTT2.approve(routerAddress, MAX);
+    await router.addLiquidity(
+      await DTT.getAddress(), await DTT2.getAddress(), DTTAmount, DTT2Amount, DTTAmount, DTT2Amount, wallet.address, MAX
+    );
+    expect(await factory.getPair(await DTT.getAddress(), await DTT2.getAddress())).to.not.equal(ethers.ZeroAddress);
+
+    const balanceBefore = await DTT2.balanceOf(wallet.address);
+    await router.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+      amountIn, 0n, [await DTT.getAddress(), await DTT2.getAddress()], wallet.address, MAX
+    );
+    expect(await DTT2.balanceOf(wallet.address)).to.be.greaterThan(balanceBefore);
+  });
+
+  describe("swapExactETHForTokensSupportingFeeOnTransferTokens", function () {
+    const DTTAmount = (expandTo18Decimals(10) * 100n) / 99n;
+    const ETHAmount = expandTo18Decimals(5);
+    const swapAmount = expandTo18Decimals(1);
+
+    it("happy path", async function () {
+      const env = await setup();
+      const { wallet, router, DTT, WETH } = env;
+      await addLiquidity(env, DTTAmount, ETHAmount);
+
+      const output = await expectedOutput(router, WETH, DTT, swapAmount);
+      await expect(router.swapExactETHForTokensSupportingFeeOnTransferTokens(
+        0n, [await WETH.getAddress(), await DTT.getAddress()], wallet.address, MAX, { value: swapAmount }
+      )).to.changeTokenBalance(DTT, wallet, output - output / 100n);
+    });
+
+    it("rejeita rota que não começa em WETH", async function () {
+      const env = await setup();
+      const { wallet, router, DTT, WETH } = env;
+      await addLiquidity(env, DTTAmount, ETHAmount);
+
+      await expect(router.swapExactETHForTokensSupportingFeeOnTransferTokens(
+        0n, [await DTT.getAddress(), await WETH.getAddress()], wallet.address, MAX, { value: swapAmount }
+      )).to.be.revertedWith("UniswapV2Router02: INVALID_PATH");
+    });
+  });
+
+  describe("swapExactTokensForETHSupportingFeeOnTransferTokens", function () {
+    const DTTAmount = (expandTo18Decimals(5) * 100n) / 99n;
+    const ETHAmount = expandTo18Decimals(10);
+    const swapAmount = expandTo18Decimals(1);
+
+    it("happy path", async function () {
+      const env = await setup();
+      const { wallet, router, DTT, WETH } = env;
+      await addLiquidity(env, DTTAmount, ETHAmount);
+      await DTT.approve(await router.getAddress(), MAX);
+
+      const output = await expectedOutput(router, DTT, WETH, (swapAmount * 99n) / 100n);
+      await expect(router.swapExactTokensForETHSupportingFeeOnTransferTokens(
+        swapAmount, 0n, [await DTT.getAddress(), await WETH.getAddress()], wallet.address, MAX
+      )).to.changeEtherBalance(wallet, output);
+    });
+
+    it("rejeita rota que não termina em WETH", async function () {
+      const env = await setup();
+      const { wallet, router, DTT, WETH } = env;
+      await addLiquidity(env, DTTAmount, ETHAmount);
+      await DTT.approve(await router.getAddress(), MAX);
+
+      await expect(router.swapExactTokensForETHSupportingFeeOnTransferTokens(
+        swapAmount, 0n, [await WETH.getAddress(), await DTT.getAddress()], wallet.address, MAX
+      )).to.be.revertedWith("UniswapV2Router02: INVALID_PATH");
+    });
+  });
+});
+
+/**
+ * @notice Saída de um salto para a quantidade que efetivamente chega ao par (reservas atuais)
+ */
+async function expectedOutput(router, tokenIn, tokenOut, amountReceivedByPair) {
+  const [, amountOut] = await router.getAmountsOut(amountReceivedByPair, [
+    await tokenIn.getAddress(),
+    await tokenOut.getAddress()
+  ]);
+  return amountOut;
+}
@@ -0,0 +1,370 @@
+/**
+ * @file differential.js
+ * @description Harness diferencial entre o port 0.8.28 e a Uniswap V2 original. Implanta a factory/par dos
+ *              artefatos publicados em `@uniswap/v2-core` e os contratos locais na rede Hardhat, gera uma
+ *              sequência aleatória de operações (mint, burn, swap, doação, sync e skim) a partir do estado da
+ *              implementação de referência e a reproduz nas duas, registrando reservas, saldos, acumuladores de
+ *              preço, eventos e motivos de revert após cada passo.
+ * @dev Os dois ambientes usam o mesmo token ERC20 original, para que qualquer diferença venha apenas da
+ *      factory/par. Cada ambiente roda a partir do mesmo snapshot e com os mesmos timestamps de bloco, e os
+ *      endereços (que diferem entre ambientes) são registrados como rótulos. O tokenA é sempre o token0 do
+ *      par: a ordem das transferências em `burn`/`swap` depende da orientação, então ela é fixada.
+ */
+
+const { ethers, artifacts } = require("hardhat");
+const { takeSnapshot, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const library = require("../../scripts/utils/uniswapV2Library");
+const { TOKEN_SUPPLY, expandTo18Decimals } = require("./fixtures");
+
+const UPSTREAM = {
+  UniswapV2Factory: require("@uniswap/v2-core/build/UniswapV2Factory.json"),
+  UniswapV2Pair: require("@uniswap/v2-core/build/UniswapV2Pair.json"),
+  ERC20: require("@uniswap/v2-core/build/ERC20.json")
+};
+
+/**
+ * @notice Mensagens renomeadas de propósito no port: motivo local → motivo original equivalente
+ * @dev Qualquer outro motivo diferente é tratado como divergência.
+ */
+const EQUIVALENT_REASONS = {
+  "SafeMath: addition overflow": "ds-math-add-overflow",
+  "SafeMath: subtraction underflow": "ds-math-sub-underflow",
+  "SafeMath: multiplication overflow": "ds-math-mul-overflow",
+  "UniswapV2ERC20: INSUFFICIENT_BALANCE": "ds-math-sub-underflow",
+  // O Solidity 0.5.16 encerra divisão por zero e `assert` com INVALID; o 0.8 usa códigos de panic
+  "panic 0x01": "invalid opcode",
+  "panic 0x12": "invalid opcode"
+};
+
+/**
+ * @notice Implanta um contrato a partir de um artefato JSON publicado (abi + bytecode)
+ */
+async function deployArtifact(artifact, signer, args = []) {
+  const contract = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer).deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * @notice Implanta factory, dois tokens e o par de uma implementação
+ * @param {string} kind - "upstream" (artefatos @uniswap/v2-core) ou "local" (contratos deste repositório)
+ * @returns {Promise<Object>} - Ambiente com contratos e rótulos de endereços (tokenA = token0)
+ */
+async function deployEnvironment(kind) {
+  const [wallet, other] = await ethers.getSigners();
+  const factory = kind === "upstream"
+    ? await deployArtifact(UPSTREAM.UniswapV2Factory, wallet, [wallet.address])
+    : await ethers.deployContract("UniswapV2Factory", [wallet.address]);
+  const tokens = [
+    await deployArtifact(UPSTREAM.ERC20, wallet, [TOKEN_SUPPLY]),
+    await deployArtifact(UPSTREAM.ERC20, wallet, [TOKEN_SUPPLY])
+  ];
+  // Os dois tokens são idênticos: basta ordená-los para que tokenA seja o token0 nos dois ambientes
+  const [tokenA, tokenB] = BigInt(await tokens[0].getAddress()) < BigInt(await tokens[1].getAddress())
+    ? tokens
+    : [tokens[1], tokens[0]];
+  const addressA = await tokenA.getAddress();
+  const addressB = await tokenB.getAddress();
+
+  await factory.createPair(addressA, addressB);
+  const pairAbi = kind === "upstream" ? UPSTREAM.UniswapV2Pair.abi : (await artifacts.readArtifact("UniswapV2Pair")).abi;
+  const pair = new ethers.Contract(await factory.getPair(addressA, addressB), pairAbi, wallet);
+  const pairAddress = await pair.getAddress();
+
+  const labels = new Map([
+    [ethers.ZeroAddress, "zero"],
+    [wallet.address, "wallet"],
+    [other.address, "other"],
+    [await factory.getAddress(), "factory"],
+    [pairAddress, "pair"],
+    [addressA, "tokenA"],
+    [addressB, "tokenB"]
+  ]);
+
+  return {
+    kind,
+    wallet,
+    other,
+    factory,
+    tokenA,
+    tokenB,
+    pair,
+    pairAddress,
+    addressA,
+    addressB,
+    labels
+  };
+}
+
+/**
+ * @notice Extrai o motivo de um revert, normalizado para a nomenclatura original
+ * @throws {Error} - Relança erros que não são reverts (falhas de infraestrutura)
+ */
+function revertReason(error) {
+  const message = error.message || "";
+  const reason = message.match(/reverted with reason string '([^']*)'/);
+  if (reason) {
+    return EQUIVALENT_REASONS[reason[1]] || reason[1];
+  }
+  const panic = message.match(/reverted with panic code (0x[0-9a-f]+)/i);
+  if (panic) {
+    const code = `panic ${panic[1]}`;
+    return EQUIVALENT_REASONS[code] || code;
+  }
+  if (/invalid opcode/.test(message)) {
+    return "invalid opcode";
+  }
+  if (/reverted without a reason|Transaction reverted/.test(message)) {
+    return "revert sem motivo";
+  }
+  throw error;
+}
+
+/**
+ * @notice Converte um valor de evento em algo comparável entre ambientes (endereços viram rótulos)
+ */
+function normalizeValue(env, value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (typeof value === "string" && ethers.isAddress(value)) {
+    return env.labels.get(ethers.getAddress(value)) || value;
+  }
+  return value;
+}
+
+/**
+ * @notice Decodifica e normaliza os eventos de um recibo (par e tokens)
+ */
+function collectEvents(env, receipt) {
+  const emitters = new Map([
+    [env.pairAddress, ["pair", env.pair.interface]],
+    [env.addressA, ["tokenA", env.tokenA.interface]],
+    [env.addressB, ["tokenB", env.tokenB.interface]]
+  ]);
+  const events = [];
+  for (const log of receipt.logs) {
+    const emitter = emitters.get(ethers.getAddress(log.address));
+    const parsed = emitter && emitter[1].parseLog(log);
+    if (!parsed) {
+      events.push({ emitter: normalizeValue(env, log.address), topics: log.topics, data: log.data });
+      continue;
+    }
+    const args = parsed.args.toArray().map((value) => normalizeValue(env, value));
+    events.push({ emitter: emitter[0], name: parsed.name, args });
+  }
+  return events;
+}
+
+/**
+ * @notice Envia uma transação com timestamp controlado e registra eventos ou o motivo do revert
+ * @returns {Promise<boolean>} - Verdadeiro se a transação foi minerada com sucesso
+ */
+async function send(env, trace, clock, call) {
+  await time.setNextBlockTimestamp(clock.next());
+  try {
+    const receipt = await (await call()).wait();
+    trace.events.push(...collectEvents(env, receipt));
+    return true;
+  } catch (error) {
+    trace.reverts.push(revertReason(error));
+    return false;
+  }
+}
+
+/**
+ * @notice Executa uma operação em um ambiente
+ * @param {Object} env - Ambiente de `deployEnvironment`
+ * @param {Object} op - Operação gerada por `generateOp`
+ * @param {Object} clock - Relógio compartilhado (`createClock`)
+ * @returns {Promise<Object>} - `{ events, reverts }` da operação
+ */
+async function executeOp(env, op, clock) {
+  const { wallet, other, tokenA, tokenB, pair, pairAddress } = env;
+  const trace = { events: [], reverts: [] };
+  const transfer = async (token, amount) => {
+    if (amount > 0n) {
+      await send(env, trace, clock, () => token.transfer(pairAddress, amount));
+    }
+  };
+  clock.skip(op.elapse);
+
+  switch (op.type) {
+    case "mint":
+      await transfer(tokenA, op.amountA);
+      await transfer(tokenB, op.amountB);
+      await send(env, trace, clock, () => pair.mint(wallet.address));
+      break;
+    case "burn":
+      if (op.liquidity > 0n) {
+        await send(env, trace, clock, () => pair.transfer(pairAddress, op.liquidity));
+      }
+      await send(env, trace, clock, () => pair.burn(wallet.address));
+      break;
+    case "swap": {
+      await transfer(op.tokenIn === "A" ? tokenA : tokenB, op.amountIn);
+      const [amount0Out, amount1Out] = op.tokenIn === "A" ? [0n, op.amountOut] : [op.amountOut, 0n];
+      await send(env, trace, clock, () => pair.swap(amount0Out, amount1Out, wallet.address, "0x"));
+      break;
+    }
+    case "donate":
+      await transfer(tokenA, op.amountA);
+      await transfer(tokenB, op.amountB);
+      break;
+    case "sync":
+      await send(env, trace, clock, () => pair.sync());
+      break;
+    case "skim":
+      await send(env, trace, clock, () => pair.skim(other.address));
+      break;
+    default:
+      throw new Error(`Operação desconhecida: ${op.type}`);
+  }
+  return trace;
+}
+
+/**
+ * @notice Estado observável do ambiente
+ */
+async function observe(env) {
+  const { wallet, other, tokenA, tokenB, pair, pairAddress } = env;
+  const [reserve0, reserve1, blockTimestampLast] = await pair.getReserves();
+  const values = {
+    reserves: [reserve0, reserve1],
+    blockTimestampLast,
+    pairBalances: [await tokenA.balanceOf(pairAddress), await tokenB.balanceOf(pairAddress)],
+    walletBalances: [await tokenA.balanceOf(wallet.address), await tokenB.balanceOf(wallet.address)],
+    otherBalances: [await tokenA.balanceOf(other.address), await tokenB.balanceOf(other.address)],
+    totalSupply: await pair.totalSupply(),
+    liquidity: {
+      wallet: await pair.balanceOf(wallet.address),
+      other: await pair.balanceOf(other.address),
+      pair: await pair.balanceOf(pairAddress),
+      zero: await pair.balanceOf(ethers.ZeroAddress)
+    },
+    kLast: await pair.kLast(),
+    priceCumulativeLast: [await pair.price0CumulativeLast(), await pair.price1CumulativeLast()]
+  };
+  return JSON.parse(JSON.stringify(values, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+/**
+ * @notice Sorteia a próxima operação a partir do estado do ambiente de referência
+ * @param {Object} random - Gerador de `test/shared/random.js`
+ * @param {Object} state - Saída de `observe` do ambiente de referência
+ * @returns {Object} - Operação serializável
+ */
+function generateOp(random, state) {
+  const [reserveA, reserveB] = state.reserves.map(BigInt);
+  const walletLiquidity = BigInt(state.liquidity.wallet);
+  const amount = (max) => random.between(0n, max);
+  const op = { elapse: random.chance(30) ? Number(random.between(1n, 3600n)) : 0 };
+
+  // Sem liquidez, a maior parte das operações apenas reverte: favorece o mint
+  const type = reserveA === 0n || reserveB === 0n
+    ? random.pick(["mint", "mint", "mint", "swap", "burn", "donate", "sync"])
+    : random.pick(["mint", "burn", "swap", "swap", "swap", "donate", "sync", "skim"]);
+
+  switch (type) {
+    case "mint":
+    case "donate":
+      return { ...op, type, amountA: amount(expandTo18Decimals(50)), amountB: amount(expandTo18Decimals(50)) };
+    case "burn":
+      return { ...op, type, liquidity: walletLiquidity > 0n && random.chance(90) ? random.between(1n, walletLiquidity) : 0n };
+    case "swap": {
+      const tokenIn = random.pick(["A", "B"]);
+      const [reserveIn, reserveOut] = tokenIn === "A" ? [reserveA, reserveB] : [reserveB, reserveA];
+      const amountIn = amount(expandTo18Decimals(20));
+      let amountOut;
+      try {
+        amountOut = library.getAmountOut(amountIn, reserveIn, reserveOut);
+      } catch (error) {
+        amountOut = 1n;
+      }
+      // Na maior parte das vezes a saída exata; às vezes 1 wei a mais (K) ou a reserva inteira
+      const variant = random.pick(["exact", "exact", "exact", "exact", "plusOne", "drain", "zero"]);
+      if (variant === "plusOne") amountOut += 1n;
+      if (variant === "drain") amountOut = reserveOut;
+      if (variant === "zero") amountOut = 0n;
+      return { ...op, type, tokenIn, amountIn, amountOut };
+    }
+    default:
+      return { ...op, type };
+  }
+}
+
+/**
+ * @notice Relógio de blocos: cada transação recebe o próximo timestamp, igual nos dois ambientes
+ */
+function createClock(start) {
+  let now = start;
+  return {
+    next: () => ++now,
+    skip: (seconds) => {
+      now += seconds;
+    }
+  };
+}
+
+/**
+ * @notice Implanta os dois ambientes e tira um snapshot comum para as execuções
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.feeOn=false] - Liga a taxa de protocolo (`feeTo = other`) nos dois ambientes
+ * @returns {Promise<Object>} - `{ upstream, local, snapshot, start }`
+ */
+async function setupDifferential(options = {}) {
+  const upstream = await deployEnvironment("upstream");
+  const local = await deployEnvironment("local");
+  if (options.feeOn) {
+    for (const env of [upstream, local]) {
+      await env.factory.setFeeTo(env.other.address);
+    }
+  }
+  return { upstream, local, snapshot: await takeSnapshot(), start: (await time.latest()) + 1000 };
+}
+
+/**
+ * @notice Gera a sequência na referência (original) e a reproduz no port, a partir do mesmo snapshot
+ * @param {Object} setup - Saída de `setupDifferential`
+ * @param {Object} random - Gerador de `test/shared/random.js`
+ * @param {number} steps - Número de operações
+ * @returns {Promise<Object>} - `{ ops, upstream, local }` com um registro por passo em cada ambiente
+ */
+async function runDifferential(setup, random, steps) {
+  const ops = [];
+  const traces = { upstream: [], local: [] };
+
+  let clock = createClock(setup.start);
+  for (let i = 0; i < steps; i++) {
+    const op = generateOp(random, await observe(setup.upstream));
+    ops.push(op);
+    const result = await executeOp(setup.upstream, op, clock);
+    traces.upstream.push({ ...result, state: await observe(setup.upstream) });
+  }
+
+  await setup.snapshot.restore();
+  clock = createClock(setup.start);
+  for (const op of ops) {
+    const result = await executeOp(setup.local, op, clock);
+    traces.local.push({ ...result, state: await observe(setup.local) });
+  }
+
+  return { ops, ...traces };
+}
+
+/**
+ * @notice Formata uma operação para mensagens de falha
+ */
+function describeOp(op, index) {
+  return `passo ${index}: ${JSON.stringify(op, (key, value) => (typeof value === "bigint" ? value.toString() : value))}`;
+}
+
+module.exports = {
+  EQUIVALENT_REASONS,
+  deployEnvironment,
+  revertReason,
+  generateOp,
+  setupDifferential,
+  runDifferential,
+  describeOp
+};
@@ -0,0 +1,139 @@
+/**
+ * @file fixtures.js
+ * @description Fixtures e utilitários compartilhados pelos testes de `contracts/pool`, portados de
+ *              `v2-core/test/shared` e `v2-periphery/test/shared` (Uniswap) para ethers v6 e `loadFixture`.
+ */
+
+const { ethers } = require("hardhat");
+const { assertInitCodeHash } = require("../../scripts/deploy/dex/initCodeHash");
+
+// Artefatos de teste com nome ambíguo precisam do nome totalmente qualificado
+const ERC20 = "contracts/test/ERC20.sol:ERC20";
+const MINIMUM_LIQUIDITY = 1000n;
+const TOKEN_SUPPLY = ethers.parseEther("10000");
+
+/**
+ * @notice Converte unidades inteiras para 18 casas decimais
+ */
+function expandTo18Decimals(value) {
+  return BigInt(value) * 10n ** 18n;
+}
+
+/**
+ * @notice Preços acumulados esperados (UQ112x112) para um intervalo de 1 segundo
+ */
+function encodePrice(reserve0, reserve1) {
+  return [(reserve1 * 2n ** 112n) / reserve0, (reserve0 * 2n ** 112n) / reserve1];
+}
+
+/**
+ * @notice Assina um permit EIP-2612 para o token de liquidez de um par
+ * @returns {Promise<Object>} - `{ v, r, s }`
+ */
+async function signPermit(token, owner, spender, value, deadline) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const signature = await owner.signTypedData(
+    { name: await token.name(), version: "1", chainId, verifyingContract: await token.getAddress() },
+    {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    },
+    { owner: owner.address, spender, value, nonce: await token.nonces(owner.address), deadline }
+  );
+  return ethers.Signature.from(signature);
+}
+
+/**
+ * @notice Factory com o deployer como feeToSetter
+ */
+async function factoryFixture() {
+  const [wallet, other] = await ethers.getSigners();
+  const factory = await ethers.deployContract("UniswapV2Factory", [wallet.address]);
+  return { wallet, other, factory };
+}
+
+/**
+ * @notice Factory e um par entre dois tokens ERC20 de teste, já ordenados como token0/token1
+ */
+async function pairFixture() {
+  const { wallet, other, factory } = await factoryFixture();
+  const tokenA = await ethers.deployContract(ERC20, [TOKEN_SUPPLY]);
+  const tokenB = await ethers.deployContract(ERC20, [TOKEN_SUPPLY]);
+
+  await factory.createPair(await tokenA.getAddress(), await tokenB.getAddress());
+  const pair = await ethers.getContractAt(
+    "UniswapV2Pair",
+    await factory.getPair(await tokenA.getAddress(), await tokenB.getAddress())
+  );
+  const [token0, token1] = (await pair.token0()) === (await tokenA.getAddress()) ? [tokenA, tokenB] : [tokenB, tokenA];
+
+  return { wallet, other, factory, token0, token1, pair };
+}
+
+/**
+ * @notice Ambiente completo da periferia: WETH, factory, os dois roteadores, pares token/token e
+ *         token/WETH, o emissor de eventos de roteador e um token deflacionário para o Router02
+ * @dev Os roteadores localizam os pares por `pairFor`; o hash embutido na biblioteca é conferido antes
+ *      para que um hash desatualizado apareça como tal, e não como reverts sem contexto nos testes.
+ */
+async function routerFixture() {
+  await assertInitCodeHash({ checkDeployment: false });
+
+  const [wallet, other] = await ethers.getSigners();
+  const tokenA = await ethers.deployContract(ERC20, [TOKEN_SUPPLY]);
+  const tokenB = await ethers.deployContract(ERC20, [TOKEN_SUPPLY]);
+  const WETHPartner = await ethers.deployContract(ERC20, [TOKEN_SUPPLY]);
+  const DTT = await ethers.deployContract("DeflatingERC20", [TOKEN_SUPPLY]);
+  const WETH = await ethers.deployContract("WETH9");
+
+  const factory = await ethers.deployContract("UniswapV2Factory", [wallet.address]);
+  const router01 = await ethers.deployContract("UniswapV2Router01", [await factory.getAddress(), await WETH.getAddress()]);
+  const router02 = await ethers.deployContract("UniswapV2Router02", [await factory.getAddress(), await WETH.getAddress()]);
+  const routerEventEmitter = await ethers.deployContract("RouterEventEmitter");
+
+  await factory.createPair(await tokenA.getAddress(), await tokenB.getAddress());
+  const pair = await ethers.getContractAt(
+    "UniswapV2Pair",
+    await factory.getPair(await tokenA.getAddress(), await tokenB.getAddress())
+  );
+  const [token0, token1] = (await pair.token0()) === (await tokenA.getAddress()) ? [tokenA, tokenB] : [tokenB, tokenA];
+
+  await factory.createPair(await WETH.getAddress(), await WETHPartner.getAddress());
+  const WETHPair = await ethers.getContractAt(
+    "UniswapV2Pair",
+    await factory.getPair(await WETH.getAddress(), await WETHPartner.getAddress())
+  );
+
+  return {
+    wallet,
+    other,
+    token0,
+    token1,
+    WETH,
+    WETHPartner,
+    DTT,
+    factory,
+    router01,
+    router02,
+    routerEventEmitter,
+    pair,
+    WETHPair
+  };
+}
+
+module.exports = {
+  ERC20,
+  MINIMUM_LIQUIDITY,
+  TOKEN_SUPPLY,
+  expandTo18Decimals,
+  encodePrice,
+  signPermit,
+  factoryFixture,
+  pairFixture,
+  routerFixture
+};
@@ -0,0 +1,454 @@
+/**
+ * @file invariants.js
+ * @description Fuzzing com estado do par UniswapV2 dirigido pelo JavaScript. Intercala aleatoriamente
+ *              addLiquidity/removeLiquidity (Router02), swaps diretos no par e pelo Router02, doações seguidas
+ *              de `skim`/`sync` e flash swaps entre dois usuários, verificando os invariantes após cada passo.
+ *              Quando um invariante é violado, a sequência é reduzida (`test/shared/shrink.js`) a uma
+ *              reprodução mínima.
+ * @dev As operações guardam proporções (bps) em vez de quantidades derivadas do estado, para que continuem
+ *      válidas quando o shrinking remove passos anteriores. Cada operação é atômica do ponto de vista do par:
+ *      um swap direto que reverte devolve a entrada com `skim` e toda doação termina em `skim` ou `sync`. O ERC20
+ *      de teste recusa transferências de valor zero, então `skim` só passa com excedente nos dois tokens; quando
+ *      ele reverte, o par é sincronizado com `sync`.
+ */
+
+const { ethers } = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const library = require("../../scripts/utils/uniswapV2Library");
+const { shrink } = require("../shared/shrink");
+const { MINIMUM_LIQUIDITY, expandTo18Decimals, routerFixture } = require("./fixtures");
+
+const MAX = ethers.MaxUint256;
+const BPS = 10000n;
+// Saldo inicial de cada token por usuário
+const USER_FUNDS = expandTo18Decimals(1000);
+const OP_TYPES = ["addLiquidity", "addLiquidity", "removeLiquidity", "swap", "routerSwap", "donate", "flash"];
+
+/**
+ * @notice Par token0/token1 com Router02, dois usuários financiados e o contrato de flash swap
+ * @dev Os usuários aprovam o roteador (tokens e liquidez) e o callee (reembolso dos flash swaps).
+ */
+async function invariantFixture() {
+  const [, alice, bob] = await ethers.getSigners();
+  const { token0, token1, pair, router02: router } = await routerFixture();
+  const callee = await ethers.deployContract("FlashSwapCallee");
+  const users = [alice, bob];
+
+  for (const user of users) {
+    for (const token of [token0, token1]) {
+      await token.transfer(user.address, USER_FUNDS);
+      await token.connect(user).approve(await router.getAddress(), MAX);
+      await token.connect(user).approve(await callee.getAddress(), MAX);
+    }
+    await pair.connect(user).approve(await router.getAddress(), MAX);
+  }
+
+  return {
+    users,
+    token0,
+    token1,
+    pair,
+    router,
+    callee,
+    addresses: {
+      token0: await token0.getAddress(),
+      token1: await token1.getAddress(),
+      pair: await pair.getAddress(),
+      router: await router.getAddress(),
+      callee: await callee.getAddress()
+    }
+  };
+}
+
+/**
+ * @notice Sorteia uma sequência de operações independente do estado
+ * @param {Object} random - Gerador de `test/shared/random.js`
+ * @param {number} steps - Número de operações
+ * @returns {Array<Object>} - Operações
+ */
+function generateSequence(random, steps) {
+  const amount = () => random.between(1n, expandTo18Decimals(50));
+  const ops = [];
+  for (let i = 0; i < steps; i++) {
+    const op = { type: random.pick(OP_TYPES), user: random.chance(50) ? 0 : 1 };
+    switch (op.type) {
+      case "addLiquidity":
+        ops.push({ ...op, amount0: amount(), amount1: amount() });
+        break;
+      case "removeLiquidity":
+        ops.push({ ...op, shareBps: random.between(1n, BPS) });
+        break;
+      case "swap":
+        // `greed` pede mais que a cotação exata: o par deve recusar com K
+        ops.push({ ...op, zeroForOne: random.chance(50), amountIn: amount(), greed: random.chance(20) ? random.between(1n, 1000n) : 0n });
+        break;
+      case "routerSwap":
+        ops.push({ ...op, zeroForOne: random.chance(50), amountIn: amount() });
+        break;
+      case "donate":
+        ops.push({
+          ...op,
+          amount0: random.chance(70) ? amount() : 0n,
+          amount1: random.chance(70) ? amount() : 0n,
+          then: random.pick(["skim", "sync"])
+        });
+        break;
+      default:
+        // Reembolso no próprio token emprestado ou no outro; `short` devolve 1 wei a menos que o necessário
+        ops.push({
+          ...op,
+          borrow0: random.chance(50),
+          borrowBps: random.between(1n, 9000n),
+          repayWith: random.pick(["same", "other"]),
+          short: random.chance(25)
+        });
+    }
+  }
+  return ops;
+}
+
+/**
+ * @notice Versões mais simples de uma operação para o shrinking (quantidades menores, sem agressividade)
+ */
+function simplifyOp(op) {
+  const candidates = [];
+  for (const key of ["amount0", "amount1", "amountIn", "shareBps", "borrowBps", "greed"]) {
+    const value = op[key];
+    if (typeof value === "bigint" && value > 1n) {
+      candidates.push({ ...op, [key]: 1n }, { ...op, [key]: value / 2n });
+    }
+  }
+  if (op.short) {
+    candidates.push({ ...op, short: false });
+  }
+  return candidates;
+}
+
+/**
+ * @notice Estado observado do par, dos usuários e dos contratos que tocam os tokens
+ */
+async function observe(env) {
+  const { users, token0, token1, pair, addresses } = env;
+  const [reserve0, reserve1] = await pair.getReserves();
+  const tokens = async (address) => [await token0.balanceOf(address), await token1.balanceOf(address)];
+  return {
+    reserves: [reserve0, reserve1],
+    pairBalances: await tokens(addresses.pair),
+    totalSupply: await pair.totalSupply(),
+    userTokens: await Promise.all(users.map((user) => tokens(user.address))),
+    userLiquidity: await Promise.all(users.map((user) => pair.balanceOf(user.address))),
+    lockedLiquidity: await pair.balanceOf(ethers.ZeroAddress),
+    strayLiquidity: [await pair.balanceOf(addresses.pair), await pair.balanceOf(addresses.router)],
+    strayTokens: [await tokens(addresses.router), await tokens(addresses.callee)]
+  };
+}
+
+/**
+ * @notice Envia uma transação e registra o recibo ou o motivo do revert
+ * @returns {Promise<boolean>} - Verdadeiro se a transação foi minerada com sucesso
+ */
+async function send(trace, call) {
+  try {
+    trace.receipts.push(await (await call()).wait());
+    return true;
+  } catch (error) {
+    const reason = (error.message || "").match(/reverted with (?:reason string '([^']*)'|custom error '([^']*)')/);
+    if (!reason && !/reverted/.test(error.message || "")) {
+      throw error;
+    }
+    trace.reverts.push(reason ? reason[1] || reason[2] : "revert sem motivo");
+    return false;
+  }
+}
+
+/**
+ * @notice Devolve o excedente do par ao usuário com `skim` ou, se ele reverter, incorpora-o às reservas com `sync`
+ */
+async function skimOrSync(trace, pair, user) {
+  if (!(await send(trace, () => pair.connect(user).skim(user.address)))) {
+    await send(trace, () => pair.connect(user).sync());
+  }
+}
+
+/**
+ * @notice Executa uma operação
+ * @returns {Promise<Object>} - `{ receipts, reverts }`
+ */
+async function executeOp(env, op) {
+  const { token0, token1, pair, router, callee, addresses } = env;
+  const user = env.users[op.user];
+  const trace = { receipts: [], reverts: [] };
+  const asUser = (contract) => contract.connect(user);
+  const [reserve0, reserve1] = await pair.getReserves();
+
+  switch (op.type) {
+    case "addLiquidity":
+      await send(trace, () => asUser(router).addLiquidity(
+        addresses.token0, addresses.token1, op.amount0, op.amount1, 0n, 0n, user.address, MAX
+      ));
+      break;
+    case "removeLiquidity": {
+      const liquidity = ((await pair.balanceOf(user.address)) * op.shareBps) / BPS;
+      if (liquidity > 0n) {
+        await send(trace, () => asUser(router).removeLiquidity(
+          addresses.token0, addresses.token1, liquidity, 0n, 0n, user.address, MAX
+        ));
+      }
+      break;
+    }
+    case "swap": {
+      const [tokenIn, reserveIn, reserveOut] = op.zeroForOne ? [token0, reserve0, reserve1] : [token1, reserve1, reserve0];
+      if (!(await send(trace, () => asUser(tokenIn).transfer(addresses.pair, op.amountIn)))) {
+        break;
+      }
+      let amountOut;
+      try {
+        amountOut = library.getAmountOut(op.amountIn, reserveIn, reserveOut) + op.greed;
+      } catch (error) {
+        amountOut = 1n;
+      }
+      const outputs = op.zeroForOne ? [0n, amountOut] : [amountOut, 0n];
+      if (!(await send(trace, () => asUser(pair).swap(...outputs, user.address, "0x")))) {
+        await skimOrSync(trace, pair, user);
+      }
+      break;
+    }
+    case "routerSwap": {
+      const path = op.zeroForOne ? [addresses.token0, addresses.token1] : [addresses.token1, addresses.token0];
+      await send(trace, () => asUser(router).swapExactTokensForTokens(op.amountIn, 0n, path, user.address, MAX));
+      break;
+    }
+    case "donate":
+      if (op.amount0 > 0n) {
+        await send(trace, () => asUser(token0).transfer(addresses.pair, op.amount0));
+      }
+      if (op.amount1 > 0n) {
+        await send(trace, () => asUser(token1).transfer(addresses.pair, op.amount1));
+      }
+      if (op.then === "skim") {
+        await skimOrSync(trace, pair, user);
+      } else {
+        await send(trace, () => asUser(pair).sync());
+      }
+      break;
+    case "flash": {
+      const [reserveOut, reserveOther] = op.borrow0 ? [reserve0, reserve1] : [reserve1, reserve0];
+      const amountOut = (reserveOut * op.borrowBps) / BPS;
+      if (amountOut === 0n) {
+        break;
+      }
+      // Mesmo token: 997 * reembolso >= 1000 * empréstimo; outro token: cotação de getAmountIn
+      const repay = (op.repayWith === "same"
+        ? (amountOut * 1000n + 996n) / 997n
+        : library.getAmountIn(amountOut, reserveOther, reserveOut)) - (op.short ? 1n : 0n);
+      const repayIn0 = (op.repayWith === "same") === op.borrow0;
+      await send(trace, () => asUser(callee).flashSwap(
+        addresses.pair,
+        op.borrow0 ? amountOut : 0n,
+        op.borrow0 ? 0n : amountOut,
+        repayIn0 ? repay : 0n,
+        repayIn0 ? 0n : repay
+      ));
+      break;
+    }
+    default:
+      throw new Error(`Operação desconhecida: ${op.type}`);
+  }
+  return trace;
+}
+
+/**
+ * @notice Liquidez cunhada e queimada nos recibos (sem a cunhagem de MINIMUM_LIQUIDITY para address(0))
+ */
+function liquidityFlows(env, receipts) {
+  let minted = 0n;
+  let burned = 0n;
+  for (const receipt of receipts) {
+    for (const log of receipt.logs) {
+      if (ethers.getAddress(log.address) !== env.addresses.pair) {
+        continue;
+      }
+      const parsed = env.pair.interface.parseLog(log);
+      if (!parsed || parsed.name !== "Transfer") {
+        continue;
+      }
+      const { from, to, value } = parsed.args;
+      if (from === ethers.ZeroAddress && to !== ethers.ZeroAddress) {
+        minted += value;
+      } else if (to === ethers.ZeroAddress && from !== ethers.ZeroAddress) {
+        burned += value;
+      }
+    }
+  }
+  return { minted, burned };
+}
+
+/**
+ * @notice Valor de uma posição (tokens + parte da liquidez) ao preço dado por `reserves`, como fração
+ * @returns {Object} - `{ numerator, denominator }`, em unidades de token1 * reserve0
+ */
+function positionValue(state, tokens, liquidity, [price0, price1]) {
+  const held = tokens[0] * price1 + tokens[1] * price0;
+  if (state.totalSupply === 0n) {
+    return { numerator: held, denominator: 1n };
+  }
+  const pool = state.pairBalances[0] * price1 + state.pairBalances[1] * price0;
+  return { numerator: held * state.totalSupply + liquidity * pool, denominator: state.totalSupply };
+}
+
+const sum = (values) => values.reduce((total, value) => total + value, 0n);
+const notGreater = (a, b) => a.numerator * b.denominator <= b.numerator * a.denominator;
+
+/**
+ * @notice Verifica os invariantes entre dois estados consecutivos
+ * @param {Object} op - Operação executada
+ * @param {Object} before - Estado antes da operação (`observe`)
+ * @param {Object} after - Estado depois da operação
+ * @param {Object} ledger - Liquidez cunhada e queimada acumulada até `after`, e os totais iniciais de tokens
+ * @returns {string[]} - Descrição das violações (vazia quando tudo confere)
+ */
+function checkInvariants(op, before, after, ledger) {
+  const violations = [];
+  const k = (state) => state.reserves[0] * state.reserves[1];
+
+  // k nunca diminui sem burn; com mint/burn, k por unidade de liquidez (k / totalSupply²) nunca diminui
+  if (before.totalSupply > 0n) {
+    if (after.totalSupply === before.totalSupply && k(after) < k(before)) {
+      violations.push(`k diminuiu: ${k(before)} -> ${k(after)}`);
+    }
+    if (k(after) * before.totalSupply ** 2n < k(before) * after.totalSupply ** 2n) {
+      violations.push("k por unidade de liquidez diminuiu");
+    }
+  }
+
+  // Toda operação termina com o par sincronizado (swap, mint, burn, skim ou sync)
+  if (after.reserves[0] !== after.pairBalances[0] || after.reserves[1] !== after.pairBalances[1]) {
+    violations.push(`reservas [${after.reserves}] diferentes dos saldos [${after.pairBalances}]`);
+  }
+
+  if (ledger.minted > 0n) {
+    if (after.totalSupply !== ledger.minted - ledger.burned + MINIMUM_LIQUIDITY) {
+      violations.push(`totalSupply ${after.totalSupply} != cunhado ${ledger.minted} - queimado ${ledger.burned} + MINIMUM_LIQUIDITY`);
+    }
+    if (after.lockedLiquidity !== MINIMUM_LIQUIDITY) {
+      violations.push(`liquidez bloqueada em address(0) é ${after.lockedLiquidity}`);
+    }
+  }
+  const held = sum(after.userLiquidity) + after.lockedLiquidity + sum(after.strayLiquidity);
+  if (held !== after.totalSupply) {
+    violations.push(`soma dos saldos de liquidez ${held} != totalSupply ${after.totalSupply}`);
+  }
+
+  for (const index of [0, 1]) {
+    const total = sum([...after.userTokens, ...after.strayTokens].map((tokens) => tokens[index])) + after.pairBalances[index];
+    if (total !== ledger.initialTokens[index]) {
+      violations.push(`token${index} não se conserva: ${total} != ${ledger.initialTokens[index]}`);
+    }
+  }
+
+  // Ao preço anterior ao passo, nem quem agiu nem o conjunto dos usuários pode terminar com mais valor.
+  // Sem liquidez emitida, reservas doadas com `sync` não pertencem a ninguém e o primeiro mint as recebe.
+  if (before.totalSupply > 0n && before.reserves[0] > 0n && before.reserves[1] > 0n) {
+    const price = before.reserves;
+    const valueOf = (state, user) => positionValue(state, state.userTokens[user], state.userLiquidity[user], price);
+    if (!notGreater(valueOf(after, op.user), valueOf(before, op.user))) {
+      violations.push(`o usuário ${op.user} extraiu valor do par`);
+    }
+    const totalOf = (state) => positionValue(
+      state,
+      [sum(state.userTokens.map((tokens) => tokens[0])), sum(state.userTokens.map((tokens) => tokens[1]))],
+      sum(state.userLiquidity),
+      price
+    );
+    if (!notGreater(totalOf(after), totalOf(before))) {
+      violations.push("os usuários extraíram valor do par");
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * @notice Executa uma sequência a partir do estado atual e para na primeira violação
+ * @returns {Promise<Object|null>} - `{ index, op, violations, reverts }` da primeira violação, ou null
+ */
+async function runSequence(env, ops) {
+  let before = await observe(env);
+  const ledger = {
+    minted: 0n,
+    burned: 0n,
+    initialTokens: [0, 1].map((index) => sum(before.userTokens.map((tokens) => tokens[index])) + before.pairBalances[index])
+  };
+
+  for (let index = 0; index < ops.length; index++) {
+    const trace = await executeOp(env, ops[index]);
+    const { minted, burned } = liquidityFlows(env, trace.receipts);
+    ledger.minted += minted;
+    ledger.burned += burned;
+
+    const after = await observe(env);
+    const violations = checkInvariants(ops[index], before, after, ledger);
+    if (violations.length > 0) {
+      return { index, op: ops[index], violations, reverts: trace.reverts };
+    }
+    before = after;
+  }
+  return null;
+}
+
+/**
+ * @notice Roda uma sequência aleatória e, se algum invariante falhar, reduz a sequência a uma reprodução mínima
+ * @param {Object} env - Ambiente de `invariantFixture`
+ * @param {Object} random - Gerador de `test/shared/random.js`
+ * @param {number} steps - Número de operações
+ * @param {Object} [options] - Opções
+ * @param {number} [options.maxShrinkAttempts=100] - Limite de reexecuções durante o shrinking
+ * @returns {Promise<Object|null>} - `{ sequence, failure, attempts, original }` ou null se nenhum invariante falhou
+ */
+async function fuzz(env, random, steps, options = {}) {
+  const snapshot = await takeSnapshot();
+  const ops = generateSequence(random, steps);
+  const failure = await runSequence(env, ops);
+  if (!failure) {
+    return null;
+  }
+
+  const replay = async (candidate) => {
+    await snapshot.restore();
+    return runSequence(env, candidate);
+  };
+  const result = await shrink(ops.slice(0, failure.index + 1), replay, {
+    failure,
+    simplify: simplifyOp,
+    maxAttempts: options.maxShrinkAttempts ?? 100
+  });
+  return { ...result, original: ops.length };
+}
+
+/**
+ * @notice Formata uma operação para relatórios
+ */
+function describeOp(op) {
+  return JSON.stringify(op, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+}
+
+/**
+ * @notice Relatório de uma falha reduzida pelo fuzz, com a reprodução passo a passo
+ */
+function describeFailure({ sequence, failure, attempts, original }) {
+  return [
+    `Invariante violado no passo ${failure.index} (${failure.violations.join("; ")})`,
+    `Reprodução mínima com ${sequence.length} de ${original} operações (${attempts} reexecuções):`,
+    ...sequence.map((op, index) => `  ${index}: ${describeOp(op)}`),
+    failure.reverts.length > 0 ? `Reverts no último passo: ${failure.reverts.join(", ")}` : ""
+  ].filter(Boolean).join("\n");
+}
+
+module.exports = {
+  invariantFixture,
+  generateSequence,
+  simplifyOp,
+  checkInvariants,
+  fuzz,
+  describeFailure
+};
@@ -0,0 +1,75 @@
+/**
+ * @file explorerStub.js
+ * @description Stub local da API de verificação compatível com Etherscan (`getsourcecode`, `verifysourcecode`
+ *              e `checkverifystatus`), para testar a verificação de contratos sem acesso à rede.
+ */
+
+const http = require("http");
+
+/**
+ * @notice Inicia o stub do explorador em uma porta livre
+ * @param {Object} [options] - Comportamento do stub
+ * @param {string[]} [options.verified=[]] - Endereços já verificados
+ * @param {number} [options.unindexedSubmissions=0] - Envios respondidos com "bytecode não encontrado" antes de aceitar
+ * @param {string} [options.statusResult="Pass - Verified"] - Resultado de `checkverifystatus`
+ * @returns {Promise<Object>} - `{ explorer, submissions, requests, close }`; `explorer` é repassado a `verifyContract`
+ */
+async function startExplorerStub(options = {}) {
+  const verified = new Set((options.verified || []).map((address) => address.toLowerCase()));
+  const state = { unindexed: options.unindexedSubmissions || 0 };
+  const submissions = [];
+  const requests = [];
+
+  const respond = (res, body) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const params = new URLSearchParams(req.method === "POST" ? body : new URL(req.url, "http://stub").search);
+      const action = params.get("action");
+      requests.push(action);
+
+      if (action === "getsourcecode") {
+        const isVerified = verified.has(params.get("address").toLowerCase());
+        return respond(res, { status: "1", message: "OK", result: [{ SourceCode: isVerified ? "{}" : "" }] });
+      }
+      if (action === "verifysourcecode") {
+        const address = params.get("contractaddress");
+        if (state.unindexed > 0) {
+          state.unindexed--;
+          return respond(res, { status: "0", message: "NOTOK", result: `Unable to locate ContractCode at ${address}` });
+        }
+        submissions.push(Object.fromEntries(params));
+        verified.add(address.toLowerCase());
+        return respond(res, { status: "1", message: "OK", result: `guid-${submissions.length}` });
+      }
+      if (action === "checkverifystatus") {
+        const statusResult = options.statusResult || "Pass - Verified";
+        return respond(res, { status: statusResult.startsWith("Pass") ? "1" : "0", message: "OK", result: statusResult });
+      }
+      return respond(res, { status: "0", message: "NOTOK", result: `Ação desconhecida: ${action}` });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    explorer: {
+      apiURL: `http://127.0.0.1:${port}/api`,
+      browserURL: "https://explorer.stub",
+      apiKey: "stub-key"
+    },
+    submissions,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+module.exports = { startExplorerStub };
@@ -0,0 +1,44 @@
+/**
+ * @file random.js
+ * @description Gerador pseudoaleatório determinístico compartilhado pelos testes de propriedade e diferenciais.
+ *              Com a mesma semente a sequência é sempre a mesma, o que permite reproduzir qualquer falha.
+ */
+
+/**
+ * @notice Gerador pseudoaleatório determinístico (xorshift64*) para reproduzir falhas
+ * @param {bigint} [seed=0x5eedn] - Semente (diferente de zero)
+ * @returns {Object} - `{ between, chance, pick }`
+ */
+function createRandom(seed = 0x5eedn) {
+  let state = seed;
+  const next64 = () => {
+    state ^= state >> 12n;
+    state ^= (state << 25n) & 0xffffffffffffffffn;
+    state ^= state >> 27n;
+    return (state * 0x2545f4914f6cdd1dn) & 0xffffffffffffffffn;
+  };
+  const random = {
+    // Inteiro uniforme em [min, max], com magnitude (bits) também sorteada para cobrir valores pequenos e grandes
+    between(min, max) {
+      const span = max - min + 1n;
+      const bits = BigInt(span.toString(2).length);
+      const limit = 1n << (next64() % bits + 1n);
+      let value = 0n;
+      for (let i = 0n; i < 4n; i++) {
+        value = (value << 64n) | next64();
+      }
+      return min + (value % (limit < span ? limit : span));
+    },
+    // Verdadeiro com a probabilidade indicada (em %)
+    chance(percent) {
+      return next64() % 100n < BigInt(percent);
+    },
+    // Elemento uniforme de uma lista
+    pick(list) {
+      return list[Number(next64() % BigInt(list.length))];
+    }
+  };
+  return random;
+}
+
+module.exports = { createRandom };
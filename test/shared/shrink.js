@@ -0,0 +1,76 @@
+/**
+ * @file shrink.js
+ * @description Redução de sequências que falham (shrinking) para os testes de fuzzing com estado. Dada uma
+ *              sequência de operações que viola alguma propriedade, procura uma subsequência menor, com
+ *              parâmetros mais simples, que ainda falhe, para que a reprodução seja legível.
+ */
+
+/**
+ * @notice Reduz uma sequência que falha a uma reprodução mínima
+ * @dev Primeiro remove blocos de operações (do maior para o menor, até operações isoladas) e depois tenta
+ *      versões simplificadas de cada operação, repetindo enquanto houver progresso. Cada tentativa chama
+ *      `fails`, que deve reexecutar a sequência do zero; o número de tentativas é limitado por `maxAttempts`.
+ * @param {Array} sequence - Sequência que falha
+ * @param {Function} fails - `async (candidate) => falha | null`; qualquer valor verdadeiro indica que ainda falha
+ * @param {Object} [options] - Opções
+ * @param {*} [options.failure] - Falha já observada na sequência original (evita reexecutá-la para o relatório)
+ * @param {Function} [options.simplify] - `(op) => Array` com versões mais simples de uma operação, em ordem de preferência
+ * @param {number} [options.maxAttempts=200] - Limite de reexecuções
+ * @returns {Promise<Object>} - `{ sequence, failure, attempts }` com a menor sequência encontrada e a sua falha
+ */
+async function shrink(sequence, fails, options = {}) {
+  const simplify = options.simplify || (() => []);
+  const maxAttempts = options.maxAttempts ?? 200;
+  let attempts = 0;
+  let current = sequence;
+  let failure = options.failure ?? null;
+
+  const tryCandidate = async (candidate) => {
+    if (attempts >= maxAttempts) {
+      return false;
+    }
+    attempts++;
+    const result = await fails(candidate);
+    if (result) {
+      current = candidate;
+      failure = result;
+      return true;
+    }
+    return false;
+  };
+
+  let progress = true;
+  while (progress && attempts < maxAttempts) {
+    progress = false;
+
+    for (let size = Math.max(1, Math.floor(current.length / 2)); size >= 1; size = Math.floor(size / 2)) {
+      let start = 0;
+      while (start < current.length && current.length > 1) {
+        const candidate = [...current.slice(0, start), ...current.slice(start + size)];
+        if (candidate.length > 0 && (await tryCandidate(candidate))) {
+          progress = true;
+        } else {
+          start += size;
+        }
+      }
+    }
+
+    for (let i = 0; i < current.length; i++) {
+      for (const simpler of simplify(current[i])) {
+        if (await tryCandidate([...current.slice(0, i), simpler, ...current.slice(i + 1)])) {
+          progress = true;
+          break;
+        }
+      }
+    }
+  }
+
+  // Sem falha conhecida nem redução bem-sucedida, a sequência original é reexecutada para o relatório
+  if (!failure) {
+    attempts++;
+    failure = await fails(current);
+  }
+  return { sequence: current, failure, attempts };
+}
+
+module.exports = { shrink };
@@ -0,0 +1,43 @@
+/**
+ * @file catalog.test.js
+ * @description Testes do registro das tarefas Hardhat (`tasks/`) e da montagem de comandos
+ *              do menu interativo (`scripts-runner.js`).
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { TASKS, toCliOption } = require("../../tasks/catalog");
+const { buildCommand } = require("../../scripts-runner");
+
+describe("tasks/catalog", function () {
+  it("registra todas as tarefas do catálogo com seus parâmetros", function () {
+    for (const definition of TASKS) {
+      const registered = hre.tasks[definition.name];
+      expect(registered, definition.name).to.not.equal(undefined);
+      expect(registered.description).to.equal(definition.description);
+      for (const param of definition.params) {
+        expect(registered.paramDefinitions, `${definition.name} ${param.name}`).to.have.property(param.name);
+      }
+    }
+  });
+
+  it("mantém os valores padrão de pair:create", function () {
+    const { paramDefinitions } = hre.tasks["pair:create"];
+    expect(paramDefinitions.tokenA.defaultValue).to.equal("SPBToken");
+    expect(paramDefinitions.tokenB.defaultValue).to.equal("BPSToken");
+    expect(paramDefinitions.tag.isOptional).to.equal(true);
+  });
+
+  it("converte nomes camelCase em opções de CLI", function () {
+    expect(toCliOption("tokenA")).to.equal("--token-a");
+    expect(toCliOption("addresses")).to.equal("--addresses");
+  });
+
+  it("monta o comando do menu omitindo parâmetros vazios", function () {
+    const definition = TASKS.find((entry) => entry.name === "balances");
+    const args = buildCommand(definition, "sepolia", { tag: "", addresses: "0x1,0x2", tokens: "SPBToken" });
+    expect(args).to.deep.equal([
+      "hardhat", "balances", "--network", "sepolia", "--addresses", "0x1,0x2", "--tokens", "SPBToken"
+    ]);
+  });
+});
@@ -0,0 +1,428 @@
+/**
+ * @file TaxTokens.test.js
+ * @description Testes do SPBToken e do BPSToken (mesmo contrato, nomes distintos): taxa na transferência e
+ *              arredondamento, configuração restrita ao owner, pausa, queima e a interação das transferências
+ *              taxadas com o par (`mint`/`swap`) e com as funções do Router02 para tokens com taxa.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getAmountOut } = require("../../scripts/utils/uniswapV2Library");
+const { ERC20, MINIMUM_LIQUIDITY, TOKEN_SUPPLY, expandTo18Decimals, factoryFixture, routerFixture } = require("../pool/fixtures");
+
+const MAX = ethers.MaxUint256;
+const TOKENS = [
+  { name: "SPBToken", tokenName: "SOCIETY PROJECT BANK", symbol: "SPB" },
+  { name: "BPSToken", tokenName: "BANK PROJECT SOCIETY", symbol: "BPS" }
+];
+
+/**
+ * @notice Taxa cobrada pelo token: `amount * taxPercent / 100`, arredondada para baixo
+ */
+function taxOf(amount, percent) {
+  return (amount * BigInt(percent)) / 100n;
+}
+
+for (const { name, tokenName, symbol } of TOKENS) {
+  describe(name, function () {
+    /**
+     * @notice Token com um receptor de taxas dedicado, para separar a taxa dos saldos do owner
+     */
+    async function tokenFixture() {
+      const [owner, alice, bob, treasury] = await ethers.getSigners();
+      const token = await ethers.deployContract(name);
+      await token.setTaxReceiver(treasury.address);
+      return { owner, alice, bob, treasury, token };
+    }
+
+    /**
+     * @notice Par token taxado / ERC20 de teste na factory local
+     */
+    async function pairFixture() {
+      const base = await tokenFixture();
+      const { factory } = await factoryFixture();
+      const partner = await ethers.deployContract(ERC20, [TOKEN_SUPPLY]);
+      const tokenAddress = await base.token.getAddress();
+      await factory.createPair(tokenAddress, await partner.getAddress());
+      const pair = await ethers.getContractAt("UniswapV2Pair", await factory.getPair(tokenAddress, await partner.getAddress()));
+      return { ...base, partner, pair, taxedIs0: (await pair.token0()) === tokenAddress };
+    }
+
+    /**
+     * @notice Router02 com um par token taxado / WETH
+     */
+    async function taxedRouterFixture() {
+      const base = await tokenFixture();
+      const { factory, router02, WETH } = await routerFixture();
+      const tokenAddress = await base.token.getAddress();
+      await factory.createPair(tokenAddress, await WETH.getAddress());
+      const pair = await ethers.getContractAt("UniswapV2Pair", await factory.getPair(tokenAddress, await WETH.getAddress()));
+      return { ...base, router: router02, WETH, pair };
+    }
+
+    it("estado inicial", async function () {
+      const [owner] = await ethers.getSigners();
+      const token = await ethers.deployContract(name);
+
+      expect(await token.name()).to.equal(tokenName);
+      expect(await token.symbol()).to.equal(symbol);
+      expect(await token.decimals()).to.equal(18n);
+      expect(await token.totalSupply()).to.equal(await token.INITIAL_SUPPLY());
+      expect(await token.balanceOf(owner.address)).to.equal(expandTo18Decimals(1_000_000));
+      expect(await token.taxPercent()).to.equal(1n);
+      expect(await token.MAX_TAX_PERCENT()).to.equal(10n);
+      expect(await token.taxReceiver()).to.equal(owner.address);
+      expect(await token.owner()).to.equal(owner.address);
+      expect(await token.paused()).to.equal(false);
+    });
+
+    describe("taxa na transferência", function () {
+      const AMOUNTS = [1n, 9n, 10n, 99n, 100n, 101n, 199n, 12345n, expandTo18Decimals(1) + 1n];
+
+      for (const percent of [0, 1, 7, 10]) {
+        it(`desconta ${percent}% com arredondamento para baixo`, async function () {
+          const { owner, alice, treasury, token } = await loadFixture(tokenFixture);
+          await token.setTaxPercent(percent);
+
+          for (const amount of AMOUNTS) {
+            const tax = taxOf(amount, percent);
+            await expect(token.transfer(alice.address, amount)).to.changeTokenBalances(
+              token,
+              [owner, alice, treasury],
+              [-amount, amount - tax, tax]
+            );
+          }
+        });
+      }
+
+      it("não cobra taxa enquanto o valor * taxa for menor que 100", async function () {
+        const { owner, alice, treasury, token } = await loadFixture(tokenFixture);
+        await token.setTaxPercent(10);
+
+        await expect(token.transfer(alice.address, 9n)).to.changeTokenBalances(token, [owner, alice, treasury], [-9n, 9n, 0n]);
+        await expect(token.transfer(alice.address, 10n)).to.changeTokenBalances(token, [owner, alice, treasury], [-10n, 9n, 1n]);
+      });
+
+      it("emite a transferência da taxa e a do valor líquido, sem alterar o supply", async function () {
+        const { owner, alice, treasury, token } = await loadFixture(tokenFixture);
+        const amount = expandTo18Decimals(100);
+        const supply = await token.totalSupply();
+
+        await expect(token.transfer(alice.address, amount))
+          .to.emit(token, "Transfer").withArgs(owner.address, treasury.address, taxOf(amount, 1))
+          .and.to.emit(token, "Transfer").withArgs(owner.address, alice.address, amount - taxOf(amount, 1));
+        expect(await token.totalSupply()).to.equal(supply);
+      });
+
+      it("transfere o supply inteiro", async function () {
+        const { owner, alice, treasury, token } = await loadFixture(tokenFixture);
+        const supply = await token.totalSupply();
+        await token.setTaxPercent(10);
+
+        await token.transfer(alice.address, supply);
+        expect(await token.balanceOf(owner.address)).to.equal(0n);
+        expect(await token.balanceOf(alice.address)).to.equal(supply - taxOf(supply, 10));
+        expect(await token.balanceOf(treasury.address)).to.equal(taxOf(supply, 10));
+      });
+
+      it("transferFrom consome a allowance pelo valor bruto", async function () {
+        const { owner, alice, bob, treasury, token } = await loadFixture(tokenFixture);
+        const amount = expandTo18Decimals(10);
+        await token.approve(alice.address, amount * 2n);
+
+        await expect(token.connect(alice).transferFrom(owner.address, bob.address, amount)).to.changeTokenBalances(
+          token,
+          [owner, bob, treasury],
+          [-amount, amount - taxOf(amount, 1), taxOf(amount, 1)]
+        );
+        expect(await token.allowance(owner.address, alice.address)).to.equal(amount);
+      });
+
+      it("o receptor de taxas recebe o valor integral quando é o destinatário", async function () {
+        const { owner, treasury, token } = await loadFixture(tokenFixture);
+        const amount = expandTo18Decimals(10);
+
+        await expect(token.transfer(treasury.address, amount)).to.changeTokenBalances(token, [owner, treasury], [-amount, amount]);
+      });
+
+      it("rejeita valor zero, destinatário zero e saldo insuficiente", async function () {
+        const { alice, bob, token } = await loadFixture(tokenFixture);
+
+        await expect(token.transfer(alice.address, 0n)).to.be.revertedWith(`${name}: INVALID_TRANSFER_AMOUNT`);
+        await expect(token.transfer(ethers.ZeroAddress, 1n))
+          .to.be.revertedWithCustomError(token, "ERC20InvalidReceiver")
+          .withArgs(ethers.ZeroAddress);
+        await expect(token.connect(alice).transfer(bob.address, 1n))
+          .to.be.revertedWithCustomError(token, "ERC20InsufficientBalance")
+          .withArgs(alice.address, 0n, 1n);
+      });
+    });
+
+    describe("configuração", function () {
+      it("setTaxPercent", async function () {
+        const { token } = await loadFixture(tokenFixture);
+
+        await expect(token.setTaxPercent(5)).to.emit(token, "TaxPercentUpdated").withArgs(1n, 5n);
+        await expect(token.setTaxPercent(10)).to.emit(token, "TaxPercentUpdated").withArgs(5n, 10n);
+        await expect(token.setTaxPercent(0)).to.emit(token, "TaxPercentUpdated").withArgs(10n, 0n);
+        expect(await token.taxPercent()).to.equal(0n);
+      });
+
+      it("setTaxPercent: acima de MAX_TAX_PERCENT", async function () {
+        const { token } = await loadFixture(tokenFixture);
+
+        await expect(token.setTaxPercent(11)).to.be.revertedWith(`${name}: TAX_PERCENT_TOO_HIGH`);
+        await expect(token.setTaxPercent(MAX)).to.be.revertedWith(`${name}: TAX_PERCENT_TOO_HIGH`);
+        expect(await token.taxPercent()).to.equal(1n);
+      });
+
+      it("setTaxReceiver", async function () {
+        const { owner, bob, treasury, token } = await loadFixture(tokenFixture);
+
+        await expect(token.setTaxReceiver(bob.address))
+          .to.emit(token, "TaxReceiverUpdated")
+          .withArgs(treasury.address, bob.address);
+        expect(await token.taxReceiver()).to.equal(bob.address);
+
+        const amount = expandTo18Decimals(1);
+        await expect(token.transfer(treasury.address, amount)).to.changeTokenBalances(
+          token,
+          [owner, treasury, bob],
+          [-amount, amount - taxOf(amount, 1), taxOf(amount, 1)]
+        );
+      });
+
+      it("setTaxReceiver: endereço zero", async function () {
+        const { token } = await loadFixture(tokenFixture);
+        await expect(token.setTaxReceiver(ethers.ZeroAddress)).to.be.revertedWith(`${name}: INVALID_TAX_RECEIVER`);
+      });
+
+      it("apenas o owner configura taxa, receptor e pausa", async function () {
+        const { alice, token } = await loadFixture(tokenFixture);
+        const asAlice = token.connect(alice);
+
+        for (const call of [
+          () => asAlice.setTaxPercent(2),
+          () => asAlice.setTaxReceiver(alice.address),
+          () => asAlice.pause(),
+          () => asAlice.unpause()
+        ]) {
+          await expect(call()).to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount").withArgs(alice.address);
+        }
+      });
+
+      it("a configuração acompanha a transferência de propriedade", async function () {
+        const { owner, alice, token } = await loadFixture(tokenFixture);
+        await token.transferOwnership(alice.address);
+
+        await expect(token.setTaxPercent(2))
+          .to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount")
+          .withArgs(owner.address);
+        await expect(token.connect(alice).setTaxPercent(2)).to.emit(token, "TaxPercentUpdated").withArgs(1n, 2n);
+      });
+    });
+
+    describe("pausa", function () {
+      it("bloqueia transferências, transferFrom e queimas até o unpause", async function () {
+        const { owner, alice, token } = await loadFixture(tokenFixture);
+        await token.approve(alice.address, MAX);
+
+        await expect(token.pause()).to.emit(token, "Paused").withArgs(owner.address);
+        await expect(token.transfer(alice.address, 100n)).to.be.revertedWithCustomError(token, "EnforcedPause");
+        await expect(token.connect(alice).transferFrom(owner.address, alice.address, 100n))
+          .to.be.revertedWithCustomError(token, "EnforcedPause");
+        await expect(token.burn(100n)).to.be.revertedWithCustomError(token, "EnforcedPause");
+
+        // Aprovações não movem saldo e continuam permitidas
+        await expect(token.approve(alice.address, 1n)).to.emit(token, "Approval");
+
+        await expect(token.unpause()).to.emit(token, "Unpaused").withArgs(owner.address);
+        await expect(token.transfer(alice.address, 100n)).to.changeTokenBalance(token, alice, 99n);
+      });
+
+      it("rejeita pausar duas vezes e despausar sem pausa", async function () {
+        const { token } = await loadFixture(tokenFixture);
+
+        await expect(token.unpause()).to.be.revertedWithCustomError(token, "ExpectedPause");
+        await token.pause();
+        await expect(token.pause()).to.be.revertedWithCustomError(token, "EnforcedPause");
+      });
+    });
+
+    describe("queima", function () {
+      it("burn reduz saldo e supply sem cobrar taxa", async function () {
+        const { owner, treasury, token } = await loadFixture(tokenFixture);
+        const amount = expandTo18Decimals(1000);
+        const supply = await token.totalSupply();
+
+        const tx = token.burn(amount);
+        await expect(tx).to.emit(token, "Transfer").withArgs(owner.address, ethers.ZeroAddress, amount);
+        await expect(tx).to.changeTokenBalances(token, [owner, treasury], [-amount, 0n]);
+        expect(await token.totalSupply()).to.equal(supply - amount);
+      });
+
+      it("burnFrom consome a allowance", async function () {
+        const { owner, alice, token } = await loadFixture(tokenFixture);
+        const amount = expandTo18Decimals(10);
+        await token.approve(alice.address, amount);
+
+        await expect(token.connect(alice).burnFrom(owner.address, amount)).to.changeTokenBalance(token, owner, -amount);
+        expect(await token.allowance(owner.address, alice.address)).to.equal(0n);
+        await expect(token.connect(alice).burnFrom(owner.address, 1n))
+          .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance")
+          .withArgs(alice.address, 0n, 1n);
+      });
+
+      it("rejeita queimar mais que o saldo", async function () {
+        const { alice, token } = await loadFixture(tokenFixture);
+        await expect(token.connect(alice).burn(1n))
+          .to.be.revertedWithCustomError(token, "ERC20InsufficientBalance")
+          .withArgs(alice.address, 0n, 1n);
+      });
+    });
+
+    describe("par UniswapV2", function () {
+      const taxedAmount = expandTo18Decimals(100);
+      const partnerAmount = expandTo18Decimals(400);
+
+      /**
+       * @notice Deposita liquidez diretamente no par e devolve as reservas na ordem (taxado, parceiro)
+       */
+      async function addLiquidity({ owner, token, partner, pair, taxedIs0 }) {
+        const pairAddress = await pair.getAddress();
+        await token.transfer(pairAddress, taxedAmount);
+        await partner.transfer(pairAddress, partnerAmount);
+        await pair.mint(owner.address);
+        const [reserve0, reserve1] = await pair.getReserves();
+        return taxedIs0 ? [reserve0, reserve1] : [reserve1, reserve0];
+      }
+
+      it("mint: a reserva registra apenas o valor líquido", async function () {
+        const env = await loadFixture(pairFixture);
+        const { owner, treasury, token, pair } = env;
+
+        const [reserveTaxed, reservePartner] = await addLiquidity(env);
+        const net = taxedAmount - taxOf(taxedAmount, 1);
+        expect(reserveTaxed).to.equal(net);
+        expect(reservePartner).to.equal(partnerAmount);
+        expect(await token.balanceOf(treasury.address)).to.equal(taxOf(taxedAmount, 1));
+        // Liquidez inicial = sqrt(x * y) - MINIMUM_LIQUIDITY, com x já descontado da taxa
+        const liquidity = await pair.balanceOf(owner.address);
+        expect((liquidity + MINIMUM_LIQUIDITY) ** 2n <= net * partnerAmount).to.equal(true);
+        expect((liquidity + MINIMUM_LIQUIDITY + 1n) ** 2n > net * partnerAmount).to.equal(true);
+      });
+
+      it("swap de entrada taxada: cotação pelo valor bruto viola K, pelo líquido passa", async function () {
+        const env = await loadFixture(pairFixture);
+        const { owner, token, partner, pair, taxedIs0 } = env;
+        const [reserveTaxed, reservePartner] = await addLiquidity(env);
+        const amountIn = expandTo18Decimals(1);
+        const net = amountIn - taxOf(amountIn, 1);
+
+        await token.transfer(await pair.getAddress(), amountIn);
+        const naiveOut = getAmountOut(amountIn, reserveTaxed, reservePartner);
+        const netOut = getAmountOut(net, reserveTaxed, reservePartner);
+        const outputs = (amountOut) => (taxedIs0 ? [0n, amountOut] : [amountOut, 0n]);
+
+        await expect(pair.swap(...outputs(naiveOut), owner.address, "0x")).to.be.revertedWith("UniswapV2: K");
+        await expect(pair.swap(...outputs(netOut), owner.address, "0x")).to.changeTokenBalance(partner, owner, netOut);
+      });
+
+      it("swap de saída taxada: o par perde a saída inteira e o destinatário recebe o líquido", async function () {
+        const env = await loadFixture(pairFixture);
+        const { alice, treasury, token, partner, pair, taxedIs0 } = env;
+        const [reserveTaxed, reservePartner] = await addLiquidity(env);
+        const amountIn = expandTo18Decimals(4);
+
+        await partner.transfer(await pair.getAddress(), amountIn);
+        const amountOut = getAmountOut(amountIn, reservePartner, reserveTaxed);
+        await expect(pair.swap(...(taxedIs0 ? [amountOut, 0n] : [0n, amountOut]), alice.address, "0x"))
+          .to.changeTokenBalances(token, [pair, alice, treasury], [-amountOut, amountOut - taxOf(amountOut, 1), taxOf(amountOut, 1)]);
+
+        const [reserve0, reserve1] = await pair.getReserves();
+        expect(taxedIs0 ? reserve0 : reserve1).to.equal(reserveTaxed - amountOut);
+      });
+
+      it("swap: a pausa do token impede a saída do par", async function () {
+        const env = await loadFixture(pairFixture);
+        const { owner, token, partner, pair, taxedIs0 } = env;
+        const [reserveTaxed, reservePartner] = await addLiquidity(env);
+
+        await partner.transfer(await pair.getAddress(), expandTo18Decimals(4));
+        await token.pause();
+        const amountOut = getAmountOut(expandTo18Decimals(4), reservePartner, reserveTaxed);
+        await expect(pair.swap(...(taxedIs0 ? [amountOut, 0n] : [0n, amountOut]), owner.address, "0x"))
+          .to.be.revertedWith("UniswapV2: TRANSFER_FAILED");
+      });
+    });
+
+    describe("Router02", function () {
+      const taxedAmount = expandTo18Decimals(100);
+      const ETHAmount = expandTo18Decimals(10);
+
+      async function setup() {
+        const env = await loadFixture(taxedRouterFixture);
+        const { owner, token, router } = env;
+        await token.approve(await router.getAddress(), MAX);
+        await router.addLiquidityETH(await token.getAddress(), taxedAmount, 0n, ETHAmount, owner.address, MAX, { value: ETHAmount });
+        return env;
+      }
+
+      it("addLiquidityETH: o par recebe o valor líquido", async function () {
+        const { token, WETH, pair } = await setup();
+        const [reserve0, reserve1] = await pair.getReserves();
+        const expected = (await pair.token0()) === (await token.getAddress())
+          ? [taxedAmount - taxOf(taxedAmount, 1), ETHAmount]
+          : [ETHAmount, taxedAmount - taxOf(taxedAmount, 1)];
+        expect([reserve0, reserve1]).to.deep.equal(expected);
+        expect(await WETH.balanceOf(await pair.getAddress())).to.equal(ETHAmount);
+      });
+
+      it("swapExactTokensForETH sem suporte a taxa reverte com K", async function () {
+        const { owner, token, WETH, router } = await setup();
+        await expect(router.swapExactTokensForETH(
+          expandTo18Decimals(1), 0n, [await token.getAddress(), await WETH.getAddress()], owner.address, MAX
+        )).to.be.revertedWith("UniswapV2: K");
+      });
+
+      it("swapExactTokensForETHSupportingFeeOnTransferTokens cota pelo valor que chega ao par", async function () {
+        const { owner, token, WETH, router } = await setup();
+        const amountIn = expandTo18Decimals(1);
+        const path = [await token.getAddress(), await WETH.getAddress()];
+        const [, naiveOut] = await router.getAmountsOut(amountIn, path);
+        const [, expectedOut] = await router.getAmountsOut(amountIn - taxOf(amountIn, 1), path);
+
+        await expect(router.swapExactTokensForETHSupportingFeeOnTransferTokens(amountIn, naiveOut, path, owner.address, MAX))
+          .to.be.revertedWith("UniswapV2Router02: INSUFFICIENT_OUTPUT_AMOUNT");
+        await expect(router.swapExactTokensForETHSupportingFeeOnTransferTokens(amountIn, expectedOut, path, owner.address, MAX))
+          .to.changeEtherBalance(owner, expectedOut);
+      });
+
+      it("swapExactETHForTokensSupportingFeeOnTransferTokens entrega o valor líquido", async function () {
+        const { alice, treasury, token, WETH, router } = await setup();
+        const value = expandTo18Decimals(1);
+        const path = [await WETH.getAddress(), await token.getAddress()];
+        const [, amountOut] = await router.getAmountsOut(value, path);
+
+        await expect(router.swapExactETHForTokensSupportingFeeOnTransferTokens(0n, path, alice.address, MAX, { value }))
+          .to.changeTokenBalances(token, [alice, treasury], [amountOut - taxOf(amountOut, 1), taxOf(amountOut, 1)]);
+      });
+
+      it("removeLiquidityETH reverte e a variante com suporte a taxa remove a liquidez", async function () {
+        const { owner, token, router, pair } = await setup();
+        const routerAddress = await router.getAddress();
+        const liquidity = await pair.balanceOf(owner.address);
+        await pair.approve(routerAddress, MAX);
+
+        // O roteador recebe o token já taxado e tenta repassar o valor bruto
+        await expect(router.removeLiquidityETH(await token.getAddress(), liquidity, 0n, 0n, owner.address, MAX))
+          .to.be.revertedWith("TransferHelper: TRANSFER_FAILED");
+
+        await router.removeLiquidityETHSupportingFeeOnTransferTokens(await token.getAddress(), liquidity, 0n, 0n, owner.address, MAX);
+        expect(await pair.balanceOf(owner.address)).to.equal(0n);
+        expect(await token.balanceOf(routerAddress)).to.equal(0n);
+      });
+    });
+  });
+}
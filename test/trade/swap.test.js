@@ -0,0 +1,204 @@
+/**
+ * @file swap.test.js
+ * @description Testes da descoberta de rotas, escolha de cotação, impacto no preço e montagem
+ *              das chamadas de `scripts/trade/swap.js`, e da execução do script contra uma DEX implantada
+ *              na rede Hardhat local.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { CONFIG: DEFAULTS } = require("../../scripts/utils/helpers");
+const { CONFIG: REGISTRY, recordDeployment } = require("../../scripts/utils/registry");
+const { getAmountOut, getAmountIn } = require("../../scripts/utils/uniswapV2Library");
+const { findRoutes, selectBestRoute, computePriceImpact, buildSwapCall, main } = require("../../scripts/trade/swap");
+const { expandTo18Decimals, routerFixture } = require("../pool/fixtures");
+
+describe("scripts/trade/swap", function () {
+  /**
+   * @notice Monta um grafo não direcionado a partir de uma lista de pares
+   */
+  function graphOf(pairs) {
+    const graph = new Map();
+    for (const [a, b] of pairs) {
+      for (const [x, y] of [[a, b], [b, a]]) {
+        if (!graph.has(x)) {
+          graph.set(x, new Set());
+        }
+        graph.get(x).add(y);
+      }
+    }
+    return graph;
+  }
+
+  it("encontra rotas diretas e com saltos, das mais curtas para as mais longas", function () {
+    const graph = graphOf([["A", "B"], ["A", "W"], ["W", "B"], ["B", "C"], ["W", "C"]]);
+
+    expect(findRoutes(graph, "A", "B", 2)).to.deep.equal([["A", "B"], ["A", "W", "B"]]);
+    expect(findRoutes(graph, "A", "B")).to.deep.include(["A", "W", "C", "B"]);
+    expect(findRoutes(graph, "A", "C", 2)).to.deep.equal([["A", "B", "C"], ["A", "W", "C"]]);
+    expect(findRoutes(graph, "A", "C", 1)).to.deep.equal([]);
+    expect(findRoutes(graph, "A", "Z")).to.deep.equal([]);
+  });
+
+  it("escolhe a maior saída ou a menor entrada, preferindo rotas curtas no empate", function () {
+    const quotes = [
+      { path: ["A", "W", "B"], amounts: [100n, 50n, 90n] },
+      { path: ["A", "B"], amounts: [100n, 90n] },
+      { path: ["A", "C", "B"], amounts: null }
+    ];
+    expect(selectBestRoute(quotes, true).path).to.deep.equal(["A", "B"]);
+
+    const exactOut = [
+      { path: ["A", "B"], amounts: [120n, 90n] },
+      { path: ["A", "W", "B"], amounts: [110n, 60n, 90n] }
+    ];
+    expect(selectBestRoute(exactOut, false).path).to.deep.equal(["A", "W", "B"]);
+    expect(selectBestRoute([{ path: ["A", "B"], amounts: null }], true)).to.equal(null);
+  });
+
+  it("calcula o impacto no preço descontando a taxa de 0,3%", function () {
+    const reserves = [{ reserveIn: 1000000n, reserveOut: 1000000n }];
+    // Fórmula do par: out = in * 997 * rOut / (rIn * 1000 + in * 997)
+    const amountIn = 10000n;
+    const amountOut = (amountIn * 997n * 1000000n) / (1000000n * 1000n + amountIn * 997n);
+
+    // Impacto real de ~0,99%, arredondado para cima
+    expect(computePriceImpact(amountIn, amountOut, reserves)).to.equal(100n);
+    expect(computePriceImpact(1n, 0n, [{ reserveIn: 0n, reserveOut: 0n }])).to.equal(0n);
+  });
+
+  it("monta argumentos e valor conforme o tipo de swap", function () {
+    const base = { amountIn: 10n, amountOut: 20n, limit: 15n, path: ["A", "B"], recipient: "R", deadline: 99 };
+
+    expect(buildSwapCall({ ...base, method: "swapExactTokensForTokens", exactIn: true, ethIn: false }))
+      .to.deep.equal({ method: "swapExactTokensForTokens", args: [10n, 15n, ["A", "B"], "R", 99], value: 0n });
+    expect(buildSwapCall({ ...base, method: "swapExactETHForTokens", exactIn: true, ethIn: true }))
+      .to.deep.equal({ method: "swapExactETHForTokens", args: [15n, ["A", "B"], "R", 99], value: 10n });
+    expect(buildSwapCall({ ...base, method: "swapETHForExactTokens", exactIn: false, ethIn: true }))
+      .to.deep.equal({ method: "swapETHForExactTokens", args: [20n, ["A", "B"], "R", 99], value: 15n });
+    expect(buildSwapCall({ ...base, method: "swapTokensForExactETH", exactIn: false, ethIn: false }))
+      .to.deep.equal({ method: "swapTokensForExactETH", args: [20n, 15n, ["A", "B"], "R", 99], value: 0n });
+  });
+
+  describe("main", function () {
+    const TAX_PERCENT = 5n;
+    let tmpDir;
+    let previous;
+
+    beforeEach(async function () {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "swap-test-"));
+      previous = { outputDir: DEFAULTS.OUTPUT_DIR, registryDir: REGISTRY.REGISTRY_DIR };
+      DEFAULTS.OUTPUT_DIR = tmpDir;
+      REGISTRY.REGISTRY_DIR = tmpDir;
+    });
+
+    afterEach(async function () {
+      DEFAULTS.OUTPUT_DIR = previous.outputDir;
+      REGISTRY.REGISTRY_DIR = previous.registryDir;
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    /**
+     * @notice Adiciona liquidez diretamente no par, sem passar pelo roteador
+     */
+    async function seedPair(factory, tokenA, amountA, tokenB, amountB, to) {
+      const [addressA, addressB] = [await tokenA.getAddress(), await tokenB.getAddress()];
+      await factory.createPair(addressA, addressB);
+      const pair = await ethers.getContractAt("UniswapV2Pair", await factory.getPair(addressA, addressB));
+      await tokenA.transfer(await pair.getAddress(), amountA);
+      await tokenB.transfer(await pair.getAddress(), amountB);
+      await pair.mint(to);
+      return pair;
+    }
+
+    /**
+     * @notice Router02 registrado com a rota SPB (taxado) → token0 → token1
+     */
+    async function dexFixture() {
+      const env = await routerFixture();
+      const [, , , treasury] = await ethers.getSigners();
+      const SPB = await ethers.deployContract("SPBToken");
+      await SPB.setTaxReceiver(treasury.address);
+      await SPB.setTaxPercent(TAX_PERCENT);
+      const { wallet, factory, token0, token1 } = env;
+      await seedPair(factory, SPB, expandTo18Decimals(1000), token0, expandTo18Decimals(1000), wallet.address);
+      await token0.transfer(await env.pair.getAddress(), expandTo18Decimals(1000));
+      await token1.transfer(await env.pair.getAddress(), expandTo18Decimals(2000));
+      await env.pair.mint(wallet.address);
+      return { ...env, SPB, treasury };
+    }
+
+    /**
+     * @notice Reservas de um par orientadas de `tokenIn` para o outro token
+     */
+    async function reservesFrom(factory, tokenIn, tokenOut) {
+      const pair = await ethers.getContractAt("UniswapV2Pair", await factory.getPair(tokenIn, tokenOut));
+      const [reserve0, reserve1] = await pair.getReserves();
+      return (await pair.token0()) === tokenIn ? [reserve0, reserve1] : [reserve1, reserve0];
+    }
+
+    it("cota, simula e executa um swap de entrada exata por uma rota com token taxado", async function () {
+      const { wallet, factory, router02, SPB, token0, token1, treasury } = await loadFixture(dexFixture);
+      await recordDeployment("UniswapV2Router02", { address: await router02.getAddress() });
+      const [spb, middle, out] = [await SPB.getAddress(), await token0.getAddress(), await token1.getAddress()];
+      const amountIn = expandTo18Decimals(10);
+
+      // Saída esperada: a taxa reduz o que chega ao primeiro par, e cada salto segue a fórmula do par
+      const [reserveSpb, reserveMiddleIn] = await reservesFrom(factory, spb, middle);
+      const [reserveMiddleOut, reserveOut] = await reservesFrom(factory, middle, out);
+      const hop = getAmountOut(amountIn - (amountIn * TAX_PERCENT) / 100n, reserveSpb, reserveMiddleIn);
+      const expected = getAmountOut(hop, reserveMiddleOut, reserveOut);
+
+      const blockBefore = await ethers.provider.getBlockNumber();
+      const skipped = await main({ tokenIn: spb, tokenOut: out, amountIn: "10", dryRun: true });
+      expect(skipped.simulation).to.deep.equal({ skipped: "allowance" });
+      await SPB.approve(await router02.getAddress(), amountIn);
+      const simulated = await main({ tokenIn: spb, tokenOut: out, amountIn: "10", dryRun: true });
+      expect(simulated.simulation.ok).to.equal(true);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore + 1);
+      await SPB.approve(await router02.getAddress(), 0n);
+
+      const outBefore = await token1.balanceOf(wallet.address);
+      const treasuryBefore = await SPB.balanceOf(treasury.address);
+      const result = await main({ tokenIn: spb, tokenOut: out, amountIn: "10", slippage: 0 });
+
+      expect(result.method).to.equal("swapExactTokensForTokensSupportingFeeOnTransferTokens");
+      expect(result.feeOnTransfer).to.equal(true);
+      expect(result.path).to.deep.equal([spb, middle, out]);
+      expect(result.symbols).to.deep.equal(["SPB", "TT", "TT"]);
+      expect(result.approval).to.match(/^0x[0-9a-f]{64}$/);
+      expect(result.amountOut).to.equal(expected.toString());
+      expect(result.limit).to.equal(expected.toString());
+      expect(result.received).to.equal(expected.toString());
+      expect(await token1.balanceOf(wallet.address)).to.equal(outBefore + expected);
+      expect(await SPB.balanceOf(treasury.address)).to.equal(treasuryBefore + (amountIn * TAX_PERCENT) / 100n);
+      expect(await SPB.allowance(wallet.address, await router02.getAddress())).to.equal(0n);
+    });
+
+    it("executa um swap de saída exata pela cotação de getAmountsIn", async function () {
+      const { wallet, factory, router02, token0, token1 } = await loadFixture(dexFixture);
+      await recordDeployment("UniswapV2Router02", { address: await router02.getAddress() });
+      const [tokenIn, tokenOut] = [await token0.getAddress(), await token1.getAddress()];
+      const amountOut = expandTo18Decimals(5);
+      const [reserveIn, reserveOut] = await reservesFrom(factory, tokenIn, tokenOut);
+      const expectedIn = getAmountIn(amountOut, reserveIn, reserveOut);
+
+      const inBefore = await token0.balanceOf(wallet.address);
+      const outBefore = await token1.balanceOf(wallet.address);
+      const result = await main({ tokenIn, tokenOut, amountOut: "5", slippage: 100 });
+
+      expect(result.method).to.equal("swapTokensForExactTokens");
+      expect(result.exactIn).to.equal(false);
+      expect(result.path).to.deep.equal([tokenIn, tokenOut]);
+      expect(result.amountIn).to.equal(expectedIn.toString());
+      expect(result.limit).to.equal((expectedIn + (expectedIn * 100n) / 10000n).toString());
+      expect(result.received).to.equal(amountOut.toString());
+      expect(await token1.balanceOf(wallet.address)).to.equal(outBefore + amountOut);
+      expect(await token0.balanceOf(wallet.address)).to.equal(inBefore - expectedIn);
+    });
+  });
+});
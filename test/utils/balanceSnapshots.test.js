@@ -0,0 +1,140 @@
+/**
+ * @file balanceSnapshots.test.js
+ * @description Testes do histórico de saldos `scripts/utils/balanceSnapshots.js`: gravação somente de acréscimo,
+ *              classificação dos eventos Transfer e comparação de snapshots.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  toSnapshot,
+  appendSnapshot,
+  loadSnapshots,
+  selectSnapshot,
+  classifyTransfers,
+  collectMovements,
+  diffSnapshots
+} = require("../../scripts/utils/balanceSnapshots");
+const { ASSET_KINDS, buildPortfolio } = require("../../scripts/deploy/tokens/saldoTokensBalance");
+
+describe("scripts/utils/balanceSnapshots", function () {
+  const ALICE = "0x00000000000000000000000000000000000000a1";
+  const BOB = "0x00000000000000000000000000000000000000b2";
+  const TREASURY = "0x00000000000000000000000000000000000000c3";
+  const TOKEN = "0x00000000000000000000000000000000000000d4";
+  const NETWORK = { name: "hardhat", chainId: 31337n };
+  let tmpDir;
+
+  beforeEach(async function () {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "balance-snapshots-test-"));
+  });
+
+  afterEach(async function () {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * @notice Relatório mínimo com saldo nativo e um token, no formato de `buildPortfolio`
+   */
+  function report(blockNumber, tokenBalances, supply) {
+    return {
+      blockNumber,
+      accounts: [ALICE, BOB],
+      assets: [
+        { kind: ASSET_KINDS.NATIVE, key: "native", symbol: "ETH", address: null, decimals: 18, totalSupply: null, balances: [5n, 5n] },
+        { kind: ASSET_KINDS.ERC20, key: "SPBToken", symbol: "SPB", address: TOKEN, decimals: 18, totalSupply: supply, balances: tokenBalances }
+      ]
+    };
+  }
+
+  /**
+   * @notice Evento Transfer no formato do ethers
+   */
+  function transfer(transactionHash, index, from, to, value) {
+    return { transactionHash, index, args: { from, to, value } };
+  }
+
+  it("acrescenta uma linha por snapshot e filtra por rede", async function () {
+    const file = path.join(tmpDir, "nested", "snapshots.jsonl");
+    await appendSnapshot(toSnapshot(report(10, [1n, 2n], 3n), NETWORK), file);
+    await appendSnapshot(toSnapshot(report(10, [4n, 2n], 6n), { name: "sepolia", chainId: 11155111n }), file);
+    await appendSnapshot(toSnapshot(report(10, [7n, 2n], 9n), NETWORK), file);
+    await fs.appendFile(file, "{interrompido\n");
+
+    const lines = (await fs.readFile(file, "utf8")).trim().split("\n");
+    expect(lines).to.have.length(4);
+
+    const snapshots = await loadSnapshots(31337n, file);
+    expect(snapshots.map((snapshot) => snapshot.assets[1].balances[0])).to.deep.equal(["1", "7"]);
+    expect(selectSnapshot(snapshots, "10").assets[1].supply).to.equal("9");
+    expect(() => selectSnapshot(snapshots, 11)).to.throw(/Nenhum snapshot no bloco 11 \(disponíveis: 10, 10\)/);
+    expect(await loadSnapshots(1n, path.join(tmpDir, "ausente.jsonl"))).to.deep.equal([]);
+  });
+
+  it("separa a taxa, as queimas e as cunhagens das transferências comuns", function () {
+    const { accounts, burned, minted, tax } = classifyTransfers([
+      transfer("0x01", 0, ethers.ZeroAddress, ALICE, 1000n),
+      // Transferência taxada: primeiro a taxa ao receptor, depois o líquido
+      transfer("0x02", 3, ALICE, TREASURY, 1n),
+      transfer("0x02", 4, ALICE, BOB, 99n),
+      transfer("0x03", 0, BOB, ethers.ZeroAddress, 10n),
+      // Pagamento direto ao receptor, sem perna líquida em seguida
+      transfer("0x04", 0, BOB, TREASURY, 5n)
+    ], TREASURY);
+
+    expect({ burned, minted, tax }).to.deep.equal({ burned: 10n, minted: 1000n, tax: 1n });
+    expect(accounts.get(ALICE)).to.include({ minted: 1000n, taxPaid: 1n, sent: 99n });
+    expect(accounts.get(BOB)).to.include({ received: 99n, burned: 10n, sent: 5n });
+    expect(accounts.get(TREASURY)).to.include({ taxReceived: 1n, received: 5n });
+  });
+
+  it("trata o evento seguinte a uma taxa como a perna líquida, mesmo quando destinado ao taxReceiver", function () {
+    const { accounts, tax } = classifyTransfers([
+      // Na mesma transação, ALICE paga o receptor e em seguida transfere a BOB; ambas as transferências são taxadas
+      transfer("0x01", 0, ALICE, TREASURY, 1n),
+      transfer("0x01", 1, ALICE, TREASURY, 99n),
+      transfer("0x01", 2, ALICE, TREASURY, 2n),
+      transfer("0x01", 3, ALICE, BOB, 198n)
+    ], TREASURY);
+
+    expect(tax).to.equal(3n);
+    expect(accounts.get(ALICE)).to.include({ taxPaid: 3n, sent: 297n });
+    expect(accounts.get(TREASURY)).to.include({ taxReceived: 3n, received: 99n });
+    expect(accounts.get(BOB)).to.include({ received: 198n });
+  });
+
+  it("aponta como não explicada a variação sem eventos correspondentes", function () {
+    const from = toSnapshot(report(10, [100n, 0n], 100n), NETWORK);
+    const to = toSnapshot(report(12, [0n, 120n], 100n), NETWORK);
+    const movements = { [TOKEN]: { taxReceiver: null, ...classifyTransfers([transfer("0x01", 0, ALICE, BOB, 100n)], null) } };
+
+    const [native, token] = diffSnapshots(from, to, movements).assets;
+    expect(native.accounts[0]).to.include({ delta: 0n, unexplained: null });
+    expect(token.supplyDelta).to.equal(0n);
+    expect(token.accounts.map((entry) => [entry.delta, entry.unexplained])).to.deep.equal([[-100n, 0n], [120n, 20n]]);
+  });
+
+  it("explica a taxa recebida e a queima entre dois blocos", async function () {
+    const [owner, alice, treasury] = await ethers.getSigners();
+    const token = await ethers.deployContract("SPBToken");
+    await token.setTaxReceiver(treasury.address);
+    const asset = { kind: ASSET_KINDS.ERC20, key: "SPBToken", address: await token.getAddress() };
+    const accounts = [owner.address, alice.address, treasury.address];
+
+    const before = toSnapshot(await buildPortfolio([asset], accounts), NETWORK);
+    await token.transfer(alice.address, 1000n);
+    await token.connect(alice).burn(90n);
+    const after = toSnapshot(await buildPortfolio([asset], accounts), NETWORK);
+
+    const movements = { [asset.address]: await collectMovements(asset.address, before.block, after.block) };
+    const [entry] = diffSnapshots(before, after, movements).assets;
+
+    expect(entry).to.include({ supplyDelta: -90n, burned: 90n, tax: 10n, taxReceiver: treasury.address });
+    expect(entry.accounts.map((account) => [account.delta, account.unexplained])).to.deep.equal([[-1000n, 0n], [900n, 0n], [10n, 0n]]);
+    expect(entry.accounts[2].taxReceived).to.equal(10n);
+    expect(entry.accounts[1].burned).to.equal(90n);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * @file dryRun.test.js
+ * @description Testes do modo de ensaio `scripts/utils/dryRun.js` na rede Hardhat local (sem fork).
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs").promises;
+const { getNetworkContext } = require("../../scripts/utils/helpers");
+const { CONFIG: REGISTRY, getRegistryPath, recordDeployment } = require("../../scripts/utils/registry");
+const { resolveTarget, describeFees, summarizePlan, runDryRun } = require("../../scripts/utils/dryRun");
+
+describe("scripts/utils/dryRun", function () {
+  // Init code mínimo: implanta um runtime de 1 byte (0x00)
+  const INIT_CODE = "0x60016000f3";
+  const gwei = (value) => ethers.parseUnits(String(value), "gwei");
+
+  /**
+   * @notice Conteúdo atual do registro local do chainId 31337, ou null se não existir
+   */
+  async function readLocalRegistry() {
+    return fs.readFile(getRegistryPath(31337), "utf8").catch(() => null);
+  }
+
+  it("resume taxas EIP-1559 e legadas em preço estimado e máximo", function () {
+    const eip1559 = describeFees({ maxFeePerGas: gwei(62), maxPriorityFeePerGas: gwei(2) }, gwei(30));
+    expect(eip1559).to.include({ eip1559: true, estimatedPrice: gwei(32), maxPrice: gwei(62) });
+
+    const legacy = describeFees({ gasPrice: gwei(5) }, null);
+    expect(legacy).to.include({ eip1559: false, estimatedPrice: gwei(5), maxPrice: gwei(5) });
+
+    expect(summarizePlan([{ gasUsed: 100000n }, { gasUsed: 21000n }], eip1559)).to.deep.equal({
+      totalGas: 121000n,
+      estimatedCost: 121000n * gwei(32),
+      maxCost: 121000n * gwei(62)
+    });
+  });
+
+  it("resolve a rede alvo do ensaio", function () {
+    expect(resolveTarget()).to.deep.equal({ name: "hardhat", url: null, reset: false });
+    expect(resolveTarget({ fork: "sepolia" })).to.include({ name: "sepolia", reset: true });
+    expect(() => resolveTarget({ fork: "inexistente" })).to.throw(/inexistente não encontrada/);
+  });
+
+  it("monta o plano com nonces, endereços previstos e custo, sem deixar rastros", async function () {
+    const [, other] = await ethers.getSigners();
+    const registryBefore = await readLocalRegistry();
+    const blockBefore = await ethers.provider.getBlockNumber();
+    let received;
+
+    const plan = await runDryRun(async (options) => {
+      received = { options, registryDir: REGISTRY.REGISTRY_DIR };
+      const { deployer } = await getNetworkContext();
+      const tx = await deployer.sendTransaction({ data: INIT_CODE });
+      const receipt = await tx.wait();
+      await recordDeployment("Dummy", { address: receipt.contractAddress });
+      await (await deployer.sendTransaction({ to: other.address, value: 1n })).wait();
+      return "ok";
+    }, { dryRun: true, tag: "ensaio" });
+
+    expect(plan.result).to.equal("ok");
+    expect(received.options).to.deep.equal({ dryRun: false, tag: "ensaio" });
+    expect(received.registryDir).to.not.equal(REGISTRY.REGISTRY_DIR);
+
+    expect(plan.chainId).to.equal("31337");
+    expect(plan.steps.map((step) => step.nonce)).to.deep.equal([plan.startNonce, plan.startNonce + 1]);
+    expect(plan.steps[0].action).to.equal("implantar Dummy");
+    expect(plan.steps[0].predictedAddress).to.equal(plan.steps[0].address);
+    expect(plan.steps[1].action).to.equal(`${other.address}.transferência`);
+    expect(plan.steps[1].gasUsed).to.equal(21000n);
+    expect(plan.totalGas).to.equal(plan.steps[0].gasUsed + 21000n);
+    expect(plan.maxCost).to.equal(plan.totalGas * plan.fees.maxPrice);
+
+    // O estado simulado e o registro voltam ao que eram
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(await ethers.provider.getCode(plan.steps[0].address)).to.equal("0x");
+    expect(await readLocalRegistry()).to.equal(registryBefore);
+  });
+
+  it("relança o erro do script e restaura o estado", async function () {
+    const [signer] = await ethers.getSigners();
+    const nonceBefore = await ethers.provider.getTransactionCount(signer.address);
+
+    await expect(runDryRun(async () => {
+      const { deployer } = await getNetworkContext();
+      await (await deployer.sendTransaction({ to: signer.address, value: 1n })).wait();
+      throw new Error("falha simulada");
+    }, { dryRun: true })).to.be.rejectedWith("falha simulada");
+
+    expect(await ethers.provider.getTransactionCount(signer.address)).to.equal(nonceBefore);
+    expect((await getNetworkContext()).deployer.address).to.equal(signer.address);
+  });
+});
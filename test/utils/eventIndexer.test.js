@@ -0,0 +1,147 @@
+/**
+ * @file eventIndexer.test.js
+ * @description Testes do indexador de eventos da DEX `scripts/utils/eventIndexer.js`: consultas de volume, taxas
+ *              e liquidez, descarte após reorganização e sincronização com pares criados depois.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  CONFIG,
+  EVENT_TYPES,
+  loadStore,
+  rollback,
+  syncStore,
+  queryEvents,
+  getPairVolume,
+  getFeesEarned,
+  getLpFlows
+} = require("../../scripts/utils/eventIndexer");
+const { getAmountOut } = require("../../scripts/utils/uniswapV2Library");
+const { ERC20, TOKEN_SUPPLY, expandTo18Decimals, pairFixture } = require("../pool/fixtures");
+
+describe("scripts/utils/eventIndexer", function () {
+  const FACTORY = ethers.getAddress("0x00000000000000000000000000000000000000f1");
+  const PAIR = ethers.getAddress("0x00000000000000000000000000000000000000a1");
+  let tmpDir;
+  let previousStoreDir;
+
+  beforeEach(async function () {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "event-indexer-test-"));
+    previousStoreDir = CONFIG.STORE_DIR;
+    CONFIG.STORE_DIR = tmpDir;
+  });
+
+  afterEach(async function () {
+    CONFIG.STORE_DIR = previousStoreDir;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("soma volume, taxas e liquidez por par e descarta o que veio após um bloco", async function () {
+    const store = await loadStore(31337n, FACTORY, 10);
+    const swap = (block, amount0In, amount1Out) => ({
+      type: EVENT_TYPES.SWAP, pair: PAIR, block, amount0In, amount1In: "0", amount0Out: "0", amount1Out
+    });
+    store.pairs[PAIR] = { token0: FACTORY, token1: FACTORY, index: 0, createdBlock: 10 };
+    store.events.push(
+      { type: EVENT_TYPES.MINT, pair: PAIR, block: 11, amount0: "1000", amount1: "4000" },
+      swap(12, "1000", "1990"),
+      swap(13, "333", "600"),
+      { type: EVENT_TYPES.BURN, pair: PAIR, block: 14, amount0: "100", amount1: "200" }
+    );
+    store.lastBlock = 14;
+    store.blockHashes = { 12: "0x12", 14: "0x14" };
+
+    expect(getPairVolume(store, PAIR)).to.deep.equal({ swaps: 2, amountIn: [1333n, 0n], amountOut: [0n, 2590n] });
+    // 3/1000 do total de entrada, arredondado para baixo
+    expect(getFeesEarned(store, PAIR)).to.deep.equal([3n, 0n]);
+    expect(getFeesEarned(store, PAIR, { toBlock: 12 })).to.deep.equal([3n, 0n]);
+    expect(getLpFlows(store, PAIR)).to.deep.equal({
+      mints: 1, burns: 1, added: [1000n, 4000n], removed: [100n, 200n], net: [900n, 3800n]
+    });
+
+    expect(rollback(store, 12)).to.equal(2);
+    expect(store.lastBlock).to.equal(12);
+    expect(store.blockHashes).to.deep.equal({ 12: "0x12" });
+    expect(queryEvents(store).map((event) => event.block)).to.deep.equal([11, 12]);
+    rollback(store, 9);
+    expect(store.pairs).to.deep.equal({});
+  });
+
+  it("segue pares novos e reindexa os blocos trocados por uma reorganização", async function () {
+    const { wallet, factory, token0, token1, pair } = await pairFixture();
+    const { chainId } = await ethers.provider.getNetwork();
+    const startBlock = (await factory.deploymentTransaction().wait()).blockNumber;
+    const pairAddress = await pair.getAddress();
+
+    await token0.transfer(pairAddress, expandTo18Decimals(10));
+    await token1.transfer(pairAddress, expandTo18Decimals(40));
+    await pair.mint(wallet.address);
+
+    const store = await loadStore(chainId, await factory.getAddress(), startBlock);
+    await syncStore(store, { chunkSize: 3 });
+    expect(store.pairs[pairAddress].index).to.equal(0);
+    expect(queryEvents(store).map((event) => event.type)).to.deep.equal([EVENT_TYPES.PAIR_CREATED, EVENT_TYPES.SYNC, EVENT_TYPES.MINT]);
+
+    // Swap indexado e depois desfeito: a cadeia volta ao snapshot e segue por outro caminho
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    const [reserve0, reserve1] = await pair.getReserves();
+    await token0.transfer(pairAddress, expandTo18Decimals(1));
+    await pair.swap(0n, getAmountOut(expandTo18Decimals(1), reserve0, reserve1), wallet.address, "0x");
+    await syncStore(store);
+    expect(getPairVolume(store, pairAddress).swaps).to.equal(1);
+    await ethers.provider.send("evm_revert", [snapshot]);
+
+    const token2 = await ethers.deployContract(ERC20, [TOKEN_SUPPLY]);
+    await factory.createPair(await token0.getAddress(), await token2.getAddress());
+    const newPair = await factory.getPair(await token0.getAddress(), await token2.getAddress());
+    await token0.transfer(newPair, expandTo18Decimals(1));
+    await token2.transfer(newPair, expandTo18Decimals(1));
+    await (await ethers.getContractAt("UniswapV2Pair", newPair)).mint(wallet.address);
+
+    const result = await syncStore(store, { chunkSize: 2 });
+    expect(result.reorged).to.equal(2);
+    expect(getPairVolume(store, pairAddress).swaps).to.equal(0);
+    expect(store.pairs[newPair].index).to.equal(1);
+    expect(getLpFlows(store, newPair).added).to.deep.equal([expandTo18Decimals(1), expandTo18Decimals(1)]);
+
+    // O arquivo gravado retoma do mesmo ponto
+    const reloaded = await loadStore(chainId, await factory.getAddress(), startBlock);
+    expect(reloaded.lastBlock).to.equal(store.lastBlock);
+    expect(reloaded.events).to.have.length(store.events.length);
+  });
+
+  it("detecta reorganização em bloco sem eventos após uma sincronização com intervalo grande", async function () {
+    const { wallet, factory, token0, token1, pair } = await pairFixture();
+    const { chainId } = await ethers.provider.getNetwork();
+    const startBlock = (await factory.deploymentTransaction().wait()).blockNumber;
+    const pairAddress = await pair.getAddress();
+    await token0.transfer(pairAddress, expandTo18Decimals(10));
+    await token1.transfer(pairAddress, expandTo18Decimals(40));
+    await pair.mint(wallet.address);
+
+    // Período sem atividade maior que a janela de reorganização, lido em um único intervalo
+    await ethers.provider.send("hardhat_mine", [ethers.toQuantity(CONFIG.REORG_DEPTH + 10)]);
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await ethers.provider.send("hardhat_mine", ["0x2"]);
+    const store = await loadStore(chainId, await factory.getAddress(), startBlock);
+    await syncStore(store);
+    const lastBlock = store.lastBlock;
+    expect(Object.keys(store.blockHashes)).to.have.length(CONFIG.REORG_DEPTH);
+
+    // Outra cadeia substitui os dois últimos blocos (vazios) indexados
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await token0.transfer(ethers.Wallet.createRandom().address, 1n);
+    await ethers.provider.send("hardhat_mine", ["0x2"]);
+
+    const result = await syncStore(store);
+    expect(result.reorged).to.equal(0);
+    expect(result.fromBlock).to.equal(lastBlock - 1);
+    expect(store.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(store.blockHashes[store.lastBlock]).to.equal((await ethers.provider.getBlock("latest")).hash);
+    expect(getLpFlows(store, pairAddress).mints).to.equal(1);
+  });
+});
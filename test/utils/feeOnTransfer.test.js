@@ -0,0 +1,97 @@
+/**
+ * @file feeOnTransfer.test.js
+ * @description Testes do suporte a tokens com taxa na transferência `scripts/utils/feeOnTransfer.js`.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  detectTransferTax,
+  applyTransferTax,
+  grossUpForTax,
+  pathHasTransferTax,
+  getSwapMethod
+} = require("../../scripts/utils/feeOnTransfer");
+
+describe("scripts/utils/feeOnTransfer", function () {
+  const RECEIVER = "0x00000000000000000000000000000000000000aa";
+  const PAIR = "0x00000000000000000000000000000000000000bb";
+
+  /**
+   * @notice Monta o resultado de `detectTransferTax` para um percentual
+   */
+  function taxOf(percent, address = "0x0000000000000000000000000000000000000001") {
+    return {
+      address: ethers.getAddress(address),
+      taxed: percent > 0,
+      taxPercent: BigInt(percent),
+      maxTaxPercent: 10n,
+      taxReceiver: ethers.getAddress(RECEIVER),
+      owner: ethers.getAddress(RECEIVER),
+      exemptRecipients: [ethers.getAddress(RECEIVER)]
+    };
+  }
+
+  it("desconta a taxa como o _transfer dos tokens", function () {
+    expect(applyTransferTax(1000n, taxOf(1), PAIR)).to.equal(990n);
+    expect(applyTransferTax(99n, taxOf(1), PAIR)).to.equal(99n);
+    expect(applyTransferTax(1000n, taxOf(10), PAIR)).to.equal(900n);
+    expect(applyTransferTax(1000n, null, PAIR)).to.equal(1000n);
+  });
+
+  it("não taxa transferências para o receptor da taxa", function () {
+    expect(applyTransferTax(1000n, taxOf(5), RECEIVER)).to.equal(1000n);
+  });
+
+  it("calcula o menor valor bruto que entrega o valor líquido", function () {
+    for (const percent of [1, 3, 10]) {
+      const tax = taxOf(percent);
+      for (const net of [1n, 99n, 1000n, ethers.parseEther("10000")]) {
+        const gross = grossUpForTax(net, tax, PAIR);
+        expect(applyTransferTax(gross, tax, PAIR)).to.be.gte(net);
+        expect(applyTransferTax(gross - 1n, tax, PAIR)).to.be.lt(net);
+      }
+    }
+    expect(grossUpForTax(1000n, taxOf(0), PAIR)).to.equal(1000n);
+  });
+
+  it("identifica rotas com tokens taxados", function () {
+    const taxed = taxOf(1, "0x0000000000000000000000000000000000000001");
+    const plain = taxOf(0, "0x0000000000000000000000000000000000000002");
+    const taxes = { [taxed.address]: taxed, [plain.address]: plain };
+
+    expect(pathHasTransferTax([plain.address, taxed.address], taxes)).to.equal(true);
+    expect(pathHasTransferTax([plain.address], taxes)).to.equal(false);
+  });
+
+  it("escolhe as variantes SupportingFeeOnTransferTokens quando há taxa", function () {
+    expect(getSwapMethod({ exactIn: true })).to.equal("swapExactTokensForTokens");
+    expect(getSwapMethod({ exactIn: true, feeOnTransfer: true }))
+      .to.equal("swapExactTokensForTokensSupportingFeeOnTransferTokens");
+    expect(getSwapMethod({ exactIn: true, ethIn: true, feeOnTransfer: true }))
+      .to.equal("swapExactETHForTokensSupportingFeeOnTransferTokens");
+    expect(getSwapMethod({ exactIn: true, ethOut: true, feeOnTransfer: true }))
+      .to.equal("swapExactTokensForETHSupportingFeeOnTransferTokens");
+    expect(getSwapMethod({ exactIn: false, ethIn: true })).to.equal("swapETHForExactTokens");
+    expect(() => getSwapMethod({ exactIn: false, feeOnTransfer: true })).to.throw(/saída exata/);
+  });
+
+  it("trata contas sem as funções de taxa como tokens sem taxa", async function () {
+    const [, other] = await ethers.getSigners();
+    const tax = await detectTransferTax(other.address);
+    expect(tax.taxed).to.equal(false);
+    expect(tax.taxReceiver).to.equal(null);
+  });
+
+  it("detecta taxa, receptor e limite do SPBToken", async function () {
+    const [deployer] = await ethers.getSigners();
+    const token = await ethers.deployContract("SPBToken");
+    const tax = await detectTransferTax(await token.getAddress());
+
+    expect(tax.taxed).to.equal(true);
+    expect(tax.taxPercent).to.equal(1n);
+    expect(tax.maxTaxPercent).to.equal(10n);
+    expect(tax.taxReceiver).to.equal(deployer.address);
+    expect(tax.owner).to.equal(deployer.address);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * @file gasStrategy.test.js
+ * @description Testes da estratégia de preço de gás `scripts/utils/gasStrategy.js`.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  CONFIG,
+  setGasNetworkOverride,
+  resolveGasSettings,
+  computeEip1559Fees,
+  computeLegacyFees,
+  getFeeOverrides,
+  applyGasMultiplier,
+  getGasOverrides,
+  sendWithGasStrategy
+} = require("../../scripts/utils/gasStrategy");
+
+describe("scripts/utils/gasStrategy", function () {
+  const gwei = (value) => ethers.parseUnits(String(value), "gwei");
+  const settings = { minPriorityFeePerGas: gwei(1), maxFeePerGas: gwei(100) };
+
+  afterEach(function () {
+    delete process.env[CONFIG.MAX_FEE_ENV];
+    setGasNetworkOverride(null);
+  });
+
+  it("resolve os parâmetros por rede, o teto do ambiente e o gasMultiplier", function () {
+    expect(resolveGasSettings()).to.include({ blocks: 10, percentile: 50, maxFeePerGas: gwei(200), gasMultiplier: 1 });
+    expect(resolveGasSettings("polygon")).to.include({ percentile: 75, minPriorityFeePerGas: gwei(30), gasMultiplier: 1.5 });
+
+    setGasNetworkOverride("mumbai");
+    expect(resolveGasSettings()).to.include({ maxFeePerGas: gwei(1000), gasMultiplier: 1.2 });
+
+    process.env[CONFIG.MAX_FEE_ENV] = "42.5";
+    expect(resolveGasSettings().maxFeePerGas).to.equal(gwei("42.5"));
+  });
+
+  it("usa a mediana das gorjetas, respeitando o mínimo da rede", function () {
+    expect(computeEip1559Fees(gwei(20), [gwei(3), gwei(1), gwei(5)], settings))
+      .to.deep.equal({ maxPriorityFeePerGas: gwei(3), maxFeePerGas: gwei(43) });
+    expect(computeEip1559Fees(gwei(20), [0n, 0n], settings))
+      .to.deep.equal({ maxPriorityFeePerGas: gwei(1), maxFeePerGas: gwei(41) });
+    expect(computeEip1559Fees(gwei(20), [], settings).maxPriorityFeePerGas).to.equal(gwei(1));
+  });
+
+  it("limita a taxa máxima ao teto e falha quando a taxa base não cabe", function () {
+    expect(computeEip1559Fees(gwei(60), [gwei(2)], settings))
+      .to.deep.equal({ maxPriorityFeePerGas: gwei(2), maxFeePerGas: gwei(100) });
+    expect(() => computeEip1559Fees(gwei(99), [gwei(2)], settings)).to.throw(/101\.0 gwei\) acima do teto de 100\.0 gwei/);
+  });
+
+  it("valida o preço legado contra o teto", function () {
+    expect(computeLegacyFees(gwei(80), settings)).to.deep.equal({ gasPrice: gwei(80) });
+    expect(() => computeLegacyFees(gwei(150), settings)).to.throw(/Preço do gás .* acima do teto/);
+  });
+
+  it("aplica o gasMultiplier à estimativa", function () {
+    expect(applyGasMultiplier(100000n, 1.2)).to.equal(120000n);
+    expect(applyGasMultiplier(100000n, 1.5)).to.equal(150000n);
+    expect(applyGasMultiplier(21000n)).to.equal(21000n);
+  });
+
+  it("deriva as taxas do eth_feeHistory da rede conectada", async function () {
+    const [signer, other] = await ethers.getSigners();
+    await (await signer.sendTransaction({ to: other.address, value: 1n, maxPriorityFeePerGas: gwei(7) })).wait();
+
+    const history = await ethers.provider.send("eth_feeHistory", ["0x1", "latest", [50]]);
+    const fees = await getFeeOverrides();
+    expect(fees.maxPriorityFeePerGas).to.be.at.least(gwei("0.1"));
+    expect(fees.maxFeePerGas).to.equal(BigInt(history.baseFeePerGas[1]) * 2n + fees.maxPriorityFeePerGas);
+  });
+
+  it("envia chamadas de contrato com as taxas e o limite de gás da estratégia", async function () {
+    const [signer] = await ethers.getSigners();
+    const target = "0x00000000000000000000000000000000000000d0";
+    await ethers.provider.send("hardhat_setCode", [target, "0x00"]);
+    const contract = new ethers.Contract(target, ["function ping(uint256)"], signer);
+    const estimate = await contract.ping.estimateGas(1n);
+
+    const tx = await sendWithGasStrategy(contract.ping, [1n]);
+    await tx.wait();
+    expect(tx.gasLimit).to.equal(estimate);
+    expect(tx.maxPriorityFeePerGas).to.be.at.least(gwei("0.1"));
+
+    // O gasMultiplier da rede (mumbai: 1.2) vale para o limite de gás
+    setGasNetworkOverride("mumbai");
+    const overrides = await getGasOverrides({ value: 5n, estimate: async () => 100000n });
+    expect(overrides).to.include({ value: 5n, gasLimit: 120000n });
+    expect(overrides.maxPriorityFeePerGas).to.be.at.least(gwei(30));
+  });
+});
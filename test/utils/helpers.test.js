@@ -0,0 +1,167 @@
+/**
+ * @file helpers.test.js
+ * @description Testes unitários da biblioteca compartilhada `scripts/utils/helpers.js`,
+ *              executados contra a rede Hardhat em processo.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const helpers = require("../../scripts/utils/helpers");
+
+describe("scripts/utils/helpers", function () {
+  let tmpDir;
+
+  beforeEach(async function () {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "helpers-test-"));
+  });
+
+  afterEach(async function () {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("validateEnvVariables", function () {
+    let savedKey;
+
+    beforeEach(function () {
+      savedKey = process.env.PRIVATE_KEY;
+      delete process.env.PRIVATE_KEY;
+    });
+
+    afterEach(function () {
+      if (savedKey !== undefined) process.env.PRIVATE_KEY = savedKey;
+    });
+
+    it("aceita redes locais sem PRIVATE_KEY", async function () {
+      expect(await helpers.validateEnvVariables("hardhat")).to.equal(true);
+    });
+
+    it("exige PRIVATE_KEY em redes de produção", async function () {
+      await expect(helpers.validateEnvVariables("sepolia")).to.be.rejectedWith(/PRIVATE_KEY/);
+    });
+  });
+
+  describe("validateNetwork", function () {
+    it("aceita o chainId da rede Hardhat", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      expect(await helpers.validateNetwork({ name: "hardhat", chainId })).to.equal(true);
+    });
+
+    it("rejeita chainIds desconhecidos", async function () {
+      await expect(helpers.validateNetwork({ name: "goerli", chainId: 5n })).to.be.rejectedWith(/Rede inválida/);
+    });
+  });
+
+  describe("checkDeployerBalance", function () {
+    it("aceita contas com saldo suficiente", async function () {
+      const [deployer] = await ethers.getSigners();
+      expect(await helpers.checkDeployerBalance(deployer)).to.equal(true);
+    });
+
+    it("rejeita contas sem saldo", async function () {
+      const empty = ethers.Wallet.createRandom();
+      await expect(helpers.checkDeployerBalance(empty)).to.be.rejectedWith(/Saldo insuficiente/);
+    });
+  });
+
+  describe("bytecode", function () {
+    it("calcula o tamanho em bytes", function () {
+      expect(helpers.getBytecodeSize("0x")).to.equal(0);
+      expect(helpers.getBytecodeSize("0x6001")).to.equal(2);
+    });
+
+    it("rejeita bytecode acima do limite EIP-170", async function () {
+      const bytecode = "0x" + "00".repeat(helpers.CONFIG.MAX_BYTECODE_SIZE + 1);
+      await expect(helpers.validateBytecodeSize({ bytecode }, "Huge")).to.be.rejectedWith(/excede o limite/);
+    });
+  });
+
+  describe("normalizeConstructorArgs", function () {
+    it("mantém arrays e converte objetos nomeados na ordem declarada", function () {
+      expect(helpers.normalizeConstructorArgs([1, 2])).to.deep.equal([1, 2]);
+      expect(helpers.normalizeConstructorArgs({ factory: "a", weth: "b" })).to.deep.equal(["a", "b"]);
+      expect(helpers.normalizeConstructorArgs()).to.deep.equal([]);
+    });
+  });
+
+  describe("applySlippage", function () {
+    it("aplica a tolerância em pontos-base", function () {
+      expect(helpers.applySlippage(10000n, 50)).to.equal(9950n);
+      expect(helpers.applySlippage(10000n, 0)).to.equal(10000n);
+      expect(helpers.applySlippage(999n, 100)).to.equal(989n);
+      expect(() => helpers.applySlippage(10000n, 10001)).to.throw(/Slippage inválido/);
+    });
+
+    it("acrescenta a tolerância ao limite máximo de entrada", function () {
+      expect(helpers.addSlippage(10000n, 50)).to.equal(10050n);
+      expect(() => helpers.addSlippage(10000n, -1)).to.throw(/Slippage inválido/);
+    });
+  });
+
+  describe("arquivos JSON", function () {
+    it("lê com fallback quando o arquivo não existe", async function () {
+      expect(await helpers.readJsonFile(path.join(tmpDir, "missing.json"), {})).to.deep.equal({});
+      await expect(helpers.readJsonFile(path.join(tmpDir, "missing.json"))).to.be.rejectedWith(/Falha ao ler/);
+    });
+
+    it("grava bigint como string decimal", async function () {
+      const filePath = path.join(tmpDir, "nested", "data.json");
+      await helpers.writeJsonFile(filePath, { value: 10n ** 18n });
+      expect(await helpers.readJsonFile(filePath)).to.deep.equal({ value: "1000000000000000000" });
+    });
+
+    it("salva endereços no diretório informado", async function () {
+      const filePath = await helpers.saveAddresses({ WETH9: ethers.ZeroAddress }, "addresses.json", tmpDir);
+      expect(await helpers.readJsonFile(filePath)).to.deep.equal({ WETH9: ethers.ZeroAddress });
+    });
+
+    it("acrescenta logs e reinicia arquivos corrompidos", async function () {
+      const filePath = path.join(tmpDir, "logs.json");
+      await fs.writeFile(filePath, "{ not json", "utf8");
+
+      await helpers.saveDeploymentLogs({ run: 1 }, "logs.json", tmpDir);
+      await helpers.saveDeploymentLogs({ run: 2 }, "logs.json", tmpDir);
+
+      expect(await helpers.readJsonFile(filePath)).to.deep.equal([{ run: 1 }, { run: 2 }]);
+    });
+  });
+
+  describe("contexto de rede", function () {
+    it("retorna deployer, nome e chainId da rede conectada", async function () {
+      const [signer] = await ethers.getSigners();
+      const context = await helpers.getNetworkContext();
+      expect(context.deployer.address).to.equal(signer.address);
+      expect(context.networkName).to.equal("hardhat");
+      expect(context.chainId).to.equal(31337n);
+
+      const info = await helpers.collectNetworkInfo(context.networkName, context.chainId);
+      expect(info.chainId).to.equal("31337");
+      expect(info.blockNumber).to.be.a("number");
+    });
+  });
+
+  describe("deployContract", function () {
+    it("implanta o contrato e retorna os dados da transação", async function () {
+      const [deployer] = await ethers.getSigners();
+      const deployment = await helpers.deployContract("WETH9", deployer);
+
+      expect(ethers.isAddress(deployment.address)).to.equal(true);
+      expect(deployment.constructorArgs).to.deep.equal([]);
+      expect(await ethers.provider.getCode(deployment.address)).to.not.equal("0x");
+
+      const log = await helpers.buildContractLog(deployment);
+      expect(log.txHash).to.equal(deployment.txHash);
+      expect(log.bytecodeSize).to.be.greaterThan(0);
+    });
+
+    it("repassa argumentos nomeados ao construtor", async function () {
+      const [deployer] = await ethers.getSigners();
+      const deployment = await helpers.deployContract("UniswapV2Factory", deployer, {
+        feeToSetter: deployer.address
+      });
+      expect(await deployment.contract.feeToSetter()).to.equal(deployer.address);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * @file holderIndex.test.js
+ * @description Testes do índice de detentores `scripts/utils/holderIndex.js`: saldos reconstruídos pelos eventos,
+ *              varredura em intervalos desde a implantação e retomada a partir do progresso gravado.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { CONFIG: REGISTRY } = require("../../scripts/utils/registry");
+const { CONFIG, getCachePath, applyTransfers, findDeploymentBlock, indexHolders } = require("../../scripts/utils/holderIndex");
+const { ERC20, TOKEN_SUPPLY } = require("../pool/fixtures");
+
+describe("scripts/utils/holderIndex", function () {
+  const TOKEN = "0x00000000000000000000000000000000000000c3";
+  const ACCOUNT_A = ethers.getAddress("0x00000000000000000000000000000000000000a1");
+  const ACCOUNT_B = ethers.getAddress("0x00000000000000000000000000000000000000b2");
+  let tmpDir;
+  let previousCacheDir;
+  let previousRegistryDir;
+
+  beforeEach(async function () {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "holder-index-test-"));
+    previousCacheDir = CONFIG.CACHE_DIR;
+    previousRegistryDir = REGISTRY.REGISTRY_DIR;
+    CONFIG.CACHE_DIR = path.join(tmpDir, "holders");
+    REGISTRY.REGISTRY_DIR = path.join(tmpDir, "registry");
+  });
+
+  afterEach(async function () {
+    CONFIG.CACHE_DIR = previousCacheDir;
+    REGISTRY.REGISTRY_DIR = previousRegistryDir;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("reconstrói os saldos por Transfer, Deposit e Withdrawal, sem o endereço zero", function () {
+    const iface = new ethers.Interface([
+      "event Transfer(address indexed from, address indexed to, uint256 value)",
+      "event Deposit(address indexed dst, uint256 wad)",
+      "event Withdrawal(address indexed src, uint256 wad)"
+    ]);
+    const log = (name, args) => ({ address: TOKEN, ...iface.encodeEventLog(name, args) });
+
+    const balances = applyTransfers(new Map(), [
+      log("Transfer", [ethers.ZeroAddress, ACCOUNT_A, 100n]),
+      log("Transfer", [ACCOUNT_A, ACCOUNT_B, 30n]),
+      log("Deposit", [ACCOUNT_B, 5n]),
+      log("Withdrawal", [ACCOUNT_B, 35n]),
+      log("Transfer", [ACCOUNT_A, ethers.ZeroAddress, 10n])
+    ]);
+    // B zerou o saldo, mas continua na lista de quem já teve o token
+    expect([...balances]).to.deep.equal([[ACCOUNT_A, 60n], [ACCOUNT_B, 0n]]);
+  });
+
+  it("varre desde a implantação em intervalos e retoma só os blocos novos", async function () {
+    const [wallet, other, third] = await ethers.getSigners();
+    const token = await ethers.deployContract(ERC20, [TOKEN_SUPPLY]);
+    const deploymentBlock = (await token.deploymentTransaction().wait()).blockNumber;
+    const address = await token.getAddress();
+    const cachePath = getCachePath((await ethers.provider.getNetwork()).chainId, address);
+    expect(await findDeploymentBlock(address)).to.equal(deploymentBlock);
+
+    await token.transfer(other.address, 100n);
+    await token.transfer(third.address, 10n);
+    const first = await indexHolders(address, { chunkSize: 2 });
+    expect(first.fromBlock).to.equal(deploymentBlock);
+    expect(first.holders).to.deep.equal([
+      { account: wallet.address, balance: TOKEN_SUPPLY - 110n },
+      { account: other.address, balance: 100n },
+      { account: third.address, balance: 10n }
+    ]);
+    const cache = JSON.parse(await fs.readFile(cachePath, "utf8"));
+    expect(cache.lastBlock).to.equal(first.toBlock);
+
+    // Execução seguinte: só o bloco da nova transferência é varrido
+    await token.connect(third).transfer(other.address, 10n);
+    const second = await indexHolders(address, { chunkSize: 2 });
+    expect(second.scannedBlocks).to.equal(1);
+    expect(second.holders.map((holder) => holder.account)).to.deep.equal([wallet.address, other.address]);
+
+    // Um bloco anterior ao progresso é varrido de novo, sem alterar o cache
+    const past = await indexHolders(address, { toBlock: first.toBlock });
+    expect(past.holders).to.deep.equal(first.holders);
+    const unchanged = JSON.parse(await fs.readFile(cachePath, "utf8"));
+    expect(unchanged.lastBlock).to.equal(second.toBlock);
+  });
+
+  it("descarta o progresso gravado em outra cadeia com o mesmo token e bloco de implantação", async function () {
+    const [, other, third] = await ethers.getSigners();
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    const token = await ethers.deployContract(ERC20, [TOKEN_SUPPLY]);
+    const address = await token.getAddress();
+    await token.transfer(other.address, 100n);
+    const first = await indexHolders(address);
+    expect(first.holders.map((holder) => holder.account)).to.include(other.address);
+
+    // Como um nó local reiniciado: mesmo endereço e bloco de implantação, outra história e cadeia mais alta
+    await ethers.provider.send("evm_revert", [snapshot]);
+    const replayed = await ethers.deployContract(ERC20, [TOKEN_SUPPLY]);
+    expect(await replayed.getAddress()).to.equal(address);
+    await replayed.transfer(third.address, 7n);
+    await ethers.provider.send("hardhat_mine", ["0x3"]);
+    expect(await ethers.provider.getBlockNumber()).to.be.greaterThan(first.toBlock);
+
+    const second = await indexHolders(address);
+    expect(second.fromBlock).to.equal(first.fromBlock);
+    expect(second.scannedBlocks).to.equal(second.toBlock - second.fromBlock + 1);
+    expect(second.holders.map((holder) => holder.account)).to.not.include(other.address);
+    expect(second.holders.find((holder) => holder.account === third.address).balance).to.equal(7n);
+    const cache = JSON.parse(await fs.readFile(getCachePath(31337, address), "utf8"));
+    expect(cache.lastBlockHash).to.equal((await ethers.provider.getBlock(second.toBlock)).hash);
+  });
+});
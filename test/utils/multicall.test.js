@@ -0,0 +1,122 @@
+/**
+ * @file multicall.test.js
+ * @description Testes da camada de leitura em lote `scripts/utils/multicall.js`: novas tentativas com espera
+ *              exponencial, leituras individuais sem Multicall3 e agregação pelo contrato `Multicall3`.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { CONFIG: REGISTRY, getDeploymentAddress } = require("../../scripts/utils/registry");
+const { CONFIG, withRetry, getMulticall, aggregate, multicall, getBalances, deployMulticall } = require("../../scripts/utils/multicall");
+const { ERC20, TOKEN_SUPPLY } = require("../pool/fixtures");
+
+describe("scripts/utils/multicall", function () {
+  // Código de execução que devolve 42 para qualquer chamada e código que sempre reverte
+  const RETURNS_42 = "0x602a60005260206000f3";
+  const REVERTS = "0x60006000fd";
+  const CONSTANT = "0x00000000000000000000000000000000000000e1";
+  const FAILING = "0x00000000000000000000000000000000000000e2";
+  const BALANCE_ABI = ["function balanceOf(address owner) view returns (uint256)"];
+  let tmpDir;
+  let previousRegistryDir;
+
+  beforeEach(async function () {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "multicall-test-"));
+    previousRegistryDir = REGISTRY.REGISTRY_DIR;
+    REGISTRY.REGISTRY_DIR = tmpDir;
+    await ethers.provider.send("hardhat_setCode", [CONSTANT, RETURNS_42]);
+    await ethers.provider.send("hardhat_setCode", [FAILING, REVERTS]);
+  });
+
+  afterEach(async function () {
+    REGISTRY.REGISTRY_DIR = previousRegistryDir;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("repete a operação com espera exponencial até as tentativas se esgotarem", async function () {
+    const waits = [];
+    let calls = 0;
+    const started = Date.now();
+    const value = await withRetry(async () => {
+      waits.push(Date.now() - started);
+      if (++calls < 3) {
+        throw new Error("timeout");
+      }
+      return "ok";
+    }, { attempts: 3, delay: 20 });
+
+    expect(value).to.equal("ok");
+    // 20 ms antes da segunda tentativa e 40 ms antes da terceira
+    expect(waits[2] - waits[1]).to.be.at.least(waits[1] - waits[0]);
+    expect(waits[2]).to.be.at.least(60);
+
+    calls = 0;
+    await expect(withRetry(async () => {
+      calls++;
+      throw new Error("sempre falha");
+    }, { attempts: 2, delay: 1 })).to.be.rejectedWith("sempre falha");
+    expect(calls).to.equal(2);
+  });
+
+  it("faz as leituras uma a uma quando não há Multicall3 na rede", async function () {
+    expect(await getMulticall()).to.equal(null);
+
+    const [wallet, other] = await ethers.getSigners();
+    const values = await multicall([
+      { target: CONSTANT, interface: BALANCE_ABI, method: "balanceOf", args: [wallet.address] },
+      { target: FAILING, interface: BALANCE_ABI, method: "balanceOf", args: [wallet.address], allowFailure: true },
+      { target: other.address, interface: BALANCE_ABI, method: "balanceOf", args: [wallet.address], allowFailure: true }
+    ]);
+    expect(values).to.deep.equal([42n, null, null]);
+    await expect(aggregate([{ target: FAILING, callData: "0x" }], { multicall: null })).to.be.rejected;
+
+    expect(await getBalances(null, [wallet.address, other.address]))
+      .to.deep.equal([await ethers.provider.getBalance(wallet.address), await ethers.provider.getBalance(other.address)]);
+  });
+
+  it("implanta o Multicall3 uma vez e agrega saldos em lotes no bloco pedido", async function () {
+    const [wallet, other] = await ethers.getSigners();
+    const first = await deployMulticall(wallet);
+    expect(first.deployed).to.equal(true);
+    expect(await getDeploymentAddress(CONFIG.CONTRACT_NAME)).to.equal(first.address);
+    expect(await deployMulticall(wallet)).to.deep.equal({ address: first.address, deployed: false });
+
+    const token = await ethers.deployContract(ERC20, [TOKEN_SUPPLY]);
+    const blockTag = await ethers.provider.getBlockNumber();
+    await token.transfer(other.address, 5n);
+
+    // Mais contas que um lote: as respostas voltam na ordem das contas
+    const accounts = Array.from({ length: CONFIG.BATCH_SIZE + 3 }, (_, index) => (index % 2 === 0 ? wallet.address : other.address));
+    const balances = await getBalances(await token.getAddress(), accounts, { blockTag });
+    expect(balances).to.have.length(accounts.length);
+    expect(new Set(balances.map(String))).to.deep.equal(new Set([TOKEN_SUPPLY.toString(), "0"]));
+    expect((await getBalances(await token.getAddress(), [other.address]))[0]).to.equal(5n);
+
+    const native = await getBalances(null, [wallet.address], { blockTag });
+    expect(native[0]).to.equal(await ethers.provider.getBalance(wallet.address, blockTag));
+
+    const results = await aggregate([{ target: FAILING, callData: "0x", allowFailure: true }, { target: CONSTANT, callData: "0x" }]);
+    expect(results.map((result) => result.success)).to.deep.equal([false, true]);
+    await expect(aggregate([{ target: FAILING, callData: "0x" }], { multicall: await getMulticall() }))
+      .to.be.rejectedWith(/Multicall3: call failed/);
+  });
+
+  it("lê individualmente os blocos anteriores à implantação do Multicall3", async function () {
+    const [wallet, other] = await ethers.getSigners();
+    const token = await ethers.deployContract(ERC20, [TOKEN_SUPPLY]);
+    await token.transfer(other.address, 7n);
+    const blockTag = await ethers.provider.getBlockNumber();
+    const { address } = await deployMulticall(wallet);
+    await token.transfer(other.address, 3n);
+
+    expect(await getMulticall(blockTag)).to.equal(null);
+    expect((await getMulticall()).target).to.equal(address);
+    expect(await getBalances(await token.getAddress(), [wallet.address, other.address], { blockTag }))
+      .to.deep.equal([TOKEN_SUPPLY - 7n, 7n]);
+    expect(await getBalances(null, [other.address], { blockTag }))
+      .to.deep.equal([await ethers.provider.getBalance(other.address, blockTag)]);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @file orchestrator.test.js
+ * @description Testes do motor de etapas `scripts/utils/orchestrator.js`: ordenação por dependências,
+ *              pulo de etapas concluídas e retomada após falha.
+ */
+
+const { expect } = require("chai");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { resolveOrder, runSteps, loadState, STEP_STATUS } = require("../../scripts/utils/orchestrator");
+
+describe("scripts/utils/orchestrator", function () {
+  let tmpDir;
+  let statePath;
+
+  beforeEach(async function () {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "orchestrator-test-"));
+    statePath = path.join(tmpDir, "state.json");
+  });
+
+  afterEach(async function () {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * @notice Cria uma etapa que registra sua execução em `calls`
+   */
+  function step(id, dependsOn, calls, options = {}) {
+    return {
+      id,
+      dependsOn,
+      run: async (context, results) => {
+        calls.push(id);
+        if (options.fail && options.fail()) {
+          throw new Error(`falha simulada em ${id}`);
+        }
+        return { id, deps: dependsOn.map((dep) => results[dep].id) };
+      },
+      isComplete: options.isComplete
+    };
+  }
+
+  describe("resolveOrder", function () {
+    it("ordena dependências antes dos dependentes e preserva a ordem declarada", function () {
+      const ordered = resolveOrder([
+        { id: "Router", dependsOn: ["Factory", "WETH"] },
+        { id: "WETH" },
+        { id: "Factory" },
+        { id: "Token" }
+      ]);
+      expect(ordered.map((s) => s.id)).to.deep.equal(["WETH", "Factory", "Router", "Token"]);
+    });
+
+    it("rejeita dependências desconhecidas, duplicadas e ciclos", function () {
+      expect(() => resolveOrder([{ id: "A", dependsOn: ["B"] }])).to.throw(/desconhecida/);
+      expect(() => resolveOrder([{ id: "A" }, { id: "A" }])).to.throw(/duplicada/);
+      expect(() => resolveOrder([
+        { id: "A", dependsOn: ["B"] },
+        { id: "B", dependsOn: ["A"] }
+      ])).to.throw(/circular/);
+    });
+  });
+
+  describe("runSteps", function () {
+    it("retoma a partir da etapa que falhou", async function () {
+      const calls = [];
+      let shouldFail = true;
+      const steps = [
+        step("WETH", [], calls),
+        step("Factory", [], calls),
+        step("Router", ["Factory", "WETH"], calls, { fail: () => shouldFail })
+      ];
+
+      await expect(runSteps(steps, { statePath, stateKey: "31337" })).to.be.rejectedWith(/Etapa Router falhou/);
+      const failedState = await loadState(statePath, "31337");
+      expect(failedState.steps.Router.status).to.equal(STEP_STATUS.FAILED);
+      expect(failedState.steps.Factory.status).to.equal(STEP_STATUS.COMPLETED);
+
+      shouldFail = false;
+      const { results, executed, skipped } = await runSteps(steps, { statePath, stateKey: "31337" });
+      expect(calls).to.deep.equal(["WETH", "Factory", "Router", "Router"]);
+      expect(executed).to.deep.equal(["Router"]);
+      expect(skipped).to.deep.equal(["WETH", "Factory"]);
+      expect(results.Router.deps).to.deep.equal(["Factory", "WETH"]);
+    });
+
+    it("reexecuta etapas não confirmadas on-chain e seus dependentes", async function () {
+      const calls = [];
+      let factoryLive = true;
+      const steps = [
+        step("Factory", [], calls, { isComplete: async () => factoryLive }),
+        step("Router", ["Factory"], calls, { isComplete: async () => true })
+      ];
+
+      await runSteps(steps, { statePath, stateKey: "31337" });
+      factoryLive = false;
+      const { executed } = await runSteps(steps, { statePath, stateKey: "31337" });
+
+      expect(executed).to.deep.equal(["Factory", "Router"]);
+    });
+
+    it("usa resultados semeados e isola o estado por chave", async function () {
+      const calls = [];
+      const steps = [step("WETH", [], calls), step("Router", ["WETH"], calls)];
+
+      const { skipped } = await runSteps(steps, {
+        statePath,
+        stateKey: "1",
+        seed: { WETH: { id: "WETH", source: "file" } }
+      });
+      expect(skipped).to.deep.equal(["WETH"]);
+      expect(calls).to.deep.equal(["Router"]);
+
+      await runSteps(steps, { statePath, stateKey: "137" });
+      expect(calls).to.deep.equal(["Router", "WETH", "Router"]);
+      expect((await loadState(statePath, "1")).steps.WETH.result.source).to.equal("file");
+    });
+  });
+});
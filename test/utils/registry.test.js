@@ -0,0 +1,132 @@
+/**
+ * @file registry.test.js
+ * @description Testes do registro de implantações por rede `scripts/utils/registry.js`.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const registry = require("../../scripts/utils/registry");
+
+// Init code mínimo: implanta um contrato cujo runtime retorna 42
+const RETURN_42_INIT_CODE = "0x600a600c600039600a6000f3602a60005260206000f3";
+
+describe("scripts/utils/registry", function () {
+  let registryDir;
+  let contractAddress;
+  let deployTx;
+
+  before(async function () {
+    const [deployer] = await ethers.getSigners();
+    deployTx = await deployer.sendTransaction({ data: RETURN_42_INIT_CODE });
+    const receipt = await deployTx.wait();
+    contractAddress = receipt.contractAddress;
+  });
+
+  beforeEach(async function () {
+    registryDir = await fs.mkdtemp(path.join(os.tmpdir(), "registry-test-"));
+  });
+
+  afterEach(async function () {
+    await fs.rm(registryDir, { recursive: true, force: true });
+  });
+
+  it("grava e consulta contratos no arquivo do chainId conectado", async function () {
+    await registry.recordDeployment("Answer", {
+      address: contractAddress,
+      txHash: deployTx.hash,
+      blockNumber: 1,
+      constructorArgs: [ethers.ZeroAddress, 10n]
+    }, { registryDir });
+
+    const entry = await registry.getDeployment("Answer", { registryDir });
+    expect(entry.address).to.equal(ethers.getAddress(contractAddress));
+    expect(entry.contractName).to.equal("Answer");
+    expect(entry.txHash).to.equal(deployTx.hash);
+    expect(entry.constructorArgs).to.deep.equal([ethers.ZeroAddress, "10"]);
+    expect(entry.bytecodeHash).to.equal(ethers.keccak256(await ethers.provider.getCode(contractAddress)));
+
+    const file = JSON.parse(await fs.readFile(registry.getRegistryPath(31337, registryDir), "utf8"));
+    expect(file.chainId).to.equal("31337");
+    expect(file.tags.default.network).to.equal("hardhat");
+  });
+
+  it("separa o registro da rede em processo do registro do nó localhost", async function () {
+    expect(path.basename(registry.getRegistryPath(31337, registryDir))).to.equal("31337-hardhat.json");
+    expect(path.basename(registry.getRegistryPath(31337, registryDir, "localhost"))).to.equal("31337.json");
+
+    // Um endereço gravado pelo nó localhost não é lido pela rede em processo
+    await fs.writeFile(
+      registry.getRegistryPath(31337, registryDir, "localhost"),
+      JSON.stringify({ chainId: "31337", tags: { default: { contracts: { Answer: { address: contractAddress } } } } }),
+      "utf8"
+    );
+    expect(await registry.getDeployment("Answer", { registryDir, required: false })).to.equal(null);
+
+    await registry.recordDeployment("Answer", { address: contractAddress }, { registryDir });
+    expect((await fs.readdir(registryDir)).sort()).to.deep.equal(["31337-hardhat.json", "31337.json"]);
+  });
+
+  it("recusa consultas para um chainId diferente do provider", async function () {
+    await registry.recordDeployment("Answer", { address: contractAddress }, { registryDir });
+    await expect(registry.getDeployment("Answer", { registryDir, chainId: 11155111 }))
+      .to.be.rejectedWith(/provider está conectado ao chainId 31337/);
+  });
+
+  it("recusa arquivos de registro pertencentes a outro chainId", async function () {
+    await fs.writeFile(
+      registry.getRegistryPath(31337, registryDir),
+      JSON.stringify({ chainId: "1", tags: { default: { contracts: { Answer: { address: contractAddress } } } } }),
+      "utf8"
+    );
+    await expect(registry.getDeploymentAddress("Answer", { registryDir })).to.be.rejectedWith(/pertence ao chainId 1/);
+  });
+
+  it("isola tags e trata entradas ausentes", async function () {
+    await registry.recordDeployment("Answer", { address: contractAddress }, { registryDir, tag: "staging" });
+
+    expect(await registry.getDeploymentAddress("Answer", { registryDir, tag: "staging" }))
+      .to.equal(ethers.getAddress(contractAddress));
+    expect(await registry.getDeployment("Answer", { registryDir, required: false })).to.equal(null);
+    await expect(registry.getDeployment("Answer", { registryDir })).to.be.rejectedWith(/não encontrado/);
+    expect(Object.keys(await registry.listDeployments({ registryDir, tag: "staging" }))).to.deep.equal(["Answer"]);
+  });
+
+  it("preserva os dados de criação ao registrar novamente o mesmo endereço", async function () {
+    await registry.recordDeployment("Answer", { address: contractAddress, txHash: deployTx.hash, blockNumber: 1 }, { registryDir });
+    await registry.recordDeployment("Answer", { address: contractAddress, txHash: null }, { registryDir });
+
+    const entry = await registry.getDeployment("Answer", { registryDir });
+    expect(entry.txHash).to.equal(deployTx.hash);
+    expect(entry.blockNumber).to.equal(1);
+  });
+
+  it("rejeita endereços sem bytecode", async function () {
+    const [, other] = await ethers.getSigners();
+    await expect(registry.recordDeployment("Ghost", { address: other.address }, { registryDir }))
+      .to.be.rejectedWith(/Nenhum bytecode/);
+  });
+
+  it("gera a mesma chave de par independentemente da ordem dos tokens", function () {
+    const low = "0x1000000000000000000000000000000000000000";
+    const high = "0xa000000000000000000000000000000000000000";
+    const key = registry.getPairKey(high, low);
+
+    expect(key).to.equal(`Pair_${ethers.getAddress(low)}_${ethers.getAddress(high)}`);
+    expect(registry.getPairKey(low.toUpperCase().replace("0X", "0x"), high)).to.equal(key);
+    expect(() => registry.getPairKey(low, low)).to.throw(/tokens idênticos/);
+    expect(() => registry.getPairKey(low, "SPBToken")).to.throw(/inválidos/);
+  });
+
+  it("resolve endereços, nomes registrados e apelidos do WETH", async function () {
+    await registry.recordDeployment("WETH9", { address: contractAddress }, { registryDir });
+    const expected = ethers.getAddress(contractAddress);
+
+    expect(await registry.resolveAddress(contractAddress.toLowerCase(), { registryDir })).to.equal(expected);
+    expect(await registry.resolveAddress("WETH9", { registryDir })).to.equal(expected);
+    expect(await registry.resolveAddress("weth", { registryDir })).to.equal(expected);
+    await expect(registry.resolveAddress("SPBToken", { registryDir })).to.be.rejectedWith(/não encontrado/);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * @file txManager.test.js
+ * @description Testes da substituição de transações presas `scripts/utils/txManager.js`, com a mineração
+ *              automática da rede Hardhat desligada para simular transações pendentes.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { ACTIONS, resolveWaitSettings, bumpFees, buildReplacement, waitForTransaction } = require("../../scripts/utils/txManager");
+
+describe("scripts/utils/txManager", function () {
+  const gwei = (value) => ethers.parseUnits(String(value), "gwei");
+  const FAST = { timeoutMs: 50, pollMs: 10 };
+  let tmpDir;
+
+  beforeEach(async function () {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "tx-manager-test-"));
+  });
+
+  afterEach(async function () {
+    await ethers.provider.send("evm_mine", []);
+    await ethers.provider.send("evm_setAutomine", [true]);
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * @notice Envia uma transferência que fica pendente até a próxima mineração manual
+   */
+  async function sendPending(to, value = 1n) {
+    const [signer] = await ethers.getSigners();
+    await ethers.provider.send("evm_setAutomine", [false]);
+    return signer.sendTransaction({ to, value });
+  }
+
+  /**
+   * @notice Minera um bloco assim que uma transação diferente de `hash` aparecer no bloco pendente
+   */
+  async function mineAfterReplacement(hash) {
+    for (;;) {
+      const pending = await ethers.provider.send("eth_getBlockByNumber", ["pending", false]);
+      if (pending.transactions.some((candidate) => candidate !== hash)) {
+        await ethers.provider.send("evm_mine", []);
+        return;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  it("resolve a janela por rede", function () {
+    expect(resolveWaitSettings()).to.deep.equal({ timeoutMs: 30000, pollMs: 250 });
+    expect(resolveWaitSettings("polygon")).to.deep.equal({ timeoutMs: 60000, pollMs: 2000 });
+    expect(resolveWaitSettings("inexistente")).to.deep.equal({ timeoutMs: 180000, pollMs: 4000 });
+  });
+
+  it("eleva as taxas em 15% ou até as taxas atuais, respeitando o teto", function () {
+    const previous = { maxFeePerGas: gwei(40), maxPriorityFeePerGas: gwei(2) };
+    expect(bumpFees(previous, { maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(1) }, gwei(100)))
+      .to.deep.equal({ maxFeePerGas: gwei(46), maxPriorityFeePerGas: gwei("2.3") });
+    expect(bumpFees(previous, { maxFeePerGas: gwei(80), maxPriorityFeePerGas: gwei(5) }, gwei(100)))
+      .to.deep.equal({ maxFeePerGas: gwei(80), maxPriorityFeePerGas: gwei(5) });
+    expect(bumpFees({ gasPrice: gwei(10) }, { gasPrice: gwei(5) }, gwei(100))).to.deep.equal({ gasPrice: gwei("11.5") });
+    expect(() => bumpFees(previous, { maxFeePerGas: gwei(30) }, gwei(45))).to.throw(/46\.0 gwei\) acima do teto de 45\.0 gwei/);
+  });
+
+  it("monta a substituta e o cancelamento com o mesmo nonce", function () {
+    const tx = { from: "0x00000000000000000000000000000000000000f1", to: "0x00000000000000000000000000000000000000f2", data: "0x1234", value: 7n, gasLimit: 90000n, nonce: 4, chainId: 31337n };
+    const fees = { maxFeePerGas: gwei(46), maxPriorityFeePerGas: gwei(3) };
+
+    expect(buildReplacement(tx, ACTIONS.REPLACE, fees)).to.deep.equal({
+      to: tx.to, data: "0x1234", value: 7n, gasLimit: 90000n, nonce: 4, chainId: 31337n, type: 2, ...fees
+    });
+    expect(buildReplacement(tx, ACTIONS.CANCEL, { gasPrice: gwei(12) })).to.deep.equal({
+      to: tx.from, data: "0x", value: 0n, gasLimit: 21000n, nonce: 4, chainId: 31337n, type: 0, gasPrice: gwei(12)
+    });
+  });
+
+  it("devolve o recibo da transação minerada dentro da janela", async function () {
+    const [, other] = await ethers.getSigners();
+    const tx = await sendPending(other.address);
+    await ethers.provider.send("evm_mine", []);
+
+    const receipt = await waitForTransaction(tx, FAST);
+    expect(receipt.hash).to.equal(tx.hash);
+  });
+
+  it("substitui a transação presa e registra a substituição", async function () {
+    const [, other] = await ethers.getSigners();
+    const logFile = path.join(tmpDir, "tx-replacements.json");
+    const balanceBefore = await ethers.provider.getBalance(other.address);
+    const tx = await sendPending(other.address, 5n);
+
+    const [receipt] = await Promise.all([
+      waitForTransaction(tx, { ...FAST, logFile }),
+      mineAfterReplacement(tx.hash)
+    ]);
+
+    expect(receipt.hash).to.not.equal(tx.hash);
+    expect(await ethers.provider.getBalance(other.address)).to.equal(balanceBefore + 5n);
+
+    const [entry] = JSON.parse(await fs.readFile(logFile, "utf8"));
+    expect(entry).to.include({ action: "replace", nonce: tx.nonce, replacedHash: tx.hash, replacementHash: receipt.hash });
+    expect(BigInt(entry.fees.maxFeePerGas)).to.be.greaterThan(tx.maxFeePerGas);
+  });
+
+  it("cancela o nonce e interrompe o script", async function () {
+    const [signer, other] = await ethers.getSigners();
+    const balanceBefore = await ethers.provider.getBalance(other.address);
+    const tx = await sendPending(other.address, 5n);
+
+    await Promise.all([
+      expect(waitForTransaction(tx, { ...FAST, action: ACTIONS.CANCEL })).to.be.rejectedWith(/cancelada pelo nonce/),
+      mineAfterReplacement(tx.hash)
+    ]);
+    expect(await ethers.provider.getBalance(other.address)).to.equal(balanceBefore);
+    expect(await ethers.provider.getTransactionCount(signer.address)).to.equal(tx.nonce + 1);
+  });
+
+  it("desiste após o limite de substituições", async function () {
+    const [, other] = await ethers.getSigners();
+    const tx = await sendPending(other.address);
+
+    await expect(waitForTransaction(tx, { ...FAST, maxReplacements: 0 }))
+      .to.be.rejectedWith(/não minerada após 0 substituição/);
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * @file uniswapV2Library.test.js
+ * @description Testes do port JavaScript `scripts/utils/uniswapV2Library.js`, incluindo testes de propriedade
+ *              com entradas aleatórias (semente fixa) comparados com a UniswapV2Library on-chain
+ *              através do contrato `UniswapV2LibraryHarness`.
+ */
+
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const library = require("../../scripts/utils/uniswapV2Library");
+const { createRandom } = require("../shared/random");
+
+// Número de casos aleatórios por propriedade
+const RUNS = 64;
+const MAX_UINT112 = (1n << 112n) - 1n;
+// Init code hash do UniswapV2Pair original, implantado na mainnet
+const MAINNET_INIT_CODE_HASH = "0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f";
+
+/**
+ * @notice Executa uma chamada síncrona ou assíncrona e normaliza sucesso/erro para comparação
+ */
+async function settle(call) {
+  try {
+    return { value: await call() };
+  } catch (error) {
+    return { reverted: true, message: error.message };
+  }
+}
+
+/**
+ * @notice Compara o resultado do port JS com o do contrato (mesmo valor ou ambos revertendo)
+ */
+async function expectSameOutcome(jsCall, chainCall, context) {
+  const js = await settle(jsCall);
+  const chain = await settle(chainCall);
+  expect(Boolean(js.reverted), `${context}: JS=${js.message || js.value} on-chain=${chain.message || chain.value}`)
+    .to.equal(Boolean(chain.reverted));
+  if (!js.reverted) {
+    expect(js.value, context).to.deep.equal(chain.value);
+  } else if (/UniswapV2Library/.test(chain.message)) {
+    expect(chain.message, context).to.include(js.message);
+  }
+}
+
+describe("scripts/utils/uniswapV2Library", function () {
+  describe("funções puras", function () {
+    it("ordena tokens e rejeita endereços idênticos ou zero", function () {
+      const low = "0x1000000000000000000000000000000000000000";
+      const high = "0xA000000000000000000000000000000000000000";
+
+      expect(library.sortTokens(high, low)).to.deep.equal([ethers.getAddress(low), ethers.getAddress(high)]);
+      expect(() => library.sortTokens(low, low)).to.throw("UniswapV2Library: IDENTICAL_ADDRESSES");
+      expect(() => library.sortTokens(ethers.ZeroAddress, low)).to.throw("UniswapV2Library: ZERO_ADDRESS");
+    });
+
+    it("reproduz o endereço de um par conhecido da Uniswap V2 com o init code hash da mainnet", function () {
+      const factory = "0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f";
+      const usdc = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+      const weth = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
+
+      expect(library.pairFor(factory, weth, usdc, MAINNET_INIT_CODE_HASH)).to.equal("0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc");
+      expect(library.pairFor(factory, usdc, weth, MAINNET_INIT_CODE_HASH)).to.equal("0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc");
+    });
+
+    it("aplica a taxa de 0,3% e arredonda getAmountIn para cima", function () {
+      expect(library.getAmountOut(1000n, 10000n, 10000n)).to.equal(906n);
+      expect(library.getAmountIn(906n, 10000n, 10000n)).to.equal(1000n);
+      expect(library.quote(5n, 10n, 30n)).to.equal(15n);
+      expect(() => library.getAmountOut(0n, 1n, 1n)).to.throw("INSUFFICIENT_INPUT_AMOUNT");
+      expect(() => library.getAmountIn(10n, 100n, 10n)).to.throw("INSUFFICIENT_LIQUIDITY");
+      expect(() => library.quote(1n, 0n, 1n)).to.throw("INSUFFICIENT_LIQUIDITY");
+    });
+
+    it("encadeia getAmountsOut e getAmountsIn pela rota", function () {
+      const reserves = { "A-B": [10000n, 20000n], "B-C": [5000n, 5000n] };
+      const reservesOf = (a, b) => reserves[`${a}-${b}`];
+
+      const out = library.getAmountsOut(100n, ["A", "B", "C"], reservesOf);
+      expect(out).to.deep.equal([100n, library.getAmountOut(100n, 10000n, 20000n), library.getAmountOut(out[1], 5000n, 5000n)]);
+
+      const inAmounts = library.getAmountsIn(out[2], ["A", "B", "C"], reservesOf);
+      expect(inAmounts[2]).to.equal(out[2]);
+      expect(inAmounts[0] <= 100n).to.equal(true);
+      expect(() => library.getAmountsOut(1n, ["A"], reservesOf)).to.throw("INVALID_PATH");
+    });
+  });
+
+  describe("propriedades contra a biblioteca on-chain", function () {
+    let harness;
+    let random;
+
+    before(async function () {
+      harness = await ethers.deployContract("UniswapV2LibraryHarness");
+    });
+
+    beforeEach(function () {
+      random = createRandom();
+    });
+
+    it("getAmountOut coincide para entradas aleatórias", async function () {
+      for (let i = 0; i < RUNS; i++) {
+        const args = [random.between(0n, MAX_UINT112), random.between(0n, MAX_UINT112), random.between(0n, MAX_UINT112)];
+        await expectSameOutcome(() => library.getAmountOut(...args), () => harness.getAmountOut(...args), `getAmountOut(${args})`);
+      }
+    });
+
+    it("getAmountIn coincide para entradas aleatórias", async function () {
+      for (let i = 0; i < RUNS; i++) {
+        const reserveOut = random.between(0n, MAX_UINT112);
+        const args = [random.between(0n, reserveOut + 1n), random.between(0n, MAX_UINT112), reserveOut];
+        await expectSameOutcome(() => library.getAmountIn(...args), () => harness.getAmountIn(...args), `getAmountIn(${args})`);
+      }
+    });
+
+    it("quote coincide para entradas aleatórias", async function () {
+      for (let i = 0; i < RUNS; i++) {
+        const args = [random.between(0n, MAX_UINT112), random.between(0n, MAX_UINT112), random.between(0n, MAX_UINT112)];
+        await expectSameOutcome(() => library.quote(...args), () => harness.quote(...args), `quote(${args})`);
+      }
+    });
+
+    it("sortTokens e pairFor coincidem para endereços aleatórios", async function () {
+      for (let i = 0; i < RUNS; i++) {
+        const factory = ethers.getAddress(ethers.toBeHex(random.between(1n, (1n << 160n) - 1n), 20));
+        const tokenA = ethers.getAddress(ethers.toBeHex(random.between(0n, (1n << 160n) - 1n), 20));
+        const tokenB = i % 8 === 0 ? tokenA : ethers.getAddress(ethers.toBeHex(random.between(1n, (1n << 160n) - 1n), 20));
+
+        await expectSameOutcome(
+          () => library.sortTokens(tokenA, tokenB),
+          async () => [...(await harness.sortTokens(tokenA, tokenB))],
+          `sortTokens(${tokenA}, ${tokenB})`
+        );
+        await expectSameOutcome(
+          () => library.pairFor(factory, tokenA, tokenB),
+          () => harness.pairFor(factory, tokenA, tokenB),
+          `pairFor(${factory}, ${tokenA}, ${tokenB})`
+        );
+      }
+    });
+
+    /**
+     * @notice Rota aleatória de 2 a 4 tokens distintos, com pares novos e reservas aleatórias em uma factory nova
+     * @dev O par é criado na ordem da rota, mas `reserves` guarda as reservas orientadas no sentido do salto,
+     *      como o JS as recebe; o contrato precisa reorientá-las a partir de token0/token1.
+     */
+    async function randomPath(tokens) {
+      const [deployer] = await ethers.getSigners();
+      const factory = await ethers.deployContract("UniswapV2Factory", [deployer.address]);
+      const remaining = [...tokens];
+      const path = [];
+      for (let length = 2 + Number(random.between(0n, 2n)); path.length < length;) {
+        path.push(remaining.splice(remaining.indexOf(random.pick(remaining)), 1)[0]);
+      }
+
+      const reserves = {};
+      for (let j = 0; j < path.length - 1; j++) {
+        const [tokenIn, tokenOut] = [path[j], path[j + 1]];
+        await factory.createPair(tokenIn.target, tokenOut.target);
+        const pair = await ethers.getContractAt("UniswapV2Pair", await factory.getPair(tokenIn.target, tokenOut.target));
+        const amounts = [random.between(1n, MAX_UINT112), random.between(1n, MAX_UINT112)];
+        await tokenIn.transfer(pair.target, amounts[0]);
+        await tokenOut.transfer(pair.target, amounts[1]);
+        await pair.sync();
+        reserves[`${tokenIn.target}-${tokenOut.target}`] = amounts;
+      }
+      return { factory, path: path.map((token) => token.target), reservesOf: (a, b) => reserves[`${a}-${b}`] };
+    }
+
+    describe("rotas com vários saltos", function () {
+      let tokens;
+
+      before(async function () {
+        tokens = [];
+        for (let i = 0; i < 4; i++) {
+          tokens.push(await ethers.deployContract("contracts/test/ERC20.sol:ERC20", [1n << 200n]));
+        }
+      });
+
+      it("getAmountsOut coincide com a biblioteca on-chain para rotas e reservas aleatórias", async function () {
+        for (let i = 0; i < RUNS / 4; i++) {
+          const { factory, path, reservesOf } = await randomPath(tokens);
+          const amountIn = random.between(1n, MAX_UINT112);
+
+          // Um salto intermediário pode arredondar para zero: os dois lados devem então recusar a entrada
+          await expectSameOutcome(
+            () => library.getAmountsOut(amountIn, path, reservesOf),
+            async () => [...(await harness.getAmountsOut(factory.target, amountIn, path))],
+            `getAmountsOut(${amountIn}, ${path})`
+          );
+        }
+      });
+
+      it("getAmountsIn coincide com a biblioteca on-chain para rotas e reservas aleatórias", async function () {
+        for (let i = 0; i < RUNS / 4; i++) {
+          const { factory, path, reservesOf } = await randomPath(tokens);
+          const [, reserveOut] = reservesOf(path[path.length - 2], path[path.length - 1]);
+          const amountOut = random.between(1n, reserveOut);
+
+          // Saídas próximas da reserva exigem entradas acima da reserva do salto anterior: ambos recusam
+          await expectSameOutcome(
+            () => library.getAmountsIn(amountOut, path, reservesOf),
+            async () => [...(await harness.getAmountsIn(factory.target, amountOut, path))],
+            `getAmountsIn(${amountOut}, ${path})`
+          );
+        }
+      });
+    });
+
+    it("pairFor com o init code hash dos artefatos coincide com factory.getPair", async function () {
+      const [deployer] = await ethers.getSigners();
+      const factory = await ethers.deployContract("UniswapV2Factory", [deployer.address]);
+      const tokenA = await ethers.deployContract("contracts/test/ERC20.sol:ERC20", [1000n]);
+      const tokenB = await ethers.deployContract("contracts/test/ERC20.sol:ERC20", [1000n]);
+      await (await factory.createPair(tokenA.target, tokenB.target)).wait();
+
+      const { bytecode } = await artifacts.readArtifact("UniswapV2Pair");
+      const initCodeHash = library.computeInitCodeHash(bytecode);
+
+      expect(library.pairFor(factory.target, tokenA.target, tokenB.target, initCodeHash))
+        .to.equal(await factory.getPair(tokenA.target, tokenB.target));
+    });
+
+    it("pairFor e getReserves sem hash explícito localizam o par criado pela factory", async function () {
+      const [deployer] = await ethers.getSigners();
+      const factory = await ethers.deployContract("UniswapV2Factory", [deployer.address]);
+      const tokenA = await ethers.deployContract("contracts/test/ERC20.sol:ERC20", [1000n]);
+      const tokenB = await ethers.deployContract("contracts/test/ERC20.sol:ERC20", [1000n]);
+      await (await factory.createPair(tokenA.target, tokenB.target)).wait();
+      const pair = await factory.getPair(tokenA.target, tokenB.target);
+
+      expect(library.pairFor(factory.target, tokenA.target, tokenB.target)).to.equal(pair);
+      expect(library.pairFor(factory.target, tokenB.target, tokenA.target)).to.equal(pair);
+
+      await tokenA.transfer(pair, 100n);
+      await tokenB.transfer(pair, 400n);
+      await (await ethers.getContractAt("UniswapV2Pair", pair)).sync();
+      expect(await library.getReserves(ethers.provider, factory.target, tokenB.target, tokenA.target)).to.deep.equal([400n, 100n]);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * @file uniswapV2LiquidityMathLibrary.test.js
+ * @description Testes do port JavaScript `scripts/utils/uniswapV2LiquidityMathLibrary.js`, com casos calculados à
+ *              mão e comparações com entradas aleatórias (semente fixa) contra `ExampleComputeLiquidityValue`.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const math = require("../../scripts/utils/uniswapV2LiquidityMathLibrary");
+const { getAmountOut } = require("../../scripts/utils/uniswapV2Library");
+const { assertInitCodeHash } = require("../../scripts/deploy/dex/initCodeHash");
+const { createRandom } = require("../shared/random");
+const { expandTo18Decimals, pairFixture } = require("../pool/fixtures");
+
+// Número de casos aleatórios por propriedade
+const RUNS = 32;
+
+/**
+ * @notice Executa uma chamada e normaliza sucesso/erro para comparação
+ */
+async function settle(call) {
+  try {
+    return { value: [...await call()] };
+  } catch (error) {
+    return { reverted: true, message: error.message };
+  }
+}
+
+/**
+ * @notice Compara o resultado do port JS com o do contrato (mesmos valores ou ambos revertendo)
+ */
+async function expectSameOutcome(jsCall, chainCall, context) {
+  const js = await settle(jsCall);
+  const chain = await settle(chainCall);
+  expect(Boolean(js.reverted), `${context}: JS=${js.message || js.value} on-chain=${chain.message || chain.value}`)
+    .to.equal(Boolean(chain.reverted));
+  if (!js.reverted) {
+    expect(js.value, context).to.deep.equal(chain.value);
+  } else if (/UniswapV2LiquidityMathLibrary/.test(chain.message)) {
+    expect(chain.message, context).to.include(js.message);
+  }
+}
+
+describe("scripts/utils/uniswapV2LiquidityMathLibrary", function () {
+  describe("funções puras", function () {
+    it("calcula raiz quadrada inteira arredondada para baixo", function () {
+      expect([0n, 1n, 3n, 15n, 16n, 17n].map(math.sqrt)).to.deep.equal([0n, 1n, 1n, 3n, 4n, 4n]);
+      expect(math.sqrt((1n << 224n) - 1n)).to.equal((1n << 112n) - 1n);
+    });
+
+    it("divide o valor da liquidez pelas reservas sem taxa de protocolo", function () {
+      expect(math.computeLiquidityValue(100n, 400n, 200n, 50n, false, 0n)).to.deep.equal([25n, 100n]);
+      expect(() => math.computeLiquidityValue(100n, 400n, 200n, 201n, false, 0n)).to.throw("INVALID_LIQUIDITY_AMOUNT");
+      expect(() => math.computeLiquidityValue(0n, 400n, 200n, 50n, false, 0n)).to.throw("INSUFFICIENT_RESERVES");
+    });
+
+    it("dilui o supply pela taxa de protocolo pendente desde kLast", function () {
+      // sqrt(k) foi de 100 para 400: 200 × 300 / (5 × 400 + 100) = 28 LP pendentes para o feeTo
+      expect(math.computeFeeLiquidity(400n, 400n, 200n, 10000n)).to.equal(28n);
+      expect(math.computeLiquidityValue(400n, 400n, 200n, 50n, true, 10000n)).to.deep.equal([87n, 87n]);
+      // Sem crescimento de k, ou com kLast zerado, não há diluição
+      expect(math.computeLiquidityValue(400n, 400n, 200n, 50n, true, 160000n)).to.deep.equal([100n, 100n]);
+      expect(math.computeLiquidityValue(400n, 400n, 200n, 50n, true, 0n)).to.deep.equal([100n, 100n]);
+    });
+
+    it("não arbitra quando o par já está no preço e leva as reservas ao preço de referência", function () {
+      expect(math.computeProfitMaximizingTrade(1n, 1n, 1000n, 1000n)).to.deep.equal({ aToB: false, amountIn: 0n });
+      expect(math.computeReservesAfterArbitrage(1n, 1n, 1000n, 1000n)).to.deep.equal([1000n, 1000n]);
+
+      // Equilíbrio em reserveA / reserveB = 1 / 4: entram 1000 de B e saem 499 de A
+      expect(math.computeProfitMaximizingTrade(1n, 4n, 1000n, 1000n)).to.deep.equal({ aToB: false, amountIn: 1000n });
+      expect(math.computeReservesAfterArbitrage(1n, 4n, 1000n, 1000n)).to.deep.equal([501n, 2000n]);
+      expect(math.computeReservesAfterArbitrage(4n, 1n, 1000n, 1000n)).to.deep.equal([2000n, 501n]);
+
+      expect(() => math.computeProfitMaximizingTrade(0n, 1n, 1n, 1n)).to.throw("INVALID_TRUE_PRICES");
+      expect(() => math.computeReservesAfterArbitrage(1n, 1n, 0n, 1n)).to.throw("ZERO_PAIR_RESERVES");
+    });
+  });
+
+  describe("comparação com ExampleComputeLiquidityValue", function () {
+    let example;
+    let token0;
+    let token1;
+    let pair;
+    let random;
+
+    before(async function () {
+      await assertInitCodeHash({ checkDeployment: false });
+
+      const fixture = await pairFixture();
+      ({ token0, token1, pair } = fixture);
+      const { wallet, other, factory } = fixture;
+      example = await ethers.deployContract("ExampleComputeLiquidityValue", [await factory.getAddress()]);
+
+      // Taxa de protocolo ligada e k crescendo depois do último mint, para haver diluição pendente
+      await factory.setFeeTo(other.address);
+      await token0.transfer(await pair.getAddress(), expandTo18Decimals(10));
+      await token1.transfer(await pair.getAddress(), expandTo18Decimals(40));
+      await pair.mint(wallet.address);
+      for (const [token, amount] of [[token0, 3n], [token1, 7n], [token0, 1n]]) {
+        const [reserve0, reserve1] = await pair.getReserves();
+        const amountIn = expandTo18Decimals(amount);
+        await token.transfer(await pair.getAddress(), amountIn);
+        if (token === token0) {
+          await pair.swap(0n, getAmountOut(amountIn, reserve0, reserve1), wallet.address, "0x");
+        } else {
+          await pair.swap(getAmountOut(amountIn, reserve1, reserve0), 0n, wallet.address, "0x");
+        }
+      }
+    });
+
+    beforeEach(function () {
+      random = createRandom();
+    });
+
+    /**
+     * @notice Preço de referência aleatório entre 1 e 10^24
+     */
+    function randomPrice() {
+      return random.between(1n, 10n ** 24n);
+    }
+
+    it("getReservesAfterArbitrage coincide para preços aleatórios", async function () {
+      const [tokenA, tokenB] = [await token0.getAddress(), await token1.getAddress()];
+      const factory = await example.factory();
+      for (let i = 0; i < RUNS; i++) {
+        const prices = [randomPrice(), randomPrice()];
+        await expectSameOutcome(
+          () => math.getReservesAfterArbitrage(ethers.provider, factory, tokenA, tokenB, ...prices),
+          () => example.getReservesAfterArbitrage(tokenA, tokenB, ...prices),
+          `getReservesAfterArbitrage(${prices})`
+        );
+      }
+    });
+
+    it("getLiquidityValue coincide com a diluição pendente", async function () {
+      const [tokenA, tokenB] = [await token1.getAddress(), await token0.getAddress()];
+      const totalSupply = await pair.totalSupply();
+      const factory = await example.factory();
+      expect(math.computeFeeLiquidity(...(await pair.getReserves()).slice(0, 2), totalSupply, await pair.kLast()))
+        .to.be.greaterThan(0n);
+
+      for (let i = 0; i < RUNS; i++) {
+        const liquidity = random.between(0n, totalSupply + 1n);
+        await expectSameOutcome(
+          () => math.getLiquidityValue(ethers.provider, factory, tokenA, tokenB, liquidity),
+          () => example.getLiquidityValue(tokenA, tokenB, liquidity),
+          `getLiquidityValue(${liquidity})`
+        );
+      }
+    });
+
+    it("getLiquidityValueAfterArbitrageToPrice coincide para preços e liquidez aleatórios", async function () {
+      const [tokenA, tokenB] = [await token0.getAddress(), await token1.getAddress()];
+      const totalSupply = await pair.totalSupply();
+      const factory = await example.factory();
+
+      for (let i = 0; i < RUNS; i++) {
+        const prices = [randomPrice(), randomPrice()];
+        const liquidity = i % 8 === 0 ? 0n : random.between(1n, totalSupply);
+        await expectSameOutcome(
+          () => math.getLiquidityValueAfterArbitrageToPrice(ethers.provider, factory, tokenA, tokenB, ...prices, liquidity),
+          () => example.getLiquidityValueAfterArbitrageToPrice(tokenA, tokenB, ...prices, liquidity),
+          `getLiquidityValueAfterArbitrageToPrice(${prices}, ${liquidity})`
+        );
+      }
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * @file verification.test.js
+ * @description Testes da verificação no explorador `scripts/utils/verification.js`, contra um stub local da API.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { CONFIG, STATUS, isVerificationEnabled, buildVerificationRequest, verifyContract } = require("../../scripts/utils/verification");
+const { startExplorerStub } = require("../shared/explorerStub");
+
+describe("scripts/utils/verification", function () {
+  const ADDRESS = "0x00000000000000000000000000000000000000c0";
+  let stub;
+  let feeToSetter;
+
+  before(async function () {
+    [{ address: feeToSetter }] = await ethers.getSigners();
+  });
+
+  afterEach(async function () {
+    delete process.env[CONFIG.DISABLE_ENV];
+    if (stub) {
+      await stub.close();
+      stub = null;
+    }
+  });
+
+  /**
+   * @notice Implantação fictícia da factory, com o deployer como feeToSetter
+   */
+  function factoryDeployment() {
+    return { contractName: "UniswapV2Factory", address: ADDRESS, constructorArgs: [feeToSetter] };
+  }
+
+  it("pula redes locais, a menos que um explorador seja informado", function () {
+    expect(isVerificationEnabled()).to.equal(false);
+    expect(isVerificationEnabled({ explorer: { apiURL: "http://127.0.0.1:1/api" } })).to.equal(true);
+    expect(isVerificationEnabled({ explorer: { apiURL: "http://127.0.0.1:1/api" }, verify: false })).to.equal(false);
+
+    process.env[CONFIG.DISABLE_ENV] = "false";
+    expect(isVerificationEnabled({ explorer: { apiURL: "http://127.0.0.1:1/api" } })).to.equal(false);
+  });
+
+  it("devolve status skipped sem consultar o explorador", async function () {
+    stub = await startExplorerStub();
+    const result = await verifyContract(factoryDeployment());
+    expect(result.status).to.equal(STATUS.SKIPPED);
+    expect(stub.requests).to.deep.equal([]);
+  });
+
+  it("não reenvia contratos já verificados", async function () {
+    stub = await startExplorerStub({ verified: [ADDRESS] });
+    const result = await verifyContract(factoryDeployment(), { explorer: stub.explorer });
+    expect(result).to.include({ status: STATUS.ALREADY_VERIFIED, attempts: 0, url: `https://explorer.stub/address/${ADDRESS}#code` });
+    expect(stub.requests).to.deep.equal(["getsourcecode"]);
+  });
+
+  it("monta a requisição com o build info e os argumentos do construtor", async function () {
+    const request = await buildVerificationRequest("UniswapV2Factory", [feeToSetter]);
+    expect(request.contractName).to.match(/\.sol:UniswapV2Factory$/);
+    expect(request.compilerVersion).to.match(/^v0\.8\.28\+commit\./);
+    expect(request.constructorArguments).to.equal(ethers.AbiCoder.defaultAbiCoder().encode(["address"], [feeToSetter]).slice(2));
+    expect(JSON.parse(request.sourceCode)).to.have.property("sources");
+  });
+
+  it("reenvia enquanto o explorador não indexou o bytecode", async function () {
+    stub = await startExplorerStub({ unindexedSubmissions: 2 });
+    const result = await verifyContract(factoryDeployment(), { explorer: stub.explorer, retryDelayMs: 0 });
+
+    expect(result).to.include({ status: STATUS.VERIFIED, attempts: 3, guid: "guid-1" });
+    expect(stub.submissions).to.have.length(1);
+    expect(stub.submissions[0].contractaddress).to.equal(ADDRESS);
+    expect(stub.submissions[0].constructorArguements)
+      .to.equal(ethers.AbiCoder.defaultAbiCoder().encode(["address"], [feeToSetter]).slice(2));
+    expect(stub.requests).to.deep.equal([
+      "getsourcecode", "verifysourcecode", "verifysourcecode", "verifysourcecode", "checkverifystatus"
+    ]);
+  });
+
+  it("desiste após o limite de envios", async function () {
+    stub = await startExplorerStub({ unindexedSubmissions: 5 });
+    const result = await verifyContract(factoryDeployment(), { explorer: stub.explorer, retryDelayMs: 0, maxAttempts: 2 });
+    expect(result.status).to.equal(STATUS.FAILED);
+    expect(result.attempts).to.equal(2);
+    expect(result.message).to.match(/Failed to send contract verification request/);
+  });
+
+  it("reporta a falha devolvida pelo explorador", async function () {
+    stub = await startExplorerStub({ statusResult: "Fail - Unable to verify" });
+    const result = await verifyContract(factoryDeployment(), { explorer: stub.explorer });
+    expect(result).to.include({ status: STATUS.FAILED, message: "Fail - Unable to verify", guid: "guid-1" });
+  });
+
+  it("não lança erro quando o explorador está fora do ar", async function () {
+    stub = await startExplorerStub();
+    const { explorer } = stub;
+    await stub.close();
+    stub = null;
+
+    const result = await verifyContract(factoryDeployment(), { explorer });
+    expect(result.status).to.equal(STATUS.FAILED);
+    expect(result.attempts).to.equal(0);
+  });
+});